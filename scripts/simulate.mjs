@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// Headless runner: loads a saved scene (or a built-in scenario), simulates it for a while and
+// writes the probed quantities as CSV or JSON. Meant for parameter sweeps in scripts and CI, e.g.
+//
+//   for r in 100 220 470; do
+//     node scripts/simulate.mjs rc.json --duration 2 --set 3.circuit.value=$r --output rc-$r.csv
+//   done
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const USAGE = `Usage: node scripts/simulate.mjs <scene.json> [options]
+       node scripts/simulate.mjs --scenario <id> [options]
+
+Options:
+  --scenario <id>        simulate a built-in scenario instead of a scene file
+  --list                 list the built-in scenarios and exit
+  --duration <seconds>   simulated time to run for (default 10)
+  --step <seconds>       fixed time step (default: the scene's own)
+  --interval <seconds>   simulated time between samples (default: every step)
+  --probe <id>:<quantity>
+                         record a quantity of an entity, e.g. 2:speed or 3:circuit.current;
+                         repeatable. By default every body's position and velocity and every
+                         circuit part's voltage and current are recorded
+  --set <id>.<component>.<field>=<value>
+                         override a number in the scene before running; repeatable
+  --format <csv|json>    output format (default: from the --output extension, else csv)
+  --output <file>        write here instead of standard output
+  --verbose              show the simulation's own logging on standard error
+  --help                 show this message`;
+
+const DEFAULT_QUANTITIES = {
+  physics: ['transform.x', 'transform.y', 'physics.vx', 'physics.vy'],
+  circuit: ['circuit.voltage', 'circuit.current']
+};
+
+const fail = (message) => {
+  console.error(`simulate: ${message}`);
+  process.exit(1);
+};
+
+const number = (text, option) => {
+  const value = Number(text);
+  if (text === undefined || text === '' || !Number.isFinite(value)) {
+    fail(`${option} needs a number, got '${text}'`);
+  }
+  return value;
+};
+
+let options;
+try {
+  options = parseArgs({
+    allowPositionals: true,
+    options: {
+      scenario: { type: 'string' },
+      list: { type: 'boolean' },
+      duration: { type: 'string', default: '10' },
+      step: { type: 'string' },
+      interval: { type: 'string' },
+      probe: { type: 'string', multiple: true, default: [] },
+      set: { type: 'string', multiple: true, default: [] },
+      format: { type: 'string' },
+      output: { type: 'string' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+} catch (error) {
+  fail(`${error.message}\n\n${USAGE}`);
+}
+const { values: args, positionals } = options;
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// The core logs as it builds components; keep that off standard output, where results may go
+const log = console.log;
+console.log = args.verbose ? (...parts) => console.error(...parts) : () => {};
+
+const {
+  SimulationEngine,
+  ScenarioLibrary,
+  SceneSerializer,
+  ProbeRecorder,
+  ConservationDiagnostics
+} = await import('../src/core.js');
+
+if (args.list) {
+  ScenarioLibrary.all().forEach(scenario => log(`${scenario.id}\t${scenario.mode}\t${scenario.name}`));
+  process.exit(0);
+}
+
+const engine = new SimulationEngine(null);
+let mode;
+if (args.scenario !== undefined) {
+  if (!ScenarioLibrary.get(args.scenario)) fail(`unknown scenario '${args.scenario}'; see --list`);
+  mode = ScenarioLibrary.load(engine, args.scenario).mode;
+} else if (positionals.length === 1) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(positionals[0], 'utf8'));
+  } catch (error) {
+    fail(`cannot read ${positionals[0]}: ${error.message}`);
+  }
+  try {
+    mode = SceneSerializer.load(engine, data);
+  } catch (error) {
+    fail(`${positionals[0]} is not a valid scene: ${error.message}`);
+  }
+} else {
+  fail(`give one scene file or --scenario\n\n${USAGE}`);
+}
+
+args.set.forEach(assignment => {
+  const match = /^(\d+)\.(\w+)\.(\w+)=(.*)$/.exec(assignment);
+  if (!match) fail(`--set expects <id>.<component>.<field>=<value>, got '${assignment}'`);
+  const [, id, componentName, field, value] = match;
+  const component = engine.repository.findById(Number(id))?.getComponent(componentName);
+  if (!component || typeof component[field] !== 'number') {
+    fail(`--set ${assignment}: entity ${id} has no numeric ${componentName}.${field}`);
+  }
+  component[field] = number(value, `--set ${componentName}.${field}`);
+});
+
+if (args.step !== undefined) engine.fixedTimeStep = number(args.step, '--step');
+const duration = number(args.duration, '--duration');
+
+const recorder = new ProbeRecorder(Infinity);
+if (args.interval !== undefined) recorder.interval = number(args.interval, '--interval');
+if (args.probe.length > 0) {
+  args.probe.forEach(probe => {
+    const match = /^(\d+):(.+)$/.exec(probe);
+    if (!match) fail(`--probe expects <id>:<quantity>, got '${probe}'`);
+    if (!engine.repository.findById(Number(match[1]))) fail(`--probe ${probe}: no entity ${match[1]}`);
+    try {
+      recorder.addProbe(Number(match[1]), match[2]);
+    } catch (error) {
+      fail(`--probe ${probe}: ${error.message}`);
+    }
+  });
+} else {
+  // A multiphysics scene records both its bodies and its circuit parts
+  const components = mode === 'multiphysics' ? ['physics', 'circuit'] : [mode === 'circuit' ? 'circuit' : 'physics'];
+  components.forEach(component => engine.repository.getAll()
+    .filter(entity => entity.hasComponent(component))
+    .forEach(entity => DEFAULT_QUANTITIES[component].forEach(quantity => recorder.addProbe(entity.id, quantity))));
+}
+
+const diagnostics = new ConservationDiagnostics();
+engine.addObserver(recorder);
+engine.addObserver(diagnostics);
+engine.notifyObservers(); // the starting state is the first sample
+engine.run(duration);
+
+const format = args.format ?? (extname(args.output ?? '') === '.json' ? 'json' : 'csv');
+if (format !== 'csv' && format !== 'json') fail(`unknown format '${format}'; use csv or json`);
+const output = format === 'json'
+  ? JSON.stringify({ mode, duration, ...recorder.toJSON() }, null, 2) + '\n'
+  : recorder.toCSV();
+if (args.output !== undefined) {
+  writeFileSync(args.output, output);
+} else {
+  process.stdout.write(output);
+}
+
+// Problems are reported but still leave the results in place
+if (engine.strategy.error) console.error(`simulate: ${engine.strategy.error}`);
+(diagnostics.report?.warnings ?? []).forEach(warning => console.error(`simulate: warning: ${warning}`));
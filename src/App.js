@@ -1,540 +1,1532 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw, Plus } from 'lucide-react';
-
-
+import { Play, Pause, RotateCcw, Plus, Download, Upload, X, StepBack, StepForward, History, Undo2, Redo2, ZoomIn, ZoomOut, Maximize, Grid3x3, Activity } from 'lucide-react';
+import {
+  Camera,
+  CircuitComponent,
+  SourceComponent,
+  MeterComponent,
+  ScopeComponent,
+  FrequencyResponse,
+  CircuitEditor,
+  CommandStack,
+  ConservationDiagnostics,
+  EntityFactory,
+  PhysicsEditor,
+  PhysicsSimulationStrategy,
+  ProbeRecorder,
+  PropertyInspector,
+  ScenarioLibrary,
+  SceneEditCommand,
+  SceneSerializer,
+  SimulationEngine,
+  SimulationHistory,
+  StrategyPipeline,
+  resolveEndpoint,
+  wireRoute,
+  formatSI
+} from './core';
 
 // ============================================================================
-// DOMAIN LAYER - Core Business Logic
+// PRESENTATION LAYER - UI Components
 // ============================================================================
 
-// ENTITY-COMPONENT PATTERN: Base entity that can have different components
-class Entity {
-  constructor(id, type) {
-    console.log("Entity Constructor for a " + type);
-    this.id = id;
-    this.type = type;
-    this.components = new Map();
-  }
-
-  addComponent(name, component) {
-    this.components.set(name, component);
-    return this;
-  }
-
-  getComponent(name) {
-    return this.components.get(name);
-  }
-
-  hasComponent(name) {
-    return this.components.has(name);
-  }
+// The canvas is stretched by CSS (half the page wide), so map client coordinates back onto its
+// drawing space axis by axis
+function clientToCanvasPoint(canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left) * (canvas.width / rect.width),
+    y: (clientY - rect.top) * (canvas.height / rect.height)
+  };
 }
 
-// Components for Entity-Component Pattern
-class TransformComponent {
-  constructor(x, y, rotation = 0) {
-    console.log("creating a transform component");
-    this.x = x;
-    this.y = y;
-    this.rotation = rotation;
-  }
-}
+// Renderer component - OBSERVER PATTERN: observes simulation state.
+// Entities are drawn in world coordinates through the camera; line widths, markers and labels
+// stay a constant size on screen, so they are given in pixels and scaled by `pixel`.
+class CanvasRenderer {
+  // SCHEMATIC SYMBOLS: circuit component type -> draw(ctx, circuit, entity), tracing the part in its own
+  // frame (centered, unrotated, pins where PIN_LAYOUTS puts them) with the stroke color and line width already set.
+  // Types without a symbol are drawn as a plain box.
+  static SYMBOLS = new Map();
 
-class MobileByUserComponent {
-  constructor(selected = false) {
-    this.selected = false;
+  static registerSymbol(componentType, draw) {
+    CanvasRenderer.SYMBOLS.set(componentType, draw);
   }
-}
 
-class PhysicsComponent {
-  constructor(mass, vx = -50, vy = 0) {
-    console.log("creating a physics component");
-    this.mass = mass;
-    this.vx = vx;
-    this.vy = vy;
-    this.fx = 0;
-    this.fy = 0;
-  }
-}
+  // Current dots move at a speed proportional to the wire current, measured against the largest
+  // current seen lately so milliamp and ampere circuits are both visible; that reference decays
+  // after a peak, so dots slow down as, say, a capacitor charges.
+  static CURRENT_DOT_SPACING = 16; // screen pixels between the dots moving along a wire
+  static CURRENT_DOT_SPEED = 120; // screen pixels per second at the reference current
+  static CURRENT_REFERENCE_HALF_LIFE = 2; // seconds
+  static LED_FULL_CURRENT = 0.02; // amperes at which an LED glows at full brightness
+  static SCOPE_COLORS = ['#fde047', '#f472b6']; // oscilloscope channels 1 and 2
 
-class PhysicsCollisionComponent{
-  constructor(radius){
-    this.radius = radius;
+  constructor(canvas, camera = new Camera(canvas.width, canvas.height)) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.camera = camera;
+    this.showGrid = true; // grid lines, plus axes and rulers when the camera has a unit
+    this.overlays = []; // drawn on top of the entities, each with draw(ctx, entities, pixel)
+    this.filter = null; // which entities this view draws, or null for all of them
+    this.flow = new Map(); // wire entity id -> how far its current dots have moved, in screen pixels
+    this.flowClock = null; // the engine's lastTime at the previous running frame
+    this.referenceCurrent = 0; // amperes that move dots at CURRENT_DOT_SPEED
   }
-}
 
-class RenderComponent {
-  constructor(shape, color, size) {
-    console.log("creating a render component");
-    this.shape = shape; // 'circle', 'rect', 'line'
-    this.color = color;
-    this.size = size;
+  // World units per screen pixel
+  get pixel() {
+    return 1 / this.camera.scale;
   }
-}
 
-class CircuitComponent {
-  constructor(componentType, value) {
-    console.log("Creating a circuit component");
-    this.componentType = componentType; // 'resistor', 'battery'
-    this.value = value; // resistance in ohms, voltage in volts
-    this.current = 0;
-    this.voltage = 0;
-    this.connections = [];
-  }
-}
+  // OBSERVER PATTERN: Update method called by simulation engine
+  update(engine) {
+    const entities = engine.repository.getAll();
+    // Current dots only move while the simulation runs, at its playback speed
+    const now = engine.isRunning ? engine.lastTime : null;
+    if (now !== null && this.flowClock !== null) {
+      this.advanceFlow(entities, Math.min((now - this.flowClock) / 1000, engine.maxFrameTime) * engine.playbackSpeed);
+    }
+    this.flowClock = now;
 
-class CircuitWireComponent {
-  constructor(start, end) {
-    console.log("creating a wire component");
-    this.startx = start.getComponent('transform').x;
-    this.starty = start.getComponent('transform').y;
-    this.endx = end.getComponent('transform').x;
-    this.endy = end.getComponent('transform').y;
+    this.clear();
+    this.render(entities);
   }
-}
 
-// STRATEGY PATTERN: Different simulation strategies
-class SimulationStrategy {
-  //because this is sort of the 'abstract' super strategy, update only throws an error.
-  update(entities, deltaTime) {
-    throw new Error('Must implement update method');
+  // Moves every wire's current dots on by `seconds` of their current-proportional speed
+  advanceFlow(entities, seconds) {
+    const { CURRENT_DOT_SPACING, CURRENT_DOT_SPEED, CURRENT_REFERENCE_HALF_LIFE } = CanvasRenderer;
+    const wires = entities.filter(entity => entity.hasComponent('wire'));
+    const largest = Math.max(0, ...wires.map(entity => Math.abs(entity.getComponent('wire').current)));
+    this.referenceCurrent = Math.max(largest, this.referenceCurrent * 0.5 ** (seconds / CURRENT_REFERENCE_HALF_LIFE));
+
+    const live = new Map();
+    wires.forEach(entity => {
+      const speed = this.referenceCurrent > 0
+        ? entity.getComponent('wire').current / this.referenceCurrent * CURRENT_DOT_SPEED
+        : 0;
+      live.set(entity.id, ((this.flow.get(entity.id) ?? 0) + speed * seconds) % CURRENT_DOT_SPACING);
+    });
+    this.flow = live;
   }
-}
 
-class PhysicsSimulationStrategy extends SimulationStrategy {
-  constructor() {
-    super();
-    this.gravity = 98;// 10x earth gravity, as position is calculated on pixel sized transformations.
+  addOverlay(overlay) {
+    this.overlays.push(overlay);
   }
 
-  collides(entityA, entityB) {
-    const transformA = entityA.getComponent('transform');
-    const transformB = entityB.getComponent('transform');
-    const tangibleA = entityA.getComponent('tangible');
-    const tangibleB = entityB.getComponent('tangible');
-
-    // Calculate distance between centers
-    const dx = transformB.x - transformA.x;
-    const dy = transformB.y - transformA.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // Check if distance is less than sum of radii
-    return distance < (tangibleA.radius + tangibleB.radius);
+  clear() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
   }
 
-  // Collision response
-  resolveCollision(entityA, entityB) {
-    const transformA = entityA.getComponent('transform');
-    const transformB = entityB.getComponent('transform');
-    const physicsA = entityA.getComponent('physics');
-    const physicsB = entityB.getComponent('physics');
-    const tangibleA = entityA.getComponent('tangible');
-    const tangibleB = entityB.getComponent('tangible');
-
-    // Calculate collision normal (direction from A to B)
-    const dx = transformB.x - transformA.x;
-    const dy = transformB.y - transformA.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+  // Overlays and wire ends still see every entity, so a view of part of the scene can point at the rest
+  render(entities) {
+    const byId = new Map(entities.map(entity => [entity.id, entity]));
+    const drawn = this.filter ? entities.filter(this.filter) : entities;
+    const camera = this.camera;
+    const px = this.pixel;
+
+    // Wire paths, and how many wires meet at each pin: junctions get a dot, open pins a ring
+    const routes = new Map();
+    const wiredPins = new Map(); // `${id}:${pin}` -> { x, y, count }
+    const wirePin = (id, pin, at) => {
+      const key = `${id}:${pin}`;
+      wiredPins.set(key, { x: at.x, y: at.y, count: (wiredPins.get(key)?.count ?? 0) + 1 });
+    };
+    drawn.forEach(entity => {
+      if (!entity.hasComponent('wire')) return;
+      const wire = entity.getComponent('wire');
+      const route = wireRoute(wire, byId);
+      if (!route) return;
+      routes.set(entity.id, route);
+      wirePin(wire.startId, wire.startPin, route[0]);
+      wirePin(wire.endId, wire.endPin, route[route.length - 1]);
+    });
 
-    // Avoid division by zero
-    if (distance === 0) return;
+    this.ctx.save();
+    if (this.showGrid) this.drawGrid();
+    this.ctx.setTransform(camera.scale, 0, 0, camera.scale, -camera.x * camera.scale, -camera.y * camera.scale);
 
-    // Normalize the collision normal
-    const nx = dx / distance;
-    const ny = dy / distance;
+    drawn.forEach(entity => {
+      if (!entity.hasComponent('transform') || !entity.hasComponent('render')) {
+        return;
+      }
 
-    // Separate the objects (push them apart)
-    const overlap = (tangibleA.radius + tangibleB.radius) - distance;
-    const separationX = nx * overlap * 0.5;
-    const separationY = ny * overlap * 0.5;
+      const transform = entity.getComponent('transform');
+      const render = entity.getComponent('render');
 
-    transformA.x -= separationX;
-    transformA.y -= separationY;
-    transformB.x += separationX;
-    transformB.y += separationY;
+      this.ctx.fillStyle = render.color;
+      this.ctx.strokeStyle = render.color;
+      this.ctx.lineWidth = 3 * px;
 
-    // Calculate relative velocity
-    const relativeVelocityX = physicsB.vx - physicsA.vx;
-    const relativeVelocityY = physicsB.vy - physicsA.vy;
+      if (render.shape === 'circle') {
+        this.ctx.beginPath();
+        // Bodies are drawn at their collision radius, so editing it resizes what is seen
+        const radius = entity.getComponent('tangible')?.radius ?? render.size;
+        this.ctx.arc(transform.x, transform.y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
 
-    // Calculate relative velocity along collision normal
-    const velocityAlongNormal = relativeVelocityX * nx + relativeVelocityY * ny;
+        const charge = entity.getComponent('charge');
+        if (charge && charge.charge !== 0) {
+          this.ctx.fillStyle = '#fff';
+          this.ctx.font = '16px monospace';
+          this.ctx.textAlign = 'center';
+          this.ctx.textBaseline = 'middle';
+          this.drawLabel(charge.charge > 0 ? '+' : '−', transform.x, transform.y);
+          this.ctx.textBaseline = 'alphabetic';
+        }
+      } else if (render.shape === 'polygon' || render.shape === 'segment') {
+        const vertices = entity.getComponent('tangible')?.worldVertices(transform) ?? [];
+        if (vertices.length < 2) return;
 
-    // Don't resolve if velocities are separating
-    if (velocityAlongNormal > 0) return;
+        this.ctx.beginPath();
+        this.ctx.moveTo(vertices[0].x, vertices[0].y);
+        vertices.slice(1).forEach(v => this.ctx.lineTo(v.x, v.y));
+        if (render.shape === 'polygon') {
+          this.ctx.closePath();
+          this.ctx.fill();
+        } else {
+          this.ctx.lineWidth = render.size * px;
+          this.ctx.stroke();
+        }
+      } else if (entity.hasComponent('circuit')) {
+        this.drawCircuitPart(entity, wiredPins);
+      } else if (render.shape === 'rect') {
+        this.ctx.fillRect(
+          transform.x - render.size / 2,
+          transform.y - render.size / 2,
+          render.size,
+          render.size
+        );
+      } else if (render.shape === 'line') {
+        const route = routes.get(entity.id);
+        if (!route) return;
 
-    // Calculate restitution (bounciness) - 1.0 = perfectly elastic
-    const restitution = 1.0;
+        this.ctx.lineJoin = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(route[0].x, route[0].y);
+        route.slice(1).forEach(point => this.ctx.lineTo(point.x, point.y));
+        this.ctx.stroke();
+        this.drawCurrentDots(route, entity.getComponent('wire').current, this.flow.get(entity.id) ?? 0);
+      } else if (render.shape === 'spring' || render.shape === 'link') {
+        const joint = entity.getComponent('spring') ?? entity.getComponent('constraint');
+        const from = resolveEndpoint(joint.a, byId);
+        const to = resolveEndpoint(joint.b, byId);
+        if (!from || !to) return;
+
+        this.ctx.lineWidth = render.size * px;
+        this.ctx.beginPath();
+        this.ctx.moveTo(from.x, from.y);
+        if (render.shape === 'spring') {
+          this.drawZigzag(from, to);
+        } else {
+          if (joint.kind === 'rope') this.ctx.setLineDash([6 * px, 4 * px]);
+          this.ctx.lineTo(to.x, to.y);
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        // Fixed ends are drawn as small pivots
+        [joint.a, joint.b].filter(end => end.id === undefined).forEach(end => {
+          this.ctx.beginPath();
+          this.ctx.arc(end.x, end.y, 4 * px, 0, Math.PI * 2);
+          this.ctx.fill();
+        });
+      } else if (render.shape === 'field') {
+        this.drawFieldArrows(entity.getComponent('electricField'));
+      }
+    });
 
-    // Calculate impulse scalar
-    const impulse = -(1 + restitution) * velocityAlongNormal;
-    const totalMass = physicsA.mass + physicsB.mass;
-    const impulseScalar = impulse / totalMass;
+    // Junction dots where three or more conductors meet: the part's own lead and two wires
+    this.ctx.fillStyle = '#f9fafb';
+    wiredPins.forEach(({ x, y, count }) => {
+      if (count < 2) return;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 4 * px, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
 
-    // Apply impulse to velocities
-    const impulseX = impulseScalar * nx;
-    const impulseY = impulseScalar * ny;
+    this.overlays.forEach(overlay => overlay.draw(this.ctx, entities, px));
 
-    physicsA.vx -= impulseX * physicsB.mass;
-    physicsA.vy -= impulseY * physicsB.mass;
-    physicsB.vx += impulseX * physicsA.mass;
-    physicsB.vy += impulseY * physicsA.mass;
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (this.showGrid && camera.unit) this.drawRulers();
+    this.ctx.restore();
   }
 
-  update(entities, deltaTime) {
-    entities.forEach(entity => {
-      if (!entity.hasComponent('physics') || !entity.hasComponent('transform')) {
-        return;
-      }
-
-      const physics = entity.getComponent('physics');
-      const transform = entity.getComponent('transform');
-
-      // Apply gravity
-      physics.fy += physics.mass * this.gravity;
-
-      // Update velocity
-      physics.vx += (physics.fx / physics.mass) * deltaTime;
-      physics.vy += (physics.fy / physics.mass) * deltaTime;
-
-      // Update position
-      transform.x += physics.vx * deltaTime
-      transform.y += physics.vy * deltaTime;
-
-      // Simplified object collisions
-      if (entity.hasComponent('tangible')) {
-        entities.forEach(e => {
-          if(entity.id === e.id) {
-            return;
-          }
-          if(this.collides(entity, e)) {
-            //handle collision.
-            this.resolveCollision(entity, e);
-          }
-        })
-      }
+  // A circuit part as its schematic symbol, with its value, voltage and current beside it.
+  // Unwired pins are drawn as open rings so there is something to click when wiring.
+  drawCircuitPart(entity, wiredPins) {
+    const ctx = this.ctx;
+    const px = this.pixel;
+    const circuit = entity.getComponent('circuit');
+    const transform = entity.getComponent('transform');
+    const render = entity.getComponent('render');
+
+    ctx.save();
+    ctx.translate(transform.x, transform.y);
+    ctx.rotate(transform.rotation);
+    ctx.strokeStyle = render.color;
+    ctx.lineWidth = 2 * px;
+    ctx.lineCap = 'round';
+    (CanvasRenderer.SYMBOLS.get(circuit.componentType) ?? drawBoxSymbol)(ctx, circuit, entity);
+    ctx.restore();
+
+    // Instruments show what they measure in place of the usual labels
+    if (entity.hasComponent('meter')) {
+      const meter = entity.getComponent('meter');
+      this.drawReadout(meter.status ?? formatSI(meter.reading, MeterComponent.UNITS[circuit.componentType]), transform.x, transform.y);
+    } else if (entity.hasComponent('scope')) {
+      this.drawScopeScreen(entity, wiredPins);
+    } else {
+      this.drawPartLabels(entity);
+    }
 
-      // Simple ground collision
-      if (transform.y >= 550) {
-        transform.y = 550;
-        physics.vy *= -1; // Bounce with energy loss
+    circuit.pins.forEach(pin => {
+      const pos = circuit.pinPosition(transform, pin);
+      ctx.strokeStyle = '#f9fafb';
+      ctx.lineWidth = 1.5 * px;
+      if (!wiredPins.has(`${entity.id}:${pin}`)) {
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, 3 * px, 0, Math.PI * 2);
+        ctx.stroke();
       }
-      // Simple wall collision
-      if (transform.x >= 500) {
-        transform.x = 500;
-        physics.vx *= -1; //Bounce off wall with no energy loss
+      if (pin === '+' || pin === '-') {
+        ctx.fillStyle = '#f9fafb';
+        ctx.textAlign = 'center';
+        this.drawLabel(pin === '-' ? '−' : '+', pos.x, pos.y, -6);
+      } else if (circuit.pins.length > 2) {
+        // Three-pin parts' pins are told apart by name: c, e, b or d, s, g, or a changeover switch's a, com, b
+        ctx.fillStyle = '#f9fafb';
+        ctx.textAlign = 'right';
+        this.drawLabel(pin, pos.x - 4 * px, pos.y, -4);
       }
-      if (transform.x <= 10) {
-        transform.x = 10;
-        physics.vx *= -1;
-      }
-
-      // Reset forces
-      physics.fx = 0;
-      physics.fy = 0;
     });
   }
-}
 
-class CircuitSimulationStrategy extends SimulationStrategy {
-  update(entities, deltaTime) {
-    // Simple series circuit solver using Ohm's Law
-    let totalVoltage = 0;
-    let totalResistance = 0;
-
-    entities.forEach(entity => {
-      if (!entity.hasComponent('circuit')) return;
-      
-      const circuit = entity.getComponent('circuit');
-      
-      if (circuit.componentType === 'battery') {
-        totalVoltage += circuit.value;
-      } else if (circuit.componentType === 'resistor') {
-        totalResistance += circuit.value;
+  // Value and readings beside a circuit part
+  drawPartLabels(entity) {
+    const ctx = this.ctx;
+    const circuit = entity.getComponent('circuit');
+    const transform = entity.getComponent('transform');
+
+    const labels = [];
+    if (circuit.componentType === 'resistor') {
+      labels.push(`${circuit.value}Ω`, `${circuit.voltage.toFixed(1)}V`);
+    } else if (circuit.componentType === 'battery') {
+      // A battery with internal resistance also shows what is left at its terminals
+      const internalResistance = entity.getComponent('battery')?.internalResistance ?? 0;
+      if (internalResistance > 0) {
+        labels.push(`${circuit.value}V ${formatSI(internalResistance, 'Ω')}`, `${circuit.voltage.toFixed(1)}V`);
+      } else {
+        labels.push(`${circuit.value}V`);
       }
-    });
+    } else if (circuit.componentType === 'capacitor') {
+      labels.push(formatSI(circuit.value, 'F'), `${circuit.voltage.toFixed(1)}V`);
+    } else if (circuit.componentType === 'inductor') {
+      labels.push(formatSI(circuit.value, 'H'), `${circuit.voltage.toFixed(1)}V`);
+    } else if (CircuitComponent.SOURCE_TYPES.includes(circuit.componentType)) {
+      const source = entity.getComponent('source');
+      const amplitude = formatSI(circuit.value, PropertyInspector.CIRCUIT_UNITS[circuit.componentType]);
+      labels.push(source ? `${amplitude} ${formatSI(source.frequency, 'Hz')}` : amplitude, `${circuit.voltage.toFixed(1)}V`);
+    } else if (circuit.componentType === 'diode' || circuit.componentType === 'led') {
+      labels.push(`${circuit.value}V`, `${circuit.voltage.toFixed(2)}V`);
+    } else if (circuit.componentType === 'npn') {
+      labels.push(`β ${circuit.value}`, `Vce ${circuit.voltage.toFixed(2)}V`, `Vbe ${circuit.controlVoltage.toFixed(2)}V`);
+    } else if (circuit.componentType === 'nmos') {
+      labels.push(`Vth ${circuit.value}V`, `Vds ${circuit.voltage.toFixed(2)}V`, `Vgs ${circuit.controlVoltage.toFixed(2)}V`);
+    } else if (circuit.componentType === 'spdtSwitch') {
+      labels.push(`to ${entity.getComponent('switch')?.closed ? 'b' : 'a'}`);
+    } else if (CircuitComponent.SWITCH_TYPES.includes(circuit.componentType)) {
+      labels.push(entity.getComponent('switch')?.closed ? 'closed' : 'open');
+    } else if (circuit.componentType === 'fuse') {
+      labels.push(entity.getComponent('fuse')?.blown ? `${circuit.value}A blown` : `${circuit.value}A`);
+    } else if (circuit.componentType === 'lamp') {
+      labels.push(`${entity.getComponent('lamp')?.ratedVoltage}V ${circuit.value}W`, formatSI(Math.abs(circuit.voltage * circuit.current), 'W'));
+    } else if (circuit.componentType === 'motor') {
+      const motor = entity.getComponent('motor');
+      labels.push(`${circuit.value}Ω ${motor?.constant}N/A`, `${(motor?.speed ?? 0).toFixed(2)}m/s`);
+    }
+    // Parts that heat up show how hot they are
+    const thermal = entity.getComponent('thermal');
+    if (thermal) labels.push(`${thermal.temperature.toFixed(1)}°C`);
+    // A changeover switch's current is through whichever throw it is on
+    const current = circuit.componentType === 'spdtSwitch' && entity.getComponent('switch')?.closed
+      ? circuit.controlCurrent
+      : circuit.current;
+    labels.push(`${current.toFixed(2)}A`);
+
+    // Value above and readings below a two-pin part lying across; all to the right of an upright
+    // one, and of a transistor, whose pins take up both sides
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px monospace';
+    const across = Math.abs(Math.cos(transform.rotation)) >= Math.abs(Math.sin(transform.rotation));
+    if (across && circuit.pins.length === 2) {
+      ctx.textAlign = 'center';
+      this.drawLabel(labels[0], transform.x, transform.y - 16, -2);
+      labels.slice(1).forEach((label, i) => this.drawLabel(label, transform.x, transform.y + 16, 10 + 12 * i));
+    } else {
+      ctx.textAlign = 'left';
+      labels.forEach((label, i) => this.drawLabel(label, transform.x + 16, transform.y, 12 * i - 8));
+    }
+  }
 
-    // Calculate current: I = V / R
-    const current = totalResistance > 0 ? totalVoltage / totalResistance : 0;
+  // A meter's display above it: the reading in a dark box, a fixed size on screen
+  drawReadout(text, x, y) {
+    const ctx = this.ctx;
+    const at = this.camera.toScreen(x, y);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.font = 'bold 12px monospace';
+    const width = ctx.measureText(text).width + 10;
+    ctx.fillStyle = '#052e16';
+    ctx.fillRect(at.x - width / 2, at.y - 36, width, 18);
+    ctx.strokeStyle = '#4ade80';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(at.x - width / 2, at.y - 36, width, 18);
+    ctx.fillStyle = '#4ade80';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, at.x, at.y - 23);
+    ctx.restore();
+  }
 
-    // Update each component
-    entities.forEach(entity => {
-      if (!entity.hasComponent('circuit')) return;
-      
-      const circuit = entity.getComponent('circuit');
-      circuit.current = current;
-      
-      if (circuit.componentType === 'resistor') {
-        // V = I * R
-        circuit.voltage = current * circuit.value;
-      }
+  // An oscilloscope's screen, to the right of it and scaled with the schematic: DIVISIONS across
+  // and eight down, 16 units each, with each wired channel's trace over the last screen width
+  drawScopeScreen(entity, wiredPins) {
+    const ctx = this.ctx;
+    const px = this.pixel;
+    const transform = entity.getComponent('transform');
+    const scope = entity.getComponent('scope');
+    const trace = entity.getComponent('trace');
+    const division = 16;
+    const width = ScopeComponent.DIVISIONS * division;
+    const height = 8 * division;
+    const left = transform.x + 30;
+    const top = transform.y - height / 2;
+    const middle = top + height / 2;
+
+    ctx.save();
+    ctx.fillStyle = '#0b1120';
+    ctx.fillRect(left, top, width, height);
+    ctx.lineWidth = px;
+    ctx.strokeStyle = '#1e293b';
+    ctx.beginPath();
+    for (let i = 1; i < ScopeComponent.DIVISIONS; i++) {
+      ctx.moveTo(left + i * division, top);
+      ctx.lineTo(left + i * division, top + height);
+    }
+    for (let i = 1; i < 8; i++) {
+      ctx.moveTo(left, top + i * division);
+      ctx.lineTo(left + width, top + i * division);
+    }
+    ctx.stroke();
+    ctx.strokeStyle = '#475569';
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+    const channels = [
+      { pin: 'ch1', color: CanvasRenderer.SCOPE_COLORS[0], voltsPerDivision: scope.ch1VoltsPerDivision },
+      { pin: 'ch2', color: CanvasRenderer.SCOPE_COLORS[1], voltsPerDivision: scope.ch2VoltsPerDivision }
+    ];
+    const times = trace?.times ?? [];
+    const end = times[times.length - 1];
+    ctx.lineWidth = 1.5 * px;
+    ctx.lineJoin = 'round';
+    channels.forEach(({ pin, color, voltsPerDivision }, c) => {
+      if (times.length < 2 || !wiredPins.has(`${entity.id}:${pin}`)) return;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      times.forEach((time, i) => {
+        const x = left + width - (end - time) / scope.window * width;
+        const y = middle - trace.channels[c][i] / voltsPerDivision * division;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#fff';
+    this.drawLabel(`${formatSI(scope.timePerDivision, 's')}/div`, left, top + height, 12);
+    channels.forEach(({ pin, color, voltsPerDivision }, c) => {
+      ctx.fillStyle = color;
+      this.drawLabel(`${pin.toUpperCase()} ${formatSI(voltsPerDivision, 'V')}/div`, left, top + height, 24 + 12 * c);
     });
   }
-}
 
-// ============================================================================
-// APPLICATION LAYER - Orchestration and Control
-// ============================================================================
-
-// REPOSITORY PATTERN: Manages entity persistence and retrieval
-class EntityRepository {
-  constructor() {
-    this.entities = new Map();
-    this.nextId = 1;
+  // Dots spaced evenly along a wire's route, `offset` pixels on from its start; they move towards
+  // the end for positive current and back towards the start for negative
+  drawCurrentDots(route, current, offset) {
+    // A trickle next to the reference current would only be a row of still dots
+    if (!(Math.abs(current) > this.referenceCurrent * 1e-3)) return;
+    const px = this.pixel;
+    const spacing = CanvasRenderer.CURRENT_DOT_SPACING * px;
+    let along = ((offset * px) % spacing + spacing) % spacing;
+
+    this.ctx.save();
+    this.ctx.fillStyle = '#fde047';
+    for (let i = 1; i < route.length; i++) {
+      const from = route[i - 1];
+      const to = route[i];
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      for (; along < length; along += spacing) {
+        const t = along / length;
+        this.ctx.beginPath();
+        this.ctx.arc(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, 2.5 * px, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+      along -= length;
+    }
+    this.ctx.restore();
   }
 
-  create(type) {
-    const entity = new Entity(this.nextId++, type);
-    this.entities.set(entity.id, entity);
-    return entity;
+  // Text at a world point, drawn unscaled and dy pixels below it, in the current font and fill
+  drawLabel(text, x, y, dy = 0) {
+    const at = this.camera.toScreen(x, y);
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillText(text, at.x, at.y + dy);
+    this.ctx.restore();
   }
 
-  findById(id) {
-    return this.entities.get(id);
+  // World coordinates of the visible grid lines, a whole number of steps apart
+  gridLines(min, max, step) {
+    const lines = [];
+    for (let i = Math.ceil(min / step); i * step <= max; i++) lines.push(i * step);
+    return lines;
   }
 
-  findByType(type) {
-    return Array.from(this.entities.values()).filter(e => e.type === type);
+  // Faint lines every grid step, with the axes brighter; drawn in canvas pixels under the scene
+  drawGrid() {
+    const camera = this.camera;
+    const step = camera.gridStep();
+    const view = camera.view;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.lineWidth = 1;
+    const line = (x1, y1, x2, y2, axis) => {
+      ctx.strokeStyle = axis && camera.unit ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.07)';
+      ctx.beginPath();
+      ctx.moveTo(Math.round(x1) + 0.5, Math.round(y1) + 0.5);
+      ctx.lineTo(Math.round(x2) + 0.5, Math.round(y2) + 0.5);
+      ctx.stroke();
+    };
+    this.gridLines(view.minX, view.maxX, step).forEach(x => {
+      const sx = camera.toScreen(x, 0).x;
+      line(sx, 0, sx, camera.height, x === 0);
+    });
+    this.gridLines(view.minY, view.maxY, step).forEach(y => {
+      const sy = camera.toScreen(0, y).y;
+      line(0, sy, camera.width, sy, y === 0);
+    });
+    ctx.restore();
   }
 
-  getAll() {
-    return Array.from(this.entities.values());
+  // Rulers along the top and left edges, labelled at every grid line in the camera's unit
+  drawRulers() {
+    const camera = this.camera;
+    const step = camera.gridStep();
+    const view = camera.view;
+    const ctx = this.ctx;
+    const top = 18;
+    const left = 40;
+    // Labels of a whole step keep to its precision, e.g. 0.1m steps read 100mm, 200mm...
+    const label = (value) => formatSI(parseFloat(value.toPrecision(12)), camera.unit);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+    ctx.fillRect(0, 0, camera.width, top);
+    ctx.fillRect(0, 0, left, camera.height);
+    ctx.strokeStyle = '#9ca3af';
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    this.gridLines(view.minX, view.maxX, step).forEach(x => {
+      const sx = Math.round(camera.toScreen(x, 0).x) + 0.5;
+      if (sx < left) return;
+      ctx.beginPath();
+      ctx.moveTo(sx, 0);
+      ctx.lineTo(sx, top);
+      ctx.stroke();
+      ctx.fillText(label(x), sx + 2, 4);
+    });
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    this.gridLines(view.minY, view.maxY, step).forEach(y => {
+      const sy = Math.round(camera.toScreen(0, y).y) + 0.5;
+      if (sy < top) return;
+      ctx.beginPath();
+      ctx.moveTo(left - 6, sy);
+      ctx.lineTo(left, sy);
+      ctx.stroke();
+      ctx.fillText(label(y), left - 8, sy);
+    });
+    ctx.restore();
   }
 
-  remove(id) {
-    this.entities.delete(id);
+  // Continues the current path from `from` to `to` as a coil with straight leads at each end
+  drawZigzag(from, to) {
+    const coils = 10;
+    const amplitude = 8 * this.pixel;
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return;
+
+    const nx = -dy / length;
+    const ny = dx / length;
+    const lead = 0.1;
+    this.ctx.lineTo(from.x + dx * lead, from.y + dy * lead);
+    for (let i = 1; i < coils * 2; i++) {
+      const t = lead + (1 - 2 * lead) * i / (coils * 2);
+      const side = i % 2 === 0 ? -amplitude : amplitude;
+      this.ctx.lineTo(from.x + dx * t + nx * side, from.y + dy * t + ny * side);
+    }
+    this.ctx.lineTo(from.x + dx * (1 - lead), from.y + dy * (1 - lead));
+    this.ctx.lineTo(to.x, to.y);
   }
 
-  clear() {
-    this.entities.clear();
-    this.nextId = 1;
+  // A faint grid of arrows pointing along a uniform field
+  drawFieldArrows(field) {
+    const strength = Math.hypot(field.ex, field.ey);
+    if (strength === 0) return;
+
+    // Sized and spaced in pixels, so the arrows cover the view at any zoom
+    const px = this.pixel;
+    const ux = field.ex / strength * px;
+    const uy = field.ey / strength * px;
+    const half = 12;
+    const spacing = 100 * px;
+    const view = this.camera.view;
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.25;
+    this.ctx.lineWidth = px;
+    for (let x = (Math.floor(view.minX / spacing) + 0.5) * spacing; x < view.maxX; x += spacing) {
+      for (let y = (Math.floor(view.minY / spacing) + 0.5) * spacing; y < view.maxY; y += spacing) {
+        const tipX = x + ux * half;
+        const tipY = y + uy * half;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - ux * half, y - uy * half);
+        this.ctx.lineTo(tipX, tipY);
+        this.ctx.moveTo(tipX - ux * 5 - uy * 4, tipY - uy * 5 + ux * 4);
+        this.ctx.lineTo(tipX, tipY);
+        this.ctx.lineTo(tipX - ux * 5 + uy * 4, tipY - uy * 5 - ux * 4);
+        this.ctx.stroke();
+      }
+    }
+    this.ctx.restore();
   }
 }
 
-// OBSERVER PATTERN: Simulation engine notifies observers of state changes
-class SimulationEngine {
-  constructor(strategy) {
-    this.strategy = strategy;
-    this.repository = new EntityRepository();
-    this.observers = [];
-    this.isRunning = false;
-    this.lastTime = Date.now();
-  }
+// Fallback for circuit parts without a registered symbol: a box between two leads
+function drawBoxSymbol(ctx) {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-12, 0);
+  ctx.moveTo(12, 0);
+  ctx.lineTo(20, 0);
+  ctx.rect(-12, -7, 24, 14);
+  ctx.stroke();
+}
 
-  // STRATEGY PATTERN: Set simulation strategy dynamically
-  setStrategy(strategy) {
-    this.strategy = strategy;
+CanvasRenderer.registerSymbol('resistor', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-12, 0);
+  for (let i = 0; i < 6; i++) {
+    ctx.lineTo(-10 + 4 * i, i % 2 === 0 ? -6 : 6);
   }
-
-  // OBSERVER PATTERN: Register observers
-  addObserver(observer) {
-    this.observers.push(observer);
+  ctx.lineTo(12, 0);
+  ctx.lineTo(20, 0);
+  ctx.stroke();
+});
+
+// Two cells, each a long thin plate (+) beside a short thick one (−); '+' is the pin at x = 20
+CanvasRenderer.registerSymbol('battery', (ctx) => {
+  const width = ctx.lineWidth;
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-9, 0);
+  ctx.moveTo(-3, 0);
+  ctx.lineTo(3, 0);
+  ctx.moveTo(9, 0);
+  ctx.lineTo(20, 0);
+  [-3, 9].forEach(x => {
+    ctx.moveTo(x, -12);
+    ctx.lineTo(x, 12);
+  });
+  ctx.stroke();
+
+  ctx.lineWidth = width * 2;
+  ctx.beginPath();
+  [-9, 3].forEach(x => {
+    ctx.moveTo(x, -6);
+    ctx.lineTo(x, 6);
+  });
+  ctx.stroke();
+  ctx.lineWidth = width;
+});
+
+CanvasRenderer.registerSymbol('capacitor', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-3, 0);
+  ctx.moveTo(3, 0);
+  ctx.lineTo(20, 0);
+  [-3, 3].forEach(x => {
+    ctx.moveTo(x, -10);
+    ctx.lineTo(x, 10);
+  });
+  ctx.stroke();
+});
+
+CanvasRenderer.registerSymbol('inductor', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-12, 0);
+  [-9, -3, 3, 9].forEach(x => ctx.arc(x, 0, 3, Math.PI, 0));
+  ctx.lineTo(20, 0);
+  ctx.stroke();
+});
+
+// Sources are a circle between two leads: a voltage source shows its waveform, and a current
+// source an arrow in the direction of its current
+const drawSourceCircle = (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-10, 0);
+  ctx.moveTo(10, 0);
+  ctx.lineTo(20, 0);
+  ctx.moveTo(10, 0);
+  ctx.arc(0, 0, 10, 0, Math.PI * 2);
+  ctx.stroke();
+};
+
+CanvasRenderer.registerSymbol('voltageSource', (ctx, circuit, entity) => {
+  drawSourceCircle(ctx);
+  const shape = SourceComponent.WAVEFORMS[entity?.getComponent('source')?.waveform] ?? SourceComponent.WAVEFORMS.sine;
+  ctx.beginPath();
+  for (let i = 0; i <= 24; i++) {
+    const x = -6 + i / 2;
+    const y = -4 * shape(i / 24);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
   }
-
-  // OBSERVER PATTERN: Notify all observers
-  notifyObservers() {
-    this.observers.forEach(observer => observer.update(this));
+  ctx.stroke();
+});
+
+CanvasRenderer.registerSymbol('currentSource', (ctx) => {
+  drawSourceCircle(ctx);
+  ctx.beginPath();
+  ctx.moveTo(-6, 0);
+  ctx.lineTo(6, 0);
+  ctx.moveTo(2, -4);
+  ctx.lineTo(6, 0);
+  ctx.lineTo(2, 4);
+  ctx.stroke();
+});
+
+// Anode on the left: a triangle pointing along the current to the cathode's bar
+const drawDiode = (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-7, 0);
+  ctx.moveTo(7, 0);
+  ctx.lineTo(20, 0);
+  ctx.moveTo(-7, -8);
+  ctx.lineTo(7, 0);
+  ctx.lineTo(-7, 8);
+  ctx.closePath();
+  ctx.moveTo(7, -8);
+  ctx.lineTo(7, 8);
+  ctx.stroke();
+};
+
+// A filled head at (x, y), pointing along (dx, dy)
+const drawArrowHead = (ctx, x, y, dx, dy, size = 4) => {
+  const length = Math.hypot(dx, dy);
+  const ux = dx / length;
+  const uy = dy / length;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x - size * ux - size * 0.6 * uy, y - size * uy + size * 0.6 * ux);
+  ctx.lineTo(x - size * ux + size * 0.6 * uy, y - size * uy - size * 0.6 * ux);
+  ctx.closePath();
+  ctx.fill();
+};
+
+CanvasRenderer.registerSymbol('diode', drawDiode);
+
+// An LED lights up in its render color as its forward current rises towards LED_FULL_CURRENT
+CanvasRenderer.registerSymbol('led', (ctx, circuit) => {
+  const brightness = Math.min(1, Math.max(0, circuit.current / CanvasRenderer.LED_FULL_CURRENT));
+  if (brightness > 0) {
+    ctx.save();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.shadowColor = ctx.strokeStyle;
+    ctx.shadowBlur = 24 * brightness;
+    ctx.globalAlpha = 0.35 * brightness;
+    ctx.beginPath();
+    ctx.arc(0, 0, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = brightness;
+    ctx.beginPath();
+    ctx.moveTo(-7, -8);
+    ctx.lineTo(7, 0);
+    ctx.lineTo(-7, 8);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
   }
-
-  update() {
-    if (!this.isRunning) return;
-
-    const currentTime = Date.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
-
-    // Use strategy to update simulation
-    this.strategy.update(this.repository.getAll(), deltaTime);
-
-    // Notify observers of changes
-    this.notifyObservers();
+  drawDiode(ctx);
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.beginPath();
+  [-2, 4].forEach(x => {
+    ctx.moveTo(x, -10);
+    ctx.lineTo(x + 5, -16);
+  });
+  ctx.stroke();
+  [-2, 4].forEach(x => drawArrowHead(ctx, x + 6, -17, 5, -6, 3));
+});
+
+// Base on the left, collector up and emitter down, the emitter's arrow pointing out
+CanvasRenderer.registerSymbol('npn', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-6, 0);
+  ctx.moveTo(-6, -9);
+  ctx.lineTo(-6, 9);
+  ctx.moveTo(-6, -4);
+  ctx.lineTo(0, -11);
+  ctx.lineTo(0, -20);
+  ctx.moveTo(-6, 4);
+  ctx.lineTo(0, 11);
+  ctx.lineTo(0, 20);
+  ctx.moveTo(11, 0);
+  ctx.arc(-2, 0, 13, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = ctx.strokeStyle;
+  drawArrowHead(ctx, 0, 11, 6, 7);
+});
+
+// Gate plate on the left, beside a broken channel (off until the gate turns it on), with the
+// drain up and the source down and tied to the body, whose arrow points into the n channel
+CanvasRenderer.registerSymbol('nmos', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-10, 0);
+  ctx.moveTo(-10, -10);
+  ctx.lineTo(-10, 10);
+  [-12, -3, 6].forEach(y => {
+    ctx.moveTo(-5, y);
+    ctx.lineTo(-5, y + 6);
+  });
+  ctx.moveTo(-5, -9);
+  ctx.lineTo(0, -9);
+  ctx.lineTo(0, -20);
+  ctx.moveTo(-5, 9);
+  ctx.lineTo(0, 9);
+  ctx.lineTo(0, 20);
+  ctx.moveTo(0, 9);
+  ctx.lineTo(0, 0);
+  ctx.lineTo(-2, 0);
+  ctx.stroke();
+  ctx.fillStyle = ctx.strokeStyle;
+  drawArrowHead(ctx, -5, 0, -1, 0);
+});
+
+// Meters are a circle between two leads with the letter of what they measure, kept upright
+const meterSymbol = (letter) => (ctx, circuit, entity) => {
+  drawSourceCircle(ctx);
+  ctx.save();
+  ctx.rotate(-(entity?.getComponent('transform')?.rotation ?? 0));
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(letter, 0, 1);
+  ctx.restore();
+};
+
+CanvasRenderer.registerSymbol('voltmeter', meterSymbol('V'));
+CanvasRenderer.registerSymbol('ammeter', meterSymbol('A'));
+CanvasRenderer.registerSymbol('ohmmeter', meterSymbol('Ω'));
+// A motor is drawn the same way, with an M
+CanvasRenderer.registerSymbol('motor', meterSymbol('M'));
+
+// A box with a little screen: channels in on the left, ground below
+CanvasRenderer.registerSymbol('oscilloscope', (ctx) => {
+  ctx.beginPath();
+  ctx.moveTo(-20, -10);
+  ctx.lineTo(-14, -10);
+  ctx.moveTo(-20, 10);
+  ctx.lineTo(-14, 10);
+  ctx.moveTo(0, 20);
+  ctx.lineTo(0, 16);
+  ctx.rect(-14, -16, 28, 32);
+  ctx.rect(-9, -11, 18, 14);
+  for (let i = 0; i <= 12; i++) {
+    const x = -8 + (16 * i) / 12;
+    const y = -4 - 4 * Math.sin((Math.PI * 2 * i) / 12);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
   }
-
-  start() {
-    this.isRunning = true;
-    this.lastTime = Date.now();
+  ctx.stroke();
+});
+
+// Switch contacts as small filled dots
+const drawContacts = (ctx, points) => {
+  ctx.fillStyle = ctx.strokeStyle;
+  points.forEach(([x, y]) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 2, 0, Math.PI * 2);
+    ctx.fill();
+  });
+};
+
+// A blade hinged on the left contact, lifted off the right one while open
+CanvasRenderer.registerSymbol('spstSwitch', (ctx, circuit, entity) => {
+  const closed = entity?.getComponent('switch')?.closed;
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-10, 0);
+  ctx.moveTo(10, 0);
+  ctx.lineTo(20, 0);
+  ctx.moveTo(-10, 0);
+  ctx.lineTo(closed ? 10 : 8, closed ? 0 : -11);
+  ctx.stroke();
+  drawContacts(ctx, [[-10, 0], [10, 0]]);
+});
+
+// The blade from com on the left rests on a (above) while open and on b (below) while closed
+CanvasRenderer.registerSymbol('spdtSwitch', (ctx, circuit, entity) => {
+  const closed = entity?.getComponent('switch')?.closed;
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-10, 0);
+  [-10, 10].forEach(y => {
+    ctx.moveTo(10, y);
+    ctx.lineTo(20, y);
+  });
+  ctx.moveTo(-10, 0);
+  ctx.lineTo(10, closed ? 10 : -10);
+  ctx.stroke();
+  drawContacts(ctx, [[-10, 0], [10, -10], [10, 10]]);
+});
+
+// A bar on a plunger, held above the contacts until pressed onto them
+CanvasRenderer.registerSymbol('pushButton', (ctx, circuit, entity) => {
+  const bar = entity?.getComponent('switch')?.closed ? 0 : -6;
+  ctx.beginPath();
+  ctx.moveTo(-20, 0);
+  ctx.lineTo(-10, 0);
+  ctx.moveTo(10, 0);
+  ctx.lineTo(20, 0);
+  ctx.moveTo(-11, bar);
+  ctx.lineTo(11, bar);
+  ctx.moveTo(0, bar);
+  ctx.lineTo(0, bar - 10);
+  ctx.moveTo(-5, bar - 10);
+  ctx.lineTo(5, bar - 10);
+  ctx.stroke();
+  drawContacts(ctx, [[-10, 0], [10, 0]]);
+});
+
+// A box with the fuse wire through it, broken once it has blown
+CanvasRenderer.registerSymbol('fuse', (ctx, circuit, entity) => {
+  ctx.beginPath();
+  ctx.rect(-12, -5, 24, 10);
+  ctx.moveTo(-20, 0);
+  if (entity?.getComponent('fuse')?.blown) {
+    ctx.lineTo(-4, 0);
+    ctx.lineTo(-2, -3);
+    ctx.moveTo(4, 0);
+    ctx.lineTo(2, 3);
+    ctx.moveTo(4, 0);
   }
-
-  pause() {
-    this.isRunning = false;
+  ctx.lineTo(20, 0);
+  ctx.stroke();
+});
+
+// A crossed circle that glows in its render color with the fraction of its rated power it draws
+CanvasRenderer.registerSymbol('lamp', (ctx, circuit) => {
+  const brightness = Math.min(1, Math.abs(circuit.voltage * circuit.current) / circuit.value);
+  if (brightness > 0) {
+    ctx.save();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.shadowColor = ctx.strokeStyle;
+    ctx.shadowBlur = 30 * brightness;
+    ctx.globalAlpha = 0.8 * brightness;
+    ctx.beginPath();
+    ctx.arc(0, 0, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
   }
-
-  reset() {
-    this.pause();
-    this.repository.clear();
-    this.notifyObservers();
+  drawSourceCircle(ctx);
+  ctx.beginPath();
+  [-1, 1].forEach(side => {
+    ctx.moveTo(-7, -7 * side);
+    ctx.lineTo(7, 7 * side);
+  });
+  ctx.stroke();
+});
+
+// Highlights the editor's selection and the wire being drawn
+class CircuitEditorOverlay {
+  constructor(editor) {
+    this.editor = editor;
   }
-}
 
-// Factory functions to create common entities
-class EntityFactory {
-  static createPhysicsObject(repo, x, y, mass = 1) {
-    return repo.create('physics')
-      .addComponent('transform', new TransformComponent(x, y))
-      .addComponent('physics', new PhysicsComponent(mass))
-      .addComponent('render', new RenderComponent('circle', '#3b82f6', 20))
-      .addComponent('tangible', new PhysicsCollisionComponent(20))
-      .addComponent('draggable', new MobileByUserComponent(false));
-  }
+  draw(ctx, entities, px = 1) {
+    const editor = this.editor;
+    ctx.save();
+    ctx.strokeStyle = '#facc15';
+    ctx.fillStyle = '#facc15';
+    ctx.lineWidth = 2 * px;
+
+    const selected = editor.selectedId !== null ? editor.repository.findById(editor.selectedId) : null;
+    if (selected?.hasComponent('wire')) {
+      const route = editor.wireRoute(selected);
+      if (route) {
+        ctx.lineWidth = 7 * px;
+        ctx.globalAlpha = 0.5;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(route[0].x, route[0].y);
+        route.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+      }
+    } else if (selected) {
+      const transform = selected.getComponent('transform');
+      const size = (selected.getComponent('render')?.size ?? 40) + 8 * px;
+      ctx.strokeRect(transform.x - size / 2, transform.y - size / 2, size, size);
+    }
 
-  static createCircuitResistor(repo, x, y, resistance) {
-    return repo.create('circuit')
-      .addComponent('transform', new TransformComponent(x, y))
-      .addComponent('circuit', new CircuitComponent('resistor', resistance))
-      .addComponent('render', new RenderComponent('rect', '#ef4444', 40));
+    const pending = editor.pendingPin && editor.repository.findById(editor.pendingPin.entityId);
+    if (pending) {
+      const pos = pending.getComponent('circuit').pinPosition(pending.getComponent('transform'), editor.pendingPin.pin);
+      ctx.globalAlpha = 1;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 6 * px, 0, Math.PI * 2);
+      ctx.fill();
+      if (editor.cursor) {
+        ctx.setLineDash([6 * px, 4 * px]);
+        ctx.lineWidth = 2 * px;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y);
+        ctx.lineTo(editor.cursor.x, editor.cursor.y);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
   }
+}
 
-  static createCircuitBattery(repo, x, y, voltage) {
-    return repo.create('circuit')
-      .addComponent('transform', new TransformComponent(x, y))
-      .addComponent('circuit', new CircuitComponent('battery', voltage))
-      .addComponent('render', new RenderComponent('rect', '#22c55e', 40));
+// OBSERVER PATTERN: copies the engine state the controls show into React state. While running it
+// does so a few times a second rather than every frame, so the page is not re-rendered at the frame
+// rate, and it never sets a value that has not changed.
+class ControlsMirror {
+  static INTERVAL = 250; // milliseconds between copies while running
+
+  constructor(diagnostics, { setDiagnostics, setTimeline, setIsRunning }) {
+    this.diagnostics = diagnostics;
+    this.setDiagnostics = setDiagnostics;
+    this.setTimeline = setTimeline;
+    this.setIsRunning = setIsRunning;
+    this.copiedAt = -Infinity;
+    this.shown = { running: null, report: null, cursor: null, size: null, time: null };
   }
 
-   static createCircuitWire(repo, start, end) {
-    return repo.create('circuit')
-      .addComponent('transform', new TransformComponent(50, 50))
-      .addComponent('render', new RenderComponent('line', '#7fe0dcff', 5))
-      .addComponent('wire', new CircuitWireComponent(start, end));
+  update(engine) {
+    const shown = this.shown;
+    if (engine.isRunning !== shown.running) {
+      shown.running = engine.isRunning;
+      this.setIsRunning(engine.isRunning);
+    }
+    const now = Date.now();
+    if (engine.isRunning && now - this.copiedAt < ControlsMirror.INTERVAL) return;
+    this.copiedAt = now;
+
+    const report = this.diagnostics.report;
+    if (report !== shown.report) {
+      shown.report = report;
+      this.setDiagnostics(report);
+    }
+    const { cursor, size } = engine.history;
+    if (cursor !== shown.cursor || size !== shown.size || engine.time !== shown.time) {
+      Object.assign(shown, { cursor, size, time: engine.time });
+      this.setTimeline({ cursor, size, time: engine.time });
+    }
   }
-
 }
 
-// ============================================================================
-// PRESENTATION LAYER - UI Components
-// ============================================================================
+// Scrolling line chart of a ProbeRecorder's series over the last `window` seconds
+class TimeSeriesChart {
+  static COLORS = ['#60a5fa', '#f87171', '#4ade80', '#facc15', '#c084fc', '#fb923c'];
 
-// Renderer component - OBSERVER PATTERN: observes simulation state
-class CanvasRenderer {
-  constructor(canvas) {
+  constructor(canvas, recorder) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
+    this.recorder = recorder;
+    this.window = 10; // seconds shown
   }
 
-  // OBSERVER PATTERN: Update method called by simulation engine
-  update(engine) {
-    this.clear();
-    this.render(engine.repository.getAll());
+  // OBSERVER PATTERN: redrawn with every frame, after the recorder has sampled it
+  update() {
+    this.draw();
   }
 
-  clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  draw() {
+    const { ctx, canvas, recorder } = this;
+    const margin = { left: 56, right: 12, top: 12, bottom: 24 };
+    const plotWidth = canvas.width - margin.left - margin.right;
+    const plotHeight = canvas.height - margin.top - margin.bottom;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '12px monospace';
+    if (recorder.probes.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.fillText('Add a probe to plot it here', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    const times = recorder.times;
+    const end = Math.max(times[times.length - 1] ?? 0, this.window);
+    const start = end - this.window;
+    const first = times.findIndex(time => time >= start);
+    const visible = first === -1 ? [] : times.slice(first).map((_, i) => first + i);
+
+    let min = Infinity;
+    let max = -Infinity;
+    recorder.probes.forEach(probe => visible.forEach(i => {
+      const value = probe.values[i];
+      if (value === null) return;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }));
+    if (min === Infinity) {
+      min = -1;
+      max = 1;
+    } else if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+
+    const toX = (time) => margin.left + (time - start) / this.window * plotWidth;
+    const toY = (value) => margin.top + (max - value) / (max - min) * plotHeight;
+
+    // Axes, with the value range and time range as labels
+    ctx.strokeStyle = '#4b5563';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+    if (min < 0 && max > 0) {
+      ctx.beginPath();
+      ctx.moveTo(margin.left, toY(0));
+      ctx.lineTo(margin.left + plotWidth, toY(0));
+      ctx.stroke();
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(`${parseFloat(max.toPrecision(3))}`, margin.left - 4, margin.top + 10);
+    ctx.fillText(`${parseFloat(min.toPrecision(3))}`, margin.left - 4, margin.top + plotHeight);
+    ctx.textAlign = 'left';
+    ctx.fillText(`${start.toFixed(1)}s`, margin.left, canvas.height - 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${end.toFixed(1)}s`, margin.left + plotWidth, canvas.height - 6);
+
+    recorder.probes.forEach((probe, p) => {
+      const color = TimeSeriesChart.COLORS[p % TimeSeriesChart.COLORS.length];
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let drawing = false;
+      visible.forEach(i => {
+        const value = probe.values[i];
+        if (value === null) {
+          drawing = false;
+          return;
+        }
+        if (drawing) {
+          ctx.lineTo(toX(times[i]), toY(value));
+        } else {
+          ctx.moveTo(toX(times[i]), toY(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+
+      // Legend with the latest value
+      const latest = probe.values[probe.values.length - 1];
+      ctx.fillStyle = color;
+      ctx.textAlign = 'left';
+      ctx.fillText(
+        `${probe.label}: ${latest === null || latest === undefined ? '-' : latest.toPrecision(4)}`,
+        margin.left + 8, margin.top + 16 + p * 14
+      );
+    });
   }
+}
 
-  render(entities) {
-    entities.forEach(entity => {
-      if (!entity.hasComponent('transform') || !entity.hasComponent('render')) {
-        return;
-      }
+// Bode plot of a FrequencyResponse sweep: gain in dB above, phase in degrees below, both over
+// a log frequency axis with a line at each decade and the -3dB corner marked
+class BodePlot {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+  }
 
-      const transform = entity.getComponent('transform');
-      const render = entity.getComponent('render');
+  draw(response, message = 'Run an AC sweep to plot the response here') {
+    const { ctx, canvas } = this;
+    const margin = { left: 56, right: 12, top: 12, bottom: 24 };
+    const gap = 16;
+    const plotWidth = canvas.width - margin.left - margin.right;
+    const plotHeight = (canvas.height - margin.top - margin.bottom - gap) / 2;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '12px monospace';
+    ctx.fillStyle = '#9ca3af';
+    if (!response) {
+      ctx.textAlign = 'center';
+      ctx.fillText(message, canvas.width / 2, canvas.height / 2);
+      return;
+    }
 
-      this.ctx.fillStyle = render.color;
-      this.ctx.strokeStyle = render.color;
-      this.ctx.lineWidth = 3;
+    const { frequencies } = response;
+    const logFrom = Math.log10(frequencies[0]);
+    const logTo = Math.log10(frequencies[frequencies.length - 1]);
+    const toX = (frequency) => margin.left + (Math.log10(frequency) - logFrom) / (logTo - logFrom) * plotWidth;
+    const corner = FrequencyResponse.cornerFrequency(response);
+
+    const panel = (values, top, unit, color) => {
+      const known = values.filter(value => value !== null);
+      let min = Math.min(...known);
+      let max = Math.max(...known);
+      if (max - min < 1) {
+        min -= 1;
+        max += 1;
+      }
+      const toY = (value) => top + (max - value) / (max - min) * plotHeight;
+
+      ctx.strokeStyle = '#4b5563';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(margin.left, top, plotWidth, plotHeight);
+      for (let decade = Math.ceil(logFrom); decade <= Math.floor(logTo); decade++) {
+        const x = toX(10 ** decade);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + plotHeight);
+        ctx.stroke();
+      }
+      if (corner !== null) {
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(corner), top);
+        ctx.lineTo(toX(corner), top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
 
-      if (render.shape === 'circle') {
-        this.ctx.beginPath();
-        this.ctx.arc(transform.x, transform.y, render.size, 0, Math.PI * 2);
-        this.ctx.fill();
-      } else if (render.shape === 'rect') {
-        this.ctx.fillRect(
-          transform.x - render.size / 2,
-          transform.y - render.size / 2,
-          render.size,
-          render.size
-        );
-        
-        // Draw circuit values if available
-        if (entity.hasComponent('circuit')) {
-          const circuit = entity.getComponent('circuit');
-          this.ctx.fillStyle = '#fff';
-          this.ctx.font = '10px monospace';
-          this.ctx.textAlign = 'center';
-          
-          if (circuit.componentType === 'resistor') {
-            this.ctx.fillText(`${circuit.value}Ω`, transform.x, transform.y);
-            this.ctx.fillText(`${circuit.voltage.toFixed(1)}V`, transform.x, transform.y + 12);
-          } else if (circuit.componentType === 'battery') {
-            this.ctx.fillText(`${circuit.value}V`, transform.x, transform.y);
-          }
-          
-          this.ctx.fillText(`${circuit.current.toFixed(2)}A`, transform.x, transform.y - 25);
+      ctx.fillStyle = '#9ca3af';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${parseFloat(max.toPrecision(3))}${unit}`, margin.left - 4, top + 10);
+      ctx.fillText(`${parseFloat(min.toPrecision(3))}${unit}`, margin.left - 4, top + plotHeight);
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let drawing = false;
+      values.forEach((value, i) => {
+        if (value === null) {
+          drawing = false;
+          return;
         }
-      } else if (render.shape === 'line') {
-        const con = entity.getComponent('wire');
+        if (drawing) {
+          ctx.lineTo(toX(frequencies[i]), toY(value));
+        } else {
+          ctx.moveTo(toX(frequencies[i]), toY(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    };
 
-        this.ctx.beginPath();
+    panel(response.magnitude, margin.top, 'dB', TimeSeriesChart.COLORS[0]);
+    panel(response.phase, margin.top + plotHeight + gap, '°', TimeSeriesChart.COLORS[1]);
 
-        this.ctx.moveTo(con.startx, con.starty);
-        this.ctx.lineTo(con.endx, con.endy);
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'center';
+    for (let decade = Math.ceil(logFrom); decade <= Math.floor(logTo); decade++) {
+      ctx.fillText(formatSI(10 ** decade, 'Hz'), toX(10 ** decade), canvas.height - 6);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillStyle = TimeSeriesChart.COLORS[0];
+    ctx.fillText(corner !== null ? `Gain  -3dB at ${formatSI(corner, 'Hz')}` : 'Gain', margin.left + 8, margin.top + 16);
+    ctx.fillStyle = TimeSeriesChart.COLORS[1];
+    ctx.fillText('Phase', margin.left + 8, margin.top + plotHeight + gap + 16);
+  }
+}
 
-        this.ctx.stroke();
+// Rings the body picked for the inspector
+class PhysicsEditorOverlay {
+  constructor(editor) {
+    this.editor = editor;
+  }
+
+  draw(ctx, entities, px = 1) {
+    const selected = this.editor.selectedId !== null ? this.editor.repository.findById(this.editor.selectedId) : null;
+    const tangible = selected?.getComponent('tangible');
+    if (!tangible) return;
+
+    const bounds = tangible.bounds(selected.getComponent('transform'));
+    const margin = 4 * px;
+    ctx.save();
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 2 * px;
+    ctx.setLineDash([4 * px, 3 * px]);
+    ctx.strokeRect(bounds.minX - margin, bounds.minY - margin, bounds.maxX - bounds.minX + 2 * margin, bounds.maxY - bounds.minY + 2 * margin);
+
+    // The pull of a grab, from the body to where the pointer holds it
+    const grab = selected.getComponent('grab');
+    if (grab) {
+      const transform = selected.getComponent('transform');
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(transform.x, transform.y);
+      ctx.lineTo(grab.x, grab.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
 
+// Where the circuit reaches into the physics world: each pair of charged plates with arrows across
+// its gap showing which way the field points, and the push of each driving motor on its body
+class CouplingOverlay {
+  draw(ctx, entities, px = 1) {
+    const byId = new Map(entities.map(entity => [entity.id, entity]));
+    ctx.save();
+    ctx.lineWidth = 2 * px;
+    entities.forEach(entity => {
+      const plates = entity.getComponent('plates');
+      if (!plates) return;
+      const top = plates.y - plates.separation / 2;
+      const bottom = plates.y + plates.separation / 2;
+      ctx.strokeStyle = entity.getComponent('render')?.color ?? '#f9fafb';
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.beginPath();
+      [top, bottom].forEach(y => {
+        ctx.moveTo(plates.x - plates.width / 2, y);
+        ctx.lineTo(plates.x + plates.width / 2, y);
+      });
+      ctx.stroke();
+      if (plates.voltage === 0) return;
+
+      const [from, to] = plates.voltage > 0 ? [top, bottom] : [bottom, top];
+      const inset = Math.min(8 * px, plates.separation / 4);
+      const direction = Math.sign(to - from);
+      ctx.globalAlpha = 0.5;
+      ctx.beginPath();
+      for (let i = 1; i <= 4; i++) {
+        const x = plates.x - plates.width / 2 + (plates.width * i) / 5;
+        ctx.moveTo(x, from + direction * inset);
+        ctx.lineTo(x, to - direction * inset);
       }
+      ctx.stroke();
+      for (let i = 1; i <= 4; i++) {
+        drawArrowHead(ctx, plates.x - plates.width / 2 + (plates.width * i) / 5, to - direction * inset, 0, direction, 6 * px);
+      }
+      ctx.globalAlpha = 1;
+    });
+
+    // A fixed-length arrow from the body's center, only while current flows
+    ctx.strokeStyle = '#34d399';
+    ctx.fillStyle = '#34d399';
+    entities.forEach(entity => {
+      const motor = entity.getComponent('motor');
+      const body = motor && byId.get(motor.bodyId);
+      const force = motor ? motor.constant * (entity.getComponent('circuit')?.current ?? 0) : 0;
+      if (!body?.hasComponent('transform') || Math.abs(force) < 1e-9) return;
+      const transform = body.getComponent('transform');
+      const radians = (motor.angle * Math.PI) / 180;
+      const dx = Math.sign(force) * Math.cos(radians);
+      const dy = Math.sign(force) * Math.sin(radians);
+      const length = 40 * px;
+      ctx.beginPath();
+      ctx.moveTo(transform.x, transform.y);
+      ctx.lineTo(transform.x + dx * length, transform.y + dy * length);
+      ctx.stroke();
+      drawArrowHead(ctx, transform.x + dx * length, transform.y + dy * length, dx, dy, 6 * px);
     });
+    ctx.restore();
   }
 }
 
+// Multiphysics draws the schematic in a view of its own, beside the physics world
+const isSchematic = (entity) => entity.hasComponent('circuit') || entity.hasComponent('wire');
+
+// The stage that integrates bodies: the strategy itself outside multiphysics, where it is one of several
+const physicsStage = (strategy) => (strategy instanceof StrategyPipeline ? strategy.find(PhysicsSimulationStrategy) : strategy);
+
 // Main React component
+export { clientToCanvasPoint };
+
+// Circuit parts the Add button can place, with their names in the menu
+const PART_TYPES = {
+  resistor: 'Resistor',
+  capacitor: 'Capacitor',
+  inductor: 'Inductor',
+  voltageSource: 'AC voltage source',
+  currentSource: 'AC current source',
+  diode: 'Diode',
+  led: 'LED',
+  npn: 'NPN transistor',
+  nmos: 'N-channel MOSFET',
+  voltmeter: 'Voltmeter',
+  ammeter: 'Ammeter',
+  ohmmeter: 'Ohmmeter',
+  oscilloscope: 'Oscilloscope',
+  spstSwitch: 'Switch',
+  spdtSwitch: 'Changeover switch',
+  pushButton: 'Push button',
+  fuse: 'Fuse',
+  lamp: 'Lamp',
+  motor: 'Motor'
+};
+
 export default function PhysicsCircuitSimulator() {
   const canvasRef = useRef(null);
+  const schematicCanvasRef = useRef(null);
   const engineRef = useRef(null);
   const rendererRef = useRef(null);
+  const schematicRendererRef = useRef(null); // the circuit's view in multiphysics, null otherwise
+  const viewsRef = useRef([]); // every renderer showing the scene
   const animationRef = useRef(null);
+  const editorRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const pendingSceneRef = useRef(null); // imported scene waiting for its mode's engine
+  const importedSceneRef = useRef(null); // last imported scene, restored by Reset
+  const chartCanvasRef = useRef(null);
+  const bodeCanvasRef = useRef(null);
+  const bodePlotRef = useRef(null);
+  const recorderRef = useRef(null);
+  const chartRef = useRef(null);
+  const diagnosticsRef = useRef(null);
+  const controlsMirrorRef = useRef(null);
+  const commandsRef = useRef(null);
+  const physicsEditorRef = useRef(null);
+  const panRef = useRef(null); // last canvas point of a drag that is panning the view
+  const pixelsPerMeterRef = useRef(100); // kept across scenes, so each new physics camera uses it
 
   //State Variables
-  const [mode, setMode] = useState('physics'); // 'physics' or 'circuit'
+  const [mode, setMode] = useState('physics'); // 'physics', 'circuit' or 'multiphysics'
+  const [scenarioId, setScenarioId] = useState(ScenarioLibrary.defaultFor('physics').id);
   const [isRunning, setIsRunning] = useState(false);
   const [entityCount, setEntityCount] = useState(0);
+  const [partType, setPartType] = useState('resistor'); // circuit part added by the Add button
+  const [bodyType, setBodyType] = useState('ball'); // physics body added by the Add button
+  const [sceneError, setSceneError] = useState(null);
+  const [integrator, setIntegrator] = useState('semi-implicit-euler');
+  const [substeps, setSubsteps] = useState(1);
+  const [probes, setProbes] = useState([]); // mirrors the recorder's probes for the probe list
+  const [probeEntityId, setProbeEntityId] = useState('');
+  const [probeQuantity, setProbeQuantity] = useState('');
+  const [diagnostics, setDiagnostics] = useState(null); // latest ConservationDiagnostics report
+  const [timeline, setTimeline] = useState({ cursor: -1, size: 0, time: 0 });
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [undoLabels, setUndoLabels] = useState({ undo: null, redo: null });
+  const [selectedId, setSelectedId] = useState(null); // entity shown in the inspector
+  const [drafts, setDrafts] = useState({}); // inspector text being typed, by 'component.field'
+  const [fieldErrors, setFieldErrors] = useState({});
   const [backgroundColor, setBackgroundColor] = useState('#111827');
+  const [zoom, setZoom] = useState(1);
+  const [showGrid, setShowGrid] = useState(true);
+  const [pixelsPerMeter, setPixelsPerMeter] = useState(100);
+  const [sweepOutput, setSweepOutput] = useState(''); // 'entityId:pin' whose voltage the AC sweep plots
+  const [sweepRange, setSweepRange] = useState({ from: 1, to: 100000 }); // hertz
+  const [sweepResult, setSweepResult] = useState(null); // latest FrequencyResponse sweep
+  const [sweepError, setSweepError] = useState(null);
 
 
   // Initialize simulation engine
   useEffect(() => {
     const canvas = canvasRef.current;
-    const strategy = mode === 'physics' 
-      ? new PhysicsSimulationStrategy()
-      : new CircuitSimulationStrategy();
+    engineRef.current = new SimulationEngine(SceneSerializer.createStrategy(mode));
+    engineRef.current.history = new SimulationHistory(); // for the timeline
+    // Physics is drawn in meters at the chosen scale; circuit layouts one unit to the pixel
+    const camera = mode === 'circuit'
+      ? new Camera(canvas.width, canvas.height, 1, null)
+      : new Camera(canvas.width, canvas.height, pixelsPerMeterRef.current, 'm');
+    rendererRef.current = new CanvasRenderer(canvas, camera);
+    const schematicCanvas = schematicCanvasRef.current;
+    schematicRendererRef.current = mode === 'multiphysics'
+      ? new CanvasRenderer(schematicCanvas, new Camera(schematicCanvas.width, schematicCanvas.height, 1, null))
+      : null;
+    viewsRef.current = [rendererRef.current, schematicRendererRef.current].filter(Boolean);
     
-    engineRef.current = new SimulationEngine(strategy);
-    rendererRef.current = new CanvasRenderer(canvas);
-    
-    // OBSERVER PATTERN: Register renderer as observer
-    engineRef.current.addObserver(rendererRef.current);
+    // OBSERVER PATTERN: Register renderers as observers
+    viewsRef.current.forEach(renderer => engineRef.current.addObserver(renderer));
+
+    // Probes belong to one scene, so a new scene starts with none; the chart observes after the recorder
+    recorderRef.current = new ProbeRecorder();
+    chartRef.current = new TimeSeriesChart(chartCanvasRef.current, recorderRef.current);
+    engineRef.current.addObserver(recorderRef.current);
+    engineRef.current.addObserver(chartRef.current);
+    setProbes([]);
+    setSweepResult(null);
+    setSweepError(null);
+
+    diagnosticsRef.current = new ConservationDiagnostics();
+    engineRef.current.addObserver(diagnosticsRef.current);
+    // Mirror engine state the controls show; a replay pauses itself when it reaches the end
+    controlsMirrorRef.current = new ControlsMirror(diagnosticsRef.current, { setDiagnostics, setTimeline, setIsRunning });
+    engineRef.current.addObserver(controlsMirrorRef.current);
+
+    commandsRef.current = new CommandStack();
+    setUndoLabels({ undo: null, redo: null });
+    editorRef.current = new CircuitEditor(engineRef.current.repository, commandsRef.current);
+    physicsEditorRef.current = new PhysicsEditor(engineRef.current.repository, commandsRef.current);
+    if (mode === 'circuit') {
+      rendererRef.current.addOverlay(new CircuitEditorOverlay(editorRef.current));
+    } else {
+      rendererRef.current.addOverlay(new PhysicsEditorOverlay(physicsEditorRef.current));
+    }
+    // Multiphysics splits the scene: bodies on the main canvas, the circuit on the schematic one
+    if (schematicRendererRef.current) {
+      rendererRef.current.filter = entity => !isSchematic(entity);
+      rendererRef.current.addOverlay(new CouplingOverlay());
+      schematicRendererRef.current.filter = isSchematic;
+      schematicRendererRef.current.addOverlay(new CircuitEditorOverlay(editorRef.current));
+    }
+    setSelectedId(null);
     
-    // Add initial entities
-    if (mode === 'physics') {
-      EntityFactory.createPhysicsObject(engineRef.current.repository, 200, 50, 1);
-      EntityFactory.createPhysicsObject(engineRef.current.repository, 400, 100, 2);
+    // Add the scenario's entities, or the imported scene that switched modes
+    if (pendingSceneRef.current) {
+      SceneSerializer.load(engineRef.current, pendingSceneRef.current);
+      pendingSceneRef.current = null;
+      fitView();
     } else {
-      EntityFactory.createCircuitBattery(engineRef.current.repository, 50, 300, 9);
-      EntityFactory.createCircuitResistor(engineRef.current.repository, 150, 300, 100);
-      EntityFactory.createCircuitResistor(engineRef.current.repository, 250, 300, 200);
-      
-      let a = null;
-      let b = null;
-
-      engineRef.current.repository.findByType("circuit").forEach(entity => {
-        b = entity;
-        if (a != null) {
-          EntityFactory.createCircuitWire(engineRef.current.repository, a, b);
-        }
-        a = b;
-      })
-      
+      ScenarioLibrary.load(engineRef.current, scenarioId);
     }
+    syncSettings();
+    setShowGrid(rendererRef.current.showGrid);
+    setZoom(camera.zoom);
     
     setEntityCount(engineRef.current.repository.getAll().length);
-    rendererRef.current.render(engineRef.current.repository.getAll());
+    viewsRef.current.forEach(renderer => renderer.render(engineRef.current.repository.getAll()));
 
     return () => {
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [mode]);
+  }, [mode, scenarioId]);
 
   // Animation loop
   useEffect(() => {
@@ -546,10 +1538,15 @@ export default function PhysicsCircuitSimulator() {
     };
 
     if (isRunning) {
-      engineRef.current?.start();
+      // A replay has already started the engine in replay mode
+      if (!engineRef.current?.replaying) {
+        engineRef.current?.start();
+      }
       animate();
     } else {
       engineRef.current?.pause();
+      // Show where it stopped, which the last throttled copy may have missed
+      if (engineRef.current) controlsMirrorRef.current?.update(engineRef.current);
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
@@ -562,60 +1559,498 @@ export default function PhysicsCircuitSimulator() {
     };
   }, [isRunning]);
 
+  // The Bode plot canvas only exists in circuit mode; redraw whenever a sweep finishes
+  useEffect(() => {
+    if (mode !== 'circuit' || !bodeCanvasRef.current) return;
+    if (bodePlotRef.current?.canvas !== bodeCanvasRef.current) {
+      bodePlotRef.current = new BodePlot(bodeCanvasRef.current);
+    }
+    bodePlotRef.current.draw(sweepResult, sweepError ?? undefined);
+  }, [mode, sweepResult, sweepError]);
+
+  // Keyboard shortcuts for the editors; in multiphysics, for whichever has something selected
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const tag = event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+      const circuitEditor = editorRef.current;
+      const circuitBusy = circuitEditor?.selectedId !== null || circuitEditor?.pendingPin;
+      const editor = mode === 'circuit' || (mode === 'multiphysics' && circuitBusy)
+        ? circuitEditor
+        : physicsEditorRef.current;
+      if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        editor?.deleteSelected();
+        refreshScene();
+      } else if (event.key === 'Escape') {
+        editor?.cancel();
+        refreshScene();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode]);
+
+  // Undo and redo in both modes: Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const tag = event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      const key = event.key.toLowerCase();
+      const redo = (key === 'z' && event.shiftKey) || key === 'y';
+      if (key !== 'z' && !redo) return;
+      event.preventDefault();
+      editorRef.current?.cancel();
+      if (redo) {
+        commandsRef.current?.redo();
+      } else {
+        commandsRef.current?.undo();
+      }
+      refreshScene();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Wheel zoom about the cursor; React's wheel listener is passive and cannot stop the page scrolling
+  useEffect(() => {
+    const canvases = [canvasRef.current, schematicCanvasRef.current];
+    const handleWheel = (event) => {
+      const renderer = event.currentTarget === schematicCanvasRef.current ? schematicRendererRef.current : rendererRef.current;
+      if (!renderer) return;
+      event.preventDefault();
+      const { x, y } = clientToCanvasPoint(event.currentTarget, event.clientX, event.clientY);
+      renderer.camera.zoomAt(Math.exp(-event.deltaY * 0.002), x, y);
+      if (renderer === rendererRef.current) setZoom(renderer.camera.zoom); // the readout is the main view's
+      renderer.update(engineRef.current);
+    };
+
+    canvases.forEach(canvas => canvas.addEventListener('wheel', handleWheel, { passive: false }));
+    return () => canvases.forEach(canvas => canvas.removeEventListener('wheel', handleWheel));
+  }, []);
+
+  // The renderer and editor behind a canvas; only the schematic canvas edits the circuit in multiphysics
+  const viewOf = (canvas) => (canvas === schematicCanvasRef.current
+    ? { renderer: schematicRendererRef.current, editor: editorRef.current }
+    : { renderer: rendererRef.current, editor: mode === 'circuit' ? editorRef.current : physicsEditorRef.current });
+
+  // Re-draw and re-count after the scene is edited outside the animation loop
+  const refreshScene = () => {
+    if (!engineRef.current) return;
+    setEntityCount(engineRef.current.repository.getAll().length);
+    setUndoLabels({ undo: commandsRef.current?.undoLabel ?? null, redo: commandsRef.current?.redoLabel ?? null });
+    // Picking in one editor clears the other's selection, so at most one has a selection
+    const selection = editorRef.current?.selectedId ?? physicsEditorRef.current?.selectedId ?? null;
+    setSelectedId(engineRef.current.repository.findById(selection) ? selection : null);
+    viewsRef.current.forEach(renderer => renderer.update(engineRef.current));
+  };
+
+  const toCanvasPoint = (event) => clientToCanvasPoint(event.currentTarget, event.clientX, event.clientY);
+
+  // Editors work in world coordinates
+  const toWorldPoint = (event, renderer) => {
+    const { x, y } = toCanvasPoint(event);
+    return renderer.camera.toWorld(x, y);
+  };
+
+  // Selects an entity in one editor and nothing in the other
+  const selectIn = (editor, id) => {
+    [editorRef.current, physicsEditorRef.current].filter(other => other && other !== editor).forEach(other => {
+      other.cancel();
+      other.select(null);
+    });
+    editor.select(id);
+  };
+
+  // Pointer times are the event's own timestamps, so throw speeds aren't skewed by render delays.
+  // The middle button, or a drag that starts on empty canvas, pans the view instead.
+  const handlePointerDown = (event) => {
+    const { renderer, editor } = viewOf(event.currentTarget);
+    if (!editor || !renderer) return;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    if (event.button === 1) {
+      panRef.current = toCanvasPoint(event);
+      return;
+    }
+    const engine = engineRef.current;
+    physicsEditorRef.current.live = engine.isRunning && !engine.replaying;
+    physicsEditorRef.current.hitDistance = PhysicsEditor.HIT_DISTANCE * rendererRef.current.pixel;
+    const { x, y } = toWorldPoint(event, renderer);
+    selectIn(editor, editor.selectedId);
+    editor.pointerDown(x, y, event.timeStamp / 1000);
+    if (editor.selectedId === null && !editor.drag && !editor.pendingPin) {
+      panRef.current = toCanvasPoint(event);
+    }
+    refreshScene();
+  };
+
+  const handlePointerMove = (event) => {
+    const { renderer, editor } = viewOf(event.currentTarget);
+    if (!editor || !renderer) return;
+    if (panRef.current) {
+      const point = toCanvasPoint(event);
+      renderer.camera.pan(point.x - panRef.current.x, point.y - panRef.current.y);
+      panRef.current = point;
+      renderer.update(engineRef.current);
+      return;
+    }
+    const { x, y } = toWorldPoint(event, renderer);
+    editor.pointerMove(x, y, event.timeStamp / 1000);
+    if (editor.drag || editor.pendingPin) {
+      renderer.update(engineRef.current);
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    const { editor } = viewOf(event.currentTarget);
+    if (!editor) return;
+    if (panRef.current) {
+      panRef.current = null;
+      return;
+    }
+    editor.pointerUp(event.timeStamp / 1000);
+    refreshScene();
+  };
+
+  const handlePointerCancel = (event) => {
+    panRef.current = null;
+    viewOf(event.currentTarget).editor?.cancel();
+    refreshScene();
+  };
+
+  // Zoom buttons keep the middle of the canvas still
+  const handleZoom = (factor) => {
+    const camera = rendererRef.current?.camera;
+    if (!camera) return;
+    camera.zoomAt(factor, camera.width / 2, camera.height / 2);
+    setZoom(camera.zoom);
+    rendererRef.current.update(engineRef.current);
+  };
+
+  // Each view fits what it draws
+  const fitView = () => {
+    if (!rendererRef.current) return;
+    const entities = engineRef.current.repository.getAll();
+    viewsRef.current.forEach(renderer => {
+      renderer.camera.fit(Camera.sceneBounds(renderer.filter ? entities.filter(renderer.filter) : entities));
+      renderer.update(engineRef.current);
+    });
+    setZoom(rendererRef.current.camera.zoom);
+  };
+
+  const handleToggleGrid = () => {
+    if (!rendererRef.current) return;
+    const showGrid = !rendererRef.current.showGrid;
+    viewsRef.current.forEach(renderer => {
+      renderer.showGrid = showGrid;
+      renderer.update(engineRef.current);
+    });
+    setShowGrid(showGrid);
+  };
+
+  // Rescaling keeps the world point at the top-left corner where it is
+  const handlePixelsPerMeterChange = (value) => {
+    setPixelsPerMeter(value);
+    if (!(value > 0)) return;
+    pixelsPerMeterRef.current = value;
+    if (mode !== 'circuit' && rendererRef.current) {
+      rendererRef.current.camera.pixelsPerUnit = value;
+      rendererRef.current.update(engineRef.current);
+    }
+  };
+
+  // Validated and applied straight away; the draft keeps what was typed while it is invalid
+  const handleFieldChange = (componentName, field, raw) => {
+    const key = `${componentName}.${field}`;
+    setDrafts(current => ({ ...current, [key]: raw }));
+    try {
+      PropertyInspector.edit(commandsRef.current, engineRef.current.repository, selectedId, componentName, field, raw);
+      setFieldErrors(current => ({ ...current, [key]: null }));
+      refreshScene();
+    } catch (error) {
+      setFieldErrors(current => ({ ...current, [key]: error.message }));
+    }
+  };
+
+  const handleFieldBlur = (componentName, field) => {
+    const key = `${componentName}.${field}`;
+    setDrafts(current => ({ ...current, [key]: undefined }));
+    setFieldErrors(current => ({ ...current, [key]: null }));
+  };
+
+  const handleUndo = () => {
+    editorRef.current?.cancel();
+    commandsRef.current?.undo();
+    refreshScene();
+  };
+
+  const handleRedo = () => {
+    editorRef.current?.cancel();
+    commandsRef.current?.redo();
+    refreshScene();
+  };
+
   const handleTogglePlay = () => {
     setIsRunning(!isRunning);
   };
 
+  const handleReplay = () => {
+    if (!engineRef.current || engineRef.current.history.size === 0) return;
+    engineRef.current.pause();
+    engineRef.current.startReplay();
+    setIsRunning(true);
+  };
+
+  // Scrubbing and single steps pause first, so the frame shown stays put
+  const handleSeek = (index) => {
+    if (!engineRef.current) return;
+    setIsRunning(false);
+    engineRef.current.pause();
+    engineRef.current.seek(index);
+    refreshScene();
+  };
+
+  const handleStepBack = () => {
+    if (!engineRef.current) return;
+    setIsRunning(false);
+    engineRef.current.pause();
+    engineRef.current.stepBack();
+    refreshScene();
+  };
+
+  const handleStepForward = () => {
+    if (!engineRef.current) return;
+    setIsRunning(false);
+    engineRef.current.pause();
+    engineRef.current.stepForward();
+    refreshScene();
+  };
+
+  const handlePlaybackSpeedChange = (value) => {
+    setPlaybackSpeed(value);
+    if (engineRef.current) {
+      engineRef.current.playbackSpeed = value;
+    }
+  };
+
   const handleReset = () => {
     setIsRunning(false);
     engineRef.current?.reset();
+    commandsRef.current?.clear();
+    editorRef.current?.cancel();
+    editorRef.current?.select(null);
+    physicsEditorRef.current?.select(null);
     
-    // Re-add initial entities
-    if (mode === 'physics') {
-      EntityFactory.createPhysicsObject(engineRef.current.repository, 200, 50, 1);
-      EntityFactory.createPhysicsObject(engineRef.current.repository, 400, 100, 2);
+    // Rebuild the imported scene if there is one, otherwise the chosen scenario
+    if (importedSceneRef.current) {
+      SceneSerializer.load(engineRef.current, importedSceneRef.current);
+      fitView();
     } else {
-      EntityFactory.createCircuitBattery(engineRef.current.repository, 50, 300, 9);
-      EntityFactory.createCircuitResistor(engineRef.current.repository, 150, 300, 100);
-      EntityFactory.createCircuitResistor(engineRef.current.repository, 250, 300, 200);
-      
-      let a = null;
-      let b = null;
-
-      engineRef.current.repository.findByType("circuit").forEach(entity => {
-        b = entity;
-        if (a != null) {
-          EntityFactory.createCircuitWire(engineRef.current.repository, a, b);
-        }
-        a = b;
-      })
-      
+      ScenarioLibrary.load(engineRef.current, scenarioId);
+      viewsRef.current.forEach(renderer => renderer.camera.home());
+      setZoom(1);
     }
+    syncSettings();
     
     setEntityCount(engineRef.current.repository.getAll().length);
-    rendererRef.current?.render(engineRef.current.repository.getAll());
+    viewsRef.current.forEach(renderer => renderer.render(engineRef.current.repository.getAll()));
   };
 
-  const handleAddEntity = () => {
+  // Loading a scene replaces the strategy and may change engine timing; mirror them in the controls
+  const syncSettings = () => {
+    const engine = engineRef.current;
+    setIntegrator(physicsStage(engine.strategy)?.integrator ?? 'semi-implicit-euler');
+    setSubsteps(engine.substeps);
+    setPlaybackSpeed(engine.playbackSpeed);
+  };
+
+  const handleIntegratorChange = (value) => {
+    setIntegrator(value);
+    const physics = physicsStage(engineRef.current?.strategy);
+    if (physics instanceof PhysicsSimulationStrategy) {
+      physics.integrator = value;
+    }
+  };
+
+  const handleSubstepsChange = (value) => {
+    setSubsteps(value);
+    if (engineRef.current) {
+      engineRef.current.substeps = value;
+    }
+  };
+
+  // Adds a 'body' or a circuit 'part'; multiphysics scenes take both
+  const handleAddEntity = (adding) => {
     if (!engineRef.current) return;
-    
-    if (mode === 'physics') {
-      EntityFactory.createPhysicsObject(engineRef.current.repository, Math.random() * 600 + 100, 50, Math.random() * 2 + 0.5);
-    } else {
+    const kind = adding === 'body' ? bodyType : partType;
+
+    // Standard values; the new entity is selected so the inspector can set the real ones
+    const added = commandsRef.current.execute(new SceneEditCommand(engineRef.current.repository, `Add ${kind}`, repo => {
+      if (adding === 'body') {
+        const x = Math.random() * 6 + 1;
+        return bodyType === 'box'
+          ? EntityFactory.createPhysicsBox(repo, x, 0.5, 0.6, 0.4, 1)
+          : EntityFactory.createPhysicsObject(repo, x, 0.5, 1, 0, 0);
+      }
       const x = Math.random() * 400 + 200;
-      EntityFactory.createCircuitResistor(engineRef.current.repository, x, 300, Math.random() * 200 + 50);
+      if (partType === 'capacitor') return EntityFactory.createCircuitCapacitor(repo, x, 300, 0.001);
+      if (partType === 'inductor') return EntityFactory.createCircuitInductor(repo, x, 300, 1);
+      if (partType === 'voltageSource') return EntityFactory.createCircuitVoltageSource(repo, x, 300, 1, 50);
+      if (partType === 'currentSource') return EntityFactory.createCircuitCurrentSource(repo, x, 300, 0.01, 50);
+      if (partType === 'diode') return EntityFactory.createCircuitDiode(repo, x, 300, 0.7);
+      if (partType === 'led') return EntityFactory.createCircuitLED(repo, x, 300, 2);
+      if (partType === 'npn') return EntityFactory.createCircuitNPN(repo, x, 300, 100);
+      if (partType === 'nmos') return EntityFactory.createCircuitNMOS(repo, x, 300, 2);
+      if (partType === 'voltmeter') return EntityFactory.createCircuitVoltmeter(repo, x, 300);
+      if (partType === 'ammeter') return EntityFactory.createCircuitAmmeter(repo, x, 300);
+      if (partType === 'ohmmeter') return EntityFactory.createCircuitOhmmeter(repo, x, 300);
+      if (partType === 'oscilloscope') return EntityFactory.createCircuitOscilloscope(repo, x, 300);
+      if (partType === 'spstSwitch') return EntityFactory.createCircuitSPSTSwitch(repo, x, 300);
+      if (partType === 'spdtSwitch') return EntityFactory.createCircuitSPDTSwitch(repo, x, 300);
+      if (partType === 'pushButton') return EntityFactory.createCircuitPushButton(repo, x, 300);
+      if (partType === 'fuse') return EntityFactory.createCircuitFuse(repo, x, 300, 1);
+      if (partType === 'lamp') return EntityFactory.createCircuitLamp(repo, x, 300, 5);
+      if (partType === 'motor') return EntityFactory.createCircuitMotor(repo, x, 300, 1, 0);
+      return EntityFactory.createCircuitResistor(repo, x, 300, 100);
+    })).result;
+
+    selectIn(adding === 'body' ? physicsEditorRef.current : editorRef.current, added.id);
+    refreshScene();
+  };
+
+  // Moving bodies and circuit parts; walls, wires and springs only have placeholder transforms
+  const probeTargets = (engineRef.current?.repository.getAll() ?? [])
+    .filter(entity => entity.hasComponent('physics') || entity.hasComponent('circuit'));
+  const probeEntity = probeTargets.find(entity => String(entity.id) === probeEntityId) ?? probeTargets[0];
+  const probeQuantities = probeEntity ? ProbeRecorder.quantitiesFor(probeEntity) : [];
+  const selectedQuantity = probeQuantities.includes(probeQuantity) ? probeQuantity : probeQuantities[0];
+
+  // Read on every render, so the panel follows the live values while the simulation runs
+  const selectedEntity = selectedId !== null ? engineRef.current?.repository.findById(selectedId) : null;
+  const inspectorFields = selectedEntity ? PropertyInspector.fieldsFor(selectedEntity) : [];
+
+  const describeEntity = (entity) => {
+    const circuit = entity.getComponent('circuit');
+    return `#${entity.id} ${circuit ? circuit.componentType : entity.getComponent('tangible')?.shape ?? entity.type}`;
+  };
+
+  // Every part's pins can be the sweep's output; unless one is chosen, the far pin of the first
+  // part that is not a source, which is the output of a simple filter
+  const sweepParts = mode === 'circuit'
+    ? (engineRef.current?.repository.getAll() ?? []).filter(entity => entity.hasComponent('circuit'))
+    : [];
+  const sweepPins = sweepParts.flatMap(entity => entity.getComponent('circuit').pins.map(pin => ({
+    key: `${entity.id}:${pin}`,
+    label: `${describeEntity(entity)} ${pin}`
+  })));
+  const firstLoad = sweepParts.find(entity => !CircuitComponent.SOURCE_TYPES.includes(entity.getComponent('circuit').componentType));
+  const sweepPin = sweepPins.some(pin => pin.key === sweepOutput)
+    ? sweepOutput
+    : firstLoad ? `${firstLoad.id}:${firstLoad.getComponent('circuit').pins[1]}` : sweepPins[0]?.key ?? '';
+
+  const handleSweep = () => {
+    if (!engineRef.current || !sweepPin) return;
+    const split = sweepPin.indexOf(':');
+    try {
+      setSweepResult(FrequencyResponse.sweep(engineRef.current.repository.getAll(), {
+        output: { entityId: Number(sweepPin.slice(0, split)), pin: sweepPin.slice(split + 1) },
+        from: sweepRange.from,
+        to: sweepRange.to
+      }));
+      setSweepError(null);
+    } catch (error) {
+      setSweepResult(null);
+      setSweepError(error.message);
     }
-    
-    setEntityCount(engineRef.current.repository.getAll().length);
-    if (!isRunning) {
-      rendererRef.current?.render(engineRef.current.repository.getAll());
+  };
+
+  const handleAddProbe = () => {
+    if (!recorderRef.current || !probeEntity || !selectedQuantity) return;
+    recorderRef.current.addProbe(probeEntity.id, selectedQuantity);
+    recorderRef.current.update(engineRef.current);
+    setProbes([...recorderRef.current.probes]);
+    chartRef.current?.draw();
+  };
+
+  const handleRemoveProbe = (id) => {
+    recorderRef.current?.removeProbe(id);
+    setProbes([...(recorderRef.current?.probes ?? [])]);
+    chartRef.current?.draw();
+  };
+
+  const handleExportCSV = () => {
+    if (!recorderRef.current) return;
+    const blob = new Blob([recorderRef.current.toCSV()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${scenarioId}-probes.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleExport = () => {
+    if (!engineRef.current) return;
+    const blob = new Blob([SceneSerializer.toJSON(engineRef.current)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${mode}-scene.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    try {
+      const scene = JSON.parse(await file.text());
+      const sceneMode = SceneSerializer.deserialize(scene).mode; // throws before anything is replaced
+      setIsRunning(false);
+      editorRef.current?.cancel();
+      editorRef.current?.select(null);
+      physicsEditorRef.current?.select(null);
+      importedSceneRef.current = scene;
+      if (sceneMode !== mode) {
+        pendingSceneRef.current = scene;
+        setMode(sceneMode);
+      } else {
+        SceneSerializer.load(engineRef.current, scene);
+        commandsRef.current?.clear();
+        syncSettings();
+        fitView();
+        refreshScene();
+      }
+      setSceneError(null);
+    } catch (error) {
+      setSceneError(`Could not import ${file.name}: ${error.message}`);
     }
   };
 
   const handleModeChange = (newMode) => {
-    handleReset();
+    handleScenarioChange(ScenarioLibrary.defaultFor(newMode).id);
+  };
+
+  const handleScenarioChange = (id) => {
     setIsRunning(false);
-    setMode(newMode);
+    editorRef.current?.cancel();
+    editorRef.current?.select(null);
+    physicsEditorRef.current?.select(null);
+    importedSceneRef.current = null;
+    setSceneError(null);
+    if (id === scenarioId) {
+      handleReset();
+      return;
+    }
+    setScenarioId(id);
+    setMode(ScenarioLibrary.get(id).mode);
   };
 
   // Inline styles
@@ -699,13 +2134,58 @@ export default function PhysicsCircuitSimulator() {
     },
     canvasContainer: {
       flex: 1,
+      display: 'flex',
+      gap: '16px',
       backgroundColor: '#555b64ff',
       borderRadius: '4px',
       overflow: 'hidden'
     },
+    chartPanel: {
+      flex: 1,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '12px',
+      backgroundColor: '#1f2937',
+      fontSize: '13px'
+    },
+    chart: {
+      width: '100%',
+      backgroundColor: '#111827',
+      borderRadius: '4px'
+    },
+    inspector: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      overflowY: 'auto'
+    },
+    inspectorRow: {
+      display: 'grid',
+      gridTemplateColumns: '140px 1fr',
+      alignItems: 'center',
+      gap: '8px'
+    },
+    inspectorInput: {
+      padding: '4px 6px',
+      borderRadius: '4px',
+      border: '1px solid #4b5563',
+      backgroundColor: '#111827',
+      color: 'white',
+      fontFamily: 'monospace'
+    },
+    probeChip: {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: '4px',
+      padding: '2px 8px',
+      borderRadius: '12px',
+      backgroundColor: '#374151'
+    },
     canvas: {
       width: '50%',
-      height: '100%'
+      height: '100%',
+      touchAction: 'none'
     },
     footer: {
       marginTop: '16px',
@@ -753,6 +2233,32 @@ export default function PhysicsCircuitSimulator() {
           >
             Circuit Mode
           </button>
+          <button
+            onClick={() => handleModeChange('multiphysics')}
+            style={{...styles.button, ...(mode === 'multiphysics' ? styles.activeButton : styles.secondaryButton)}}
+          >
+            Multiphysics Mode
+          </button>
+        </div>
+
+        <div style={styles.buttonGroup}>
+          <select
+            value={scenarioId}
+            onChange={(e) => handleScenarioChange(e.target.value)}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Scenario"
+          >
+            {[['physics', 'Physics'], ['circuit', 'Circuits'], ['multiphysics', 'Multiphysics']].map(([groupMode, label]) => (
+              <optgroup key={groupMode} label={label}>
+                {ScenarioLibrary.all().filter(scenario => scenario.mode === groupMode).map(scenario => (
+                  <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <span style={{...styles.subtitle, alignSelf: 'center'}}>
+            {ScenarioLibrary.get(scenarioId).description}
+          </span>
         </div>
       </div>
 
@@ -773,23 +2279,220 @@ export default function PhysicsCircuitSimulator() {
             Reset
           </button>
           <button
-            onClick={handleAddEntity}
+            onClick={() => handleAddEntity(mode === 'physics' ? 'body' : 'part')}
             style={{...styles.button, ...styles.successButton}}
           >
             <Plus size={18} />
-            Add {mode === 'physics' ? 'Object' : 'Resistor'}
+            Add {mode === 'physics' ? (bodyType === 'box' ? 'Box' : 'Ball') : PART_TYPES[partType]}
           </button>
+          {mode === 'multiphysics' && (
+            <button
+              onClick={() => handleAddEntity('body')}
+              style={{...styles.button, ...styles.successButton}}
+            >
+              <Plus size={18} />
+              Add {bodyType === 'box' ? 'Box' : 'Ball'}
+            </button>
+          )}
+          <button
+            onClick={handleUndo}
+            disabled={!undoLabels.undo}
+            title={undoLabels.undo ? `Undo ${undoLabels.undo} (Ctrl+Z)` : 'Nothing to undo'}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Undo"
+          >
+            <Undo2 size={18} />
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!undoLabels.redo}
+            title={undoLabels.redo ? `Redo ${undoLabels.redo} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Redo"
+          >
+            <Redo2 size={18} />
+          </button>
+          {mode !== 'circuit' && (
+            <select
+              value={bodyType}
+              onChange={(e) => setBodyType(e.target.value)}
+              style={{...styles.button, ...styles.secondaryButton}}
+            >
+              <option value="ball">Ball</option>
+              <option value="box">Box</option>
+            </select>
+          )}
+          {mode !== 'physics' && (
+            <select
+              value={partType}
+              onChange={(e) => setPartType(e.target.value)}
+              style={{...styles.button, ...styles.secondaryButton}}
+            >
+              {Object.entries(PART_TYPES).map(([type, name]) => (
+                <option key={type} value={type}>{name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div style={styles.buttonGroup}>
+          {mode !== 'circuit' && (
+            <select
+              value={integrator}
+              onChange={(e) => handleIntegratorChange(e.target.value)}
+              style={{...styles.button, ...styles.secondaryButton}}
+              aria-label="Integrator"
+            >
+              <option value="semi-implicit-euler">Semi-implicit Euler</option>
+              <option value="velocity-verlet">Velocity Verlet</option>
+              <option value="rk4">Runge-Kutta 4</option>
+            </select>
+          )}
+          <select
+            value={substeps}
+            onChange={(e) => handleSubstepsChange(Number(e.target.value))}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Substeps"
+          >
+            {[1, 2, 4, 8].map(n => (
+              <option key={n} value={n}>{n} substep{n > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{...styles.buttonGroup, alignItems: 'center'}}>
+          <button
+            onClick={() => handleZoom(1 / 1.25)}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Zoom out"
+          >
+            <ZoomOut size={18} />
+          </button>
+          <span style={{...styles.infoValue, minWidth: '48px', textAlign: 'center'}}>
+            {Math.round(zoom * 100)}%
+          </span>
+          <button
+            onClick={() => handleZoom(1.25)}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Zoom in"
+          >
+            <ZoomIn size={18} />
+          </button>
+          <button
+            onClick={fitView}
+            title="Fit the scene in view"
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Fit to scene"
+          >
+            <Maximize size={18} />
+          </button>
+          <button
+            onClick={handleToggleGrid}
+            title={mode === 'circuit' ? 'Grid' : 'Grid, axes and rulers'}
+            style={{...styles.button, ...(showGrid ? styles.primaryButton : styles.secondaryButton)}}
+            aria-label="Toggle grid"
+          >
+            <Grid3x3 size={18} />
+          </button>
+          {mode !== 'circuit' && (
+            <label style={{...styles.infoLabel, display: 'flex', alignItems: 'center', gap: '6px'}}>
+              <input
+                type="number"
+                min={1}
+                value={pixelsPerMeter}
+                onChange={(e) => handlePixelsPerMeterChange(Number(e.target.value))}
+                style={{...styles.inspectorInput, width: '64px'}}
+                aria-label="Pixels per meter"
+              />
+              px/m
+            </label>
+          )}
+        </div>
+
+        <div style={styles.buttonGroup}>
+          <button
+            onClick={handleExport}
+            style={{...styles.button, ...styles.secondaryButton}}
+          >
+            <Download size={18} />
+            Export
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            style={{...styles.button, ...styles.secondaryButton}}
+          >
+            <Upload size={18} />
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            style={{display: 'none'}}
+          />
         </div>
 
         
       </div>
 
+      <div style={styles.controls}>
+        <div style={{...styles.buttonGroup, flex: 1, alignItems: 'center'}}>
+          <button
+            onClick={handleStepBack}
+            disabled={timeline.cursor <= 0}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Step back"
+          >
+            <StepBack size={18} />
+          </button>
+          <button
+            onClick={handleStepForward}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Step forward"
+          >
+            <StepForward size={18} />
+          </button>
+          <button
+            onClick={handleReplay}
+            disabled={timeline.size < 2}
+            style={{...styles.button, ...styles.secondaryButton}}
+          >
+            <History size={18} />
+            Replay
+          </button>
+          <select
+            value={playbackSpeed}
+            onChange={(e) => handlePlaybackSpeedChange(Number(e.target.value))}
+            style={{...styles.button, ...styles.secondaryButton}}
+            aria-label="Playback speed"
+          >
+            {[0.25, 0.5, 1, 2, 4].map(speed => (
+              <option key={speed} value={speed}>{speed}×</option>
+            ))}
+          </select>
+          <input
+            type="range"
+            min={0}
+            max={Math.max(timeline.size - 1, 0)}
+            value={Math.max(timeline.cursor, 0)}
+            onChange={(e) => handleSeek(Number(e.target.value))}
+            disabled={timeline.size < 2}
+            style={{flex: 1}}
+            aria-label="Timeline"
+          />
+          <span style={{...styles.infoValue, minWidth: '72px', textAlign: 'right'}}>
+            {timeline.time.toFixed(2)}s
+          </span>
+        </div>
+      </div>
+
       <div style={styles.infoPanel}>
         <div style={styles.infoGrid}>
           <div>
             <span style={styles.infoLabel}>Mode: </span>
             <span style={styles.infoValue}>
-              {mode === 'physics' ? 'Physics Simulation' : 'Circuit Analysis'}
+              {{ physics: 'Physics Simulation', circuit: 'Circuit Analysis', multiphysics: 'Multiphysics' }[mode]}
             </span>
           </div>
           <div>
@@ -801,6 +2504,64 @@ export default function PhysicsCircuitSimulator() {
             <span style={styles.infoValue}>{entityCount}</span>
           </div>
         </div>
+        {diagnostics?.mode === 'physics' && (
+          <div style={{...styles.infoGrid, marginTop: '8px'}}>
+            <div>
+              <span style={styles.infoLabel}>Energy K / U / E: </span>
+              <span style={styles.infoValue}>
+                {formatSI(diagnostics.kinetic, 'J')} / {formatSI(diagnostics.potential, 'J')} / {formatSI(diagnostics.mechanical, 'J')}
+              </span>
+            </div>
+            <div>
+              <span style={styles.infoLabel}>Momentum: </span>
+              <span style={styles.infoValue}>
+                ({diagnostics.momentum.x.toFixed(1)}, {diagnostics.momentum.y.toFixed(1)})
+              </span>
+            </div>
+            <div>
+              <span style={styles.infoLabel}>Energy drift: </span>
+              <span style={styles.infoValue}>{(diagnostics.energyDrift * 100).toFixed(2)}%</span>
+            </div>
+          </div>
+        )}
+        {diagnostics?.mode === 'circuit' && (
+          <div style={{...styles.infoGrid, marginTop: '8px'}}>
+            <div>
+              <span style={styles.infoLabel}>Worst KCL residual: </span>
+              <span style={styles.infoValue}>{formatSI(diagnostics.maxKCL, 'A')}</span>
+            </div>
+            <div>
+              <span style={styles.infoLabel}>Worst KVL residual: </span>
+              <span style={styles.infoValue}>{formatSI(diagnostics.maxKVL, 'V')}</span>
+            </div>
+          </div>
+        )}
+        {diagnostics?.warnings.map(warning => (
+          <div key={warning} style={{color: '#facc15', marginTop: '8px'}}>⚠ {warning}</div>
+        ))}
+        {sceneError && (
+          <div style={{color: '#f87171', marginTop: '8px'}}>{sceneError}</div>
+        )}
+        {mode === 'circuit' && (
+          <div style={{...styles.subtitle, marginTop: '8px'}}>
+            Drag parts to move them. Click one pin and then another to draw a wire. Click a part or wire and press Delete to remove it, or Escape to cancel a wire.
+            Drag empty space to pan and scroll to zoom. Yellow dots follow the current along each wire, faster where more flows.
+            Measure like on a bench: an ammeter goes in series, a voltmeter or oscilloscope across, and an ohmmeter across parts with the power removed.
+            Click a switch to flip it and hold a push button down to press it; click a blown fuse to replace it.
+          </div>
+        )}
+        {mode === 'physics' && (
+          <div style={{...styles.subtitle, marginTop: '8px'}}>
+            Drag a body to move it; while running, let go mid-swing to throw it. Drag empty space to pan and scroll to zoom.
+          </div>
+        )}
+        {mode === 'multiphysics' && (
+          <div style={{...styles.subtitle, marginTop: '8px'}}>
+            Bodies move on the left and the circuit is edited on the right, each panned and zoomed on its own.
+            A motor pushes the body numbered in its settings with a force of its constant times its current, and slows the current by the back-emf as the body speeds up.
+            Plates wired into the circuit push charged bodies between them; parts that heat up show their temperature.
+          </div>
+        )}
       </div>
 
       {/* Color Picker - Try this!
@@ -829,7 +2590,155 @@ export default function PhysicsCircuitSimulator() {
           style={styles.canvas}
           width={800}
           height={600}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerCancel}
         />
+        <div style={styles.chartPanel}>
+          <canvas
+            ref={schematicCanvasRef}
+            style={{...styles.chart, display: mode === 'multiphysics' ? 'block' : 'none'}}
+            width={600}
+            height={300}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerCancel}
+            aria-label="Schematic"
+          />
+          <div style={styles.buttonGroup}>
+            <select
+              value={probeEntity ? String(probeEntity.id) : ''}
+              onChange={(e) => setProbeEntityId(e.target.value)}
+              style={{...styles.button, ...styles.secondaryButton}}
+              aria-label="Probe entity"
+            >
+              {probeTargets.map(entity => (
+                <option key={entity.id} value={entity.id}>{describeEntity(entity)}</option>
+              ))}
+            </select>
+            <select
+              value={selectedQuantity ?? ''}
+              onChange={(e) => setProbeQuantity(e.target.value)}
+              style={{...styles.button, ...styles.secondaryButton}}
+              aria-label="Probe quantity"
+            >
+              {probeQuantities.map(quantity => (
+                <option key={quantity} value={quantity}>{quantity}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAddProbe}
+              disabled={!probeEntity}
+              style={{...styles.button, ...styles.successButton}}
+            >
+              <Plus size={18} />
+              Probe
+            </button>
+            <button
+              onClick={handleExportCSV}
+              disabled={probes.length === 0}
+              style={{...styles.button, ...styles.secondaryButton}}
+            >
+              <Download size={18} />
+              CSV
+            </button>
+          </div>
+          <div style={{display: 'flex', flexWrap: 'wrap', gap: '6px'}}>
+            {probes.map(probe => (
+              <span key={probe.id} style={styles.probeChip}>
+                {probe.label}
+                <X size={14} style={{cursor: 'pointer'}} onClick={() => handleRemoveProbe(probe.id)} aria-label={`Remove ${probe.label}`} />
+              </span>
+            ))}
+          </div>
+          <canvas ref={chartCanvasRef} style={styles.chart} width={600} height={300} />
+          {mode === 'circuit' && (
+            <>
+              <div style={{...styles.buttonGroup, alignItems: 'center'}}>
+                <select
+                  value={sweepPin}
+                  onChange={(e) => setSweepOutput(e.target.value)}
+                  style={{...styles.button, ...styles.secondaryButton}}
+                  aria-label="Sweep output pin"
+                >
+                  {sweepPins.map(pin => (
+                    <option key={pin.key} value={pin.key}>{pin.label}</option>
+                  ))}
+                </select>
+                <label style={{...styles.infoLabel, display: 'flex', alignItems: 'center', gap: '6px'}}>
+                  <input
+                    type="number"
+                    min={0}
+                    value={sweepRange.from}
+                    onChange={(e) => setSweepRange({ ...sweepRange, from: Number(e.target.value) })}
+                    style={{...styles.inspectorInput, width: '72px'}}
+                    aria-label="Sweep from"
+                  />
+                  to
+                  <input
+                    type="number"
+                    min={0}
+                    value={sweepRange.to}
+                    onChange={(e) => setSweepRange({ ...sweepRange, to: Number(e.target.value) })}
+                    style={{...styles.inspectorInput, width: '88px'}}
+                    aria-label="Sweep to"
+                  />
+                  Hz
+                </label>
+                <button
+                  onClick={handleSweep}
+                  disabled={!sweepPin}
+                  title="Frequency response from the first source to the chosen pin"
+                  style={{...styles.button, ...styles.primaryButton}}
+                >
+                  <Activity size={18} />
+                  AC sweep
+                </button>
+              </div>
+              <canvas ref={bodeCanvasRef} style={styles.chart} width={600} height={300} />
+            </>
+          )}
+          {selectedEntity ? (
+            <div style={styles.inspector}>
+              <div style={styles.footerTitle}>
+                Entity #{selectedEntity.id}
+                <span style={{...styles.subtitle, marginLeft: '8px'}}>{inspectorFields.length === 0 && 'nothing to edit'}</span>
+              </div>
+              {inspectorFields.map(spec => {
+                const key = `${spec.componentName}.${spec.field}`;
+                const shown = drafts[key] ?? spec.value;
+                return (
+                  <label key={key} style={styles.inspectorRow}>
+                    <span style={styles.infoLabel}>{spec.label}{spec.unit && ` (${spec.unit})`}</span>
+                    {spec.type === 'select' ? (
+                      <select
+                        value={shown}
+                        onChange={(e) => handleFieldChange(spec.componentName, spec.field, e.target.value)}
+                        style={styles.inspectorInput}
+                      >
+                        {spec.options.map(option => <option key={option} value={option}>{option}</option>)}
+                      </select>
+                    ) : (
+                      <input
+                        type={spec.type === 'color' ? 'color' : 'text'}
+                        inputMode={spec.type === 'number' ? 'decimal' : undefined}
+                        value={spec.type === 'color' ? String(shown).slice(0, 7) : String(shown)}
+                        onChange={(e) => handleFieldChange(spec.componentName, spec.field, e.target.value)}
+                        onBlur={() => handleFieldBlur(spec.componentName, spec.field)}
+                        style={styles.inspectorInput}
+                      />
+                    )}
+                    {fieldErrors[key] && <span style={{color: '#f87171', gridColumn: '1 / -1'}}>{fieldErrors[key]}</span>}
+                  </label>
+                );
+              })}
+            </div>
+          ) : (
+            <div style={styles.subtitle}>Click a {{ physics: 'body', circuit: 'part', multiphysics: 'body or part' }[mode]} to inspect and edit it.</div>
+          )}
+        </div>
       </div>
 
       <div style={styles.footer}>
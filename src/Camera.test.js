@@ -0,0 +1,60 @@
+import { EntityRepository, EntityFactory, Camera } from './core';
+
+test('world points map to canvas pixels at the scale and back', () => {
+  const camera = new Camera(800, 600, 100);
+
+  expect(camera.toScreen(8, 6)).toEqual({ x: 800, y: 600 });
+  // Dragging the view right and up shows what is left of and below it
+  camera.pan(200, -100);
+  expect(camera.toScreen(0, 0)).toEqual({ x: 200, y: -100 });
+  expect(camera.toWorld(200, -100)).toEqual({ x: 0, y: 0 });
+  expect(camera.view).toEqual({ minX: -2, minY: 1, maxX: 6, maxY: 7 });
+});
+
+test('zooming keeps the point under the cursor still', () => {
+  const camera = new Camera(800, 600, 100);
+  const before = camera.toWorld(300, 200);
+
+  camera.zoomAt(2, 300, 200);
+
+  expect(camera.scale).toBe(200);
+  const after = camera.toWorld(300, 200);
+  expect(after.x).toBeCloseTo(before.x, 12);
+  expect(after.y).toBeCloseTo(before.y, 12);
+  camera.zoomAt(1e6, 0, 0);
+  expect(camera.zoom).toBe(Camera.MAX_ZOOM);
+});
+
+test('fit centers the scene and fills the canvas less the margin', () => {
+  const repo = new EntityRepository();
+  EntityFactory.createArena(repo);
+  EntityFactory.createPhysicsObject(repo, 4, 3);
+  const camera = new Camera(800, 600, 100);
+
+  // The arena spans 0..8 wide and 0..5.7 high
+  camera.fit(Camera.sceneBounds(repo.getAll()), 20);
+
+  expect(camera.scale).toBeCloseTo(95, 9);
+  const center = camera.toScreen(4, 2.85);
+  expect(center.x).toBeCloseTo(400, 9);
+  expect(center.y).toBeCloseTo(300, 9);
+});
+
+test('fixed spring and rod ends count toward the scene bounds', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 1, 1);
+  EntityFactory.createSpring(repo, { x: -3, y: 10 }, ball, 10);
+
+  expect(Camera.sceneBounds(repo.getAll())).toEqual({ minX: -3, maxX: 1.2, minY: 0.8, maxY: 10 });
+  expect(Camera.sceneBounds([])).toBeNull();
+});
+
+test('grid lines are 1, 2 or 5 times a power of ten apart', () => {
+  const camera = new Camera(800, 600, 100);
+
+  expect(camera.gridStep(50)).toBeCloseTo(0.5, 12);
+  camera.zoom = 0.3;
+  expect(camera.gridStep(50)).toBe(2);
+  camera.zoom = 20;
+  expect(camera.gridStep(50)).toBeCloseTo(0.05, 12);
+});
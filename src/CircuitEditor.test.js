@@ -0,0 +1,134 @@
+import { EntityRepository, EntityFactory, CircuitEditor, CommandStack } from './core';
+
+const setup = () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 100, 100, 9);
+  const resistor = EntityFactory.createCircuitResistor(repo, 300, 100, 100);
+  return { repo, battery, resistor, editor: new CircuitEditor(repo) };
+};
+
+test('clicking one pin and then another draws a wire between them', () => {
+  const { repo, battery, resistor, editor } = setup();
+
+  editor.pointerDown(120, 100); // battery '+'
+  expect(editor.pendingPin).toEqual({ entityId: battery.id, pin: '+' });
+  editor.pointerDown(280, 100); // resistor 'a'
+
+  const wires = repo.getAll().filter(e => e.hasComponent('wire'));
+  expect(wires).toHaveLength(1);
+  expect(wires[0].getComponent('wire')).toMatchObject({
+    startId: battery.id, startPin: '+', endId: resistor.id, endPin: 'a'
+  });
+  expect(editor.pendingPin).toBeNull();
+
+  // The same pair again is ignored
+  editor.pointerDown(280, 100);
+  editor.pointerDown(120, 100);
+  expect(repo.getAll().filter(e => e.hasComponent('wire'))).toHaveLength(1);
+});
+
+test('dragging a part moves it and selects it', () => {
+  const { resistor, editor } = setup();
+
+  editor.pointerDown(305, 95);
+  editor.pointerMove(405, 195);
+  editor.pointerUp();
+
+  expect(resistor.getComponent('transform')).toMatchObject({ x: 400, y: 200 });
+  expect(resistor.getComponent('draggable').selected).toBe(true);
+  expect(editor.selectedId).toBe(resistor.id);
+});
+
+test('clicking a switch flips it as an undoable edit, while dragging one only moves it', () => {
+  const repo = new EntityRepository();
+  const toggle = EntityFactory.createCircuitSPSTSwitch(repo, 100, 100);
+  const editor = new CircuitEditor(repo, new CommandStack());
+
+  editor.pointerDown(102, 98);
+  editor.pointerUp();
+  expect(toggle.getComponent('switch').closed).toBe(true);
+  expect(editor.commands.undoLabel).toBe('Flip switch');
+
+  editor.pointerDown(102, 98);
+  editor.pointerMove(152, 98);
+  editor.pointerUp();
+  expect(toggle.getComponent('switch').closed).toBe(true);
+
+  editor.commands.undo();
+  editor.commands.undo();
+  expect(toggle.getComponent('switch').closed).toBe(false);
+});
+
+test('a push button is closed only while held, and a blown fuse is replaced by clicking it', () => {
+  const repo = new EntityRepository();
+  const button = EntityFactory.createCircuitPushButton(repo, 100, 100);
+  const fuse = EntityFactory.createCircuitFuse(repo, 300, 100, 1);
+  const editor = new CircuitEditor(repo, new CommandStack());
+
+  editor.pointerDown(100, 100);
+  expect(button.getComponent('switch').closed).toBe(true);
+  editor.pointerUp();
+  expect(button.getComponent('switch').closed).toBe(false);
+  editor.pointerDown(100, 100);
+  editor.cancel();
+  expect(button.getComponent('switch').closed).toBe(false);
+  expect(editor.commands.undoLabel).toBeNull();
+
+  fuse.getComponent('fuse').blown = true;
+  editor.pointerDown(300, 100);
+  editor.pointerUp();
+  expect(fuse.getComponent('fuse').blown).toBe(false);
+  expect(editor.commands.undoLabel).toBe('Replace fuse');
+});
+
+test('deleting a part removes its wires and clears the other ends', () => {
+  const { repo, battery, resistor, editor } = setup();
+  EntityFactory.createCircuitWire(repo, battery, resistor);
+  EntityFactory.createCircuitWire(repo, resistor, battery);
+
+  editor.select(resistor.id);
+  editor.deleteSelected();
+
+  expect(repo.findById(resistor.id)).toBeUndefined();
+  expect(repo.getAll().filter(e => e.hasComponent('wire'))).toHaveLength(0);
+  expect(battery.getComponent('circuit').connections).toEqual([]);
+});
+
+test('a wire can be selected by clicking it and deleted on its own', () => {
+  const { repo, battery, resistor, editor } = setup();
+  const wire = EntityFactory.createCircuitWire(repo, battery, resistor);
+
+  editor.pointerDown(200, 102);
+  expect(editor.selectedId).toBe(wire.id);
+  editor.deleteSelected();
+
+  expect(repo.findById(wire.id)).toBeUndefined();
+  expect(repo.findById(resistor.id)).toBeDefined();
+  expect(resistor.getComponent('circuit').connections).toEqual([]);
+});
+
+test('wires are routed orthogonally, leaving each pin along its axis', () => {
+  const { repo, battery, resistor, editor } = setup();
+  resistor.getComponent('transform').y = 200;
+  const across = EntityFactory.createCircuitWire(repo, battery, resistor, '+', 'a');
+
+  // Both pins point sideways, so the wire steps down halfway between them
+  expect(editor.wireRoute(across)).toEqual([
+    { x: 120, y: 100 }, { x: 200, y: 100 }, { x: 200, y: 200 }, { x: 280, y: 200 }
+  ]);
+  // Clicking the vertical step selects the wire
+  editor.pointerDown(202, 150);
+  expect(editor.selectedId).toBe(across.id);
+
+  // An upright part's pins point up and down, so a wire to one turns once
+  resistor.getComponent('transform').rotation = Math.PI / 2;
+  const [, corner, end] = editor.wireRoute(across);
+  expect(corner).toEqual({ x: end.x, y: 100 });
+  expect(end.x).toBeCloseTo(300);
+  expect(end.y).toBeCloseTo(180);
+
+  // Pins already in line are joined straight
+  resistor.getComponent('transform').rotation = 0;
+  resistor.getComponent('transform').y = 100;
+  expect(editor.wireRoute(across)).toHaveLength(2);
+});
@@ -0,0 +1,418 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  CircuitSimulationStrategy,
+  SimulationEngine,
+  ModifiedNodalAnalysis,
+  ConservationDiagnostics
+} from './core';
+
+const solve = (repo) => {
+  const strategy = new CircuitSimulationStrategy();
+  strategy.update(repo.getAll(), 0);
+  return strategy;
+};
+
+test('series loop shares one current and divides the voltage', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  const r2 = EntityFactory.createCircuitResistor(repo, 0, 0, 200);
+  EntityFactory.createCircuitWire(repo, battery, r1);
+  EntityFactory.createCircuitWire(repo, r1, r2);
+  EntityFactory.createCircuitWire(repo, r2, battery);
+
+  solve(repo);
+
+  expect(battery.getComponent('circuit').current).toBeCloseTo(0.03, 6);
+  expect(r1.getComponent('circuit').current).toBeCloseTo(0.03, 6);
+  expect(r1.getComponent('circuit').voltage).toBeCloseTo(3, 6);
+  expect(r2.getComponent('circuit').voltage).toBeCloseTo(6, 6);
+  expect(battery.getComponent('circuit').connections).toHaveLength(2);
+});
+
+test('parallel branches split the current by conductance', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const r2 = EntityFactory.createCircuitResistor(repo, 0, 0, 40);
+  [r1, r2].forEach(r => {
+    EntityFactory.createCircuitWire(repo, battery, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, battery, 'b', '-');
+  });
+
+  solve(repo);
+
+  expect(r1.getComponent('circuit').current).toBeCloseTo(1, 6);
+  expect(r2.getComponent('circuit').current).toBeCloseTo(0.25, 6);
+  expect(battery.getComponent('circuit').current).toBeCloseTo(1.25, 6);
+});
+
+test('two sources drive a shared load by superposition', () => {
+  // 10V -[10Ω]- node -[10Ω]- 5V, node -[10Ω]- ground: V(node) = 5V
+  const repo = new EntityRepository();
+  const b1 = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const b2 = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  const ra = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const rb = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const load = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  EntityFactory.createCircuitWire(repo, b1, ra, '+', 'a');
+  EntityFactory.createCircuitWire(repo, b2, rb, '+', 'a');
+  EntityFactory.createCircuitWire(repo, ra, load, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, rb, load, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, load, b1, 'b', '-');
+  EntityFactory.createCircuitWire(repo, load, b2, 'b', '-');
+
+  solve(repo);
+
+  expect(load.getComponent('circuit').voltage).toBeCloseTo(5, 6);
+  expect(ra.getComponent('circuit').current).toBeCloseTo(0.5, 6);
+  expect(rb.getComponent('circuit').current).toBeCloseTo(0, 6);
+});
+
+test('open and floating sub-circuits carry no current', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  const loose = EntityFactory.createCircuitResistor(repo, 0, 0, 50);
+  EntityFactory.createCircuitWire(repo, battery, r1);
+
+  const strategy = solve(repo);
+
+  expect(strategy.error).toBeNull();
+  expect(battery.getComponent('circuit').current).toBeCloseTo(0, 9);
+  expect(r1.getComponent('circuit').current).toBeCloseTo(0, 9);
+  expect(loose.getComponent('circuit').current).toBe(0);
+});
+
+test('a shorted battery is reported instead of solved', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  EntityFactory.createCircuitWire(repo, battery, battery, '+', '-');
+
+  const strategy = solve(repo);
+
+  expect(strategy.error).not.toBeNull();
+  expect(battery.getComponent('circuit').current).toBe(0);
+});
+
+test('reversing a battery reverses the current through its load', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  EntityFactory.createCircuitWire(repo, battery, r, '-', 'a');
+  EntityFactory.createCircuitWire(repo, r, battery, 'b', '+');
+
+  solve(repo);
+
+  expect(r.getComponent('circuit').current).toBeCloseTo(-0.5, 6);
+  expect(battery.getComponent('circuit').current).toBeCloseTo(0.5, 6);
+});
+
+test('wires stay attached to pins when a component moves', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 100, 100, 5);
+  const circuit = battery.getComponent('circuit');
+  const transform = battery.getComponent('transform');
+
+  expect(circuit.pinPosition(transform, '+')).toEqual({ x: 120, y: 100 });
+  transform.x = 200;
+  transform.rotation = Math.PI / 2;
+  const moved = circuit.pinPosition(transform, '+');
+  expect(moved.x).toBeCloseTo(200, 9);
+  expect(moved.y).toBeCloseTo(120, 9);
+});
+
+test('wiring an unknown pin throws', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  expect(() => EntityFactory.createCircuitWire(repo, battery, r, '+', 'c')).toThrow(/no such pin/);
+});
+
+const run = (repo, strategy, seconds, step = 1 / 60) => {
+  for (let t = 0; t < seconds - 1e-9; t += step) {
+    strategy.update(repo.getAll(), step);
+  }
+};
+
+test('an RC circuit charges to 63% of the supply after one time constant', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  const c = EntityFactory.createCircuitCapacitor(repo, 0, 0, 0.001); // tau = 1s
+  EntityFactory.createCircuitWire(repo, battery, r);
+  EntityFactory.createCircuitWire(repo, r, c);
+  EntityFactory.createCircuitWire(repo, c, battery);
+
+  ['trapezoidal', 'backward-euler'].forEach(integration => {
+    c.getComponent('circuit').voltage = 0;
+    c.getComponent('circuit').current = 0;
+    const strategy = new CircuitSimulationStrategy();
+    strategy.integration = integration;
+
+    run(repo, strategy, 1);
+
+    expect(c.getComponent('circuit').voltage).toBeCloseTo(10 * (1 - Math.exp(-1)), 2);
+    expect(r.getComponent('circuit').current).toBeCloseTo(0.01 * Math.exp(-1), 4);
+  });
+});
+
+test('an RL circuit builds current towards V/R with time constant L/R', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const l = EntityFactory.createCircuitInductor(repo, 0, 0, 5); // tau = 0.5s
+  EntityFactory.createCircuitWire(repo, battery, r);
+  EntityFactory.createCircuitWire(repo, r, l);
+  EntityFactory.createCircuitWire(repo, l, battery);
+
+  run(repo, new CircuitSimulationStrategy(), 0.5);
+
+  expect(l.getComponent('circuit').current).toBeCloseTo(1 - Math.exp(-1), 3);
+});
+
+test('a charged LC tank rings at 1/(2π√LC) without losing amplitude', () => {
+  const repo = new EntityRepository();
+  const c = EntityFactory.createCircuitCapacitor(repo, 0, 0, 0.01);
+  const l = EntityFactory.createCircuitInductor(repo, 0, 0, 1); // period 2π·0.1 ≈ 0.628s
+  EntityFactory.createCircuitWire(repo, c, l);
+  EntityFactory.createCircuitWire(repo, l, c);
+  c.getComponent('circuit').voltage = 5;
+
+  const strategy = new CircuitSimulationStrategy();
+  run(repo, strategy, Math.PI * 0.1, 1 / 600); // half a period
+
+  expect(c.getComponent('circuit').voltage).toBeCloseTo(-5, 1);
+
+  run(repo, strategy, Math.PI * 0.1, 1 / 600);
+  expect(c.getComponent('circuit').voltage).toBeCloseTo(5, 1);
+});
+
+test('capacitors hold their charge when no time passes', () => {
+  const repo = new EntityRepository();
+  const c = EntityFactory.createCircuitCapacitor(repo, 0, 0, 0.001);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  EntityFactory.createCircuitWire(repo, c, r);
+  EntityFactory.createCircuitWire(repo, r, c);
+  c.getComponent('circuit').voltage = 2;
+
+  solve(repo);
+
+  expect(c.getComponent('circuit').voltage).toBeCloseTo(2, 9);
+  // The capacitor's a pin is wired to the resistor's b pin, so it discharges from b to a
+  expect(r.getComponent('circuit').current).toBeCloseTo(-0.02, 9);
+});
+
+test('every wire of a series loop carries the loop current, signed from its start pin', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  const resistor = EntityFactory.createCircuitResistor(repo, 0, 0, 90);
+  const out = EntityFactory.createCircuitWire(repo, battery, resistor, '+', 'a');
+  // Drawn from the battery's '-' pin, so against the current
+  const back = EntityFactory.createCircuitWire(repo, battery, resistor, '-', 'b');
+
+  solve(repo);
+
+  expect(out.getComponent('wire').current).toBeCloseTo(0.1, 6);
+  expect(back.getComponent('wire').current).toBeCloseTo(-0.1, 6);
+});
+
+test('wire currents split and rejoin at junctions by Kirchhoff\'s current law', () => {
+  // The battery feeds r1 directly; r2 is fed onwards from r1's 'a' pin
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const r2 = EntityFactory.createCircuitResistor(repo, 0, 0, 40);
+  const feed = EntityFactory.createCircuitWire(repo, battery, r1, '+', 'a');
+  const branch = EntityFactory.createCircuitWire(repo, r1, r2, 'a', 'a');
+  const rejoin = EntityFactory.createCircuitWire(repo, r2, r1, 'b', 'b');
+  const ret = EntityFactory.createCircuitWire(repo, r1, battery, 'b', '-');
+
+  solve(repo);
+
+  expect(feed.getComponent('wire').current).toBeCloseTo(1.25, 6);
+  expect(branch.getComponent('wire').current).toBeCloseTo(0.25, 6);
+  expect(rejoin.getComponent('wire').current).toBeCloseTo(0.25, 6);
+  expect(ret.getComponent('wire').current).toBeCloseTo(1.25, 6);
+});
+
+test('wires carry no current when the circuit cannot be solved', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  const resistor = EntityFactory.createCircuitResistor(repo, 0, 0, 90);
+  const wire = EntityFactory.createCircuitWire(repo, battery, resistor, '+', 'a');
+  EntityFactory.createCircuitWire(repo, resistor, battery, 'b', '-');
+  solve(repo);
+
+  EntityFactory.createCircuitWire(repo, battery, battery, '+', '-');
+  solve(repo);
+
+  expect(wire.getComponent('wire').current).toBe(0);
+});
+
+test('waveforms share the sine\'s phase: zero and rising at the start of each cycle', () => {
+  const repo = new EntityRepository();
+  const wave = (waveform, phase = 0) =>
+    EntityFactory.createCircuitVoltageSource(repo, 0, 0, 1, 1, waveform, phase).getComponent('source');
+
+  expect(wave('sine').at(0.25)).toBeCloseTo(1, 12);
+  expect(wave('sine', 90).at(0)).toBeCloseTo(1, 12);
+  expect(wave('square').at(0.1)).toBe(1);
+  expect(wave('square').at(0.6)).toBe(-1);
+  expect(wave('square').at(1.1)).toBe(1);
+  expect([0, 0.125, 0.25, 0.5, 0.75, 1].map(t => wave('triangle').at(t))).toEqual([0, 0.5, 1, 0, -1, 0]);
+  expect(wave('triangle', -90).at(0)).toBe(-1);
+});
+
+test('an AC voltage source drives its load with the waveform at the simulated time', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const source = EntityFactory.createCircuitVoltageSource(repo, 0, 0, 10, 50);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  EntityFactory.createCircuitWire(repo, source, r, '+', 'a');
+  EntityFactory.createCircuitWire(repo, r, source, 'b', '-');
+
+  engine.fixedTimeStep = 0.001;
+  engine.run(0.005); // a quarter cycle: the peak
+  expect(source.getComponent('circuit').voltage).toBeCloseTo(10, 6);
+  expect(r.getComponent('circuit').current).toBeCloseTo(0.1, 9);
+
+  engine.run(0.01); // three quarters: the trough
+  expect(r.getComponent('circuit').current).toBeCloseTo(-0.1, 9);
+});
+
+test('an AC current source pushes its current out of pin b whatever the load', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const source = EntityFactory.createCircuitCurrentSource(repo, 0, 0, 0.01, 1, 'square');
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  EntityFactory.createCircuitWire(repo, source, r, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, r, source, 'b', 'a');
+
+  engine.run(0.1);
+  expect(r.getComponent('circuit').current).toBeCloseTo(0.01, 9);
+  expect(r.getComponent('circuit').voltage).toBeCloseTo(10, 6);
+  engine.run(0.5);
+  expect(r.getComponent('circuit').current).toBeCloseTo(-0.01, 9);
+});
+
+// A battery through a resistor into a part's pins, wired from '+' back to '-'
+const drive = (repo, volts, resistance, part, [inPin, outPin]) => {
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, volts);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, resistance);
+  EntityFactory.createCircuitWire(repo, battery, r, '+', 'a');
+  EntityFactory.createCircuitWire(repo, r, part, 'b', inPin);
+  EntityFactory.createCircuitWire(repo, part, battery, outPin, '-');
+  return { battery, r };
+};
+
+test('a diode conducts at its forward voltage one way and blocks the other', () => {
+  const repo = new EntityRepository();
+  const diode = EntityFactory.createCircuitDiode(repo, 0, 0, 0.7);
+  const { battery } = drive(repo, 5, 430, diode, ['a', 'k']);
+
+  // 430Ω leaves 10mA at 0.7V, the forward voltage's reference current
+  const strategy = solve(repo);
+  expect(strategy.error).toBeNull();
+  expect(diode.getComponent('circuit').voltage).toBeCloseTo(0.7, 6);
+  expect(diode.getComponent('circuit').current).toBeCloseTo(0.01, 6);
+
+  battery.getComponent('circuit').value = -5;
+  solve(repo);
+  expect(diode.getComponent('circuit').voltage).toBeCloseTo(-5, 6);
+  expect(Math.abs(diode.getComponent('circuit').current)).toBeLessThan(1e-9);
+});
+
+test('a half-wave rectifier passes only the positive half-cycles', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const source = EntityFactory.createCircuitVoltageSource(repo, 0, 0, 10, 50);
+  const diode = EntityFactory.createCircuitDiode(repo, 0, 0, 0.7);
+  const load = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  EntityFactory.createCircuitWire(repo, source, diode, '+', 'a');
+  EntityFactory.createCircuitWire(repo, diode, load, 'k', 'a');
+  EntityFactory.createCircuitWire(repo, load, source, 'b', '-');
+
+  engine.fixedTimeStep = 0.001;
+  engine.run(0.005); // positive peak: all but a diode drop reaches the load
+  const peak = load.getComponent('circuit').voltage;
+  expect(peak).toBeGreaterThan(9.2);
+  expect(peak).toBeLessThan(9.4);
+  expect(10 - peak).toBeCloseTo(diode.getComponent('circuit').voltage, 9);
+
+  engine.run(0.01); // negative peak
+  expect(Math.abs(load.getComponent('circuit').current)).toBeLessThan(1e-9);
+  expect(diode.getComponent('circuit').voltage).toBeCloseTo(-10, 6);
+  expect(engine.strategy.error).toBeNull();
+});
+
+test('an NPN transistor multiplies its base current by its gain until it saturates', () => {
+  const repo = new EntityRepository();
+  const transistor = EntityFactory.createCircuitNPN(repo, 0, 0, 100);
+  drive(repo, 9, 1000, transistor, ['c', 'e']);
+  const base = EntityFactory.createCircuitResistor(repo, 0, 0, 100000);
+  const bias = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  EntityFactory.createCircuitWire(repo, bias, base, '+', 'a');
+  const baseWire = EntityFactory.createCircuitWire(repo, base, transistor, 'b', 'b');
+  EntityFactory.createCircuitWire(repo, transistor, bias, 'e', '-');
+
+  solve(repo);
+  const circuit = transistor.getComponent('circuit');
+  expect(circuit.controlVoltage).toBeGreaterThan(0.6);
+  expect(circuit.controlVoltage).toBeLessThan(0.75);
+  expect(circuit.controlCurrent).toBeCloseTo((5 - circuit.controlVoltage) / 100000, 9);
+  expect(circuit.current / circuit.controlCurrent).toBeCloseTo(100, 1);
+  expect(baseWire.getComponent('wire').current).toBeCloseTo(circuit.controlCurrent, 12);
+
+  const { kcl, kvl } = ConservationDiagnostics.kirchhoffResiduals(repo.getAll());
+  expect(Math.max(...kcl.map(Math.abs))).toBeLessThan(1e-9);
+  expect(Math.max(...kvl.map(Math.abs))).toBeLessThan(1e-9);
+
+  // Far more base current than the collector resistor allows: switched fully on
+  base.getComponent('circuit').value = 1000;
+  solve(repo);
+  expect(circuit.voltage).toBeLessThan(0.2);
+  expect(circuit.current).toBeCloseTo((9 - circuit.voltage) / 1000, 9);
+});
+
+test('a MOSFET is off below its threshold, saturated just above and a switch well above', () => {
+  const repo = new EntityRepository();
+  const mosfet = EntityFactory.createCircuitNMOS(repo, 0, 0, 2);
+  drive(repo, 12, 100, mosfet, ['d', 's']);
+  const gate = EntityFactory.createCircuitBattery(repo, 0, 0, 1);
+  EntityFactory.createCircuitWire(repo, gate, mosfet, '+', 'g');
+  EntityFactory.createCircuitWire(repo, mosfet, gate, 's', '-');
+  const circuit = mosfet.getComponent('circuit');
+
+  solve(repo);
+  expect(Math.abs(circuit.current)).toBeLessThan(1e-9);
+
+  // K/2 (Vgs - Vth)² with K = 0.1A/V²
+  gate.getComponent('circuit').value = 3;
+  solve(repo);
+  expect(circuit.current).toBeCloseTo(0.05, 9);
+  expect(circuit.controlCurrent).toBe(0);
+
+  gate.getComponent('circuit').value = 10;
+  solve(repo);
+  expect(circuit.voltage).toBeLessThan(0.2);
+  expect(circuit.current).toBeCloseTo((12 - circuit.voltage) / 100, 9);
+});
+
+test('a solve that does not converge is an error and leaves the last state alone', () => {
+  const repo = new EntityRepository();
+  const diode = EntityFactory.createCircuitDiode(repo, 0, 0, 0.7);
+  drive(repo, 5, 430, diode, ['a', 'k']);
+  const limit = ModifiedNodalAnalysis.MAX_NEWTON_ITERATIONS;
+
+  try {
+    ModifiedNodalAnalysis.MAX_NEWTON_ITERATIONS = 2;
+    const strategy = solve(repo);
+    expect(strategy.error).toMatch(/did not converge after 2 Newton iterations/);
+    expect(diode.getComponent('circuit').current).toBe(0);
+  } finally {
+    ModifiedNodalAnalysis.MAX_NEWTON_ITERATIONS = limit;
+  }
+  expect(solve(repo).error).toBeNull();
+});
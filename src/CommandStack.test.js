@@ -0,0 +1,170 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  CircuitEditor,
+  CommandStack,
+  SceneEditCommand,
+  SetFieldsCommand,
+  SceneSerializer
+} from './core';
+
+const scene = (repo) => repo.getAll().map(SceneSerializer.serializeEntity);
+
+test('creating an entity undoes and redoes', () => {
+  const repo = new EntityRepository();
+  EntityFactory.createPhysicsObject(repo, 100, 100);
+  const commands = new CommandStack();
+
+  const command = commands.execute(new SceneEditCommand(repo, 'Add ball', r => EntityFactory.createPhysicsObject(r, 200, 50, 2)));
+  const added = scene(repo);
+  expect(command.result.id).toBe(2);
+  expect(commands.undoLabel).toBe('Add ball');
+
+  commands.undo();
+  expect(repo.getAll().map(entity => entity.id)).toEqual([1]);
+  expect(commands.canUndo).toBe(false);
+  expect(commands.redoLabel).toBe('Add ball');
+
+  commands.redo();
+  expect(scene(repo)).toEqual(added);
+  expect(commands.canRedo).toBe(false);
+});
+
+test('removing an entity restores it, and everything the removal touched, on undo', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 100, 100, 9);
+  const resistor = EntityFactory.createCircuitResistor(repo, 300, 100, 100);
+  EntityFactory.createCircuitWire(repo, battery, resistor);
+  EntityFactory.createCircuitWire(repo, resistor, battery);
+  const before = scene(repo);
+  const editor = new CircuitEditor(repo);
+  const commands = new CommandStack();
+
+  commands.execute(new SceneEditCommand(repo, 'Delete', () => editor.removeEntity(resistor.id)));
+  expect(repo.getAll().map(entity => entity.id)).toEqual([battery.id]);
+  expect(repo.findById(battery.id).getComponent('circuit').connections).toEqual([]);
+
+  commands.undo();
+  expect(scene(repo).sort((a, b) => a.id - b.id)).toEqual(before);
+
+  commands.redo();
+  expect(repo.getAll().map(entity => entity.id)).toEqual([battery.id]);
+});
+
+test('editing component fields undoes to the previous values', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 100, 1);
+  const commands = new CommandStack();
+
+  commands.execute(new SetFieldsCommand(repo, ball.id, 'physics', { mass: 5, vx: 0 }));
+  expect(ball.getComponent('physics')).toMatchObject({ mass: 5, vx: 0 });
+
+  commands.undo();
+  expect(ball.getComponent('physics')).toMatchObject({ mass: 1, vx: -0.5 });
+  commands.redo();
+  expect(ball.getComponent('physics')).toMatchObject({ mass: 5, vx: 0 });
+});
+
+test('field edits find the entity by id, so they survive an undone removal', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 100, 1);
+  const commands = new CommandStack();
+  commands.execute(new SetFieldsCommand(repo, ball.id, 'physics', { mass: 3 }));
+  commands.execute(new SceneEditCommand(repo, 'Delete', r => r.remove(ball.id)));
+
+  commands.undo();
+  commands.undo();
+
+  expect(repo.findById(ball.id)).not.toBe(ball);
+  expect(repo.findById(ball.id).getComponent('physics').mass).toBe(1);
+});
+
+test('mergeable edits of the same fields undo in one step', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 100, 1);
+  const commands = new CommandStack();
+  const setMass = (mass) => {
+    const command = new SetFieldsCommand(repo, ball.id, 'physics', { mass });
+    command.mergeable = true;
+    commands.execute(command);
+  };
+
+  [2, 3, 4].forEach(setMass);
+  commands.execute(new SetFieldsCommand(repo, ball.id, 'physics', { mass: 9 }));
+  expect(commands.undoStack).toHaveLength(2);
+
+  commands.undo();
+  expect(ball.getComponent('physics').mass).toBe(4);
+  commands.undo();
+  expect(ball.getComponent('physics').mass).toBe(1);
+});
+
+test('a new edit clears the redo stack and the stack is bounded', () => {
+  const repo = new EntityRepository();
+  const commands = new CommandStack(3);
+  for (let i = 0; i < 5; i++) {
+    commands.execute(new SceneEditCommand(repo, `Add ${i}`, r => EntityFactory.createPhysicsObject(r, i * 50, 0)));
+  }
+  expect(commands.undoStack.map(command => command.label)).toEqual(['Add 2', 'Add 3', 'Add 4']);
+
+  commands.undo();
+  commands.execute(new SceneEditCommand(repo, 'Add 5', r => EntityFactory.createPhysicsObject(r, 0, 0)));
+  expect(commands.canRedo).toBe(false);
+  expect(commands.undo()).not.toBeNull();
+  expect(commands.undo()).not.toBeNull();
+  expect(commands.undo()).not.toBeNull();
+  expect(commands.undo()).toBeNull();
+});
+
+test('editing a missing component is an error', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 100);
+  expect(() => new CommandStack().execute(new SetFieldsCommand(repo, ball.id, 'circuit', { value: 1 })))
+    .toThrow(`Entity ${ball.id} has no 'circuit' component`);
+});
+
+describe('circuit editor', () => {
+  const setup = () => {
+    const repo = new EntityRepository();
+    const battery = EntityFactory.createCircuitBattery(repo, 100, 100, 9);
+    const resistor = EntityFactory.createCircuitResistor(repo, 300, 100, 100);
+    const commands = new CommandStack();
+    return { repo, battery, resistor, commands, editor: new CircuitEditor(repo, commands) };
+  };
+
+  test('a drag is one undoable move', () => {
+    const { repo, resistor, commands, editor } = setup();
+    editor.pointerDown(300, 100);
+    editor.pointerMove(350, 150);
+    editor.pointerMove(400, 200);
+    editor.pointerUp();
+
+    commands.undo();
+    expect(repo.findById(resistor.id).getComponent('transform')).toMatchObject({ x: 300, y: 100 });
+    commands.redo();
+    expect(repo.findById(resistor.id).getComponent('transform')).toMatchObject({ x: 400, y: 200 });
+  });
+
+  test('a click without moving records nothing', () => {
+    const { commands, editor } = setup();
+    editor.pointerDown(300, 100);
+    editor.pointerUp();
+    expect(commands.canUndo).toBe(false);
+  });
+
+  test('drawing and deleting wires can be undone', () => {
+    const { repo, battery, commands, editor } = setup();
+    const wire = editor.connect({ entityId: battery.id, pin: '+' }, { entityId: 2, pin: 'a' });
+    expect(battery.getComponent('circuit').connections).toEqual([wire.id]);
+
+    editor.select(wire.id);
+    editor.deleteSelected();
+    expect(repo.findById(wire.id)).toBeUndefined();
+
+    commands.undo();
+    expect(repo.findById(wire.id).getComponent('wire').startId).toBe(battery.id);
+    commands.undo();
+    expect(repo.findById(wire.id)).toBeUndefined();
+    expect(repo.findById(battery.id).getComponent('circuit').connections).toEqual([]);
+  });
+});
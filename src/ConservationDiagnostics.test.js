@@ -0,0 +1,165 @@
+import {
+  EntityFactory,
+  SimulationEngine,
+  PhysicsSimulationStrategy,
+  CircuitSimulationStrategy,
+  ConservationDiagnostics,
+  ScenarioLibrary
+} from './core';
+
+const observed = (strategy) => {
+  const engine = new SimulationEngine(strategy);
+  const diagnostics = new ConservationDiagnostics();
+  engine.addObserver(diagnostics);
+  return { engine, diagnostics };
+};
+
+const run = (engine, steps) => {
+  for (let i = 0; i < steps; i++) {
+    engine.step();
+    engine.notifyObservers();
+  }
+};
+
+describe('physics', () => {
+  test('an elastic collision keeps energy and momentum', () => {
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    const { engine, diagnostics } = observed(strategy);
+    EntityFactory.createPhysicsObject(engine.repository, 200, 300, 1, 80, 0);
+    EntityFactory.createPhysicsObject(engine.repository, 300, 300, 3, -20, 0);
+
+    run(engine, 240);
+
+    expect(diagnostics.report.closed).toBe(true);
+    expect(diagnostics.report.kinetic).toBeCloseTo(0.5 * 80 * 80 + 1.5 * 20 * 20, 6);
+    expect(diagnostics.report.momentum.x).toBeCloseTo(20, 9);
+    expect(diagnostics.warnings).toEqual([]);
+  });
+
+  test('free fall trades potential for kinetic energy', () => {
+    const { engine, diagnostics } = observed(new PhysicsSimulationStrategy());
+    engine.strategy.integrator = 'velocity-verlet';
+    EntityFactory.createPhysicsObject(engine.repository, 400, 100, 2, 0, 0);
+
+    run(engine, 60);
+
+    const { kinetic, potential, energyDrift } = diagnostics.report;
+    expect(kinetic).toBeGreaterThan(0);
+    expect(kinetic + potential).toBeCloseTo(-2 * engine.strategy.gravity * 100, 6);
+    expect(Math.abs(energyDrift)).toBeLessThan(1e-9);
+    expect(diagnostics.warnings).toEqual([]);
+  });
+
+  test('springs and orbits count their stored energy', () => {
+    ['spring-oscillator', 'orbit'].forEach(id => {
+      const { engine, diagnostics } = observed(new PhysicsSimulationStrategy());
+      ScenarioLibrary.load(engine, id);
+      engine.strategy.integrator = 'rk4';
+      // The damped spring in the oscillator scene is allowed to lose energy, never to gain it
+      run(engine, 600);
+      expect(diagnostics.report.energyDrift).toBeLessThan(1e-4);
+      expect(diagnostics.warnings).toEqual([]);
+    });
+  });
+
+  test('a collision that adds energy and momentum is flagged', () => {
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    const resolve = strategy.resolveCollision.bind(strategy);
+    jest.spyOn(strategy, 'resolveCollision').mockImplementation((a, b, contact) => {
+      resolve(a, b, contact);
+      [a, b].forEach(entity => { entity.getComponent('physics').vx *= 1.5; });
+    });
+    const { engine, diagnostics } = observed(strategy);
+    EntityFactory.createPhysicsObject(engine.repository, 200, 300, 1, 80, 0);
+    EntityFactory.createPhysicsObject(engine.repository, 300, 300, 1, 0, 0);
+
+    run(engine, 240);
+
+    expect(diagnostics.warnings).toEqual([
+      expect.stringMatching(/^Mechanical energy drifted/),
+      expect.stringMatching(/^Momentum drifted/)
+    ]);
+  });
+
+  test('momentum drift in a closed system is flagged', () => {
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    const { engine, diagnostics } = observed(strategy);
+    const ball = EntityFactory.createPhysicsObject(engine.repository, 200, 300, 1, 50, 0);
+    run(engine, 1);
+
+    ball.getComponent('physics').vx = -50;
+    run(engine, 1);
+
+    expect(diagnostics.report.momentumDrift).toBeCloseTo(2, 9);
+    expect(diagnostics.warnings).toEqual([expect.stringMatching(/^Momentum drifted/)]);
+  });
+
+  test('inelastic bounces lose energy without a warning', () => {
+    const { engine, diagnostics } = observed(new PhysicsSimulationStrategy());
+    ScenarioLibrary.load(engine, 'bouncing-balls');
+
+    run(engine, 600);
+
+    expect(diagnostics.report.dissipative).toBe(true);
+    expect(diagnostics.report.energyDrift).toBeLessThan(0);
+    expect(diagnostics.warnings).toEqual([]);
+  });
+
+  test('a reset starts measuring from the new run', () => {
+    const { engine, diagnostics } = observed(new PhysicsSimulationStrategy());
+    ScenarioLibrary.load(engine, 'projectile-launch');
+    run(engine, 30);
+    const firstBaseline = diagnostics.baseline;
+
+    engine.reset();
+    ScenarioLibrary.load(engine, 'projectile-launch');
+
+    expect(diagnostics.baseline).not.toBe(firstBaseline);
+    expect(diagnostics.baseline.time).toBe(0);
+  });
+});
+
+describe('circuits', () => {
+  test('a solved circuit satisfies KCL at every node and KVL around every loop', () => {
+    const { engine, diagnostics } = observed(new CircuitSimulationStrategy());
+    ScenarioLibrary.load(engine, 'parallel-resistors');
+
+    run(engine, 1);
+
+    const { kcl, kvl, maxKCL, maxKVL } = diagnostics.report;
+    expect(kcl).toHaveLength(2);
+    // Battery and three resistors between two nodes close three independent loops
+    expect(kvl).toHaveLength(3);
+    expect(maxKCL).toBeLessThan(1e-9);
+    expect(maxKVL).toBeLessThan(1e-9);
+    expect(diagnostics.warnings).toEqual([]);
+  });
+
+  test('inconsistent currents and voltages are flagged', () => {
+    const { engine, diagnostics } = observed(new CircuitSimulationStrategy());
+    ScenarioLibrary.load(engine, 'series-circuit');
+    engine.step();
+
+    const resistor = engine.repository.getAll().find(entity => entity.getComponent('circuit')?.componentType === 'resistor');
+    resistor.getComponent('circuit').current += 0.01;
+    resistor.getComponent('circuit').voltage += 1;
+    engine.notifyObservers();
+
+    expect(diagnostics.report.maxKCL).toBeCloseTo(0.01, 9);
+    expect(diagnostics.report.maxKVL).toBeCloseTo(1, 9);
+    expect(diagnostics.warnings).toHaveLength(2);
+  });
+
+  test('a circuit with no solution reports the solver error', () => {
+    const { engine, diagnostics } = observed(new CircuitSimulationStrategy());
+    const battery = EntityFactory.createCircuitBattery(engine.repository, 100, 300, 9);
+    EntityFactory.createCircuitWire(engine.repository, battery, battery);
+
+    run(engine, 1);
+
+    expect(diagnostics.warnings).toEqual([engine.strategy.error]);
+  });
+});
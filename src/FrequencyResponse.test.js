@@ -0,0 +1,103 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  FrequencyResponse,
+  ScenarioLibrary,
+  SimulationEngine,
+  CircuitSimulationStrategy
+} from './core';
+
+const scenario = (id) => {
+  const engine = new SimulationEngine(null);
+  ScenarioLibrary.load(engine, id);
+  return engine.repository.getAll();
+};
+
+// Both filter scenarios wire source, first part, then second part: id 3 'a' is the output node
+const OUTPUT = { entityId: 3, pin: 'a' };
+const CORNER = 1 / (2 * Math.PI * 1000 * 1e-6);
+
+const at = (response, frequency) => {
+  const i = response.frequencies.findIndex(f => Math.abs(f / frequency - 1) < 1e-9);
+  return { magnitude: response.magnitude[i], phase: response.phase[i] };
+};
+
+test('an RC low-pass passes low frequencies and rolls off at 20dB per decade past 1/(2πRC)', () => {
+  const response = FrequencyResponse.sweep(scenario('rc-low-pass'), { output: OUTPUT, from: 1, to: 100000 });
+
+  expect(at(response, 1).magnitude).toBeCloseTo(0, 3);
+  expect(at(response, 1).phase).toBeCloseTo(-0.36, 1);
+  expect(at(response, 10000).magnitude - at(response, 100000).magnitude).toBeCloseTo(20, 1);
+  expect(at(response, 100000).phase).toBeCloseTo(-90, 0);
+  expect(FrequencyResponse.cornerFrequency(response) / CORNER).toBeCloseTo(1, 2);
+
+  const corner = FrequencyResponse.sweep(scenario('rc-low-pass'), { output: OUTPUT, from: CORNER, to: 2 * CORNER });
+  expect(corner.magnitude[0]).toBeCloseTo(-10 * Math.log10(2), 6);
+  expect(corner.phase[0]).toBeCloseTo(-45, 6);
+});
+
+test('an RC high-pass is the mirror image, leading by 45° at the corner', () => {
+  const response = FrequencyResponse.sweep(scenario('rc-high-pass'), { output: OUTPUT, from: CORNER, to: 100000 });
+
+  expect(response.magnitude[0]).toBeCloseTo(-10 * Math.log10(2), 6);
+  expect(response.phase[0]).toBeCloseTo(45, 6);
+  expect(response.magnitude[response.magnitude.length - 1]).toBeCloseTo(0, 3);
+});
+
+test('a series RLC peaks across its resistor at 1/(2π√LC)', () => {
+  const repo = new EntityRepository();
+  const source = EntityFactory.createCircuitVoltageSource(repo, 0, 0, 2, 50, 'sine', 30);
+  const l = EntityFactory.createCircuitInductor(repo, 0, 0, 0.01);
+  const c = EntityFactory.createCircuitCapacitor(repo, 0, 0, 1e-6);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  EntityFactory.createCircuitWire(repo, source, l, '+', 'a');
+  EntityFactory.createCircuitWire(repo, l, c, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, c, r, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, r, source, 'b', '-');
+  const resonance = 1 / (2 * Math.PI * Math.sqrt(0.01 * 1e-6));
+
+  // Amplitude and phase of the source cancel out of the transfer function
+  const response = FrequencyResponse.sweep(repo.getAll(), { output: { entityId: r.id, pin: 'a' }, from: resonance, to: 10 * resonance });
+  expect(response.magnitude[0]).toBeCloseTo(0, 6);
+  expect(response.phase[0]).toBeCloseTo(0, 6);
+  expect(response.magnitude[1]).toBeLessThan(0);
+});
+
+test('a sweep needs a source and a real output pin', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 9);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  EntityFactory.createCircuitWire(repo, battery, r);
+  EntityFactory.createCircuitWire(repo, r, battery);
+  expect(() => FrequencyResponse.sweep(repo.getAll(), { output: { entityId: r.id, pin: 'a' } }))
+    .toThrow('Add a voltage or current source');
+
+  expect(() => FrequencyResponse.sweep(scenario('rc-low-pass'), { output: { entityId: 3, pin: 'z' } }))
+    .toThrow('No pin z on part #3');
+  expect(() => FrequencyResponse.sweep(scenario('rc-low-pass'), { output: OUTPUT, from: 100, to: 10 }))
+    .toThrow('0 < from < to');
+});
+
+test('nonlinear parts are linearized about their operating point', () => {
+  const repo = new EntityRepository();
+  // 10mA through the diode gives it a small-signal resistance of Vt / 10mA, about 2.6Ω
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  const source = EntityFactory.createCircuitVoltageSource(repo, 0, 0, 0.001, 1000);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 430);
+  const diode = EntityFactory.createCircuitDiode(repo, 0, 0, 0.7);
+  EntityFactory.createCircuitWire(repo, battery, source, '+', '-');
+  EntityFactory.createCircuitWire(repo, source, r, '+', 'a');
+  EntityFactory.createCircuitWire(repo, r, diode, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, diode, battery, 'k', '-');
+  new CircuitSimulationStrategy().update(repo.getAll(), 0);
+
+  const current = diode.getComponent('circuit').current;
+  const resistance = 0.025852 / current;
+  const response = FrequencyResponse.sweep(repo.getAll(), {
+    output: { entityId: diode.id, pin: 'a' },
+    reference: { entityId: diode.id, pin: 'k' },
+    from: 100,
+    to: 1000
+  });
+  expect(response.magnitude[0]).toBeCloseTo(20 * Math.log10(resistance / (430 + resistance)), 3);
+});
@@ -0,0 +1,130 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  SimulationEngine,
+  CircuitSimulationStrategy,
+  ConservationDiagnostics,
+  PropertyInspector,
+  ScopeComponent,
+  SceneSerializer
+} from './core';
+
+const settle = (engine, steps = 5) => {
+  for (let i = 0; i < steps; i++) engine.step();
+};
+
+// 12V across 1kΩ and 2kΩ, with an ammeter in the loop and a voltmeter across the 2kΩ
+const createDivider = () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 12);
+  const ammeter = EntityFactory.createCircuitAmmeter(repo, 0, 0);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  const r2 = EntityFactory.createCircuitResistor(repo, 0, 0, 2000);
+  const voltmeter = EntityFactory.createCircuitVoltmeter(repo, 0, 0);
+  EntityFactory.createCircuitWire(repo, battery, ammeter, '+', '+');
+  EntityFactory.createCircuitWire(repo, ammeter, r1, '-', 'a');
+  EntityFactory.createCircuitWire(repo, r1, r2, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, r2, battery, 'b', '-');
+  EntityFactory.createCircuitWire(repo, r2, voltmeter, 'a', '+');
+  EntityFactory.createCircuitWire(repo, r2, voltmeter, 'b', '-');
+  return { engine, ammeter, r2, voltmeter };
+};
+
+const createOhmmeterOn = (resistances) => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const ohmmeter = EntityFactory.createCircuitOhmmeter(repo, 0, 0);
+  resistances.forEach(resistance => {
+    const r = EntityFactory.createCircuitResistor(repo, 0, 0, resistance);
+    EntityFactory.createCircuitWire(repo, ohmmeter, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, ohmmeter, 'b', '-');
+  });
+  return { engine, ohmmeter };
+};
+
+test('an ammeter in series and a voltmeter across read the divider without loading it', () => {
+  const { engine, ammeter, r2, voltmeter } = createDivider();
+  settle(engine);
+
+  expect(ammeter.getComponent('meter').reading).toBeCloseTo(0.004, 9);
+  expect(ammeter.getComponent('circuit').voltage).toBeCloseTo(0, 9);
+  expect(voltmeter.getComponent('meter').reading).toBeCloseTo(8, 6);
+  expect(voltmeter.getComponent('circuit').current).toBeCloseTo(0, 9);
+  expect(r2.getComponent('circuit').current).toBeCloseTo(0.004, 9);
+  expect(voltmeter.getComponent('meter').status).toBeNull();
+});
+
+test('an ohmmeter reads series and parallel resistance and obeys KCL while measuring', () => {
+  const single = createOhmmeterOn([1000]);
+  settle(single.engine);
+  expect(single.ohmmeter.getComponent('meter').reading).toBeCloseTo(1000, 3);
+
+  const parallel = createOhmmeterOn([1000, 470]);
+  settle(parallel.engine);
+  expect(parallel.ohmmeter.getComponent('meter').reading).toBeCloseTo(1000 * 470 / 1470, 3);
+  const { kcl } = ConservationDiagnostics.kirchhoffResiduals(parallel.engine.repository.getAll());
+  expect(Math.max(...kcl.map(Math.abs))).toBeLessThan(1e-9);
+});
+
+test('an ohmmeter shows OL on an open circuit and refuses to measure a powered one', () => {
+  const open = createOhmmeterOn([]);
+  settle(open.engine);
+  expect(open.ohmmeter.getComponent('meter').status).toBe('OL');
+
+  const powered = createOhmmeterOn([1000]);
+  const battery = EntityFactory.createCircuitBattery(powered.engine.repository, 0, 0, 9);
+  const r = powered.engine.repository.getAll().find(entity => entity.getComponent('circuit')?.componentType === 'resistor');
+  EntityFactory.createCircuitWire(powered.engine.repository, battery, r, '+', 'a');
+  EntityFactory.createCircuitWire(powered.engine.repository, r, battery, 'b', '-');
+  settle(powered.engine);
+  expect(powered.ohmmeter.getComponent('meter').status).toBe('Remove power');
+});
+
+test('the oscilloscope records both channels over one screen and never saves the trace', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const source = EntityFactory.createCircuitVoltageSource(repo, 0, 0, 2, 100);
+  const r1 = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  const r2 = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  const scope = EntityFactory.createCircuitOscilloscope(repo, 0, 0, 0.002);
+  EntityFactory.createCircuitWire(repo, source, r1, '+', 'a');
+  EntityFactory.createCircuitWire(repo, r1, r2, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, r2, source, 'b', '-');
+  EntityFactory.createCircuitWire(repo, source, scope, '+', 'ch1');
+  EntityFactory.createCircuitWire(repo, r2, scope, 'a', 'ch2');
+  EntityFactory.createCircuitWire(repo, source, scope, '-', 'gnd');
+
+  const window = scope.getComponent('scope').window;
+  expect(window).toBeCloseTo(0.002 * ScopeComponent.DIVISIONS);
+  let time = 0;
+  while (time < 3 * window) {
+    engine.step();
+    time += engine.fixedTimeStep;
+  }
+
+  const trace = scope.getComponent('trace');
+  expect(trace.times[trace.times.length - 1] - trace.times[1]).toBeLessThanOrEqual(window);
+  const [ch1, ch2] = trace.channels;
+  expect(Math.max(...ch1)).toBeCloseTo(2, 1);
+  ch1.forEach((value, i) => expect(ch2[i]).toBeCloseTo(value / 2, 9));
+
+  const saved = SceneSerializer.serialize(engine);
+  expect(saved.entities.find(entity => entity.id === scope.id).components.trace).toBeUndefined();
+});
+
+test('a part turned into a meter gains a readout and loses its value field', () => {
+  const repo = new EntityRepository();
+  const resistor = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+
+  PropertyInspector.changeCircuitType(repo, resistor.id, 'voltmeter');
+  expect(resistor.hasComponent('meter')).toBe(true);
+  expect(PropertyInspector.fieldsFor(resistor).map(spec => spec.field)).not.toContain('value');
+
+  PropertyInspector.changeCircuitType(repo, resistor.id, 'ohmmeter');
+  expect(PropertyInspector.fieldsFor(resistor).find(spec => spec.field === 'value').unit).toBe('A');
+
+  PropertyInspector.changeCircuitType(repo, resistor.id, 'oscilloscope');
+  expect(resistor.hasComponent('meter')).toBe(false);
+  expect(resistor.hasComponent('scope')).toBe(true);
+});
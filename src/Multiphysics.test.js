@@ -0,0 +1,189 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  SimulationEngine,
+  CircuitSimulationStrategy,
+  PhysicsSimulationStrategy,
+  ThermalSimulationStrategy,
+  StrategyPipeline,
+  ConservationDiagnostics,
+  PropertyInspector,
+  CommandStack,
+  SceneSerializer,
+  ScenarioLibrary
+} from './core';
+
+const createMultiphysics = (gravity = 0) => {
+  const engine = new SimulationEngine(SceneSerializer.createStrategy('multiphysics'));
+  engine.strategy.find(PhysicsSimulationStrategy).gravity = gravity;
+  return engine;
+};
+
+// A battery straight across a motor driving a body in the open
+const createMotorRig = ({ volts, resistance, constant, mass }) => {
+  const engine = createMultiphysics();
+  const repo = engine.repository;
+  const body = EntityFactory.createPhysicsObject(repo, 0, 0, mass, 0, 0);
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, volts);
+  const motor = EntityFactory.createCircuitMotor(repo, 0, 0, resistance, body, constant);
+  EntityFactory.createCircuitWire(repo, battery, motor, '+', 'a');
+  EntityFactory.createCircuitWire(repo, motor, battery, 'b', '-');
+  return { engine, body, motor };
+};
+
+test('a pipeline runs its stages in order over one repository and reports their first error', () => {
+  const calls = [];
+  const recording = (name, error = null) => ({
+    error,
+    update: (entities, deltaTime, time) => calls.push([name, entities.length, deltaTime, time])
+  });
+  const pipeline = new StrategyPipeline([recording('first'), recording('second', 'broken')]);
+  const engine = new SimulationEngine(pipeline);
+  EntityFactory.createPhysicsObject(engine.repository, 1, 1, 1, 0, 0);
+
+  engine.step(0.5);
+  expect(calls).toEqual([['first', 1, 0.5, 0.5], ['second', 1, 0.5, 0.5]]);
+  expect(pipeline.error).toBe('broken');
+  expect(pipeline.find(CircuitSimulationStrategy)).toBeNull();
+
+  const stages = SceneSerializer.createStrategy('multiphysics').stages;
+  expect(stages[0]).toBeInstanceOf(CircuitSimulationStrategy);
+  expect(stages[2]).toBeInstanceOf(PhysicsSimulationStrategy);
+  expect(new StrategyPipeline(stages).find(PhysicsSimulationStrategy)).toBe(stages[2]);
+});
+
+test('a motor accelerates its body until the back-emf cancels the supply', () => {
+  // Terminal speed V/k, reached with time constant m R / k²
+  const { engine, body, motor } = createMotorRig({ volts: 6, resistance: 2, constant: 2, mass: 2 });
+  const tau = 2 * 2 / (2 * 2);
+
+  engine.step();
+  expect(motor.getComponent('circuit').current).toBeCloseTo(3, 6);
+  engine.run(tau);
+  expect(body.getComponent('physics').vx).toBeCloseTo(3 * (1 - Math.exp(-1)), 1);
+  engine.run(8 * tau);
+  expect(body.getComponent('physics').vx).toBeCloseTo(3, 2);
+  expect(motor.getComponent('circuit').current).toBeCloseTo(0, 2);
+  expect(motor.getComponent('motor').speed).toBeCloseTo(body.getComponent('physics').vx, 2);
+  expect(body.getComponent('physics').vy).toBe(0);
+});
+
+test('what the battery delivers to a motor is its winding heat plus the kinetic energy it gives', () => {
+  const { engine, body, motor } = createMotorRig({ volts: 12, resistance: 4, constant: 3, mass: 1 });
+  const circuit = motor.getComponent('circuit');
+  // The back-emf follows the body's speed a step behind, so the books balance as well as steps are short
+  engine.fixedTimeStep = 1 / 1200;
+  let supplied = 0;
+  let heat = 0;
+  engine.addObserver({
+    update: () => {
+      supplied += circuit.voltage * circuit.current * engine.fixedTimeStep;
+      heat += ThermalSimulationStrategy.dissipation(motor) * engine.fixedTimeStep;
+    }
+  });
+
+  engine.run(2);
+  const kinetic = 0.5 * body.getComponent('physics').vx ** 2;
+  expect(kinetic).toBeGreaterThan(1);
+  expect((heat + kinetic) / supplied).toBeCloseTo(1, 2);
+});
+
+test('charged plates push charged bodies in their gap by the voltage across them, and nothing outside', () => {
+  const engine = createMultiphysics();
+  const repo = engine.repository;
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 50);
+  const plates = EntityFactory.createCircuitPlates(repo, 0, 0, 1e-6, 4, 3, 2, 0.5);
+  EntityFactory.createCircuitWire(repo, battery, plates, '+', 'a');
+  EntityFactory.createCircuitWire(repo, plates, battery, 'b', '-');
+  const inside = EntityFactory.createChargedObject(repo, 4, 3, 0.01, 2);
+  const outside = EntityFactory.createChargedObject(repo, 6, 3, 0.01, 2);
+  const neutral = EntityFactory.createPhysicsObject(repo, 4.5, 3, 2, 0, 0);
+
+  engine.step();
+  expect(plates.getComponent('plates').voltage).toBeCloseTo(50, 6);
+  // 100V/m on 0.01C is 1N, so 0.5m/s² on 2kg, from pin a's plate on top towards b's below
+  expect(inside.getComponent('physics').vy).toBeCloseTo(0.5 * engine.fixedTimeStep, 9);
+  expect(inside.getComponent('physics').vx).toBe(0);
+  expect(outside.getComponent('physics').vy).toBe(0);
+  expect(neutral.getComponent('physics').vy).toBe(0);
+});
+
+test('a heated part relaxes exactly towards ambient plus power times thermal resistance', () => {
+  const engine = createMultiphysics();
+  const repo = engine.repository;
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const heater = EntityFactory.createCircuitHeater(repo, 0, 0, 10, 2, 5, 25);
+  EntityFactory.createCircuitWire(repo, battery, heater, '+', 'a');
+  EntityFactory.createCircuitWire(repo, heater, battery, 'b', '-');
+
+  // 10W through 5K/W settles 50K above ambient, with a 10s time constant
+  engine.run(10);
+  expect(heater.getComponent('thermal').temperature).toBeCloseTo(25 + 50 * (1 - Math.exp(-1)), 6);
+  expect(ThermalSimulationStrategy.dissipation(battery)).toBe(0);
+
+  battery.getComponent('battery').internalResistance = 10;
+  engine.step();
+  expect(ThermalSimulationStrategy.dissipation(battery)).toBeCloseTo(2.5, 9);
+});
+
+test('multiphysics scenes save each stage\'s settings and load back as a pipeline', () => {
+  const engine = new SimulationEngine(null);
+  ScenarioLibrary.load(engine, 'charged-plates');
+  engine.strategy.find(CircuitSimulationStrategy).integration = 'backward-euler';
+  engine.run(0.1);
+
+  const saved = JSON.parse(SceneSerializer.toJSON(engine));
+  expect(saved.mode).toBe('multiphysics');
+  expect(saved.strategy.physics.gravity).toBe(0);
+  expect(saved.strategy.circuit.integration).toBe('backward-euler');
+
+  const loaded = new SimulationEngine(null);
+  expect(SceneSerializer.load(loaded, saved)).toBe('multiphysics');
+  expect(loaded.strategy).toBeInstanceOf(StrategyPipeline);
+  expect(loaded.strategy.find(PhysicsSimulationStrategy).gravity).toBe(0);
+  expect(loaded.strategy.find(CircuitSimulationStrategy).integration).toBe('backward-euler');
+  const plates = loaded.repository.getAll().find(entity => entity.hasComponent('plates')).getComponent('plates');
+  expect(plates).toMatchObject({ x: 4, y: 3, width: 3, separation: 2 });
+  expect(typeof plates.fieldAt).toBe('function');
+});
+
+test('the motor cart demo drives the cart to the wall, then stalls and heats the winding', () => {
+  const engine = new SimulationEngine(null);
+  ScenarioLibrary.load(engine, 'motor-cart');
+  const diagnostics = new ConservationDiagnostics();
+  engine.addObserver(diagnostics);
+  const find = (predicate) => engine.repository.getAll().find(predicate);
+  const cart = find(entity => entity.getComponent('tangible')?.shape === 'box');
+  const motor = find(entity => entity.hasComponent('motor'));
+
+  engine.run(0.5);
+  expect(cart.getComponent('physics').vx).toBe(0);
+  find(entity => entity.hasComponent('switch')).getComponent('switch').closed = true;
+  engine.run(2);
+  expect(cart.getComponent('physics').vx).toBeGreaterThan(2);
+  // The floor holds the cart up against gravity while the motor pushes it along
+  expect(cart.getComponent('transform').y).toBeCloseTo(5.5, 2);
+
+  engine.run(5);
+  expect(cart.getComponent('transform').x).toBeCloseTo(7.6, 2);
+  expect(motor.getComponent('circuit').current).toBeCloseTo(3, 2);
+  expect(motor.getComponent('thermal').temperature).toBeGreaterThan(25);
+  expect(diagnostics.report.mode).toBe('circuit');
+  expect(diagnostics.warnings).toEqual([]);
+});
+
+test('a part turned into a motor gains its settings, and only whole entity numbers drive a body', () => {
+  const repo = new EntityRepository();
+  const commands = new CommandStack();
+  const part = EntityFactory.createCircuitResistor(repo, 0, 0, 5);
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'motor');
+  expect(part.getComponent('motor')).toMatchObject({ bodyId: 0, constant: 1, angle: 0 });
+  expect(PropertyInspector.fieldsFor(part).find(spec => spec.field === 'value').unit).toBe('Ω');
+  expect(() => PropertyInspector.edit(commands, repo, part.id, 'motor', 'bodyId', '1.5')).toThrow('entity number');
+  PropertyInspector.edit(commands, repo, part.id, 'motor', 'bodyId', '3');
+  expect(part.getComponent('motor').bodyId).toBe(3);
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'resistor');
+  expect(part.hasComponent('motor')).toBe(false);
+});
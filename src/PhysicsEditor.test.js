@@ -0,0 +1,114 @@
+import {
+  EntityFactory,
+  SimulationEngine,
+  PhysicsSimulationStrategy,
+  PhysicsEditor,
+  CommandStack,
+  SceneSerializer
+} from './core';
+import { clientToCanvasPoint } from './App';
+
+const createScene = () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 4, 3, 2, 0, 0);
+  const editor = new PhysicsEditor(engine.repository, new CommandStack());
+  return { engine, ball, editor };
+};
+
+const steps = (engine, count) => {
+  for (let i = 0; i < count; i++) engine.step();
+};
+
+test('client coordinates map onto the canvas drawing space axis by axis', () => {
+  // An 800x600 canvas drawn 400 CSS pixels wide and 450 high, offset on the page
+  const canvas = {
+    width: 800,
+    height: 600,
+    getBoundingClientRect: () => ({ left: 10, top: 20, width: 400, height: 450 })
+  };
+
+  expect(clientToCanvasPoint(canvas, 10, 20)).toEqual({ x: 0, y: 0 });
+  expect(clientToCanvasPoint(canvas, 210, 245)).toEqual({ x: 400, y: 300 });
+  expect(clientToCanvasPoint(canvas, 410, 470)).toEqual({ x: 800, y: 600 });
+});
+
+test('a grabbed body follows the pointer while the simulation runs', () => {
+  const { engine, ball, editor } = createScene();
+
+  // Grabbed off-center: the grab point, not the center, follows the pointer
+  editor.pointerDown(4.1, 3, 0);
+  expect(editor.selectedId).toBe(ball.id);
+  expect(ball.hasComponent('grab')).toBe(true);
+  editor.pointerMove(5.1, 2.5, 0.05);
+  steps(engine, 120);
+
+  const transform = ball.getComponent('transform');
+  expect(transform.x).toBeCloseTo(5, 2);
+  // Only gravity's sag against the pull, g / ω²
+  expect(transform.y).toBeCloseTo(2.5 + 9.81 / 400, 2);
+});
+
+test('releasing throws the body with the pointer velocity', () => {
+  const { engine, ball, editor } = createScene();
+
+  editor.pointerDown(4, 3, 0);
+  [[4.2, 2.9], [4.4, 2.8], [4.6, 2.7], [4.8, 2.6]].forEach(([x, y], i) => {
+    editor.pointerMove(x, y, 0.02 * (i + 1));
+    steps(engine, 2);
+  });
+  editor.pointerUp(0.09);
+
+  const physics = ball.getComponent('physics');
+  expect(physics.vx).toBeCloseTo(10);
+  expect(physics.vy).toBeCloseTo(-5);
+  expect(ball.hasComponent('grab')).toBe(false);
+  expect(editor.drag).toBeNull();
+});
+
+test('a body held still before release is dropped, not thrown', () => {
+  const { ball, editor } = createScene();
+
+  editor.pointerDown(4, 3, 0);
+  editor.pointerMove(5, 3, 0.05);
+  editor.pointerUp(1);
+
+  expect(ball.getComponent('physics').vx).toBe(0);
+  expect(ball.getComponent('physics').vy).toBe(0);
+});
+
+test('throw speeds are capped', () => {
+  const { vx, vy } = PhysicsEditor.releaseVelocity([{ x: 0, y: 0, time: 0 }, { x: 3, y: 4, time: 0.01 }], 0.01);
+
+  expect(Math.hypot(vx, vy)).toBeCloseTo(PhysicsEditor.MAX_THROW_SPEED);
+  expect(vx / vy).toBeCloseTo(0.75);
+});
+
+test('while paused a drag moves the body as one undoable edit', () => {
+  const { ball, editor } = createScene();
+  editor.live = false;
+
+  editor.pointerDown(4, 3, 0);
+  expect(ball.hasComponent('grab')).toBe(false);
+  editor.pointerMove(4.5, 3.2, 0.1);
+  editor.pointerMove(5, 3.4, 0.2);
+  editor.pointerUp(0.2);
+
+  expect(ball.getComponent('transform')).toMatchObject({ x: 5, y: 3.4 });
+  expect(ball.getComponent('physics').vx).toBe(0);
+  expect(editor.commands.undoLabel).toBeTruthy();
+  editor.commands.undo();
+  expect(ball.getComponent('transform')).toMatchObject({ x: 4, y: 3 });
+});
+
+test('the grab is never saved and cancelling lets go without a throw', () => {
+  const { engine, ball, editor } = createScene();
+
+  editor.pointerDown(4, 3, 0);
+  editor.pointerMove(4.5, 3, 0.05);
+  const saved = SceneSerializer.serialize(engine);
+  expect(saved.entities[0].components.grab).toBeUndefined();
+
+  editor.cancel();
+  expect(ball.hasComponent('grab')).toBe(false);
+  expect(ball.getComponent('physics').vx).toBe(0);
+});
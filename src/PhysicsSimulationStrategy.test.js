@@ -0,0 +1,367 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  PhysicsSimulationStrategy,
+  PhysicsEditor,
+  SpatialHashBroadphase
+} from './core';
+
+// Small deterministic generator so scattered scenes are the same every run
+const random = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const pairKeys = (pairs) => pairs.map(([a, b]) => [a.id, b.id].sort((x, y) => x - y).join('-')).sort();
+
+test('the spatial hash finds every overlapping pair once', () => {
+  const repo = new EntityRepository();
+  const next = random(7);
+  for (let i = 0; i < 300; i++) {
+    EntityFactory.createPhysicsObject(repo, next() * 8, next() * 6);
+  }
+  const balls = repo.getAll();
+  const strategy = new PhysicsSimulationStrategy();
+
+  const candidates = new SpatialHashBroadphase().findPairs(balls);
+  const keys = pairKeys(candidates);
+  expect(new Set(keys).size).toBe(keys.length);
+
+  const overlapping = [];
+  balls.forEach((a, i) => balls.slice(i + 1).forEach(b => {
+    if (strategy.collides(a, b)) overlapping.push([a, b]);
+  }));
+  expect(pairKeys(candidates.filter(([a, b]) => strategy.collides(a, b)))).toEqual(pairKeys(overlapping));
+  expect(candidates.length).toBeLessThan(balls.length * (balls.length - 1) / 2 / 10);
+});
+
+test('an overlapping pair is resolved exactly once per step', () => {
+  const repo = new EntityRepository();
+  EntityFactory.createPhysicsObject(repo, 2, 3, 1, 0.5, 0);
+  EntityFactory.createPhysicsObject(repo, 2.3, 3, 1, -0.5, 0);
+  const strategy = new PhysicsSimulationStrategy();
+  strategy.gravity = 0;
+  const resolve = jest.spyOn(strategy, 'resolveCollision');
+
+  strategy.update(repo.getAll(), 1 / 120);
+
+  expect(resolve).toHaveBeenCalledTimes(1);
+  const [a, b] = repo.getAll().map(e => e.getComponent('physics'));
+  expect(a.vx).toBeCloseTo(-0.5, 9);
+  expect(b.vx).toBeCloseTo(0.5, 9);
+});
+
+test('bodies without a tangible component are skipped by collisions', () => {
+  const repo = new EntityRepository();
+  EntityFactory.createPhysicsObject(repo, 2, 3);
+  const ghost = EntityFactory.createPhysicsObject(repo, 2.05, 3);
+  ghost.components.delete('tangible');
+
+  const strategy = new PhysicsSimulationStrategy();
+  expect(() => strategy.update(repo.getAll(), 1 / 120)).not.toThrow();
+});
+
+describe('shapes', () => {
+  const { CollisionDetector } = require('./core');
+
+  test('rotated boxes are tested with separating axes', () => {
+    const repo = new EntityRepository();
+    const a = EntityFactory.createPhysicsBox(repo, 100, 100, 40, 40);
+    // A diamond whose tip reaches 100 + 20√2 ≈ 128.3 from its center
+    const b = EntityFactory.createPhysicsBox(repo, 155, 100, 40, 40, 1, Math.PI / 4);
+
+    expect(CollisionDetector.findContact(a, b)).toBeNull();
+    b.getComponent('transform').x = 145;
+    const contact = CollisionDetector.findContact(a, b);
+    expect(contact.nx).toBeCloseTo(1, 9);
+    expect(contact.ny).toBeCloseTo(0, 9);
+    expect(contact.depth).toBeCloseTo(120 - (145 - 20 * Math.SQRT2), 9);
+  });
+
+  test('convex polygons collide with circles on their faces', () => {
+    const repo = new EntityRepository();
+    const triangle = EntityFactory.createPhysicsPolygon(repo, 2, 2, [
+      { x: -0.3, y: 0.2 }, { x: 0.3, y: 0.2 }, { x: 0, y: -0.3 }
+    ]);
+    const ball = EntityFactory.createPhysicsObject(repo, 2, 2.35);
+
+    const contact = CollisionDetector.findContact(triangle, ball);
+    expect(contact.nx).toBeCloseTo(0, 9);
+    expect(contact.ny).toBeCloseTo(1, 9);
+    expect(contact.depth).toBeCloseTo(0.05, 9);
+  });
+
+  test('a ball dropped into the arena bounces off the floor instead of falling through', () => {
+    const repo = new EntityRepository();
+    EntityFactory.createArena(repo);
+    const ball = EntityFactory.createPhysicsObject(repo, 3, 5, 1, 0, 2);
+    const strategy = new PhysicsSimulationStrategy();
+
+    for (let i = 0; i < 60; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(ball.getComponent('transform').y).toBeLessThanOrEqual(5.5 + 1e-6);
+    expect(ball.getComponent('physics').vy).toBeLessThan(0);
+  });
+
+  // A step at the fastest throw covers 0.25m, more than a ball's radius, so its center can land
+  // past the line; wherever in the step it arrives, it must come back out on the arena's side
+  test('balls and boxes thrown into the arena at the fastest throw never pass through its walls', () => {
+    const speed = PhysicsEditor.MAX_THROW_SPEED;
+    const throws = [
+      { x: 4, y: 4.5, vx: 0, vy: speed, inside: ({ y }) => y <= 5.5 + 1e-6 },
+      { x: 1, y: 3, vx: -speed, vy: 0, inside: ({ x }) => x >= 0.2 - 1e-6 },
+      { x: 7, y: 3, vx: speed, vy: 0, inside: ({ x }) => x <= 7.8 + 1e-6 }
+    ];
+    throws.forEach(({ x, y, vx, vy, inside }) => {
+      for (let offset = 0; offset < 0.25; offset += 0.0125) {
+        const repo = new EntityRepository();
+        EntityFactory.createArena(repo);
+        const along = { x: Math.sign(vx) * offset, y: Math.sign(vy) * offset };
+        const ball = EntityFactory.createPhysicsObject(repo, x + along.x, y + along.y, 1, vx, vy);
+        const box = EntityFactory.createPhysicsBox(repo, x + along.x + (vy ? 2 : 0), y + along.y + (vx ? 2 : 0), 0.4, 0.4);
+        Object.assign(box.getComponent('physics'), { vx, vy });
+        const strategy = new PhysicsSimulationStrategy();
+        strategy.gravity = 0;
+
+        for (let i = 0; i < 30; i++) strategy.update(repo.getAll(), 1 / 120);
+
+        expect(inside(ball.getComponent('transform'))).toBe(true);
+        expect(inside(box.getComponent('transform'))).toBe(true);
+      }
+    });
+  });
+
+  test('static segments never move and boxes rest on them', () => {
+    const repo = new EntityRepository();
+    const [floor] = EntityFactory.createArena(repo);
+    const box = EntityFactory.createPhysicsBox(repo, 3, 5.5, 0.6, 0.4);
+    const strategy = new PhysicsSimulationStrategy();
+
+    for (let i = 0; i < 240; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(floor.getComponent('transform')).toMatchObject({ x: 4, y: 5.7 });
+    expect(box.getComponent('transform').y).toBeCloseTo(5.5, 2);
+    expect(box.getComponent('transform').x).toBeCloseTo(3, 9);
+  });
+
+  test('a box on a ramp slides downhill along it', () => {
+    const repo = new EntityRepository();
+    EntityFactory.createStaticSegment(repo, 0, 0, 400, 300);
+    const angle = Math.atan2(300, 400);
+    const box = EntityFactory.createPhysicsBox(repo, 100 + 0.6 * 20, 75 - 0.8 * 20, 40, 40, 1, angle);
+    const strategy = new PhysicsSimulationStrategy();
+
+    for (let i = 0; i < 60; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    const { vx, vy } = box.getComponent('physics');
+    expect(vx).toBeGreaterThan(0);
+    expect(vy / vx).toBeCloseTo(0.75, 1);
+  });
+});
+
+describe('materials', () => {
+  const dropOnFloor = (material, vx = 0) => {
+    const repo = new EntityRepository();
+    const [floor] = EntityFactory.createArena(repo);
+    floor.getComponent('tangible').withMaterial(material);
+    const box = EntityFactory.createPhysicsBox(repo, 3, 5.5, 0.4, 0.4, 1);
+    box.getComponent('tangible').withMaterial(material);
+    box.getComponent('physics').vx = vx;
+    return { repo, box, strategy: new PhysicsSimulationStrategy() };
+  };
+
+  test('restitution scales the rebound speed', () => {
+    const repo = new EntityRepository();
+    EntityFactory.createArena(repo);
+    const ball = EntityFactory.createPhysicsObject(repo, 3, 5.505, 1, 0, 1);
+    ball.getComponent('tangible').withMaterial({ restitution: 0.5 });
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+
+    strategy.update(repo.getAll(), 1 / 120);
+
+    expect(ball.getComponent('physics').vy).toBeCloseTo(-0.5, 9);
+  });
+
+  test('kinetic friction decelerates a sliding box at mu * g', () => {
+    const { repo, box, strategy } = dropOnFloor({ restitution: 0, staticFriction: 0.5, kineticFriction: 0.3 }, 3);
+    const steps = 60;
+    for (let i = 0; i < steps; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    const expected = 3 - 0.3 * strategy.gravity * steps / 120;
+    expect(box.getComponent('physics').vx).toBeCloseTo(expected, 1);
+  });
+
+  test('static friction stops slow sliding completely', () => {
+    const { repo, box, strategy } = dropOnFloor({ restitution: 0, staticFriction: 0.5, kineticFriction: 0.3 }, 0.02);
+    for (let i = 0; i < 10; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(box.getComponent('physics').vx).toBe(0);
+  });
+
+  test('frictionless surfaces keep the sliding speed', () => {
+    const { repo, box, strategy } = dropOnFloor({ restitution: 0 }, 1);
+    for (let i = 0; i < 60; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(box.getComponent('physics').vx).toBeCloseTo(1, 9);
+  });
+
+  test('linear damping decays velocity exponentially', () => {
+    const repo = new EntityRepository();
+    const ball = EntityFactory.createPhysicsObject(repo, 300, 300, 2, 100, 0);
+    ball.getComponent('physics').linearDamping = 0.5;
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    strategy.integrator = 'rk4';
+
+    for (let i = 0; i < 120; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(ball.getComponent('physics').vx).toBeCloseTo(100 * Math.exp(-0.5), 6);
+  });
+});
+
+describe('force generators and constraints', () => {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+  test('a spring oscillates with period 2π√(m/k)', () => {
+    const repo = new EntityRepository();
+    const ball = EntityFactory.createPhysicsObject(repo, 430, 300, 2, 0, 0);
+    EntityFactory.createSpring(repo, { x: 300, y: 300 }, ball, 50, 0, 100);
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    strategy.integrator = 'rk4';
+
+    const period = 2 * Math.PI * Math.sqrt(2 / 50);
+    for (let i = 0; i < 400; i++) strategy.update(repo.getAll(), period / 800);
+    expect(ball.getComponent('transform').x).toBeCloseTo(370, 3);
+
+    for (let i = 0; i < 400; i++) strategy.update(repo.getAll(), period / 800);
+    expect(ball.getComponent('transform').x).toBeCloseTo(430, 3);
+  });
+
+  test('a damper slows motion along its axis exponentially', () => {
+    const repo = new EntityRepository();
+    const ball = EntityFactory.createPhysicsObject(repo, 400, 300, 2, 60, 0);
+    EntityFactory.createSpring(repo, { x: 300, y: 300 }, ball, 0, 1);
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    strategy.integrator = 'rk4';
+
+    for (let i = 0; i < 120; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(ball.getComponent('physics').vx).toBeCloseTo(60 * Math.exp(-0.5), 6);
+  });
+
+  test('a pendulum rod keeps its length while it swings', () => {
+    const repo = new EntityRepository();
+    const pivot = { x: 4, y: 1 };
+    const ball = EntityFactory.createPhysicsObject(repo, 5.5, 1, 1, 0, 0);
+    EntityFactory.createDistanceConstraint(repo, pivot, ball);
+    const strategy = new PhysicsSimulationStrategy();
+
+    // Released level with the pivot, it swings down through the bottom of the arc at y = 2.5
+    let lowest = 0;
+    for (let i = 0; i < 480; i++) {
+      strategy.update(repo.getAll(), 1 / 120);
+      const transform = ball.getComponent('transform');
+      expect(distance(transform, pivot)).toBeCloseTo(1.5, 6);
+      lowest = Math.max(lowest, transform.y);
+    }
+    expect(lowest).toBeCloseTo(2.5, 2);
+  });
+
+  test('a rope only pulls once it is taut', () => {
+    const repo = new EntityRepository();
+    const pivot = { x: 4, y: 1 };
+    const ball = EntityFactory.createPhysicsObject(repo, 4, 1.5, 1, 0, 0);
+    EntityFactory.createDistanceConstraint(repo, pivot, ball, 2, 'rope');
+    const strategy = new PhysicsSimulationStrategy();
+
+    // Free fall while slack: y = 1.5 + g t² / 2 reaches 3 after about 0.55s
+    for (let i = 0; i < 60; i++) strategy.update(repo.getAll(), 1 / 120);
+    expect(ball.getComponent('transform').y).toBeCloseTo(1.5 + 0.5 * strategy.gravity * 0.25, 1);
+    expect(ball.getComponent('physics').vy).toBeCloseTo(strategy.gravity * 0.5, 6);
+
+    for (let i = 0; i < 240; i++) strategy.update(repo.getAll(), 1 / 120);
+    expect(ball.getComponent('transform').y).toBeCloseTo(3, 6);
+    expect(ball.getComponent('physics').vy).toBeCloseTo(0, 6);
+  });
+
+  test('mutual gravity keeps a circular orbit at its radius', () => {
+    const repo = new EntityRepository();
+    EntityFactory.createGravitationField(repo, 1000, 0);
+    const sun = EntityFactory.createPhysicsObject(repo, 400, 300, 1000, 0, 0);
+    const planet = EntityFactory.createPhysicsObject(repo, 550, 300, 1, 0, -Math.sqrt(1000 * 1000 / 150));
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    strategy.integrator = 'rk4';
+
+    let closest = Infinity;
+    let furthest = 0;
+    for (let i = 0; i < 1440; i++) {
+      strategy.update(repo.getAll(), 1 / 120);
+      const r = distance(planet.getComponent('transform'), sun.getComponent('transform'));
+      closest = Math.min(closest, r);
+      furthest = Math.max(furthest, r);
+    }
+    expect(closest).toBeGreaterThan(148);
+    expect(furthest).toBeLessThan(152);
+    // Momentum is shared, so the sun is pulled along a little
+    expect(sun.getComponent('physics').vy).not.toBe(0);
+  });
+
+  test('softened gravity keeps the energy of bodies swinging through each other\'s softening length', () => {
+    const repo = new EntityRepository();
+    const field = EntityFactory.createGravitationField(repo, 1e6, 100).getComponent('gravitation');
+    const a = EntityFactory.createPhysicsObject(repo, 300, 300, 1, 0, -30);
+    const b = EntityFactory.createPhysicsObject(repo, 500, 300, 1, 0, 30);
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+    strategy.integrator = 'rk4';
+    const energy = () => {
+      const kinetic = [a, b].reduce((sum, body) => {
+        const { mass, vx, vy } = body.getComponent('physics');
+        return sum + 0.5 * mass * (vx * vx + vy * vy);
+      }, 0);
+      const r = distance(a.getComponent('transform'), b.getComponent('transform'));
+      return kinetic - field.G / Math.sqrt(r * r + field.softening * field.softening);
+    };
+
+    const start = energy();
+    for (let i = 0; i < 1200; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(Math.abs((energy() - start) / start)).toBeLessThan(1e-9);
+  });
+
+  test('an electric field pushes charges by qE and ignores neutral bodies', () => {
+    const repo = new EntityRepository();
+    EntityFactory.createElectricField(repo, 20, 0);
+    const positive = EntityFactory.createChargedObject(repo, 400, 100, 2);
+    const negative = EntityFactory.createChargedObject(repo, 400, 200, -1, 2);
+    const neutral = EntityFactory.createPhysicsObject(repo, 400, 300, 1, 0, 0);
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+
+    for (let i = 0; i < 120; i++) strategy.update(repo.getAll(), 1 / 120);
+
+    expect(positive.getComponent('physics').vx).toBeCloseTo(40, 9);
+    expect(negative.getComponent('physics').vx).toBeCloseTo(-10, 9);
+    expect(neutral.getComponent('physics').vx).toBe(0);
+  });
+
+  test('custom force generators can be registered for new components', () => {
+    PhysicsSimulationStrategy.registerForce('wind', (wind, forces) => {
+      forces.bodies.forEach(entity => { entity.getComponent('physics').fx += wind.strength; });
+    });
+    const repo = new EntityRepository();
+    repo.create('physics').addComponent('wind', { strength: 5 });
+    const ball = EntityFactory.createPhysicsObject(repo, 400, 300, 1, 0, 0);
+    const strategy = new PhysicsSimulationStrategy();
+    strategy.gravity = 0;
+
+    strategy.update(repo.getAll(), 1);
+
+    expect(ball.getComponent('physics').vx).toBe(5);
+    PhysicsSimulationStrategy.FORCE_GENERATORS.delete('wind');
+  });
+});
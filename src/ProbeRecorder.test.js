@@ -0,0 +1,144 @@
+import {
+  EntityFactory,
+  SimulationEngine,
+  SimulationHistory,
+  PhysicsSimulationStrategy,
+  CircuitSimulationStrategy,
+  ProbeRecorder
+} from './core';
+
+const physicsEngine = () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  engine.strategy.gravity = 0;
+  const recorder = new ProbeRecorder();
+  engine.addObserver(recorder);
+  return { engine, recorder };
+};
+
+test('probes sample registered quantities and component fields once per frame', () => {
+  const { engine, recorder } = physicsEngine();
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 100, 300, 2, 30, 0);
+  recorder.addProbe(ball.id, 'transform.x');
+  recorder.addProbe(ball.id, 'kineticEnergy');
+  recorder.addProbe(ball.id, 'physics.mass');
+
+  engine.start();
+  const start = engine.lastTime;
+  engine.update(start + 100);
+  engine.update(start + 200);
+
+  expect(recorder.times).toHaveLength(2);
+  expect(recorder.times[1]).toBeCloseTo(0.2, 9);
+  const [x, energy, mass] = recorder.probes;
+  expect(x.values[1]).toBeCloseTo(100 + 30 * recorder.times[1], 9);
+  expect(energy.values).toEqual([900, 900]);
+  expect(mass.values).toEqual([2, 2]);
+});
+
+test('redraws without a step add no sample and a reset starts a new run', () => {
+  const { engine, recorder } = physicsEngine();
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 100, 300, 1, 30, 0);
+  recorder.addProbe(ball.id, 'physics.vx');
+
+  engine.step();
+  engine.notifyObservers();
+  engine.notifyObservers();
+  expect(recorder.times).toHaveLength(1);
+
+  engine.reset();
+  expect(recorder.times).toEqual([0]);
+  // The probed entity is gone with the reset, so its sample is blank
+  expect(recorder.probes[0].values).toEqual([null]);
+});
+
+test('circuit probes follow currents and voltages', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const recorder = new ProbeRecorder();
+  engine.addObserver(recorder);
+  const battery = EntityFactory.createCircuitBattery(engine.repository, 50, 300, 9);
+  const r = EntityFactory.createCircuitResistor(engine.repository, 150, 300, 100);
+  EntityFactory.createCircuitWire(engine.repository, battery, r);
+  EntityFactory.createCircuitWire(engine.repository, r, battery);
+  expect(ProbeRecorder.quantitiesFor(r)).toEqual(['transform.x', 'transform.y', 'circuit.current', 'circuit.voltage', 'power']);
+  recorder.addProbe(r.id, 'circuit.voltage');
+  recorder.addProbe(r.id, 'power');
+
+  engine.step();
+  engine.notifyObservers();
+
+  expect(recorder.probes[0].values[0]).toBeCloseTo(9, 6);
+  expect(recorder.probes[1].values[0]).toBeCloseTo(0.81, 6);
+});
+
+test('the sample buffer keeps only the newest samples', () => {
+  const { engine } = physicsEngine();
+  const recorder = new ProbeRecorder(3);
+  engine.addObserver(recorder);
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 100, 300, 1, 0, 0);
+  recorder.addProbe(ball.id, 'transform.y');
+
+  for (let i = 0; i < 5; i++) {
+    engine.step();
+    engine.notifyObservers();
+  }
+
+  expect(recorder.times).toHaveLength(3);
+  expect(recorder.times[0]).toBeCloseTo(3 / 120, 9);
+  expect(recorder.probes[0].values).toHaveLength(3);
+});
+
+test('CSV export has a header row and blanks where a probe had no sample yet', () => {
+  const { engine, recorder } = physicsEngine();
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 1, 3, 1, 0, 0);
+  recorder.addProbe(ball.id, 'transform.y');
+  engine.step(0.5);
+  engine.notifyObservers();
+  recorder.addProbe(ball.id, 'physics.vy');
+  engine.step(0.5);
+  engine.notifyObservers();
+
+  expect(recorder.toCSV()).toBe(
+    `time (s),#${ball.id} transform.y (m),#${ball.id} physics.vy (m/s)\n0.5,3,\n1,3,0\n`
+  );
+});
+
+test('unknown quantities are rejected', () => {
+  expect(() => new ProbeRecorder().addProbe(1, 'nonsense')).toThrow("Unknown quantity 'nonsense'");
+});
+
+test('rewinding the timeline drops the samples after the frame shown', () => {
+  const { engine, recorder } = physicsEngine();
+  engine.history = new SimulationHistory();
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 100, 300, 1, 30, 0);
+  recorder.addProbe(ball.id, 'transform.x');
+  for (let i = 0; i < 5; i++) {
+    engine.step();
+    engine.notifyObservers();
+  }
+
+  engine.seek(2);
+
+  expect(recorder.times).toHaveLength(2);
+  expect(recorder.times[1]).toBeCloseTo(2 / 120, 9);
+});
+
+test('an interval thins the samples, and JSON export gives one series per probe', () => {
+  const { engine, recorder } = physicsEngine();
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 1, 3, 1, 2, 0);
+  recorder.interval = 0.25;
+  recorder.addProbe(ball.id, 'transform.x');
+  engine.notifyObservers();
+  engine.run(1);
+
+  expect(recorder.times).toHaveLength(5);
+  expect(recorder.toJSON()).toEqual({
+    times: recorder.times,
+    probes: [{
+      entityId: ball.id,
+      quantity: 'transform.x',
+      unit: 'm',
+      label: `#${ball.id} transform.x (m)`,
+      values: [1, expect.closeTo(1.5), expect.closeTo(2), expect.closeTo(2.5), expect.closeTo(3)]
+    }]
+  });
+});
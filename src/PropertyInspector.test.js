@@ -0,0 +1,193 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  SimulationEngine,
+  CircuitSimulationStrategy,
+  CommandStack,
+  PhysicsEditor,
+  PropertyInspector
+} from './core';
+
+const fieldNames = (entity) => PropertyInspector.fieldsFor(entity).map(spec => `${spec.componentName}.${spec.field}`);
+
+test('bodies expose their position, mass, velocity, radius, material and color', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 200, 2, 5, 0);
+
+  expect(fieldNames(ball)).toEqual([
+    'transform.x', 'transform.y',
+    'physics.mass', 'physics.vx', 'physics.vy', 'physics.linearDamping',
+    'tangible.radius', 'tangible.restitution', 'tangible.staticFriction', 'tangible.kineticFriction',
+    'render.color'
+  ]);
+  expect(PropertyInspector.fieldsFor(ball).find(spec => spec.field === 'mass')).toMatchObject({ value: 2, unit: 'kg' });
+  // Boxes have no radius to edit
+  expect(fieldNames(EntityFactory.createPhysicsBox(repo, 0, 0, 10, 10))).not.toContain('tangible.radius');
+});
+
+test('circuit parts expose their type and value, with the unit of the type', () => {
+  const repo = new EntityRepository();
+  const capacitor = EntityFactory.createCircuitCapacitor(repo, 100, 100, 0.001);
+  const wire = EntityFactory.createCircuitWire(repo, capacitor, capacitor);
+
+  expect(fieldNames(capacitor)).toEqual(['transform.x', 'transform.y', 'circuit.componentType', 'circuit.value', 'render.color']);
+  expect(PropertyInspector.fieldsFor(capacitor).find(spec => spec.field === 'value').unit).toBe('F');
+  expect(fieldNames(wire)).toEqual(['render.color']);
+});
+
+test('valid edits apply immediately and undo', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 200, 2);
+  const commands = new CommandStack();
+
+  PropertyInspector.edit(commands, repo, ball.id, 'physics', 'mass', '3.5');
+  PropertyInspector.edit(commands, repo, ball.id, 'tangible', 'radius', 0.3);
+  PropertyInspector.edit(commands, repo, ball.id, 'render', 'color', '#abcdef');
+
+  expect(ball.getComponent('physics').mass).toBe(3.5);
+  expect(ball.getComponent('tangible').radius).toBe(0.3);
+  expect(ball.getComponent('render').color).toBe('#abcdef');
+  commands.undo();
+  commands.undo();
+  expect(ball.getComponent('tangible').radius).toBe(0.2);
+});
+
+test('typing through several values of one field is a single undo step', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 200, 2);
+  const commands = new CommandStack();
+
+  ['1', '10', '100'].forEach(raw => PropertyInspector.edit(commands, repo, ball.id, 'physics', 'vx', raw));
+  expect(ball.getComponent('physics').vx).toBe(100);
+
+  commands.undo();
+  expect(ball.getComponent('physics').vx).toBe(-0.5);
+  expect(commands.canUndo).toBe(false);
+});
+
+test.each([
+  ['physics', 'mass', '0', 'Mass must be greater than 0'],
+  ['physics', 'mass', 'heavy', 'Mass must be a number'],
+  ['physics', 'vx', '', 'Velocity x must be a number'],
+  ['tangible', 'restitution', '1.5', 'Restitution must be at most 1'],
+  ['tangible', 'kineticFriction', '-0.1', 'Kinetic friction must be at least 0'],
+  ['render', 'color', 'blue', 'Color must be a hex color like #3b82f6'],
+  ['physics', 'fx', '1', "'physics.fx' cannot be edited"]
+])('%s.%s = %j is rejected', (componentName, field, raw, message) => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 200, 2);
+  const commands = new CommandStack();
+
+  expect(() => PropertyInspector.edit(commands, repo, ball.id, componentName, field, raw)).toThrow(message);
+  expect(ball.getComponent('physics').mass).toBe(2);
+  expect(commands.canUndo).toBe(false);
+});
+
+test('circuit values are checked against the part type', () => {
+  const repo = new EntityRepository();
+  const resistor = EntityFactory.createCircuitResistor(repo, 100, 100, 100);
+  const inductor = EntityFactory.createCircuitInductor(repo, 200, 100, 1);
+  const battery = EntityFactory.createCircuitBattery(repo, 300, 100, 9);
+  const commands = new CommandStack();
+
+  expect(() => PropertyInspector.edit(commands, repo, resistor.id, 'circuit', 'value', '-5')).toThrow('Resistance cannot be negative');
+  expect(() => PropertyInspector.edit(commands, repo, inductor.id, 'circuit', 'value', '0')).toThrow('Inductance must be positive');
+  PropertyInspector.edit(commands, repo, battery.id, 'circuit', 'value', '-12');
+  expect(battery.getComponent('circuit').value).toBe(-12);
+});
+
+test('changing a part type keeps its wires on the matching pins and solves live', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const repo = engine.repository;
+  const battery = EntityFactory.createCircuitBattery(repo, 50, 300, 10);
+  const part = EntityFactory.createCircuitResistor(repo, 150, 300, 10);
+  const wireIn = EntityFactory.createCircuitWire(repo, battery, part);
+  EntityFactory.createCircuitWire(repo, part, battery);
+  const commands = new CommandStack();
+  engine.step();
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'battery');
+  expect(part.getComponent('circuit').pins).toEqual(['-', '+']);
+  expect(part.getComponent('render').color).toBe(EntityFactory.CIRCUIT_COLORS.battery);
+  expect(repo.findById(wireIn.id).getComponent('wire').endPin).toBe('-');
+
+  // Back to a resistor with a new value, while the engine keeps stepping
+  commands.undo();
+  const restored = repo.findById(part.id);
+  expect(restored.getComponent('circuit').componentType).toBe('resistor');
+  expect(repo.findById(wireIn.id).getComponent('wire').endPin).toBe('a');
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'value', '20');
+  engine.step();
+  expect(restored.getComponent('circuit').current).toBeCloseTo(0.5, 6);
+});
+
+test('the physics editor picks the body under the pointer and marks it selected', () => {
+  const repo = new EntityRepository();
+  EntityFactory.createArena(repo);
+  const ball = EntityFactory.createPhysicsObject(repo, 1, 1);
+  const box = EntityFactory.createPhysicsBox(repo, 3, 1, 0.6, 0.4);
+  const editor = new PhysicsEditor(repo);
+
+  editor.pointerDown(1.1, 1.05);
+  expect(editor.selectedId).toBe(ball.id);
+  expect(ball.getComponent('draggable').selected).toBe(true);
+
+  editor.pointerDown(3.25, 1.15);
+  expect(editor.selectedId).toBe(box.id);
+  expect(ball.getComponent('draggable').selected).toBe(false);
+
+  editor.pointerDown(4, 5.7); // on the floor
+  expect(repo.findById(editor.selectedId).hasComponent('physics')).toBe(false);
+
+  editor.pointerDown(5, 3);
+  expect(editor.selectedId).toBeNull();
+});
+
+test('deleting the selected body can be undone', () => {
+  const repo = new EntityRepository();
+  const ball = EntityFactory.createPhysicsObject(repo, 100, 100);
+  const commands = new CommandStack();
+  const editor = new PhysicsEditor(repo, commands);
+
+  editor.select(ball.id);
+  editor.deleteSelected();
+  expect(repo.findById(ball.id)).toBeUndefined();
+
+  commands.undo();
+  expect(repo.findById(ball.id).getComponent('transform')).toMatchObject({ x: 100, y: 100 });
+});
+
+test('a part turned into a source gains waveform fields, and loses them when turned back', () => {
+  const repo = new EntityRepository();
+  const part = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  const commands = new CommandStack();
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'voltageSource');
+  expect(part.getComponent('source')).toMatchObject({ waveform: 'sine', frequency: 50, phase: 0 });
+  expect(fieldNames(part)).toEqual(expect.arrayContaining(['source.waveform', 'source.frequency', 'source.phase']));
+  expect(() => PropertyInspector.edit(commands, repo, part.id, 'source', 'frequency', '-1')).toThrow();
+  PropertyInspector.edit(commands, repo, part.id, 'source', 'waveform', 'square');
+  expect(part.getComponent('source').waveform).toBe('square');
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'resistor');
+  expect(part.hasComponent('source')).toBe(false);
+});
+
+test('a transistor turned into a two-pin part drops the wire on its third pin', () => {
+  const repo = new EntityRepository();
+  const transistor = EntityFactory.createCircuitNPN(repo, 0, 0, 100);
+  const r = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 5);
+  const collector = EntityFactory.createCircuitWire(repo, r, transistor, 'b', 'c');
+  const base = EntityFactory.createCircuitWire(repo, battery, transistor, '+', 'b');
+  const commands = new CommandStack();
+
+  PropertyInspector.edit(commands, repo, transistor.id, 'circuit', 'componentType', 'diode');
+  expect(repo.findById(collector.id).getComponent('wire').endPin).toBe('a');
+  expect(repo.findById(base.id)).toBeUndefined();
+  expect(battery.getComponent('circuit').connections).not.toContain(base.id);
+
+  commands.undo();
+  expect(repo.findById(base.id).getComponent('wire').endPin).toBe('b');
+  expect(repo.findById(transistor.id).getComponent('circuit').connections).toContain(base.id);
+});
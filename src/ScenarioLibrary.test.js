@@ -0,0 +1,52 @@
+import {
+  SimulationEngine,
+  PhysicsSimulationStrategy,
+  CircuitSimulationStrategy,
+  StrategyPipeline,
+  ScenarioLibrary,
+  SceneSerializer
+} from './core';
+
+test.each(ScenarioLibrary.all().map(scenario => [scenario.id, scenario]))(
+  '%s builds a scene for its mode with its settings',
+  (id, scenario) => {
+    const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+    ScenarioLibrary.load(engine, id);
+
+    const expected = {
+      physics: PhysicsSimulationStrategy,
+      circuit: CircuitSimulationStrategy,
+      multiphysics: StrategyPipeline
+    }[scenario.mode];
+    expect(engine.strategy).toBeInstanceOf(expected);
+    expect(SceneSerializer.saveSettings(engine.strategy, scenario.mode)).toMatchObject(scenario.settings);
+    // A multiphysics scene has both bodies and circuit parts
+    const types = scenario.mode === 'multiphysics' ? ['physics', 'circuit'] : [scenario.mode];
+    types.forEach(type => expect(engine.repository.findByType(type).length).toBeGreaterThan(0));
+
+    engine.strategy.update(engine.repository.getAll(), 1 / 60);
+    if (scenario.mode !== 'physics') {
+      expect(engine.strategy.error).toBeNull();
+    }
+  }
+);
+
+test('every mode has a default scenario', () => {
+  expect(ScenarioLibrary.defaultFor('physics').id).toBe('bouncing-balls');
+  expect(ScenarioLibrary.defaultFor('circuit').id).toBe('series-circuit');
+  expect(ScenarioLibrary.defaultFor('multiphysics').id).toBe('motor-cart');
+});
+
+test('the voltage divider puts two thirds of the supply across the lower resistor', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  ScenarioLibrary.load(engine, 'voltage-divider');
+  engine.strategy.update(engine.repository.getAll(), 0);
+
+  const lower = engine.repository.getAll().find(e => e.getComponent('circuit')?.value === 2000);
+  expect(lower.getComponent('circuit').voltage).toBeCloseTo(8, 6);
+});
+
+test('loading an unknown scenario throws', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  expect(() => ScenarioLibrary.load(engine, 'perpetual-motion')).toThrow(/Unknown scenario/);
+});
@@ -0,0 +1,191 @@
+import {
+  EntityFactory,
+  SimulationEngine,
+  PhysicsSimulationStrategy,
+  CircuitSimulationStrategy,
+  SceneSerializer
+} from './core';
+
+const roundTrip = (engine) => {
+  const copy = new SimulationEngine(new PhysicsSimulationStrategy());
+  SceneSerializer.load(copy, SceneSerializer.toJSON(engine));
+  return copy;
+};
+
+test('a physics scene round-trips with its components and gravity', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  engine.strategy.gravity = 9.81;
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 120, 80, 2);
+  ball.getComponent('physics').vy = 12;
+  EntityFactory.createPhysicsObject(engine.repository, 300, 40, 1);
+
+  const copy = roundTrip(engine);
+
+  expect(copy.strategy).toBeInstanceOf(PhysicsSimulationStrategy);
+  expect(copy.strategy.gravity).toBe(9.81);
+  expect(copy.repository.getAll()).toHaveLength(2);
+  const restored = copy.repository.findById(ball.id);
+  expect(restored.getComponent('transform')).toEqual(ball.getComponent('transform'));
+  expect(restored.getComponent('physics')).toEqual(ball.getComponent('physics'));
+  expect(restored.getComponent('tangible').radius).toBe(0.2);
+  expect(restored.getComponent('render')).toEqual(ball.getComponent('render'));
+  expect(SceneSerializer.serialize(copy)).toEqual(SceneSerializer.serialize(engine));
+});
+
+test('a circuit scene round-trips and solves the same way', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  engine.strategy.integration = 'backward-euler';
+  const battery = EntityFactory.createCircuitBattery(engine.repository, 50, 300, 9);
+  const r = EntityFactory.createCircuitResistor(engine.repository, 150, 300, 100);
+  const c = EntityFactory.createCircuitCapacitor(engine.repository, 250, 300, 0.001);
+  EntityFactory.createCircuitWire(engine.repository, battery, r);
+  EntityFactory.createCircuitWire(engine.repository, r, c);
+  EntityFactory.createCircuitWire(engine.repository, c, battery);
+  engine.strategy.update(engine.repository.getAll(), 0.05);
+
+  const copy = roundTrip(engine);
+  expect(copy.strategy).toBeInstanceOf(CircuitSimulationStrategy);
+  expect(copy.strategy.integration).toBe('backward-euler');
+
+  engine.strategy.update(engine.repository.getAll(), 0.05);
+  copy.strategy.update(copy.repository.getAll(), 0.05);
+  expect(copy.repository.findById(c.id).getComponent('circuit').voltage)
+    .toBeCloseTo(c.getComponent('circuit').voltage, 12);
+  expect(copy.repository.findById(battery.id).getComponent('circuit').connections)
+    .toEqual(battery.getComponent('circuit').connections);
+});
+
+test('restored repositories keep handing out fresh ids', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  EntityFactory.createPhysicsObject(engine.repository, 0, 0);
+  EntityFactory.createPhysicsObject(engine.repository, 0, 0);
+  engine.repository.remove(1);
+
+  const copy = roundTrip(engine);
+
+  expect(EntityFactory.createPhysicsObject(copy.repository, 0, 0).id).toBe(3);
+});
+
+test('invalid scenes are rejected before anything is replaced', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  EntityFactory.createPhysicsObject(engine.repository, 0, 0);
+  const scene = SceneSerializer.serialize(engine);
+
+  expect(() => SceneSerializer.load(engine, { ...scene, version: SceneSerializer.VERSION + 1 }))
+    .toThrow(/Unsupported scene version/);
+  expect(() => SceneSerializer.load(engine, { ...scene, format: 'other' })).toThrow(/Not a simulator scene/);
+  const broken = JSON.parse(JSON.stringify(scene));
+  broken.entities[0].components.magnet = {};
+  expect(() => SceneSerializer.load(engine, broken)).toThrow(/Unknown component 'magnet'/);
+  const unknownPart = JSON.parse(JSON.stringify(scene));
+  unknownPart.entities[0].components.circuit = { componentType: 'flux-capacitor', value: 1 };
+  expect(() => SceneSerializer.load(engine, unknownPart)).toThrow(/Unknown circuit part 'flux-capacitor' on entity 1/);
+  const duplicated = { ...scene, entities: [...scene.entities, scene.entities[0]] };
+  expect(() => SceneSerializer.load(engine, duplicated)).toThrow(/Duplicate entity id 1/);
+
+  expect(engine.repository.getAll()).toHaveLength(1);
+});
+
+test('version 1 physics scenes gain the arena that used to be built into the strategy', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  EntityFactory.createPhysicsObject(engine.repository, 0, 0);
+  const scene = SceneSerializer.serialize(engine);
+  const v1 = { ...scene, version: 1, engine: undefined };
+
+  const copy = new SimulationEngine(new CircuitSimulationStrategy());
+  SceneSerializer.load(copy, v1);
+
+  expect(copy.repository.findById(1).hasComponent('physics')).toBe(true);
+  const statics = copy.repository.getAll().filter(e => e.hasComponent('tangible') && !e.hasComponent('physics'));
+  expect(statics.map(e => e.getComponent('tangible').shape)).toEqual(['segment', 'segment', 'segment']);
+  expect(statics.map(e => e.id)).toEqual([2, 3, 4]);
+  const [floor, left, right] = statics.map(e => e.getComponent('tangible').worldVertices(e.getComponent('transform')));
+  expect(floor).toEqual([{ x: 1, y: 55 }, { x: 50, y: 55 }]);
+  expect(left).toEqual([{ x: 1, y: 0 }, { x: 1, y: 55 }]);
+  expect(right).toEqual([{ x: 50, y: 55 }, { x: 50, y: 0 }]);
+});
+
+test('version 1 arenas are migrated to meters along with the rest of the scene', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  const v1 = { ...SceneSerializer.serialize(engine), version: 1, engine: undefined };
+
+  const copy = new SimulationEngine(new PhysicsSimulationStrategy());
+  SceneSerializer.load(copy, v1);
+
+  const [floor] = copy.repository.getAll();
+  expect(floor.getComponent('transform')).toMatchObject({ x: 25.5, y: 55 });
+});
+
+test('version 3 pixel scenes load in meters and move exactly as they did', () => {
+  // A pixel scene as version 3 saved it: 98 px/s² gravity, a ball on a spring in a field
+  const pixels = new SimulationEngine(new PhysicsSimulationStrategy());
+  pixels.strategy.gravity = 98;
+  const ball = EntityFactory.createChargedObject(pixels.repository, 300, 200, 2, 1, 50, -20);
+  ball.getComponent('tangible').radius = 20;
+  EntityFactory.createSpring(pixels.repository, { x: 100, y: 100 }, ball, 20, 0.5, 150);
+  EntityFactory.createElectricField(pixels.repository, 15, 0);
+  EntityFactory.createGravitationField(pixels.repository, 1000, 5);
+  const v3 = { ...SceneSerializer.serialize(pixels), version: 3 };
+
+  const meters = new SimulationEngine(new PhysicsSimulationStrategy());
+  SceneSerializer.load(meters, v3);
+
+  expect(meters.strategy.gravity).toBeCloseTo(9.8, 9);
+  const migrated = meters.repository.findById(ball.id);
+  expect(migrated.getComponent('transform')).toMatchObject({ x: 30, y: 20 });
+  expect(migrated.getComponent('physics')).toMatchObject({ vx: 5, vy: -2 });
+  expect(migrated.getComponent('tangible').radius).toBe(2);
+  const spring = meters.repository.getAll().find(entity => entity.hasComponent('spring')).getComponent('spring');
+  expect(spring).toMatchObject({ a: { x: 10, y: 10 }, restLength: 15, stiffness: 20, damping: 0.5 });
+
+  for (let i = 0; i < 120; i++) {
+    pixels.step();
+    meters.step();
+  }
+  const before = ball.getComponent('transform');
+  const after = migrated.getComponent('transform');
+  expect(after.x).toBeCloseTo(before.x / 10, 9);
+  expect(after.y).toBeCloseTo(before.y / 10, 9);
+});
+
+test('version 5 batteries load as ideal ones with an editable internal resistance', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const battery = EntityFactory.createCircuitBattery(engine.repository, 0, 0, 9);
+  const v5 = JSON.parse(JSON.stringify({ ...SceneSerializer.serialize(engine), version: 5 }));
+  delete v5.entities[0].components.battery;
+
+  const copy = new SimulationEngine(new CircuitSimulationStrategy());
+  SceneSerializer.load(copy, v5);
+
+  expect(copy.repository.findById(battery.id).getComponent('battery').internalResistance).toBe(0);
+});
+
+test('version 5 batteries that already have internal resistance keep it', () => {
+  const engine = new SimulationEngine(new CircuitSimulationStrategy());
+  const battery = EntityFactory.createCircuitBattery(engine.repository, 0, 0, 9);
+  battery.getComponent('battery').internalResistance = 0.5;
+  const v5 = JSON.parse(JSON.stringify({ ...SceneSerializer.serialize(engine), version: 5 }));
+
+  const copy = new SimulationEngine(new CircuitSimulationStrategy());
+  SceneSerializer.load(copy, v5);
+
+  expect(copy.repository.findById(battery.id).getComponent('battery').internalResistance).toBe(0.5);
+});
+
+test('springs, constraints and fields round-trip with their endpoints', () => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  engine.strategy.constraintIterations = 4;
+  const ball = EntityFactory.createChargedObject(engine.repository, 200, 300, -3);
+  EntityFactory.createSpring(engine.repository, { x: 100, y: 100 }, ball, 20, 0.5);
+  EntityFactory.createDistanceConstraint(engine.repository, { x: 200, y: 100 }, ball, 250, 'rope');
+  EntityFactory.createElectricField(engine.repository, 0, 15);
+  EntityFactory.createGravitationField(engine.repository, 500, 2);
+
+  const copy = roundTrip(engine);
+
+  expect(copy.strategy.constraintIterations).toBe(4);
+  expect(SceneSerializer.serialize(copy)).toEqual(SceneSerializer.serialize(engine));
+  engine.strategy.update(engine.repository.getAll(), 1 / 60);
+  copy.strategy.update(copy.repository.getAll(), 1 / 60);
+  expect(copy.repository.findById(ball.id).getComponent('transform')).toEqual(ball.getComponent('transform'));
+});
@@ -0,0 +1,264 @@
+import { EntityFactory, SimulationEngine, SimulationHistory, PhysicsSimulationStrategy, CircuitSimulationStrategy } from './core';
+
+const createEngine = (integrator = 'semi-implicit-euler') => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  engine.strategy.integrator = integrator;
+  engine.history = new SimulationHistory();
+  EntityFactory.createPhysicsObject(engine.repository, 100, 100, 1, 40, -60);
+  EntityFactory.createPhysicsObject(engine.repository, 300, 200, 2, -30, 0);
+  return engine;
+};
+
+const snapshot = (engine) => engine.repository.getAll().map(entity => ({
+  ...entity.getComponent('transform'),
+  ...entity.getComponent('physics')
+}));
+
+// Drives update() with a fake clock, one entry per frame in milliseconds
+const playFrames = (engine, frames) => {
+  engine.start();
+  let now = engine.lastTime;
+  frames.forEach(ms => {
+    now += ms;
+    engine.update(now);
+  });
+};
+
+test('the same number of steps gives the same state whatever the frame rate', () => {
+  [
+    new Array(120).fill(1000 / 60),
+    [5, 40, 13, 100, 2, 33, 300, 7, 500, 16]
+  ].forEach(frames => {
+    const played = createEngine();
+    playFrames(played, frames);
+
+    const replay = createEngine();
+    const steps = Math.round(played.time / played.fixedTimeStep);
+    for (let i = 0; i < steps; i++) replay.step();
+
+    expect(steps).toBeGreaterThan(0);
+    expect(snapshot(replay)).toEqual(snapshot(played));
+  });
+});
+
+test('long frames are clamped instead of tunnelling the simulation forward', () => {
+  const engine = createEngine();
+  playFrames(engine, [10000]);
+
+  expect(engine.time).toBeLessThanOrEqual(engine.maxFrameTime);
+  expect(engine.time).toBeGreaterThan(engine.maxFrameTime - engine.fixedTimeStep);
+});
+
+test('each step runs the strategy once per substep', () => {
+  const engine = createEngine();
+  engine.substeps = 4;
+  const update = jest.spyOn(engine.strategy, 'update');
+
+  engine.step(0.02);
+
+  expect(update).toHaveBeenCalledTimes(4);
+  expect(update.mock.calls[0][1]).toBeCloseTo(0.005, 12);
+});
+
+test.each([
+  ['velocity-verlet', 1e-9],
+  ['rk4', 1e-9],
+  ['semi-implicit-euler', 0.5]
+])('%s follows free fall y = y0 + v0 t + g t²/2', (integrator, tolerance) => {
+  const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+  engine.strategy.integrator = integrator;
+  const ball = EntityFactory.createPhysicsObject(engine.repository, 200, 100, 1, 0, -60);
+
+  for (let i = 0; i < 120; i++) engine.step();
+
+  const t = engine.time;
+  const expected = 100 - 60 * t + 0.5 * engine.strategy.gravity * t * t;
+  expect(Math.abs(ball.getComponent('transform').y - expected)).toBeLessThan(tolerance);
+});
+
+test('an unknown integrator is an error', () => {
+  const engine = createEngine('leapfrog-ish');
+  expect(() => engine.step()).toThrow(/Unknown integrator/);
+});
+
+describe('timeline', () => {
+  test('a new engine records no history until it is given one', () => {
+    const engine = new SimulationEngine(new PhysicsSimulationStrategy());
+    EntityFactory.createPhysicsObject(engine.repository, 100, 100, 1, 40, -60);
+    engine.run(0.1);
+
+    expect(engine.history.size).toBe(0);
+    expect(engine.history.bytes).toBe(0);
+  });
+
+  test('every step is recorded and rewinding restores the exact state', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 30; i++) engine.step();
+    expect(engine.history.size).toBe(31);
+
+    const atTen = createEngine();
+    for (let i = 0; i < 10; i++) atTen.step();
+
+    engine.seek(10);
+    expect(engine.time).toBeCloseTo(10 * engine.fixedTimeStep, 12);
+    expect(snapshot(engine)).toEqual(snapshot(atTen));
+    expect(engine.history.cursor).toBe(10);
+  });
+
+  test('restored frames do not share components with the history', () => {
+    const engine = createEngine();
+    engine.step();
+    engine.seek(0);
+    engine.repository.findById(1).getComponent('transform').x = -1;
+
+    engine.seek(0);
+    expect(engine.repository.findById(1).getComponent('transform').x).toBe(100);
+  });
+
+  test('single steps walk through recorded frames before simulating new ones', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 5; i++) engine.step();
+    engine.seek(2);
+
+    engine.stepBack();
+    expect(engine.history.cursor).toBe(1);
+    engine.stepForward();
+    engine.stepForward();
+    engine.stepForward();
+    engine.stepForward();
+    expect(engine.history.cursor).toBe(5);
+    expect(engine.history.size).toBe(5 + 1);
+
+    engine.stepForward();
+    expect(engine.history.size).toBe(7);
+    expect(engine.time).toBeCloseTo(6 * engine.fixedTimeStep, 12);
+  });
+
+  test('simulating from a rewound frame discards the frames after it', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 10; i++) engine.step();
+    engine.seek(4);
+    engine.repository.findById(1).getComponent('physics').vx = 0;
+
+    engine.step();
+    expect(engine.history.size).toBe(6);
+
+    engine.step();
+    engine.seek(5);
+    expect(engine.repository.findById(1).getComponent('physics').vx).toBe(0);
+  });
+
+  test('seeking writes into the scene\'s own components rather than building new ones', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 10; i++) engine.step();
+    const physics = engine.repository.findById(1).getComponent('physics');
+    console.log.mockClear();
+
+    engine.seek(3);
+    engine.stepBack();
+    engine.stepForward();
+
+    expect(engine.repository.findById(1).getComponent('physics')).toBe(physics);
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('entities removed since a frame come back when seeking to it', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 3; i++) engine.step();
+    engine.repository.remove(2);
+    for (let i = 0; i < 3; i++) engine.step();
+
+    engine.seek(1);
+    expect(engine.repository.findById(2).getComponent('transform').x).toBeCloseTo(300 - 30 * engine.fixedTimeStep, 9);
+    engine.seek(6);
+    expect(engine.repository.findById(2)).toBeUndefined();
+  });
+
+  test('seeking back across a change of part type brings back its pins and wiring', () => {
+    const engine = new SimulationEngine(new CircuitSimulationStrategy());
+    engine.history = new SimulationHistory();
+    const battery = EntityFactory.createCircuitBattery(engine.repository, 0, 0, 9);
+    const part = EntityFactory.createCircuitResistor(engine.repository, 100, 0, 100);
+    const out = EntityFactory.createCircuitWire(engine.repository, battery, part, '+', 'a');
+    const back = EntityFactory.createCircuitWire(engine.repository, part, battery, 'b', '-');
+    engine.step();
+
+    // The part is turned into a battery in place, and its wires moved onto the new pins
+    Object.assign(part.getComponent('circuit'), { componentType: 'battery', value: 3, pins: ['-', '+'] });
+    out.getComponent('wire').endPin = '-';
+    back.getComponent('wire').startPin = '+';
+    engine.step();
+
+    engine.seek(0);
+    expect(engine.repository.findById(part.id).getComponent('circuit'))
+      .toMatchObject({ componentType: 'resistor', value: 100, pins: ['a', 'b'] });
+    expect(engine.repository.findById(back.id).getComponent('wire').startPin).toBe('b');
+    engine.seek(2);
+    expect(engine.repository.findById(part.id).getComponent('circuit'))
+      .toMatchObject({ componentType: 'battery', value: 3, pins: ['-', '+'] });
+    expect(engine.repository.findById(back.id).getComponent('wire').startPin).toBe('+');
+  });
+
+  test('the oldest frames are dropped once the history outgrows its size in bytes', () => {
+    const engine = createEngine();
+    engine.history = new SimulationHistory(4000);
+    for (let i = 0; i < 20; i++) engine.step();
+
+    const size = engine.history.size;
+    expect(size).toBeGreaterThan(1);
+    expect(size).toBeLessThan(21);
+    expect(engine.history.bytes).toBeLessThanOrEqual(4000);
+    expect(engine.history.get(0).time).toBeCloseTo((21 - size) * engine.fixedTimeStep, 12);
+    expect(engine.history.get(size - 1).time).toBeCloseTo(20 * engine.fixedTimeStep, 12);
+    expect(() => engine.history.get(size)).toThrow(`No recorded frame ${size}`);
+  });
+
+  test('replay plays recorded frames at the playback speed and stops at the end', () => {
+    const engine = createEngine();
+    for (let i = 0; i < 120; i++) engine.step();
+    engine.seek(0);
+    engine.playbackSpeed = 0.5;
+
+    engine.startReplay();
+    const start = engine.lastTime;
+    engine.update(start + 200);
+    expect(engine.time).toBeCloseTo(0.1, 9);
+    expect(engine.history.size).toBe(121);
+
+    // Two more wall-clock seconds replay the remaining 0.9s of simulated time
+    for (let ms = 450; ms <= 2200; ms += 250) engine.update(start + ms);
+    expect(engine.history.cursor).toBe(120);
+    expect(engine.isRunning).toBe(false);
+    expect(engine.replaying).toBe(false);
+  });
+
+  test('a reset clears the history', () => {
+    const engine = createEngine();
+    engine.step();
+    engine.reset();
+
+    expect(engine.history.size).toBe(0);
+    expect(engine.history.cursor).toBe(-1);
+  });
+});
+
+test('run simulates a duration headlessly in equal steps, notifying observers after each', () => {
+  const engine = createEngine();
+  const times = [];
+  engine.addObserver({ update: (observed) => times.push(observed.time) });
+
+  engine.run(0.105);
+
+  // 0.105s does not divide into 1/120s steps, so it takes 13 slightly shorter ones
+  expect(times).toHaveLength(13);
+  expect(engine.time).toBeCloseTo(0.105, 12);
+  expect(engine.isRunning).toBe(false);
+
+  const stepped = createEngine();
+  for (let i = 0; i < 120; i++) stepped.step();
+  expect(snapshot(createEngine().run(1))).toEqual(snapshot(stepped));
+});
+
+test('a negative run duration is an error', () => {
+  expect(() => createEngine().run(-1)).toThrow('Cannot run for -1 seconds');
+});
@@ -0,0 +1,171 @@
+import {
+  EntityRepository,
+  EntityFactory,
+  SimulationEngine,
+  CircuitSimulationStrategy,
+  CircuitNetlist,
+  ConservationDiagnostics,
+  ModifiedNodalAnalysis,
+  PropertyInspector,
+  CommandStack,
+  ScenarioLibrary
+} from './core';
+
+const solve = (repo) => {
+  const strategy = new CircuitSimulationStrategy();
+  strategy.update(repo.getAll(), 0);
+  return strategy;
+};
+
+const loop = (repo, parts) => {
+  parts.forEach((part, i) => {
+    const next = parts[(i + 1) % parts.length];
+    EntityFactory.createCircuitWire(repo, part, next, part.getComponent('circuit').pins[1], next.getComponent('circuit').pins[0]);
+  });
+};
+
+test('a switch breaks the circuit while open and lights a lamp at its rated power once closed', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 12);
+  const toggle = EntityFactory.createCircuitSPSTSwitch(repo, 0, 0);
+  const lamp = EntityFactory.createCircuitLamp(repo, 0, 0, 5);
+  loop(repo, [battery, toggle, lamp]);
+
+  solve(repo);
+  expect(lamp.getComponent('circuit').current).toBeCloseTo(0, 9);
+  expect(toggle.getComponent('circuit').voltage).toBeCloseTo(12, 6);
+
+  toggle.getComponent('switch').closed = true;
+  solve(repo);
+  const circuit = lamp.getComponent('circuit');
+  expect(circuit.voltage * circuit.current).toBeCloseTo(5, 3);
+  expect(toggle.getComponent('circuit').voltage).toBeCloseTo(circuit.current * ModifiedNodalAnalysis.CONTACT_RESISTANCE, 9);
+});
+
+test('a changeover switch joins its common pin to a while open and to b while closed', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const selector = EntityFactory.createCircuitSPDTSwitch(repo, 0, 0);
+  const toA = EntityFactory.createCircuitResistor(repo, 0, 0, 100);
+  const toB = EntityFactory.createCircuitResistor(repo, 0, 0, 1000);
+  EntityFactory.createCircuitWire(repo, battery, selector, '+', 'com');
+  EntityFactory.createCircuitWire(repo, selector, toA, 'a', 'a');
+  EntityFactory.createCircuitWire(repo, selector, toB, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, toA, battery, 'b', '-');
+  EntityFactory.createCircuitWire(repo, toB, battery, 'b', '-');
+
+  expect(solve(repo).error).toBeNull();
+  expect(toA.getComponent('circuit').current).toBeCloseTo(0.1, 5);
+  expect(toB.getComponent('circuit').current).toBeCloseTo(0, 9);
+  // Current flows out of a and in through com
+  expect(selector.getComponent('circuit').current).toBeCloseTo(-0.1, 5);
+
+  selector.getComponent('switch').closed = true;
+  solve(repo);
+  expect(toA.getComponent('circuit').current).toBeCloseTo(0, 9);
+  expect(toB.getComponent('circuit').current).toBeCloseTo(0.01, 6);
+  expect(selector.getComponent('circuit').controlCurrent).toBeCloseTo(-0.01, 6);
+
+  const { kcl, kvl } = ConservationDiagnostics.kirchhoffResiduals(repo.getAll());
+  expect(Math.max(...kcl.map(Math.abs))).toBeLessThan(1e-9);
+  expect(Math.max(...kvl.map(Math.abs))).toBeLessThan(1e-9);
+});
+
+test('a fuse carries its rated current but blows for good above it', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 10);
+  const fuse = EntityFactory.createCircuitFuse(repo, 0, 0, 1);
+  const load = EntityFactory.createCircuitResistor(repo, 0, 0, 20);
+  loop(repo, [battery, fuse, load]);
+
+  solve(repo);
+  expect(fuse.getComponent('fuse').blown).toBe(false);
+  expect(load.getComponent('circuit').current).toBeCloseTo(0.5, 3);
+
+  load.getComponent('circuit').value = 5;
+  const strategy = solve(repo);
+  expect(fuse.getComponent('fuse').blown).toBe(true);
+
+  strategy.update(repo.getAll(), 0);
+  expect(load.getComponent('circuit').current).toBeCloseTo(0, 9);
+  load.getComponent('circuit').value = 20;
+  strategy.update(repo.getAll(), 0);
+  expect(fuse.getComponent('fuse').blown).toBe(true);
+});
+
+test('a shorted battery drives emf over internal resistance instead of failing to solve', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 12);
+  EntityFactory.createCircuitWire(repo, battery, battery, '+', '-');
+
+  // An ideal battery cannot be shorted
+  expect(solve(repo).error).toMatch(/no unique solution/);
+
+  battery.getComponent('battery').internalResistance = 0.1;
+  expect(solve(repo).error).toBeNull();
+  expect(battery.getComponent('circuit').current).toBeCloseTo(120, 6);
+  expect(battery.getComponent('circuit').voltage).toBeCloseTo(0, 9);
+});
+
+test('a loaded battery sags by its internal resistance, in transient and AC analysis alike', () => {
+  const repo = new EntityRepository();
+  const battery = EntityFactory.createCircuitBattery(repo, 0, 0, 12, 2);
+  const load = EntityFactory.createCircuitResistor(repo, 0, 0, 10);
+  loop(repo, [battery, load]);
+
+  solve(repo);
+  expect(battery.getComponent('circuit').voltage).toBeCloseTo(10, 9);
+  expect(load.getComponent('circuit').current).toBeCloseTo(1, 9);
+
+  // To a current source across the load, the battery is just its 2Ω in parallel with the 10Ω
+  const source = EntityFactory.createCircuitCurrentSource(repo, 0, 0, 1, 50);
+  EntityFactory.createCircuitWire(repo, source, load, 'b', 'a');
+  EntityFactory.createCircuitWire(repo, load, source, 'b', 'a');
+  const netlist = new CircuitNetlist(repo.getAll());
+  const element = netlist.elements.find(({ entity }) => entity === load);
+  const { currents } = ModifiedNodalAnalysis.solveAC(netlist, 50);
+  expect(Math.hypot(currents.get(element).re, currents.get(element).im)).toBeCloseTo(2 / 12, 9);
+});
+
+test('the lamp demo blows its fuse when the push button shorts the lamp', () => {
+  const engine = new SimulationEngine(null);
+  ScenarioLibrary.load(engine, 'lamp-switch-fuse');
+  const part = (type) => engine.repository.getAll().find(entity => entity.getComponent('circuit')?.componentType === type);
+
+  part('spstSwitch').getComponent('switch').closed = true;
+  engine.run(0.05);
+  expect(part('fuse').getComponent('fuse').blown).toBe(false);
+  expect(Math.abs(part('lamp').getComponent('circuit').current)).toBeCloseTo(5 / 12, 2);
+
+  part('pushButton').getComponent('switch').closed = true;
+  engine.run(0.05);
+  expect(part('fuse').getComponent('fuse').blown).toBe(true);
+  expect(engine.strategy.error).toBeNull();
+});
+
+test('parts turned into switches, fuses, lamps or batteries gain the state and settings of their type', () => {
+  const repo = new EntityRepository();
+  const commands = new CommandStack();
+  const part = EntityFactory.createCircuitResistor(repo, 0, 0, 5);
+  const fields = () => PropertyInspector.fieldsFor(part).map(spec => `${spec.componentName}.${spec.field}`);
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'lamp');
+  expect(fields()).toContain('lamp.ratedVoltage');
+  expect(PropertyInspector.fieldsFor(part).find(spec => spec.field === 'value').unit).toBe('W');
+  expect(() => PropertyInspector.edit(commands, repo, part.id, 'circuit', 'value', '0')).toThrow('Rated power must be positive');
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'battery');
+  expect(part.hasComponent('lamp')).toBe(false);
+  expect(fields()).toContain('battery.internalResistance');
+  expect(() => PropertyInspector.edit(commands, repo, part.id, 'battery', 'internalResistance', '-1')).toThrow();
+
+  PropertyInspector.edit(commands, repo, part.id, 'circuit', 'componentType', 'spdtSwitch');
+  expect(part.getComponent('switch').closed).toBe(false);
+  expect(fields()).not.toContain('circuit.value');
+
+  // Undo restores copies of the part
+  commands.undo();
+  commands.undo();
+  expect(repo.findById(part.id).hasComponent('switch')).toBe(false);
+  expect(repo.findById(part.id).hasComponent('lamp')).toBe(true);
+});
@@ -0,0 +1,4904 @@
+// Simulation core: the domain and application layers, free of React and the DOM so scenes can
+// be built, loaded and simulated headlessly, e.g. from Node (see scripts/simulate.mjs).
+
+// ============================================================================
+// DOMAIN LAYER - Core Business Logic
+// ============================================================================
+
+// ENTITY-COMPONENT PATTERN: Base entity that can have different components
+class Entity {
+  constructor(id, type) {
+    console.log("Entity Constructor for a " + type);
+    this.id = id;
+    this.type = type;
+    this.components = new Map();
+  }
+
+  addComponent(name, component) {
+    this.components.set(name, component);
+    return this;
+  }
+
+  getComponent(name) {
+    return this.components.get(name);
+  }
+
+  hasComponent(name) {
+    return this.components.has(name);
+  }
+
+  removeComponent(name) {
+    this.components.delete(name);
+    return this;
+  }
+}
+
+// Components for Entity-Component Pattern
+class TransformComponent {
+  constructor(x, y, rotation = 0) {
+    console.log("creating a transform component");
+    this.x = x;
+    this.y = y;
+    this.rotation = rotation;
+  }
+}
+
+class MobileByUserComponent {
+  constructor(selected = false) {
+    this.selected = selected;
+  }
+}
+
+class PhysicsComponent {
+  constructor(mass, vx = -0.5, vy = 0) {
+    console.log("creating a physics component");
+    this.mass = mass;
+    this.vx = vx;
+    this.vy = vy;
+    this.fx = 0;
+    this.fy = 0;
+    this.linearDamping = 0; // per second; drag force is -linearDamping * mass * velocity
+  }
+}
+
+// Collision shape, oriented by the entity's transform.rotation.
+// Entities with a tangible component but no physics component are static (walls, floors, ramps).
+class PhysicsCollisionComponent{
+  constructor(radius){
+    this.shape = 'circle'; // 'circle', 'box', 'polygon', 'segment'
+    this.radius = radius; // circles
+    this.width = 0; // boxes
+    this.height = 0;
+    this.vertices = []; // polygons (convex) and segments (two points), relative to the transform
+    // Segments: how far the solid reaches behind the line, on the right going from the first point
+    // to the second as drawn (below a floor drawn left to right). 0 is a line solid from both sides.
+    this.thickness = 0;
+
+    // Surface material. Contacts use the lower restitution and the geometric mean of the frictions.
+    this.restitution = 1.0; // 1 = perfectly elastic, 0 = no bounce
+    this.staticFriction = 0;
+    this.kineticFriction = 0;
+  }
+
+  withMaterial({ restitution = this.restitution, staticFriction = this.staticFriction, kineticFriction = this.kineticFriction }) {
+    this.restitution = restitution;
+    this.staticFriction = staticFriction;
+    this.kineticFriction = kineticFriction;
+    return this;
+  }
+
+  static box(width, height) {
+    const tangible = new PhysicsCollisionComponent(0);
+    tangible.shape = 'box';
+    tangible.width = width;
+    tangible.height = height;
+    return tangible;
+  }
+
+  static polygon(vertices) {
+    const tangible = new PhysicsCollisionComponent(0);
+    tangible.shape = 'polygon';
+    tangible.vertices = vertices.map(({ x, y }) => ({ x, y }));
+    return tangible;
+  }
+
+  static segment(x1, y1, x2, y2, thickness = 0) {
+    const tangible = new PhysicsCollisionComponent(0);
+    tangible.shape = 'segment';
+    tangible.vertices = [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+    tangible.thickness = thickness;
+    return tangible;
+  }
+
+  // A thick segment's line and the unit normal out of its solid side, in world space
+  slab(transform) {
+    const [a, b] = this.worldVertices(transform);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    return { a, b, length, tx: (b.x - a.x) / length, ty: (b.y - a.y) / length, nx: (b.y - a.y) / length, ny: -(b.x - a.x) / length };
+  }
+
+  // Corners before rotation; empty for circles
+  localVertices() {
+    if (this.shape === 'box') {
+      const w = this.width / 2;
+      const h = this.height / 2;
+      return [{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }];
+    }
+    return this.shape === 'circle' ? [] : this.vertices;
+  }
+
+  worldVertices(transform) {
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return this.localVertices().map(({ x, y }) => ({
+      x: transform.x + x * cos - y * sin,
+      y: transform.y + x * sin + y * cos
+    }));
+  }
+
+  // Axis-aligned bounding box in world space
+  bounds(transform) {
+    if (this.shape === 'circle') {
+      return {
+        minX: transform.x - this.radius, maxX: transform.x + this.radius,
+        minY: transform.y - this.radius, maxY: transform.y + this.radius
+      };
+    }
+    const vertices = this.worldVertices(transform);
+    // A thick segment's bounds take in the solid behind it
+    if (this.shape === 'segment' && this.thickness > 0) {
+      const { nx, ny } = this.slab(transform);
+      vertices.push(...vertices.map(v => ({ x: v.x - nx * this.thickness, y: v.y - ny * this.thickness })));
+    }
+    const xs = vertices.map(v => v.x);
+    const ys = vertices.map(v => v.y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  }
+}
+
+// Pulls a body toward the pointer while it is dragged: a critically damped spring whose stiffness
+// scales with the body's mass, so every body follows equally well. Transient; never saved.
+class GrabComponent {
+  constructor(entityId, x, y, frequency = 20) {
+    this.entityId = entityId;
+    this.x = x; // where the body's center is pulled to
+    this.y = y;
+    this.frequency = frequency; // radians per second
+  }
+}
+
+class ChargeComponent {
+  constructor(charge) {
+    this.charge = charge; // coulombs; pushed along electric fields
+  }
+}
+
+// Endpoints (a, b) are { id } for an entity or { x, y } for a fixed point in the world
+class SpringComponent {
+  constructor(a, b, restLength, stiffness, damping = 0) {
+    this.a = a;
+    this.b = b;
+    this.restLength = restLength;
+    this.stiffness = stiffness; // newtons per unit of stretch
+    this.damping = damping; // newtons per unit of closing speed; a pure damper has zero stiffness
+  }
+}
+
+class DistanceConstraintComponent {
+  constructor(a, b, length, kind = 'rod') {
+    this.a = a;
+    this.b = b;
+    this.length = length;
+    this.kind = kind; // 'rod' holds the distance exactly, 'rope' only stops it growing
+  }
+}
+
+// Mutual Newtonian gravity between every pair of bodies in the scene
+class GravitationComponent {
+  constructor(G = 6.674e-11, softening = 0.05) {
+    this.G = G;
+    this.softening = softening;
+  }
+}
+
+// Uniform field acting on every body with a charge component
+class ElectricFieldComponent {
+  constructor(ex, ey) {
+    this.ex = ex;
+    this.ey = ey;
+  }
+}
+
+class RenderComponent {
+  constructor(shape, color, size) {
+    console.log("creating a render component");
+    this.shape = shape; // 'circle', 'rect', 'line', 'polygon' (outline of a tangible), 'segment', 'spring', 'link', 'field'
+    this.color = color;
+    this.size = size; // world units for 'circle' and 'rect'; screen pixels of line width for the rest
+  }
+}
+
+class CircuitComponent {
+  // Pin names and their offsets from the entity center, before rotation.
+  // Current is measured flowing in through the first pin and out through the second.
+  static PIN_LAYOUTS = {
+    resistor: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    battery: { '-': { x: -20, y: 0 }, '+': { x: 20, y: 0 } },
+    capacitor: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    inductor: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    voltageSource: { '-': { x: -20, y: 0 }, '+': { x: 20, y: 0 } },
+    currentSource: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    diode: { a: { x: -20, y: 0 }, k: { x: 20, y: 0 } },
+    led: { a: { x: -20, y: 0 }, k: { x: 20, y: 0 } },
+    // Transistors: collector (drain) above, emitter (source) below, base (gate) to the left
+    npn: { c: { x: 0, y: -20 }, e: { x: 0, y: 20 }, b: { x: -20, y: 0 } },
+    nmos: { d: { x: 0, y: -20 }, s: { x: 0, y: 20 }, g: { x: -20, y: 0 } },
+    // Instruments: meters read pin + over pin -; the oscilloscope reads ch1 and ch2 over gnd
+    voltmeter: { '+': { x: -20, y: 0 }, '-': { x: 20, y: 0 } },
+    ammeter: { '+': { x: -20, y: 0 }, '-': { x: 20, y: 0 } },
+    ohmmeter: { '+': { x: -20, y: 0 }, '-': { x: 20, y: 0 } },
+    oscilloscope: { ch1: { x: -20, y: -10 }, gnd: { x: 0, y: 20 }, ch2: { x: -20, y: 10 } },
+    spstSwitch: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    // Changeover switch: the common pin on the left, thrown to a (above) or b (below) on the right
+    spdtSwitch: { a: { x: 20, y: -10 }, com: { x: -20, y: 0 }, b: { x: 20, y: 10 } },
+    pushButton: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    fuse: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    lamp: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } },
+    motor: { a: { x: -20, y: 0 }, b: { x: 20, y: 0 } }
+  };
+
+  // Parts driven by a 'source' component over time
+  static SOURCE_TYPES = ['voltageSource', 'currentSource'];
+  // Parts with a readout in a 'meter' component
+  static METER_TYPES = ['voltmeter', 'ammeter', 'ohmmeter'];
+  // Parts opened and closed by clicking, with the state in a 'switch' component
+  static SWITCH_TYPES = ['spstSwitch', 'spdtSwitch', 'pushButton'];
+  // Parts whose voltage is reported + over -, rather than as a drop from pins[0] to pins[1]
+  static EMF_TYPES = ['battery', 'voltageSource'];
+
+  constructor(componentType, value) {
+    console.log("Creating a circuit component");
+    // 'resistor', 'battery', 'capacitor', 'inductor', 'voltageSource', 'currentSource', 'diode', 'led',
+    // 'npn', 'nmos', 'voltmeter', 'ammeter', 'ohmmeter', 'oscilloscope', 'spstSwitch', 'spdtSwitch',
+    // 'pushButton', 'fuse', 'lamp' or 'motor'
+    this.componentType = componentType;
+    // resistance in ohms, voltage in volts, capacitance in farads, inductance in henries;
+    // for sources the amplitude, in volts or amperes; a diode's forward voltage at 10mA,
+    // a bipolar transistor's current gain, a MOSFET's threshold voltage, an ohmmeter's
+    // test current, a fuse's rated current, a lamp's rated power in watts and a motor's winding
+    // resistance. Unused by the other instruments and by switches.
+    this.value = value;
+    this.pins = Object.keys(CircuitComponent.PIN_LAYOUTS[componentType]);
+    // current flows in through pins[0] and out through pins[1] (out of '+' for batteries).
+    // For capacitors and inductors these two are also the state carried between time steps.
+    this.current = 0;
+    this.voltage = 0;
+    // Three-pin parts' third pin: current in through it, and its voltage over pins[1] (Vbe or Vgs)
+    this.controlCurrent = 0;
+    this.controlVoltage = 0;
+    this.connections = []; // ids of the wire entities attached to this element
+  }
+
+  // Current flowing in through each pin, in the order of pins; they sum to zero
+  pinCurrents() {
+    if (this.pins.length > 2) {
+      return [this.current, -this.current - this.controlCurrent, this.controlCurrent];
+    }
+    return [this.current, -this.current];
+  }
+
+  hasPin(pin) {
+    return this.pins.includes(pin);
+  }
+
+  // World position of a pin, following the entity's transform
+  pinPosition(transform, pin) {
+    const offset = CircuitComponent.PIN_LAYOUTS[this.componentType][pin];
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return {
+      x: transform.x + offset.x * cos - offset.y * sin,
+      y: transform.y + offset.x * sin + offset.y * cos
+    };
+  }
+
+  // Unit vector pointing out of the part at a pin, following the entity's rotation
+  pinDirection(transform, pin) {
+    const offset = CircuitComponent.PIN_LAYOUTS[this.componentType][pin];
+    const length = Math.hypot(offset.x, offset.y);
+    if (length === 0) return { x: 0, y: 0 };
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return {
+      x: (offset.x * cos - offset.y * sin) / length,
+      y: (offset.x * sin + offset.y * cos) / length
+    };
+  }
+}
+
+// Wires bind an (entityId, pin) pair to another, so they follow components as they move
+class CircuitWireComponent {
+  constructor(startId, startPin, endId, endPin) {
+    console.log("creating a wire component");
+    this.startId = startId;
+    this.startPin = startPin;
+    this.endId = endId;
+    this.endPin = endPin;
+    this.current = 0; // amperes flowing from the start pin to the end pin, set by the circuit solve
+  }
+}
+
+// Time-varying drive of a 'voltageSource' or 'currentSource' part, whose circuit.value is the
+// amplitude. Phase is in degrees; a current source's current flows from pin a to pin b.
+class SourceComponent {
+  // Waveform name -> value at a fraction of the way through a cycle, between -1 and 1.
+  // All start at zero rising, like sine, so phase means the same for each.
+  static WAVEFORMS = {
+    sine: cycle => Math.sin(2 * Math.PI * cycle),
+    square: cycle => (cycle < 0.5 ? 1 : -1),
+    triangle: cycle => (cycle < 0.25 ? 4 * cycle : cycle < 0.75 ? 2 - 4 * cycle : 4 * cycle - 4)
+  };
+
+  constructor(waveform = 'sine', frequency = 50, phase = 0) {
+    console.log("creating a source component");
+    this.waveform = waveform;
+    this.frequency = frequency; // hertz
+    this.phase = phase; // degrees
+  }
+
+  // Value of the waveform at `time` seconds, for an amplitude of 1
+  at(time) {
+    const cycles = this.frequency * time + this.phase / 360;
+    return SourceComponent.WAVEFORMS[this.waveform](cycles - Math.floor(cycles));
+  }
+}
+
+// Readout of a voltmeter, ammeter or ohmmeter part, refreshed after every circuit solve
+class MeterComponent {
+  static UNITS = { voltmeter: 'V', ammeter: 'A', ohmmeter: 'Ω' };
+
+  constructor() {
+    console.log("creating a meter component");
+    this.reading = 0; // in the unit of the meter's type
+    this.status = null; // shown instead of the reading when set: 'OL' or why there is no reading
+  }
+}
+
+// Settings of an oscilloscope part. The screen is DIVISIONS wide, showing the most recent
+// DIVISIONS * timePerDivision seconds, and 8 divisions high with 0V across the middle.
+class ScopeComponent {
+  static DIVISIONS = 10;
+
+  constructor(timePerDivision = 0.005, ch1VoltsPerDivision = 1, ch2VoltsPerDivision = 1) {
+    console.log("creating a scope component");
+    this.timePerDivision = timePerDivision; // seconds
+    this.ch1VoltsPerDivision = ch1VoltsPerDivision;
+    this.ch2VoltsPerDivision = ch2VoltsPerDivision;
+  }
+
+  get window() {
+    return ScopeComponent.DIVISIONS * this.timePerDivision;
+  }
+}
+
+// What an oscilloscope has sampled, oldest first. Only ever kept in memory: never saved, rewound
+// or undone, so a jump back in time starts it afresh.
+class TraceComponent {
+  static MAX_SAMPLES = 1000; // per screen width; closer samples are skipped
+
+  constructor() {
+    this.times = [];
+    this.channels = [[], []]; // volts on ch1 and ch2
+  }
+
+  // Adds a sample and forgets those more than `window` seconds before it, but for the one just
+  // off the screen, so the line still reaches its edge
+  record(time, values, window) {
+    const last = this.times[this.times.length - 1];
+    if (last !== undefined && time < last) {
+      this.times = [];
+      this.channels = this.channels.map(() => []);
+    } else if (last !== undefined && time - last < window / TraceComponent.MAX_SAMPLES) {
+      return;
+    }
+    this.times.push(time);
+    this.channels.forEach((samples, i) => samples.push(values[i]));
+
+    let old = 0;
+    while (old + 1 < this.times.length && this.times[old + 1] <= time - window) old++;
+    if (old > 0) {
+      this.times.splice(0, old);
+      this.channels.forEach(samples => samples.splice(0, old));
+    }
+  }
+}
+
+// Whether a switch part is closed. A changeover switch joins com to a while open and to b while
+// closed; a push button is only closed while it is held down.
+class SwitchComponent {
+  constructor(closed = false) {
+    console.log("creating a switch component");
+    this.closed = closed;
+  }
+}
+
+// A fuse part opens for good once more than its rated current, circuit.value, flows through it
+class FuseComponent {
+  constructor() {
+    console.log("creating a fuse component");
+    this.blown = false;
+  }
+}
+
+// A lamp part draws circuit.value watts at its rated voltage, through a fixed filament resistance
+class LampComponent {
+  constructor(ratedVoltage = 12) {
+    console.log("creating a lamp component");
+    this.ratedVoltage = ratedVoltage; // volts
+  }
+
+  // Ohms that dissipate `power` watts at the rated voltage
+  resistance(power) {
+    return this.ratedVoltage ** 2 / power;
+  }
+}
+
+// Internal resistance of a battery part, in series with its emf; 0 is an ideal battery
+class BatteryComponent {
+  constructor(internalResistance = 0) {
+    console.log("creating a battery component");
+    this.internalResistance = internalResistance; // ohms
+  }
+}
+
+// A motor part pushes the body bodyId with constant × current newtons, `angle` degrees clockwise
+// from +x, and the body's speed that way drives constant × speed volts of back-emf against the
+// current. Bodies do not spin, so it is a linear motor: the constant is in newtons per ampere,
+// which are also volts per meter per second.
+class MotorComponent {
+  constructor(bodyId = 0, constant = 1, angle = 0) {
+    console.log("creating a motor component");
+    this.bodyId = bodyId; // 0 drives nothing
+    this.constant = constant; // N/A
+    this.angle = angle; // degrees; y grows downwards, so 90 pushes down
+    this.speed = 0; // m/s of the body along angle, as of the last coupling
+  }
+}
+
+// Plates in the physics world wired to a part's pins, usually a capacitor's: pins[0]'s plate
+// along the top of the gap and pins[1]'s along the bottom, `separation` meters apart and `width`
+// wide, around (x, y). The voltage across them is a uniform field in the gap, pushing charged
+// bodies from the first plate towards the second. The bodies do not act back on the circuit.
+class PlatesComponent {
+  constructor(x = 4, y = 3, width = 2, separation = 1) {
+    console.log("creating a plates component");
+    this.x = x; // m
+    this.y = y;
+    this.width = width;
+    this.separation = separation;
+    this.voltage = 0; // volts from the first plate to the second, as of the last coupling
+  }
+
+  // Field at a world point in V/m, which is N/C: zero outside the gap
+  fieldAt(x, y) {
+    const inside = Math.abs(x - this.x) <= this.width / 2 && Math.abs(y - this.y) <= this.separation / 2;
+    return { ex: 0, ey: inside ? this.voltage / this.separation : 0 };
+  }
+}
+
+// Lumped heat model of a part: it warms by the power it dissipates and loses heat to the
+// ambient through a thermal resistance, so C dT/dt = P - (T - ambient) / R
+class ThermalComponent {
+  constructor(heatCapacity = 1, thermalResistance = 10, ambient = 20) {
+    console.log("creating a thermal component");
+    this.heatCapacity = heatCapacity; // J/K
+    this.thermalResistance = thermalResistance; // K/W
+    this.ambient = ambient; // °C
+    this.temperature = ambient; // °C
+  }
+}
+
+// Orthogonal path of a wire as a list of points from its start pin to its end pin, or null if an
+// end is missing. Each end leaves its pin along the pin's axis: a wire between two pins on the
+// same axis steps across halfway, and one between crossing axes makes a single turn.
+function wireRoute(wire, entitiesById) {
+  const start = entitiesById.get(wire.startId);
+  const end = entitiesById.get(wire.endId);
+  if (!start?.hasComponent('circuit') || !end?.hasComponent('circuit')) return null;
+
+  const startCircuit = start.getComponent('circuit');
+  const endCircuit = end.getComponent('circuit');
+  const from = startCircuit.pinPosition(start.getComponent('transform'), wire.startPin);
+  const to = endCircuit.pinPosition(end.getComponent('transform'), wire.endPin);
+  if (from.x === to.x || from.y === to.y) return [from, to];
+
+  const horizontal = (direction) => Math.abs(direction.x) >= Math.abs(direction.y);
+  const startsAcross = horizontal(startCircuit.pinDirection(start.getComponent('transform'), wire.startPin));
+  const endsAcross = horizontal(endCircuit.pinDirection(end.getComponent('transform'), wire.endPin));
+  if (startsAcross && endsAcross) {
+    const midX = (from.x + to.x) / 2;
+    return [from, { x: midX, y: from.y }, { x: midX, y: to.y }, to];
+  }
+  if (!startsAcross && !endsAcross) {
+    const midY = (from.y + to.y) / 2;
+    return [from, { x: from.x, y: midY }, { x: to.x, y: midY }, to];
+  }
+  return [from, startsAcross ? { x: to.x, y: from.y } : { x: from.x, y: to.y }, to];
+}
+
+// STRATEGY PATTERN: Different simulation strategies
+class SimulationStrategy {
+  //because this is sort of the 'abstract' super strategy, update only throws an error.
+  // time is the simulated time the update advances to, for anything driven by the clock.
+  update(entities, deltaTime, time) {
+    throw new Error('Must implement update method');
+  }
+}
+
+// BROADPHASE: Buckets bodies into a uniform grid so only bodies sharing a cell are tested
+// against each other, instead of every body against every other.
+class SpatialHashBroadphase {
+  static DEFAULT_CELL_SIZE = 1; // m
+
+  constructor(cellSize = null) {
+    this.cellSize = cellSize; // null sizes cells to the largest moving body each update
+  }
+
+  // Returns each candidate pair [entityA, entityB] exactly once
+  findPairs(entities) {
+    if (entities.length < 2) return [];
+
+    const bounds = entities.map(entity => entity.getComponent('tangible').bounds(entity.getComponent('transform')));
+    const cellSize = this.cellSize ?? this.autoCellSize(entities, bounds);
+    const cells = new Map();
+
+    entities.forEach((entity, index) => {
+      const box = bounds[index];
+      const minX = Math.floor(box.minX / cellSize);
+      const maxX = Math.floor(box.maxX / cellSize);
+      const minY = Math.floor(box.minY / cellSize);
+      const maxY = Math.floor(box.maxY / cellSize);
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+          const key = `${cx},${cy}`;
+          const cell = cells.get(key);
+          if (cell) {
+            cell.push(index);
+          } else {
+            cells.set(key, [index]);
+          }
+        }
+      }
+    });
+
+    // Bodies spanning several cells meet more than once; keep the first meeting only
+    const seen = new Set();
+    const pairs = [];
+    cells.forEach(cell => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          const a = Math.min(cell[i], cell[j]);
+          const b = Math.max(cell[i], cell[j]);
+          const key = a * entities.length + b;
+          if (!seen.has(key)) {
+            seen.add(key);
+            pairs.push([entities[a], entities[b]]);
+          }
+        }
+      }
+    });
+    return pairs;
+  }
+
+  // Static bodies such as floors can be huge; sizing cells to them would put everything in one cell
+  autoCellSize(entities, bounds) {
+    let largest = 0;
+    entities.forEach((entity, index) => {
+      if (!entity.hasComponent('physics')) return;
+      const box = bounds[index];
+      largest = Math.max(largest, box.maxX - box.minX, box.maxY - box.minY);
+    });
+    return largest > 0 ? largest : SpatialHashBroadphase.DEFAULT_CELL_SIZE;
+  }
+}
+
+// NARROWPHASE: Exact overlap tests between collision shapes.
+// A contact is { nx, ny, depth }: the unit normal pointing from A to B and the penetration depth.
+class CollisionDetector {
+  static findContact(entityA, entityB) {
+    const tangibleA = entityA.getComponent('tangible');
+    const tangibleB = entityB.getComponent('tangible');
+    const transformA = entityA.getComponent('transform');
+    const transformB = entityB.getComponent('transform');
+
+    if (tangibleA.shape === 'circle' && tangibleB.shape === 'circle') {
+      return CollisionDetector.circleCircle(transformA, tangibleA.radius, transformB, tangibleB.radius);
+    }
+    if (tangibleB.shape === 'segment' && tangibleB.thickness > 0) {
+      return CollisionDetector.shapeSlab(tangibleA, transformA, tangibleB, transformB);
+    }
+    if (tangibleA.shape === 'segment' && tangibleA.thickness > 0) {
+      const contact = CollisionDetector.shapeSlab(tangibleB, transformB, tangibleA, transformA);
+      return contact && { nx: -contact.nx, ny: -contact.ny, depth: contact.depth };
+    }
+    if (tangibleA.shape === 'circle') {
+      return CollisionDetector.circlePolygon(transformA, tangibleA.radius, tangibleB.worldVertices(transformB));
+    }
+    if (tangibleB.shape === 'circle') {
+      const contact = CollisionDetector.circlePolygon(transformB, tangibleB.radius, tangibleA.worldVertices(transformA));
+      return contact && { nx: -contact.nx, ny: -contact.ny, depth: contact.depth };
+    }
+    return CollisionDetector.polygonPolygon(tangibleA.worldVertices(transformA), tangibleB.worldVertices(transformB));
+  }
+
+  static circleCircle(centerA, radiusA, centerB, radiusB) {
+    const dx = centerB.x - centerA.x;
+    const dy = centerB.y - centerA.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Coincident centers have no defined normal
+    if (distance === 0 || distance >= radiusA + radiusB) return null;
+    return { nx: dx / distance, ny: dy / distance, depth: radiusA + radiusB - distance };
+  }
+
+  // Circle as A, polygon or segment as B
+  static circlePolygon(center, radius, vertices) {
+    let closest = null;
+    let closestDistance = Infinity;
+    const edgeCount = vertices.length === 2 ? 1 : vertices.length;
+    for (let i = 0; i < edgeCount; i++) {
+      const point = closestPointOnSegment(center.x, center.y, vertices[i], vertices[(i + 1) % vertices.length]);
+      const distance = Math.hypot(point.x - center.x, point.y - center.y);
+      if (distance < closestDistance) {
+        closest = point;
+        closestDistance = distance;
+      }
+    }
+
+    const inside = CollisionDetector.containsPoint(vertices, center.x, center.y);
+    if (!inside && closestDistance >= radius) return null;
+    if (closestDistance === 0) return null;
+
+    // Outside: push along center -> surface. Inside: the circle must travel out through the nearest edge.
+    const sign = inside ? -1 : 1;
+    return {
+      nx: sign * (closest.x - center.x) / closestDistance,
+      ny: sign * (closest.y - center.y) / closestDistance,
+      depth: inside ? radius + closestDistance : radius - closestDistance
+    };
+  }
+
+  // Any shape as A against a thick segment as B. Whatever reaches into the solid behind the line
+  // is pushed back out in front of it, however deep it got in one step, so fast bodies cannot
+  // come out on the far side. Circles past either end meet the end point as usual.
+  static shapeSlab(tangible, transform, segment, segmentTransform) {
+    const slab = segment.slab(segmentTransform);
+    const { a, length, tx, ty, nx, ny } = slab;
+    const along = (p) => (p.x - a.x) * tx + (p.y - a.y) * ty;
+    const height = (p) => (p.x - a.x) * nx + (p.y - a.y) * ny;
+
+    let lowest;
+    let highest;
+    if (tangible.shape === 'circle') {
+      const t = along(transform);
+      if (t < 0 || t > length) return CollisionDetector.circlePolygon(transform, tangible.radius, [slab.a, slab.b]);
+      lowest = height(transform) - tangible.radius;
+      highest = height(transform) + tangible.radius;
+    } else {
+      const vertices = tangible.worldVertices(transform);
+      const spans = vertices.map(along);
+      if (Math.max(...spans) < 0 || Math.min(...spans) > length) return null;
+      const heights = vertices.map(height);
+      lowest = Math.min(...heights);
+      highest = Math.max(...heights);
+    }
+    if (lowest >= 0 || highest <= -segment.thickness) return null;
+    return { nx: -nx, ny: -ny, depth: -lowest };
+  }
+
+  // Separating axis test over the edge normals of both shapes; segments are two-point polygons
+  static polygonPolygon(verticesA, verticesB) {
+    let best = null;
+    for (const vertices of [verticesA, verticesB]) {
+      const edgeCount = vertices.length === 2 ? 1 : vertices.length;
+      for (let i = 0; i < edgeCount; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length === 0) continue;
+        const axis = { x: (b.y - a.y) / length, y: -(b.x - a.x) / length };
+
+        const [minA, maxA] = CollisionDetector.project(verticesA, axis);
+        const [minB, maxB] = CollisionDetector.project(verticesB, axis);
+        // Distance B must travel along +axis or -axis to clear A; the shorter way wins
+        const forward = maxA - minB;
+        const backward = maxB - minA;
+        const overlap = Math.min(forward, backward);
+        if (overlap <= 0) return null;
+        if (!best || overlap < best.depth) {
+          const direction = forward < backward ? 1 : -1;
+          best = { nx: axis.x * direction, ny: axis.y * direction, depth: overlap };
+        }
+      }
+    }
+    return best;
+  }
+
+  static project(vertices, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    vertices.forEach(v => {
+      const d = v.x * axis.x + v.y * axis.y;
+      min = Math.min(min, d);
+      max = Math.max(max, d);
+    });
+    return [min, max];
+  }
+
+  // Convex polygons of either winding; segments contain nothing
+  static containsPoint(vertices, x, y) {
+    if (vertices.length < 3) return false;
+    let sign = 0;
+    for (let i = 0; i < vertices.length; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+      if (cross !== 0) {
+        if (sign !== 0 && Math.sign(cross) !== sign) return false;
+        sign = Math.sign(cross);
+      }
+    }
+    return true;
+  }
+}
+
+function closestPointOnSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared));
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+class PhysicsSimulationStrategy extends SimulationStrategy {
+  static INTEGRATORS = ['semi-implicit-euler', 'velocity-verlet', 'rk4'];
+
+  // FORCE GENERATORS: component name -> apply(component, forces), called every time forces are
+  // evaluated. apply adds to physics.fx/fy; forces.entitiesById and forces.bodies give the scene.
+  static FORCE_GENERATORS = new Map();
+
+  static registerForce(componentName, apply) {
+    PhysicsSimulationStrategy.FORCE_GENERATORS.set(componentName, apply);
+  }
+
+  constructor() {
+    super();
+    this.gravity = 9.81; // m/s²; the world is measured in meters, kilograms and seconds
+    this.integrator = 'semi-implicit-euler';
+    this.broadphase = new SpatialHashBroadphase();
+    this.constraintIterations = 10;
+  }
+
+  collides(entityA, entityB) {
+    return CollisionDetector.findContact(entityA, entityB) !== null;
+  }
+
+  // Collision response: a restitution impulse along the contact normal and a Coulomb friction
+  // impulse along the surface. Bodies do not spin. Static bodies (no physics component) have infinite mass.
+  resolveCollision(entityA, entityB, contact = CollisionDetector.findContact(entityA, entityB)) {
+    if (!contact) return;
+
+    const transformA = entityA.getComponent('transform');
+    const transformB = entityB.getComponent('transform');
+    const physicsA = entityA.getComponent('physics');
+    const physicsB = entityB.getComponent('physics');
+    const inverseMassA = physicsA ? 1 / physicsA.mass : 0;
+    const inverseMassB = physicsB ? 1 / physicsB.mass : 0;
+    const inverseMassSum = inverseMassA + inverseMassB;
+    if (inverseMassSum === 0) return;
+
+    const { nx, ny, depth } = contact;
+
+    // Separate the objects (push them apart), the lighter one further
+    const separation = depth / inverseMassSum;
+    transformA.x -= nx * separation * inverseMassA;
+    transformA.y -= ny * separation * inverseMassA;
+    transformB.x += nx * separation * inverseMassB;
+    transformB.y += ny * separation * inverseMassB;
+
+    // Calculate relative velocity along collision normal
+    const relativeVelocityX = (physicsB?.vx ?? 0) - (physicsA?.vx ?? 0);
+    const relativeVelocityY = (physicsB?.vy ?? 0) - (physicsA?.vy ?? 0);
+    const velocityAlongNormal = relativeVelocityX * nx + relativeVelocityY * ny;
+
+    // Don't resolve if velocities are separating
+    if (velocityAlongNormal > 0) return;
+
+    const tangibleA = entityA.getComponent('tangible');
+    const tangibleB = entityB.getComponent('tangible');
+
+    // Calculate restitution (bounciness) - 1.0 = perfectly elastic
+    const restitution = Math.min(tangibleA.restitution, tangibleB.restitution);
+
+    // Apply impulse to velocities
+    const impulse = -(1 + restitution) * velocityAlongNormal / inverseMassSum;
+    this.applyImpulse(physicsA, physicsB, inverseMassA, inverseMassB, impulse * nx, impulse * ny);
+
+    // Friction acts against sliding along the surface, up to mu times the normal impulse
+    const tangentX = relativeVelocityX - velocityAlongNormal * nx;
+    const tangentY = relativeVelocityY - velocityAlongNormal * ny;
+    const slidingSpeed = Math.hypot(tangentX, tangentY);
+    if (slidingSpeed === 0) return;
+
+    const staticFriction = Math.sqrt(tangibleA.staticFriction * tangibleB.staticFriction);
+    const kineticFriction = Math.sqrt(tangibleA.kineticFriction * tangibleB.kineticFriction);
+    const stoppingImpulse = slidingSpeed / inverseMassSum;
+    // Static friction can stop the sliding outright; past that it slips with kinetic friction
+    const frictionImpulse = stoppingImpulse <= staticFriction * impulse
+      ? stoppingImpulse
+      : kineticFriction * impulse;
+    this.applyImpulse(
+      physicsA, physicsB, inverseMassA, inverseMassB,
+      -frictionImpulse * tangentX / slidingSpeed,
+      -frictionImpulse * tangentY / slidingSpeed
+    );
+  }
+
+  // Equal and opposite impulse: B gains (jx, jy), A loses it
+  applyImpulse(physicsA, physicsB, inverseMassA, inverseMassB, jx, jy) {
+    if (physicsA) {
+      physicsA.vx -= jx * inverseMassA;
+      physicsA.vy -= jy * inverseMassA;
+    }
+    if (physicsB) {
+      physicsB.vx += jx * inverseMassB;
+      physicsB.vy += jy * inverseMassB;
+    }
+  }
+
+  update(entities, deltaTime) {
+    const bodies = entities.filter(entity => entity.hasComponent('physics') && entity.hasComponent('transform'));
+
+    // Forces written by anyone else before this step are applied on top of gravity
+    const applied = bodies.map(entity => {
+      const physics = entity.getComponent('physics');
+      return { fx: physics.fx, fy: physics.fy };
+    });
+    const entitiesById = new Map(entities.map(entity => [entity.id, entity]));
+    const forces = { applied, generators: this.collectForceGenerators(entities), entitiesById, bodies };
+
+    this.integrate(bodies, forces, deltaTime);
+    this.resolveContacts(entities);
+    this.solveConstraints(entities, entitiesById);
+
+    // Reset forces
+    bodies.forEach(entity => {
+      const physics = entity.getComponent('physics');
+      physics.fx = 0;
+      physics.fy = 0;
+    });
+  }
+
+  // Every component on any entity that has a registered force generator
+  collectForceGenerators(entities) {
+    const generators = [];
+    entities.forEach(entity => {
+      entity.components.forEach((component, name) => {
+        const apply = PhysicsSimulationStrategy.FORCE_GENERATORS.get(name);
+        if (apply) generators.push({ apply, component });
+      });
+    });
+    return generators;
+  }
+
+  // Fills physics.fx/fy for the bodies' current positions and velocities
+  computeForces(bodies, forces) {
+    bodies.forEach((entity, i) => {
+      const physics = entity.getComponent('physics');
+      physics.fx = forces.applied[i].fx - physics.linearDamping * physics.mass * physics.vx;
+      physics.fy = forces.applied[i].fy + physics.mass * this.gravity - physics.linearDamping * physics.mass * physics.vy;
+    });
+    forces.generators.forEach(({ apply, component }) => apply(component, forces));
+  }
+
+  integrate(bodies, forces, dt) {
+    switch (this.integrator) {
+      case 'velocity-verlet':
+        this.integrateVelocityVerlet(bodies, forces, dt);
+        break;
+      case 'rk4':
+        this.integrateRK4(bodies, forces, dt);
+        break;
+      case 'semi-implicit-euler':
+        this.integrateSemiImplicitEuler(bodies, forces, dt);
+        break;
+      default:
+        throw new Error(`Unknown integrator '${this.integrator}'`);
+    }
+  }
+
+  // Velocity first, then position with the new velocity
+  integrateSemiImplicitEuler(bodies, forces, dt) {
+    this.computeForces(bodies, forces);
+    bodies.forEach(entity => {
+      const physics = entity.getComponent('physics');
+      const transform = entity.getComponent('transform');
+
+      physics.vx += (physics.fx / physics.mass) * dt;
+      physics.vy += (physics.fy / physics.mass) * dt;
+      transform.x += physics.vx * dt;
+      transform.y += physics.vy * dt;
+    });
+  }
+
+  // Position from the old acceleration, velocity from the average of old and new
+  integrateVelocityVerlet(bodies, forces, dt) {
+    this.computeForces(bodies, forces);
+    const before = bodies.map(entity => {
+      const physics = entity.getComponent('physics');
+      const transform = entity.getComponent('transform');
+      const ax = physics.fx / physics.mass;
+      const ay = physics.fy / physics.mass;
+      transform.x += physics.vx * dt + 0.5 * ax * dt * dt;
+      transform.y += physics.vy * dt + 0.5 * ay * dt * dt;
+      return { ax, ay };
+    });
+
+    this.computeForces(bodies, forces);
+    bodies.forEach((entity, i) => {
+      const physics = entity.getComponent('physics');
+      physics.vx += 0.5 * (before[i].ax + physics.fx / physics.mass) * dt;
+      physics.vy += 0.5 * (before[i].ay + physics.fy / physics.mass) * dt;
+    });
+  }
+
+  // Classic fourth-order Runge-Kutta over every body's position and velocity together
+  integrateRK4(bodies, forces, dt) {
+    const read = () => bodies.map(entity => {
+      const physics = entity.getComponent('physics');
+      const transform = entity.getComponent('transform');
+      return [transform.x, transform.y, physics.vx, physics.vy];
+    });
+    const write = (state) => bodies.forEach((entity, i) => {
+      const physics = entity.getComponent('physics');
+      const transform = entity.getComponent('transform');
+      [transform.x, transform.y, physics.vx, physics.vy] = state[i];
+    });
+    const derivative = (state) => {
+      write(state);
+      this.computeForces(bodies, forces);
+      return bodies.map((entity, i) => {
+        const physics = entity.getComponent('physics');
+        return [state[i][2], state[i][3], physics.fx / physics.mass, physics.fy / physics.mass];
+      });
+    };
+    const offset = (state, slope, h) => state.map((values, i) => values.map((value, j) => value + slope[i][j] * h));
+
+    const start = read();
+    const k1 = derivative(start);
+    const k2 = derivative(offset(start, k1, dt / 2));
+    const k3 = derivative(offset(start, k2, dt / 2));
+    const k4 = derivative(offset(start, k3, dt));
+
+    write(start.map((values, i) => values.map((value, j) =>
+      value + (dt / 6) * (k1[i][j] + 2 * k2[i][j] + 2 * k3[i][j] + k4[i][j])
+    )));
+  }
+
+  // Rods and ropes: move the ends back to the allowed length, then cancel the velocity that
+  // would stretch them. Repeated so chains of constraints settle together.
+  solveConstraints(entities, entitiesById) {
+    const constraints = entities
+      .filter(entity => entity.hasComponent('constraint'))
+      .map(entity => entity.getComponent('constraint'));
+    if (constraints.length === 0) return;
+
+    for (let iteration = 0; iteration < this.constraintIterations; iteration++) {
+      constraints.forEach(constraint => {
+        const a = resolveEndpoint(constraint.a, entitiesById);
+        const b = resolveEndpoint(constraint.b, entitiesById);
+        if (!a || !b) return;
+        const inverseMassA = a.physics ? 1 / a.physics.mass : 0;
+        const inverseMassB = b.physics ? 1 / b.physics.mass : 0;
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) return;
+
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0) return;
+        if (constraint.kind === 'rope' && distance <= constraint.length) return;
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const correction = (distance - constraint.length) / inverseMassSum;
+        if (a.transform) {
+          a.transform.x += nx * correction * inverseMassA;
+          a.transform.y += ny * correction * inverseMassA;
+        }
+        if (b.transform) {
+          b.transform.x -= nx * correction * inverseMassB;
+          b.transform.y -= ny * correction * inverseMassB;
+        }
+
+        const stretching = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        if (constraint.kind === 'rope' && stretching < 0) return;
+        const impulse = -stretching / inverseMassSum;
+        this.applyImpulse(a.physics, b.physics, inverseMassA, inverseMassB, impulse * nx, impulse * ny);
+      });
+    }
+  }
+
+  // Object collisions between moving and static bodies, each overlapping pair resolved once
+  resolveContacts(entities) {
+    const tangibles = entities.filter(entity => entity.hasComponent('tangible') && entity.hasComponent('transform'));
+    this.broadphase.findPairs(tangibles).forEach(([entityA, entityB]) => {
+      if (!entityA.hasComponent('physics') && !entityB.hasComponent('physics')) return;
+      const contact = CollisionDetector.findContact(entityA, entityB);
+      if (contact) {
+        this.resolveCollision(entityA, entityB, contact);
+      }
+    });
+  }
+}
+
+// Position, velocity, transform and physics (null when immovable) of a spring or constraint end.
+// Endpoints are { id } for an entity or { x, y } for a fixed point; null if the entity is gone.
+function resolveEndpoint(endpoint, entitiesById) {
+  if (endpoint.id === undefined) {
+    return { x: endpoint.x, y: endpoint.y, vx: 0, vy: 0, transform: null, physics: null };
+  }
+  const entity = entitiesById.get(endpoint.id);
+  if (!entity || !entity.hasComponent('transform')) return null;
+  const transform = entity.getComponent('transform');
+  const physics = entity.getComponent('physics') ?? null;
+  return { x: transform.x, y: transform.y, vx: physics?.vx ?? 0, vy: physics?.vy ?? 0, transform, physics };
+}
+
+// Hooke's law along the spring plus a damper resisting the ends' relative motion
+PhysicsSimulationStrategy.registerForce('spring', (spring, forces) => {
+  const a = resolveEndpoint(spring.a, forces.entitiesById);
+  const b = resolveEndpoint(spring.b, forces.entitiesById);
+  if (!a || !b) return;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return;
+
+  const nx = dx / length;
+  const ny = dy / length;
+  const closingSpeed = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+  const tension = spring.stiffness * (length - spring.restLength) + spring.damping * closingSpeed;
+  if (a.physics) {
+    a.physics.fx += tension * nx;
+    a.physics.fy += tension * ny;
+  }
+  if (b.physics) {
+    b.physics.fx -= tension * nx;
+    b.physics.fy -= tension * ny;
+  }
+});
+
+// Newtonian attraction between every pair of bodies, softened so close passes stay finite.
+// Plummer softening: the force is the gradient of -G m1 m2 / sqrt(r² + ε²), so energy is conserved.
+PhysicsSimulationStrategy.registerForce('gravitation', (gravitation, forces) => {
+  const bodies = forces.bodies;
+  for (let i = 0; i < bodies.length; i++) {
+    const transformA = bodies[i].getComponent('transform');
+    const physicsA = bodies[i].getComponent('physics');
+    for (let j = i + 1; j < bodies.length; j++) {
+      const transformB = bodies[j].getComponent('transform');
+      const physicsB = bodies[j].getComponent('physics');
+      const dx = transformB.x - transformA.x;
+      const dy = transformB.y - transformA.y;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared === 0) continue;
+
+      // Force over distance, so multiplying by dx and dy gives the components
+      const softened = distanceSquared + gravitation.softening * gravitation.softening;
+      const scale = gravitation.G * physicsA.mass * physicsB.mass / (softened * Math.sqrt(softened));
+      physicsA.fx += scale * dx;
+      physicsA.fy += scale * dy;
+      physicsB.fx -= scale * dx;
+      physicsB.fy -= scale * dy;
+    }
+  }
+});
+
+PhysicsSimulationStrategy.registerForce('grab', (grab, forces) => {
+  const entity = forces.entitiesById.get(grab.entityId);
+  const physics = entity?.getComponent('physics');
+  const transform = entity?.getComponent('transform');
+  if (!physics || !transform) return;
+  const stiffness = physics.mass * grab.frequency * grab.frequency;
+  const damping = 2 * physics.mass * grab.frequency;
+  physics.fx += stiffness * (grab.x - transform.x) - damping * physics.vx;
+  physics.fy += stiffness * (grab.y - transform.y) - damping * physics.vy;
+});
+
+// F = qE on every charged body
+PhysicsSimulationStrategy.registerForce('electricField', (field, forces) => {
+  forces.bodies.forEach(entity => {
+    const charge = entity.getComponent('charge');
+    if (!charge) return;
+    const physics = entity.getComponent('physics');
+    physics.fx += charge.charge * field.ex;
+    physics.fy += charge.charge * field.ey;
+  });
+});
+
+// NETLIST: Groups wired pins into electrical nodes
+class CircuitNetlist {
+  constructor(entities) {
+    this.elements = []; // { entity, circuit, nodes: node index for each of circuit.pins, in order }
+    this.pinNodes = new Map(); // `${entityId}:${pin}` -> node index, for every element pin
+    this.wires = []; // { wire, startKey, endKey } for each wire joining two existing pins
+    this.nodeCount = 0;
+    this.groundNodes = new Set();
+
+    const parent = new Map();
+    const find = (key) => {
+      while (parent.get(key) !== key) {
+        parent.set(key, parent.get(parent.get(key)));
+        key = parent.get(key);
+      }
+      return key;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+    const pinKey = (id, pin) => `${id}:${pin}`;
+
+    const elementEntities = entities.filter(entity => entity.hasComponent('circuit'));
+    elementEntities.forEach(entity => {
+      entity.getComponent('circuit').pins.forEach(pin => {
+        parent.set(pinKey(entity.id, pin), pinKey(entity.id, pin));
+      });
+    });
+
+    // Wires join pins into the same node; wires to missing elements or pins are ignored
+    entities.forEach(entity => {
+      if (!entity.hasComponent('wire')) return;
+      const wire = entity.getComponent('wire');
+      const startKey = pinKey(wire.startId, wire.startPin);
+      const endKey = pinKey(wire.endId, wire.endPin);
+      if (!parent.has(startKey) || !parent.has(endKey)) return;
+      union(startKey, endKey);
+      this.wires.push({ wire, startKey, endKey });
+    });
+
+    const nodeIndex = new Map();
+    const nodeOf = (key) => {
+      const root = find(key);
+      if (!nodeIndex.has(root)) {
+        nodeIndex.set(root, this.nodeCount++);
+      }
+      return nodeIndex.get(root);
+    };
+
+    elementEntities.forEach(entity => {
+      const circuit = entity.getComponent('circuit');
+      const nodes = circuit.pins.map(pin => nodeOf(pinKey(entity.id, pin)));
+      circuit.pins.forEach((pin, i) => this.pinNodes.set(pinKey(entity.id, pin), nodes[i]));
+      this.elements.push({ entity, circuit, nodes });
+    });
+
+    // Each separate sub-circuit gets its own reference node so floating parts still solve
+    const group = Array.from({ length: this.nodeCount }, (_, i) => i);
+    const findGroup = (n) => {
+      while (group[n] !== n) {
+        group[n] = group[group[n]];
+        n = group[n];
+      }
+      return n;
+    };
+    this.elements.forEach(({ nodes }) => {
+      nodes.slice(1).forEach(node => {
+        group[findGroup(node)] = findGroup(nodes[0]);
+      });
+    });
+    const seenGroups = new Set();
+    for (let n = 0; n < this.nodeCount; n++) {
+      const root = findGroup(n);
+      if (!seenGroups.has(root)) {
+        seenGroups.add(root);
+        this.groundNodes.add(n);
+      }
+    }
+    // node index -> a representative node of its sub-circuit, the same for all the nodes connected to it
+    this.subcircuits = Array.from({ length: this.nodeCount }, (_, n) => findGroup(n));
+  }
+
+  // Sets each wire's current from the element currents at its pins, by Kirchhoff's current law
+  // over a spanning tree of the wires in each node. Ideal wires closing a loop inside a node could
+  // share the current any way at all, so they are left carrying none.
+  updateWireCurrents() {
+    const injected = new Map(); // current each element pushes into the wiring at a pin
+    this.elements.forEach(({ entity, circuit }) => {
+      circuit.pinCurrents().forEach((current, i) => injected.set(`${entity.id}:${circuit.pins[i]}`, -current));
+    });
+
+    const links = new Map(); // pin key -> [{ wire, other }]
+    const link = (key, wire, other) => {
+      if (!links.has(key)) links.set(key, []);
+      links.get(key).push({ wire, other });
+    };
+    this.wires.forEach(({ wire, startKey, endKey }) => {
+      wire.current = 0;
+      link(startKey, wire, endKey);
+      link(endKey, wire, startKey);
+    });
+
+    const visited = new Set();
+    links.forEach((_, root) => {
+      if (visited.has(root)) return;
+      visited.add(root);
+      const order = [root];
+      const towardParent = new Map(); // pin key -> { wire, parent }
+      for (let i = 0; i < order.length; i++) {
+        links.get(order[i]).forEach(({ wire, other }) => {
+          if (visited.has(other)) return;
+          visited.add(other);
+          towardParent.set(other, { wire, parent: order[i] });
+          order.push(other);
+        });
+      }
+
+      // Leaves first: whatever enters a subtree leaves it through the wire to its parent
+      const outflow = new Map(order.map(key => [key, injected.get(key) ?? 0]));
+      order.slice(1).reverse().forEach(key => {
+        const { wire, parent } = towardParent.get(key);
+        const flow = outflow.get(key);
+        wire.current = `${wire.startId}:${wire.startPin}` === key ? flow : -flow;
+        outflow.set(parent, outflow.get(parent) + flow);
+      });
+    });
+  }
+}
+
+// MODIFIED NODAL ANALYSIS: Solves node voltages and element currents for a netlist.
+// Capacitors and inductors are replaced by companion models (a conductance plus a current
+// source) built from their state at the previous step, so each time step is a linear solve.
+// Nonlinear devices make it a Newton-Raphson iteration of linear solves instead.
+class ModifiedNodalAnalysis {
+  static MIN_RESISTANCE = 1e-6; // ohms, keeps zero-valued resistors from dividing by zero
+  static GMIN = 1e-12; // siemens to reference on every node, so open branches stay solvable
+  static MAX_NEWTON_ITERATIONS = 100;
+  // Newton's method has converged once no device voltage moves more than this between iterations
+  static VOLTAGE_TOLERANCE = 1e-9; // volts
+  static RELATIVE_TOLERANCE = 1e-6;
+  static THERMAL_VOLTAGE = 0.025852; // volts, kT/q at 300K
+  // An ohmmeter drives its test current from this open-circuit voltage, like a real one's battery
+  static OHMMETER_VOLTAGE = 3; // volts
+  // Across a closed switch or an intact fuse. Not an ideal short, so closed switches in parallel
+  // still have a unique solution.
+  static CONTACT_RESISTANCE = 0.001; // ohms
+
+  // NONLINEAR DEVICES: component type -> { evaluate(circuit, v, entity), limit(next, previous, circuit) }.
+  // v holds each pin's voltage over pins[1], in pin order, so v[1] is 0. evaluate returns
+  // { currents, conductances }: the current in through each pin, and conductances[k][j], the
+  // derivative of currents[k] by v[j]. The optional limit shortens a Newton step that would
+  // overshoot an exponential, returning the voltages to try next instead of `next`.
+  static DEVICES = new Map();
+
+  static registerDevice(componentType, device) {
+    ModifiedNodalAnalysis.DEVICES.set(componentType, device);
+  }
+
+  static contactConductance(closed) {
+    return closed ? 1 / ModifiedNodalAnalysis.CONTACT_RESISTANCE : 0;
+  }
+
+  // SPICE's junction voltage limiting: past the critical voltage, where the exponential takes
+  // off, a forward step grows the junction current at most e-fold per thermal voltage of it
+  static limitJunction(next, previous, thermalVoltage, saturationCurrent) {
+    const critical = thermalVoltage * Math.log(thermalVoltage / (Math.SQRT2 * saturationCurrent));
+    if (next <= critical || Math.abs(next - previous) <= 2 * thermalVoltage) return next;
+    if (previous > 0) {
+      const growth = 1 + (next - previous) / thermalVoltage;
+      return growth > 0 ? previous + thermalVoltage * Math.log(growth) : critical;
+    }
+    return thermalVoltage * Math.log(next / thermalVoltage);
+  }
+
+  // A device's conductances in the node equations: the current in through each pin k but the
+  // reference pins[1] is the sum over j of G[k][j] (v[j] - v[pins[1]]), and the reference pin
+  // carries minus the rest. add(row, col, g) is called for each matrix entry; ground rows are -1.
+  static stampConductances(rows, conductances, add) {
+    const reference = rows[1];
+    rows.forEach((row, k) => {
+      if (k === 1) return;
+      rows.forEach((col, j) => {
+        const g = conductances[k][j];
+        if (j === 1 || g === 0) return;
+        if (row >= 0 && col >= 0) add(row, col, g);
+        if (row >= 0 && reference >= 0) add(row, reference, -g);
+        if (reference >= 0 && col >= 0) add(reference, col, -g);
+        if (reference >= 0) add(reference, reference, g);
+      });
+    });
+  }
+
+  // Returns { nodeVoltages, currents, controlCurrents, converged, iterations }, or null when the
+  // circuit has no unique solution. currents maps each netlist element to the current flowing in
+  // through pins[0] and out through pins[1]; controlCurrents, for transistors, the current in
+  // through pins[2]. converged is false when Newton's method ran out of iterations, leaving the
+  // last iterate. With deltaTime <= 0 no time passes: capacitors hold their voltage and inductors
+  // their current. Sources take their value at `time`, the moment the solution is for.
+  static solve(netlist, deltaTime = 0, integration = 'trapezoidal', time = 0) {
+    const unknownIndex = new Array(netlist.nodeCount).fill(-1);
+    let size = 0;
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (!netlist.groundNodes.has(n)) {
+        unknownIndex[n] = size++;
+      }
+    }
+
+    const trapezoidal = integration === 'trapezoidal';
+    const stepping = deltaTime > 0;
+
+    // Companion model for each element: current(v) = conductance * v + sourceCurrent,
+    // or a voltage source of `volts` from pins[0] to pins[1] for batteries and held capacitors,
+    // in series with `resistance` if it has one
+    // Nonlinear devices start Newton's method from where they were at the end of the last step
+    const models = netlist.elements.map(({ entity, circuit }) => {
+      const v = circuit.voltage;
+      const i = circuit.current;
+      const device = ModifiedNodalAnalysis.DEVICES.get(circuit.componentType);
+      if (device) return { device, v: ModifiedNodalAnalysis.deviceVoltages(circuit) };
+      switch (circuit.componentType) {
+        case 'resistor':
+          return { conductance: 1 / Math.max(circuit.value, ModifiedNodalAnalysis.MIN_RESISTANCE), sourceCurrent: 0 };
+        case 'battery':
+          return { volts: -circuit.value, resistance: entity.getComponent('battery')?.internalResistance ?? 0 };
+        case 'voltageSource':
+          return { volts: -circuit.value * (entity.getComponent('source')?.at(time) ?? 0) };
+        case 'spstSwitch':
+        case 'pushButton':
+          return { conductance: ModifiedNodalAnalysis.contactConductance(entity.getComponent('switch')?.closed), sourceCurrent: 0 };
+        case 'fuse':
+          return { conductance: ModifiedNodalAnalysis.contactConductance(!entity.getComponent('fuse')?.blown), sourceCurrent: 0 };
+        case 'lamp':
+          return { conductance: 1 / entity.getComponent('lamp').resistance(circuit.value), sourceCurrent: 0 };
+        // The winding resistance in series with the back-emf of the body the motor drives
+        case 'motor': {
+          const motor = entity.getComponent('motor');
+          return { volts: (motor?.constant ?? 0) * (motor?.speed ?? 0), resistance: circuit.value };
+        }
+        case 'currentSource':
+          return { conductance: 0, sourceCurrent: circuit.value * (entity.getComponent('source')?.at(time) ?? 0) };
+        // Ideal meters: an ammeter is a short and a voltmeter (like the oscilloscope, the default) is open.
+        // An ohmmeter pushes its test current out of '+' through an internal conductance.
+        case 'ammeter':
+          return { volts: 0 };
+        case 'ohmmeter':
+          return { conductance: circuit.value / ModifiedNodalAnalysis.OHMMETER_VOLTAGE, sourceCurrent: -circuit.value };
+        case 'capacitor': {
+          if (!stepping) return { volts: v };
+          const g = (trapezoidal ? 2 : 1) * circuit.value / deltaTime;
+          return { conductance: g, sourceCurrent: -(g * v + (trapezoidal ? i : 0)) };
+        }
+        case 'inductor': {
+          if (!stepping) return { conductance: 0, sourceCurrent: i };
+          const g = deltaTime / ((trapezoidal ? 2 : 1) * circuit.value);
+          return { conductance: g, sourceCurrent: i + (trapezoidal ? g * v : 0) };
+        }
+        default:
+          return { conductance: 0, sourceCurrent: 0 };
+      }
+    });
+
+    const sourceIndex = models.map(model => (model.volts !== undefined ? size++ : -1));
+
+    for (let iteration = 1; ; iteration++) {
+      const solution = ModifiedNodalAnalysis.solveLinearized(netlist, models, unknownIndex, sourceIndex, size);
+      if (!solution) return null;
+
+      // Each device's voltages at the new solution become the next linearization point
+      let converged = true;
+      netlist.elements.forEach((element, e) => {
+        const model = models[e];
+        if (!model.device) return;
+        const solved = element.nodes.map(node => solution.nodeVoltages[node] - solution.nodeVoltages[element.nodes[1]]);
+        model.next = model.device.limit?.(solved, model.v, element.circuit) ?? solved;
+        const tolerance = (k) => ModifiedNodalAnalysis.VOLTAGE_TOLERANCE
+          + ModifiedNodalAnalysis.RELATIVE_TOLERANCE * Math.max(Math.abs(model.next[k]), Math.abs(model.v[k]));
+        if (model.next.some((value, k) => Math.abs(value - model.v[k]) > tolerance(k))) converged = false;
+      });
+
+      if (converged || iteration >= ModifiedNodalAnalysis.MAX_NEWTON_ITERATIONS) {
+        return { ...solution, converged, iterations: iteration };
+      }
+      models.forEach(model => {
+        if (model.device) model.v = model.next;
+      });
+    }
+  }
+
+  // Each pin's voltage over pins[1], from a part's state: Vce and Vbe for a transistor
+  static deviceVoltages(circuit) {
+    return circuit.pins.length > 2 ? [circuit.voltage, 0, circuit.controlVoltage] : [circuit.voltage, 0];
+  }
+
+  // One linear solve, with every nonlinear device replaced by its tangent at model.v
+  static solveLinearized(netlist, models, unknownIndex, sourceIndex, size) {
+    const A = Array.from({ length: size }, () => new Array(size).fill(0));
+    const b = new Array(size).fill(0);
+
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (unknownIndex[n] >= 0) A[unknownIndex[n]][unknownIndex[n]] += ModifiedNodalAnalysis.GMIN;
+    }
+
+    netlist.elements.forEach((element, e) => {
+      const model = models[e];
+      const from = unknownIndex[element.nodes[0]];
+      const to = unknownIndex[element.nodes[1]];
+
+      if (model.device) {
+        // I[k] = currents[k] + sum of G[k][j] (v[j] - model.v[j]): the constant part goes to b
+        model.point = model.device.evaluate(element.circuit, model.v, element.entity);
+        const rows = element.nodes.map(node => unknownIndex[node]);
+        const { currents, conductances } = model.point;
+        ModifiedNodalAnalysis.stampConductances(rows, conductances, (row, col, g) => {
+          A[row][col] += g;
+        });
+        rows.forEach((row, k) => {
+          if (k === 1) return;
+          const constant = conductances[k].reduce((sum, g, j) => sum - g * model.v[j], currents[k]);
+          if (row >= 0) b[row] -= constant;
+          if (to >= 0) b[to] += constant;
+        });
+        return;
+      }
+
+      if (sourceIndex[e] >= 0) {
+        // Extra unknown: current i flowing in through pins[0];
+        // v(pins[0]) - v(pins[1]) = volts + resistance * i
+        const k = sourceIndex[e];
+        if (from >= 0) {
+          A[from][k] += 1;
+          A[k][from] += 1;
+        }
+        if (to >= 0) {
+          A[to][k] -= 1;
+          A[k][to] -= 1;
+        }
+        A[k][k] -= model.resistance ?? 0;
+        b[k] = model.volts;
+        return;
+      }
+
+      const g = model.conductance;
+      if (from >= 0) A[from][from] += g;
+      if (to >= 0) A[to][to] += g;
+      if (from >= 0 && to >= 0) {
+        A[from][to] -= g;
+        A[to][from] -= g;
+      }
+      if (from >= 0) b[from] -= model.sourceCurrent;
+      if (to >= 0) b[to] += model.sourceCurrent;
+    });
+
+    const x = ModifiedNodalAnalysis.solveLinearSystem(A, b);
+    if (!x) return null;
+
+    const nodeVoltages = new Array(netlist.nodeCount).fill(0);
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (unknownIndex[n] >= 0) nodeVoltages[n] = x[unknownIndex[n]];
+    }
+
+    const currents = new Map();
+    const controlCurrents = new Map();
+    netlist.elements.forEach((element, e) => {
+      const model = models[e];
+      if (model.device) {
+        const { currents: pinCurrents, conductances } = model.point;
+        const at = (k) => conductances[k].reduce((sum, g, j) => {
+          const v = nodeVoltages[element.nodes[j]] - nodeVoltages[element.nodes[1]];
+          return sum + g * (v - model.v[j]);
+        }, pinCurrents[k]);
+        currents.set(element, at(0));
+        if (element.nodes.length > 2) controlCurrents.set(element, at(2));
+      } else if (sourceIndex[e] >= 0) {
+        currents.set(element, x[sourceIndex[e]]);
+      } else {
+        const v = nodeVoltages[element.nodes[0]] - nodeVoltages[element.nodes[1]];
+        currents.set(element, model.conductance * v + model.sourceCurrent);
+      }
+    });
+
+    return { nodeVoltages, currents, controlCurrents };
+  }
+
+  // PHASOR ANALYSIS: the steady state when every source is a sinusoid at `frequency` hertz.
+  // Resistors have admittance 1/R, capacitors jωC and inductors 1/(jωL). Sources drive with their
+  // amplitude and phase whatever their waveform, and batteries are only their internal resistance,
+  // having no AC part; ammeters are shorts, and an ohmmeter's steady test current leaves only its
+  // internal conductance. Switches, fuses and lamps stay as they are, and a motor is its winding,
+  // the bodies it drives holding still.
+  // Nonlinear devices are linearized about the operating point the simulation last left them at.
+  // Returns { nodeVoltages, currents } with complex { re, im } values, or null as for solve.
+  // The complex system is solved as the real one [Re -Im; Im Re], twice the size.
+  static solveAC(netlist, frequency) {
+    const unknownIndex = new Array(netlist.nodeCount).fill(-1);
+    let size = 0;
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (!netlist.groundNodes.has(n)) {
+        unknownIndex[n] = size++;
+      }
+    }
+
+    const omega = 2 * Math.PI * frequency;
+    const phasor = (entity, amplitude) => {
+      const phase = (entity.getComponent('source')?.phase ?? 0) * Math.PI / 180;
+      return { re: amplitude * Math.cos(phase), im: amplitude * Math.sin(phase) };
+    };
+    // Admittance y, or a voltage source of `volts` from pins[0] to pins[1], plus a source current
+    const models = netlist.elements.map(({ entity, circuit }) => {
+      const none = { re: 0, im: 0 };
+      const device = ModifiedNodalAnalysis.DEVICES.get(circuit.componentType);
+      if (device) {
+        return { conductances: device.evaluate(circuit, ModifiedNodalAnalysis.deviceVoltages(circuit), entity).conductances };
+      }
+      switch (circuit.componentType) {
+        case 'resistor':
+          return { y: { re: 1 / Math.max(circuit.value, ModifiedNodalAnalysis.MIN_RESISTANCE), im: 0 }, sourceCurrent: none };
+        case 'capacitor':
+          return { y: { re: 0, im: omega * circuit.value }, sourceCurrent: none };
+        case 'inductor':
+          return omega > 0
+            ? { y: { re: 0, im: -1 / (omega * circuit.value) }, sourceCurrent: none }
+            : { volts: none };
+        case 'battery':
+          return { volts: none, resistance: entity.getComponent('battery')?.internalResistance ?? 0 };
+        case 'voltageSource': {
+          const { re, im } = phasor(entity, circuit.value);
+          return { volts: { re: -re, im: -im } };
+        }
+        case 'currentSource':
+          return { y: none, sourceCurrent: phasor(entity, circuit.value) };
+        case 'ammeter':
+          return { volts: none };
+        case 'ohmmeter':
+          return { y: { re: circuit.value / ModifiedNodalAnalysis.OHMMETER_VOLTAGE, im: 0 }, sourceCurrent: none };
+        case 'spstSwitch':
+        case 'pushButton':
+          return { y: { re: ModifiedNodalAnalysis.contactConductance(entity.getComponent('switch')?.closed), im: 0 }, sourceCurrent: none };
+        case 'fuse':
+          return { y: { re: ModifiedNodalAnalysis.contactConductance(!entity.getComponent('fuse')?.blown), im: 0 }, sourceCurrent: none };
+        case 'lamp':
+          return { y: { re: 1 / entity.getComponent('lamp').resistance(circuit.value), im: 0 }, sourceCurrent: none };
+        case 'motor':
+          return { volts: none, resistance: circuit.value };
+        default:
+          return { y: none, sourceCurrent: none };
+      }
+    });
+
+    const sourceIndex = models.map(model => (model.volts !== undefined ? size++ : -1));
+
+    // Complex entries go in as [re -im; im re] blocks of the doubled real system
+    const A = Array.from({ length: 2 * size }, () => new Array(2 * size).fill(0));
+    const b = new Array(2 * size).fill(0);
+    const add = (row, col, { re, im }) => {
+      A[row][col] += re;
+      A[row][col + size] -= im;
+      A[row + size][col] += im;
+      A[row + size][col + size] += re;
+    };
+    const addSource = (row, { re, im }) => {
+      b[row] += re;
+      b[row + size] += im;
+    };
+
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (unknownIndex[n] >= 0) add(unknownIndex[n], unknownIndex[n], { re: ModifiedNodalAnalysis.GMIN, im: 0 });
+    }
+
+    netlist.elements.forEach((element, e) => {
+      const model = models[e];
+      const from = unknownIndex[element.nodes[0]];
+      const to = unknownIndex[element.nodes[1]];
+      const one = { re: 1, im: 0 };
+      const minusOne = { re: -1, im: 0 };
+
+      if (model.conductances) {
+        const rows = element.nodes.map(node => unknownIndex[node]);
+        ModifiedNodalAnalysis.stampConductances(rows, model.conductances, (row, col, g) => add(row, col, { re: g, im: 0 }));
+        return;
+      }
+
+      if (sourceIndex[e] >= 0) {
+        const k = sourceIndex[e];
+        if (from >= 0) {
+          add(from, k, one);
+          add(k, from, one);
+        }
+        if (to >= 0) {
+          add(to, k, minusOne);
+          add(k, to, minusOne);
+        }
+        add(k, k, { re: -(model.resistance ?? 0), im: 0 });
+        addSource(k, model.volts);
+        return;
+      }
+
+      const { y, sourceCurrent } = model;
+      const negative = { re: -y.re, im: -y.im };
+      if (from >= 0) add(from, from, y);
+      if (to >= 0) add(to, to, y);
+      if (from >= 0 && to >= 0) {
+        add(from, to, negative);
+        add(to, from, negative);
+      }
+      if (from >= 0) addSource(from, { re: -sourceCurrent.re, im: -sourceCurrent.im });
+      if (to >= 0) addSource(to, sourceCurrent);
+    });
+
+    const x = ModifiedNodalAnalysis.solveLinearSystem(A, b);
+    if (!x) return null;
+
+    const nodeVoltages = Array.from({ length: netlist.nodeCount }, () => ({ re: 0, im: 0 }));
+    for (let n = 0; n < netlist.nodeCount; n++) {
+      if (unknownIndex[n] >= 0) nodeVoltages[n] = { re: x[unknownIndex[n]], im: x[unknownIndex[n] + size] };
+    }
+
+    const currents = new Map();
+    netlist.elements.forEach((element, e) => {
+      if (sourceIndex[e] >= 0) {
+        currents.set(element, { re: x[sourceIndex[e]], im: x[sourceIndex[e] + size] });
+        return;
+      }
+      if (models[e].conductances) {
+        const over = (node) => ({
+          re: nodeVoltages[node].re - nodeVoltages[element.nodes[1]].re,
+          im: nodeVoltages[node].im - nodeVoltages[element.nodes[1]].im
+        });
+        currents.set(element, element.nodes.reduce((sum, node, j) => {
+          const v = over(node);
+          const g = models[e].conductances[0][j];
+          return { re: sum.re + g * v.re, im: sum.im + g * v.im };
+        }, { re: 0, im: 0 }));
+        return;
+      }
+      const from = nodeVoltages[element.nodes[0]];
+      const to = nodeVoltages[element.nodes[1]];
+      const v = { re: from.re - to.re, im: from.im - to.im };
+      const { y, sourceCurrent } = models[e];
+      currents.set(element, {
+        re: y.re * v.re - y.im * v.im + sourceCurrent.re,
+        im: y.re * v.im + y.im * v.re + sourceCurrent.im
+      });
+    });
+
+    return { nodeVoltages, currents };
+  }
+
+  // Gaussian elimination with partial pivoting. Returns null for singular systems.
+  static solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-18) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = m[row][col] / m[col][col];
+        if (factor === 0) continue;
+        for (let k = col; k <= n; k++) {
+          m[row][k] -= factor * m[col][k];
+        }
+      }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = m[row][n];
+      for (let k = row + 1; k < n; k++) {
+        sum -= m[row][k] * x[k];
+      }
+      x[row] = sum / m[row][row];
+    }
+    return x;
+  }
+}
+
+// Shockley diode, I = Is (exp(V / nVt) - 1), with circuit.value its forward voltage at 10mA; the
+// saturation current Is follows from that. An LED's larger emission coefficient n gives the
+// softer knee of its higher forward voltage. Reverse breakdown is not modeled.
+const diodeModel = (emissionCoefficient) => ({
+  emissionCoefficient,
+  referenceCurrent: 0.01, // amperes
+
+  saturationCurrent(circuit) {
+    const thermal = this.emissionCoefficient * ModifiedNodalAnalysis.THERMAL_VOLTAGE;
+    return this.referenceCurrent / Math.expm1(Math.max(circuit.value, thermal) / thermal);
+  },
+
+  evaluate(circuit, [v]) {
+    const thermal = this.emissionCoefficient * ModifiedNodalAnalysis.THERMAL_VOLTAGE;
+    const is = this.saturationCurrent(circuit);
+    const exp = Math.exp(Math.min(v / thermal, 80));
+    const g = is * exp / thermal + ModifiedNodalAnalysis.GMIN;
+    const i = is * (exp - 1) + ModifiedNodalAnalysis.GMIN * v;
+    return { currents: [i, -i], conductances: [[g, 0], [0, 0]] };
+  },
+
+  limit([v], [previous], circuit) {
+    const thermal = this.emissionCoefficient * ModifiedNodalAnalysis.THERMAL_VOLTAGE;
+    return [ModifiedNodalAnalysis.limitJunction(v, previous, thermal, this.saturationCurrent(circuit)), 0];
+  }
+});
+
+ModifiedNodalAnalysis.registerDevice('diode', diodeModel(1));
+ModifiedNodalAnalysis.registerDevice('led', diodeModel(2));
+
+// NPN bipolar transistor, Ebers-Moll transport model: pins c, e, b with circuit.value the
+// forward current gain β. Saturates when both junctions conduct and cuts off when neither does.
+ModifiedNodalAnalysis.registerDevice('npn', {
+  saturationCurrent: 1e-14, // amperes
+  reverseGain: 1,
+
+  evaluate(circuit, [vce, , vbe]) {
+    const thermal = ModifiedNodalAnalysis.THERMAL_VOLTAGE;
+    const is = this.saturationCurrent;
+    const forwardGain = Math.max(circuit.value, 1e-3);
+    const vbc = vbe - vce;
+    const forward = Math.exp(Math.min(vbe / thermal, 80));
+    const reverse = Math.exp(Math.min(vbc / thermal, 80));
+    const ic = is * (forward - reverse) - is / this.reverseGain * (reverse - 1);
+    const ib = is / forwardGain * (forward - 1) + is / this.reverseGain * (reverse - 1);
+
+    // Derivatives by Vbe and Vbc; as Vbc = Vbe - Vce, by Vce they change sign and Vbe gains them
+    const gf = is * forward / thermal;
+    const gr = is * reverse / thermal;
+    const icByVbc = -gr - gr / this.reverseGain;
+    const ibByVbc = gr / this.reverseGain;
+    return {
+      currents: [ic, -ic - ib, ib],
+      conductances: [[-icByVbc, 0, gf + icByVbc], [0, 0, 0], [-ibByVbc, 0, gf / forwardGain + ibByVbc]]
+    };
+  },
+
+  limit([vce, , vbe], [previousVce, , previousVbe]) {
+    const thermal = ModifiedNodalAnalysis.THERMAL_VOLTAGE;
+    const limitedVbe = ModifiedNodalAnalysis.limitJunction(vbe, previousVbe, thermal, this.saturationCurrent);
+    const limitedVbc = ModifiedNodalAnalysis.limitJunction(vbe - vce, previousVbe - previousVce, thermal, this.saturationCurrent);
+    return [limitedVbe - limitedVbc, 0, limitedVbe];
+  }
+});
+
+// N-channel enhancement MOSFET, square-law model: pins d, s, g with circuit.value the threshold
+// voltage. No gate current; off below threshold, resistive below Vds = Vgs - Vth, saturated above.
+ModifiedNodalAnalysis.registerDevice('nmos', {
+  transconductance: 0.1, // A/V², μCox W/L
+
+  evaluate(circuit, [vds, , vgs]) {
+    const k = this.transconductance;
+    // The channel is symmetric: with Vds < 0 the source and drain swap roles
+    const reversed = vds < 0;
+    const overdrive = (reversed ? vgs - vds : vgs) - circuit.value;
+    const across = Math.abs(vds);
+    let id = 0; // from the higher of d and s to the lower
+    let gm = 0; // its derivative by the overdrive
+    let gds = 0; // and by the voltage across the channel
+    if (overdrive > 0 && across < overdrive) {
+      id = k * (overdrive * across - across * across / 2);
+      gm = k * across;
+      gds = k * (overdrive - across);
+    } else if (overdrive > 0) {
+      id = k / 2 * overdrive * overdrive;
+      gm = k * overdrive;
+    }
+    if (!reversed) {
+      return { currents: [id, -id, 0], conductances: [[gds, 0, gm], [0, 0, 0], [0, 0, 0]] };
+    }
+    return { currents: [-id, id, 0], conductances: [[gm + gds, 0, -gm], [0, 0, 0], [0, 0, 0]] };
+  }
+});
+
+// Changeover switch: pins a, com and b, joining com to a while open and to b while closed. It is
+// linear, but has three pins, which only devices have.
+ModifiedNodalAnalysis.registerDevice('spdtSwitch', {
+  evaluate(circuit, [va, , vb], entity) {
+    const closed = entity?.getComponent('switch')?.closed ?? false;
+    const ga = ModifiedNodalAnalysis.contactConductance(!closed);
+    const gb = ModifiedNodalAnalysis.contactConductance(closed);
+    return {
+      currents: [ga * va, -ga * va - gb * vb, gb * vb],
+      conductances: [[ga, 0, 0], [0, 0, 0], [0, 0, gb]]
+    };
+  }
+});
+
+class CircuitSimulationStrategy extends SimulationStrategy {
+  static OHMMETER_RANGE = 1e9; // ohms; above this an ohmmeter reads OL, as for an open circuit
+
+  constructor() {
+    super();
+    this.error = null; // set when the last solve had no unique solution or did not converge
+    this.integration = 'trapezoidal'; // or 'backward-euler', which damps ringing but never overshoots
+    this.maxTimeStep = 0.001; // seconds; longer frames are split into sub-steps
+  }
+
+  // time is when the update ends; sub-steps solve at their own end times up to it
+  update(entities, deltaTime, time = 0) {
+    const netlist = new CircuitNetlist(entities);
+    const steps = deltaTime > 0 ? Math.ceil(deltaTime / this.maxTimeStep) : 1;
+    const step = deltaTime > 0 ? deltaTime / steps : 0;
+
+    // Oscilloscopes sample every sub-step, fast enough to see mains-frequency waveforms
+    const scopes = netlist.elements.filter(({ entity }) => entity.hasComponent('scope'));
+    scopes.forEach(({ entity }) => {
+      if (!entity.hasComponent('trace')) entity.addComponent('trace', new TraceComponent());
+    });
+
+    for (let i = 0; i < steps; i++) {
+      const stepTime = time - (steps - 1 - i) * step;
+      if (!this.solveStep(netlist, step, stepTime)) break;
+      scopes.forEach(({ entity, circuit }) => {
+        entity.getComponent('trace').record(stepTime, [circuit.voltage, circuit.controlVoltage], entity.getComponent('scope').window);
+      });
+    }
+    netlist.updateWireCurrents();
+    this.updateMeters(netlist);
+  }
+
+  // Meter readouts from the latest solution. An ohmmeter measures the network between its pins
+  // by the current its test voltage drives, which only works with nothing else powering it.
+  updateMeters(netlist) {
+    const sources = ['battery', ...CircuitComponent.SOURCE_TYPES, 'ohmmeter'];
+
+    netlist.elements.forEach(({ entity, circuit, nodes }) => {
+      const meter = entity.getComponent('meter');
+      if (!meter) return;
+      meter.status = null;
+      if (circuit.componentType === 'voltmeter') {
+        meter.reading = circuit.voltage;
+      } else if (circuit.componentType === 'ammeter') {
+        meter.reading = circuit.current;
+      } else if (circuit.componentType === 'ohmmeter') {
+        const subcircuit = netlist.subcircuits[nodes[0]];
+        const powered = netlist.elements.some(other => other.circuit !== circuit
+          && sources.includes(other.circuit.componentType)
+          && netlist.subcircuits[other.nodes[0]] === subcircuit);
+        meter.reading = circuit.voltage / -circuit.current;
+        if (powered) {
+          meter.status = 'Remove power';
+        } else if (!(meter.reading >= 0 && meter.reading < CircuitSimulationStrategy.OHMMETER_RANGE)) {
+          meter.status = 'OL';
+        }
+      }
+      if (this.error) meter.status = 'Error';
+    });
+  }
+
+  // One solve; element voltages and currents become the state for the next step
+  solveStep(netlist, deltaTime, time = 0) {
+    const solution = ModifiedNodalAnalysis.solve(netlist, deltaTime, this.integration, time);
+
+    if (!solution) {
+      this.error = 'Circuit has no unique solution (shorted or conflicting sources)';
+      netlist.elements.forEach(({ circuit }) => {
+        circuit.current = 0;
+        circuit.voltage = 0;
+        circuit.controlCurrent = 0;
+        circuit.controlVoltage = 0;
+      });
+      return false;
+    }
+    // The state is left as it was, so the next frame tries again from the last good solution
+    if (!solution.converged) {
+      this.error = `Circuit did not converge after ${solution.iterations} Newton iterations`;
+      return false;
+    }
+    this.error = null;
+
+    const { nodeVoltages, currents, controlCurrents } = solution;
+    netlist.elements.forEach(element => {
+      const { circuit, nodes } = element;
+      // Positive when pins[0] is at the higher potential; batteries and voltage sources report + over -,
+      // which is their emf less any drop across their internal resistance
+      const voltage = nodeVoltages[nodes[0]] - nodeVoltages[nodes[1]];
+      circuit.voltage = CircuitComponent.EMF_TYPES.includes(circuit.componentType) ? -voltage : voltage;
+      circuit.current = currents.get(element);
+      if (nodes.length > 2) {
+        circuit.controlVoltage = nodeVoltages[nodes[2]] - nodeVoltages[nodes[1]];
+        circuit.controlCurrent = controlCurrents.get(element) ?? 0;
+      }
+      // An overloaded fuse blows, and is open from the next step on
+      const fuse = element.entity.getComponent('fuse');
+      if (fuse && Math.abs(circuit.current) > circuit.value) fuse.blown = true;
+    });
+    return true;
+  }
+}
+
+// THERMAL: Warms every part with a thermal component by the power it dissipates. The power is
+// held over each step, which then has an exact solution: the temperature relaxes towards
+// ambient + P R with time constant R C, so long steps never overshoot.
+class ThermalSimulationStrategy extends SimulationStrategy {
+  update(entities, deltaTime) {
+    if (!(deltaTime > 0)) return;
+    entities.forEach(entity => {
+      const thermal = entity.getComponent('thermal');
+      if (!thermal || !entity.hasComponent('circuit')) return;
+      const settled = thermal.ambient + ThermalSimulationStrategy.dissipation(entity) * thermal.thermalResistance;
+      const decay = Math.exp(-deltaTime / (thermal.thermalResistance * thermal.heatCapacity));
+      thermal.temperature = settled + (thermal.temperature - settled) * decay;
+    });
+  }
+
+  // Watts a part turns into heat. Sources only heat their internal resistance, and a motor its
+  // winding; the rest of the power a motor takes becomes the work it does on its body.
+  static dissipation(entity) {
+    const circuit = entity.getComponent('circuit');
+    const { current } = circuit;
+    if (CircuitComponent.EMF_TYPES.includes(circuit.componentType)) {
+      return current * current * (entity.getComponent('battery')?.internalResistance ?? 0);
+    }
+    if (circuit.componentType === 'motor') return current * current * circuit.value;
+    return circuit.voltage * current + circuit.controlVoltage * circuit.controlCurrent;
+  }
+}
+
+// COUPLINGS: Carry quantities between a circuit and the bodies it acts on, run in a pipeline after
+// the circuit is solved and before the bodies move.
+// Component name -> apply(component, entity, entitiesById), for every entity with that component.
+class CouplingSimulationStrategy extends SimulationStrategy {
+  static COUPLINGS = new Map();
+
+  static registerCoupling(componentName, apply) {
+    CouplingSimulationStrategy.COUPLINGS.set(componentName, apply);
+  }
+
+  update(entities) {
+    const entitiesById = new Map(entities.map(entity => [entity.id, entity]));
+    entities.forEach(entity => {
+      entity.components.forEach((component, name) => {
+        CouplingSimulationStrategy.COUPLINGS.get(name)?.(component, entity, entitiesById);
+      });
+    });
+  }
+}
+
+// The motor's force for the current just solved goes on the body for the coming physics step, and
+// the body's speed sets the back-emf for the next circuit solve
+CouplingSimulationStrategy.registerCoupling('motor', (motor, entity, entitiesById) => {
+  const physics = entitiesById.get(motor.bodyId)?.getComponent('physics');
+  if (!physics) {
+    motor.speed = 0;
+    return;
+  }
+  const angle = motor.angle * Math.PI / 180;
+  const force = motor.constant * entity.getComponent('circuit').current;
+  physics.fx += force * Math.cos(angle);
+  physics.fy += force * Math.sin(angle);
+  motor.speed = physics.vx * Math.cos(angle) + physics.vy * Math.sin(angle);
+});
+
+// The drop from pins[0] to pins[1], which for batteries and sources is minus what they report
+CouplingSimulationStrategy.registerCoupling('plates', (plates, entity) => {
+  const circuit = entity.getComponent('circuit');
+  if (!circuit) return;
+  plates.voltage = CircuitComponent.EMF_TYPES.includes(circuit.componentType) ? -circuit.voltage : circuit.voltage;
+});
+
+// F = qE on charged bodies in the gap, re-evaluated wherever the integrator puts them
+PhysicsSimulationStrategy.registerForce('plates', (plates, forces) => {
+  forces.bodies.forEach(entity => {
+    const charge = entity.getComponent('charge');
+    if (!charge) return;
+    const transform = entity.getComponent('transform');
+    const { ex, ey } = plates.fieldAt(transform.x, transform.y);
+    const physics = entity.getComponent('physics');
+    physics.fx += charge.charge * ex;
+    physics.fy += charge.charge * ey;
+  });
+});
+
+// COMPOSITE PATTERN: Several strategies run in order over the same entities as one strategy, so a
+// circuit, the bodies it drives and the heat it makes can share a scene. Stages hand each other
+// quantities through components, each reading what earlier stages left there.
+class StrategyPipeline extends SimulationStrategy {
+  constructor(stages = []) {
+    super();
+    this.stages = stages;
+  }
+
+  update(entities, deltaTime, time) {
+    this.stages.forEach(stage => stage.update(entities, deltaTime, time));
+  }
+
+  // The first stage of a strategy class, or null
+  find(type) {
+    return this.stages.find(stage => stage instanceof type) ?? null;
+  }
+
+  // The first stage error, so a pipeline reports problems like a single strategy
+  get error() {
+    return this.stages.map(stage => stage.error).find(error => error) ?? null;
+  }
+}
+
+// ============================================================================
+// APPLICATION LAYER - Orchestration and Control
+// ============================================================================
+
+// REPOSITORY PATTERN: Manages entity persistence and retrieval
+class EntityRepository {
+  constructor() {
+    this.entities = new Map();
+    this.nextId = 1;
+  }
+
+  create(type) {
+    const entity = new Entity(this.nextId++, type);
+    this.entities.set(entity.id, entity);
+    return entity;
+  }
+
+  findById(id) {
+    return this.entities.get(id);
+  }
+
+  findByType(type) {
+    return Array.from(this.entities.values()).filter(e => e.type === type);
+  }
+
+  getAll() {
+    return Array.from(this.entities.values());
+  }
+
+  // Stores an entity that already has an id, e.g. one restored from a saved scene
+  add(entity) {
+    this.entities.set(entity.id, entity);
+    this.nextId = Math.max(this.nextId, entity.id + 1);
+    return entity;
+  }
+
+  remove(id) {
+    this.entities.delete(id);
+  }
+
+  clear() {
+    this.entities.clear();
+    this.nextId = 1;
+  }
+}
+
+// OBSERVER PATTERN: Simulation engine notifies observers of state changes
+// Time advances in fixed steps so a run is reproducible regardless of frame rate:
+// wall-clock frame time is clamped, accumulated, and spent in whole fixedTimeStep steps.
+class SimulationEngine {
+  constructor(strategy) {
+    this.strategy = strategy;
+    this.repository = new EntityRepository();
+    this.observers = [];
+    this.isRunning = false;
+    this.lastTime = Date.now();
+    this.fixedTimeStep = 1 / 120; // seconds of simulated time per step
+    this.substeps = 1; // strategy updates per step
+    this.maxFrameTime = 0.25; // longer frames (a paused tab, a hitch) are cut to this
+    this.accumulator = 0;
+    this.time = 0; // simulated seconds since start or reset
+    this.playbackSpeed = 1; // simulated seconds per wall-clock second, live or replaying
+    this.replaying = false; // while running, play back recorded history instead of simulating
+    this.replayTime = 0;
+    this.history = new SimulationHistory(0); // records nothing until given a capacity, as the app's timeline does
+  }
+
+  // STRATEGY PATTERN: Set simulation strategy dynamically
+  setStrategy(strategy) {
+    this.strategy = strategy;
+  }
+
+  // OBSERVER PATTERN: Register observers
+  addObserver(observer) {
+    this.observers.push(observer);
+  }
+
+  // OBSERVER PATTERN: Notify all observers
+  notifyObservers() {
+    this.observers.forEach(observer => observer.update(this));
+  }
+
+  update(currentTime = Date.now()) {
+    if (!this.isRunning) return;
+
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime) * this.playbackSpeed;
+    this.lastTime = currentTime;
+
+    if (this.replaying) {
+      this.replayTime += Math.max(frameTime, 0);
+      const index = this.history.indexAt(this.replayTime);
+      if (index !== this.history.cursor) this.restore(index);
+      if (index === this.history.size - 1) this.pause();
+      this.notifyObservers();
+      return;
+    }
+
+    this.accumulator += Math.max(frameTime, 0);
+
+    while (this.accumulator >= this.fixedTimeStep) {
+      this.step(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+    }
+
+    // Notify observers of changes
+    this.notifyObservers();
+  }
+
+  // Advances the simulation by deltaTime, split into substeps, whether or not it is running.
+  // Stepping from a rewound frame discards the recorded frames after it.
+  step(deltaTime = this.fixedTimeStep) {
+    if (this.history.size === 0) {
+      this.history.record(this);
+    } else {
+      this.history.truncateAfter(this.history.cursor);
+    }
+
+    const substep = deltaTime / this.substeps;
+    for (let i = 0; i < this.substeps; i++) {
+      // Use strategy to update simulation
+      this.strategy.update(this.repository.getAll(), substep, this.time + (i + 1) * substep);
+    }
+    this.time += deltaTime;
+    this.history.record(this);
+  }
+
+  // HEADLESS: Simulates `duration` seconds straight away, in equal steps no longer than
+  // fixedTimeStep, notifying observers after each one so recorders and diagnostics keep up.
+  // Needs no clock or display, so scripts and tests can drive a scene directly.
+  run(duration) {
+    if (!(duration >= 0)) {
+      throw new Error(`Cannot run for ${duration} seconds`);
+    }
+    const steps = Math.ceil(duration / this.fixedTimeStep - 1e-9);
+    for (let i = 0; i < steps; i++) {
+      this.step(duration / steps);
+      this.notifyObservers();
+    }
+    return this;
+  }
+
+  start() {
+    this.isRunning = true;
+    this.lastTime = Date.now();
+    this.accumulator = 0;
+  }
+
+  // Plays the recorded frames from the current one onwards, then pauses at the last
+  startReplay() {
+    if (this.history.size === 0) return;
+    if (this.history.cursor >= this.history.size - 1) this.restore(0);
+    this.replaying = true;
+    this.replayTime = this.time;
+    this.start();
+  }
+
+  pause() {
+    this.isRunning = false;
+    this.replaying = false;
+  }
+
+  reset() {
+    this.pause();
+    this.repository.clear();
+    this.history.clear();
+    this.accumulator = 0;
+    this.time = 0;
+    this.notifyObservers();
+  }
+
+  // TIMELINE: Moves to a recorded frame without simulating
+  seek(index) {
+    this.restore(index);
+    this.notifyObservers();
+  }
+
+  stepBack() {
+    if (this.history.cursor > 0) this.seek(this.history.cursor - 1);
+  }
+
+  // Replays the next recorded frame, or simulates a new one at the end of the history
+  stepForward() {
+    if (this.history.cursor < this.history.size - 1) {
+      this.seek(this.history.cursor + 1);
+    } else {
+      this.step();
+      this.notifyObservers();
+    }
+  }
+
+  restore(index) {
+    const frame = this.history.restore(index, this.repository);
+    this.time = frame.time;
+    this.accumulator = 0;
+  }
+}
+
+// TIMELINE: The most recent engine states, one per step, oldest dropped first once the frames
+// add up to more than `capacity` bytes. A frame keeps only the scalar fields (numbers, booleans,
+// strings) of every component but the transient ones. The rest of the scene is serialized once
+// per layout, shared by all frames until an entity or component is added, removed or replaced,
+// or a field holding an object or array (pins, wiring, vertices) changes, so a step costs a copy
+// of its numbers rather than of the whole scene.
+class SimulationHistory {
+  static DEFAULT_CAPACITY = 32 * 1024 * 1024; // tens of seconds for a few hundred bodies
+  static FRAME_OVERHEAD = 64; // bytes per frame besides its fields, roughly
+
+  constructor(capacity = SimulationHistory.DEFAULT_CAPACITY) {
+    this.capacity = capacity; // bytes; 0 records nothing
+    this.frames = [];
+    this.start = 0; // slot of the oldest frame
+    this.size = 0;
+    this.bytes = 0;
+    this.cursor = -1; // index of the frame the engine is showing
+    this.layout = null; // the one the last frame was recorded against
+  }
+
+  // The live components of a scene, which of their fields a frame copies, and a saved copy of
+  // the scene to compare the other fields with and to rebuild it from
+  static layoutOf(repository) {
+    const entities = repository.getAll();
+    const saved = entities.map(SceneSerializer.serializeEntity);
+    const groups = [];
+    let numberCount = 0;
+    let otherCount = 0;
+    entities.forEach((entity, i) => {
+      entity.components.forEach((component, name) => {
+        if (SceneSerializer.TRANSIENT_COMPONENTS.includes(name)) return;
+        const numbers = [];
+        const others = [];
+        const objects = [];
+        Object.keys(component).forEach(key => {
+          const value = component[key];
+          if (typeof value === 'number') numbers.push(key);
+          else if (value === null || typeof value !== 'object') others.push(key);
+          else objects.push(key);
+        });
+        groups.push({ id: entity.id, name, entity, component, numbers, others, objects, saved: saved[i].components[name] });
+        numberCount += numbers.length;
+        otherCount += others.length;
+      });
+    });
+    return {
+      entities: saved,
+      groups,
+      componentCount: groups.length,
+      numberCount,
+      otherCount,
+      bytes: JSON.stringify(saved).length * 2
+    };
+  }
+
+  // Whether a live value equals its saved copy
+  static same(live, saved) {
+    if (live === saved) return true;
+    if (live === null || saved === null || typeof live !== 'object' || typeof saved !== 'object') return false;
+    if (Array.isArray(live) !== Array.isArray(saved)) return false;
+    const keys = Object.keys(live);
+    return keys.length === Object.keys(saved).length && keys.every(key => SimulationHistory.same(live[key], saved[key]));
+  }
+
+  // Whether the layout's components are still the ones in the scene, and the only ones, with
+  // their object and array fields as saved
+  static matches(layout, repository) {
+    if (!layout.groups.every(({ id, name, entity, component, objects, saved }) =>
+      repository.findById(id) === entity && entity.getComponent(name) === component &&
+      objects.every(key => SimulationHistory.same(component[key], saved[key])))) {
+      return false;
+    }
+    let count = 0;
+    repository.entities.forEach(entity => entity.components.forEach((component, name) => {
+      if (!SceneSerializer.TRANSIENT_COMPONENTS.includes(name)) count++;
+    }));
+    return count === layout.componentCount;
+  }
+
+  // The fields of a frame, or null once one has changed type since the layout was taken
+  static capture(layout) {
+    const numbers = new Float64Array(layout.numberCount);
+    const others = new Array(layout.otherCount);
+    let n = 0;
+    let o = 0;
+    for (const { component, numbers: numberKeys, others: otherKeys } of layout.groups) {
+      for (const key of numberKeys) {
+        const value = component[key];
+        if (typeof value !== 'number') return null;
+        numbers[n++] = value;
+      }
+      for (const key of otherKeys) {
+        const value = component[key];
+        if (value !== null && typeof value === 'object') return null;
+        others[o++] = value;
+      }
+    }
+    return { numbers, others };
+  }
+
+  // index 0 is the oldest frame kept
+  get(index) {
+    if (index < 0 || index >= this.size) {
+      throw new Error(`No recorded frame ${index}; the history holds ${this.size}`);
+    }
+    return this.frames[this.start + index];
+  }
+
+  record(engine) {
+    if (this.capacity === 0) return;
+    const repository = engine.repository;
+    let fields = this.layout && SimulationHistory.matches(this.layout, repository)
+      ? SimulationHistory.capture(this.layout)
+      : null;
+    if (!fields) {
+      this.layout = SimulationHistory.layoutOf(repository);
+      fields = SimulationHistory.capture(this.layout);
+    }
+    const frame = {
+      time: engine.time,
+      nextId: repository.nextId,
+      layout: this.layout,
+      numbers: fields.numbers,
+      others: fields.others,
+      bytes: SimulationHistory.FRAME_OVERHEAD + (fields.numbers.length + fields.others.length) * 8
+    };
+    // A layout is counted once for each run of frames recorded against it
+    const last = this.size > 0 ? this.get(this.size - 1) : null;
+    if (last?.layout !== frame.layout) this.bytes += frame.layout.bytes;
+    this.frames[this.start + this.size] = frame;
+    this.size++;
+    this.bytes += frame.bytes;
+
+    while (this.bytes > this.capacity && this.size > 1) {
+      const dropped = this.frames[this.start];
+      this.bytes -= dropped.bytes;
+      if (this.frames[this.start + 1].layout !== dropped.layout) this.bytes -= dropped.layout.bytes;
+      this.frames[this.start++] = undefined;
+      this.size--;
+    }
+    if (this.start > 1024 && this.start * 2 > this.frames.length) {
+      this.frames = this.frames.slice(this.start);
+      this.start = 0;
+    }
+    this.cursor = this.size - 1;
+  }
+
+  // Writes a frame's fields back into the scene's own components. The scene is rebuilt from the
+  // frame's layout only when its entities, components or object fields are no longer as recorded.
+  restore(index, repository) {
+    const frame = this.get(index);
+    const layout = frame.layout;
+    if (!SimulationHistory.matches(layout, repository)) {
+      repository.clear();
+      // A copy, so the rebuilt scene never shares objects with the saved one it is compared to
+      JSON.parse(JSON.stringify(layout.entities))
+        .forEach(saved => repository.add(SceneSerializer.deserializeEntity(saved)));
+      layout.groups.forEach(group => {
+        group.entity = repository.findById(group.id);
+        group.component = group.entity.getComponent(group.name);
+      });
+    }
+    let n = 0;
+    let o = 0;
+    for (const { component, numbers, others } of layout.groups) {
+      for (const key of numbers) component[key] = frame.numbers[n++];
+      for (const key of others) component[key] = frame.others[o++];
+    }
+    repository.nextId = frame.nextId;
+    this.cursor = index;
+    return frame;
+  }
+
+  truncateAfter(index) {
+    while (this.size > index + 1) {
+      const dropped = this.get(this.size - 1);
+      const previous = this.size > 1 ? this.get(this.size - 2) : null;
+      this.bytes -= dropped.bytes;
+      if (previous?.layout !== dropped.layout) this.bytes -= dropped.layout.bytes;
+      this.size--;
+    }
+    this.frames.length = this.start + this.size;
+  }
+
+  // The last frame at or before the given time, or the first frame if all are later
+  indexAt(time) {
+    let low = 0;
+    let high = this.size - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.get(middle).time <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  clear() {
+    this.frames = [];
+    this.start = 0;
+    this.size = 0;
+    this.bytes = 0;
+    this.cursor = -1;
+    this.layout = null;
+  }
+}
+
+// PROBES: Quantities read off one entity every frame, recorded as time series.
+// Quantities are either registered names ('kineticEnergy') or any component field ('physics.vx').
+class ProbeRecorder {
+  static QUANTITIES = new Map();
+
+  static registerQuantity(name, unit, read) {
+    ProbeRecorder.QUANTITIES.set(name, { unit, read });
+  }
+
+  // Reads a quantity off an entity; undefined when the entity lacks it
+  static read(entity, quantity) {
+    const registered = ProbeRecorder.QUANTITIES.get(quantity);
+    if (registered) return registered.read(entity);
+    const [componentName, field] = quantity.split('.');
+    const value = entity.getComponent(componentName)?.[field];
+    return typeof value === 'number' ? value : undefined;
+  }
+
+  // Registered quantities this entity can be probed for
+  static quantitiesFor(entity) {
+    return Array.from(ProbeRecorder.QUANTITIES.keys())
+      .filter(quantity => Number.isFinite(ProbeRecorder.read(entity, quantity)));
+  }
+
+  constructor(maxSamples = 2000) {
+    this.maxSamples = maxSamples; // oldest samples are dropped past this
+    this.interval = 0; // least simulated seconds between samples; 0 samples every frame
+    this.probes = []; // { id, entityId, quantity, label, values }, values aligned with times
+    this.times = [];
+    this.nextId = 1;
+  }
+
+  addProbe(entityId, quantity) {
+    if (!ProbeRecorder.QUANTITIES.has(quantity) && !/^\w+\.\w+$/.test(quantity)) {
+      throw new Error(`Unknown quantity '${quantity}'; use a registered name or component.field`);
+    }
+    const unit = ProbeRecorder.QUANTITIES.get(quantity)?.unit;
+    const probe = {
+      id: this.nextId++,
+      entityId,
+      quantity,
+      label: `#${entityId} ${quantity}${unit ? ` (${unit})` : ''}`,
+      values: this.times.map(() => null)
+    };
+    this.probes.push(probe);
+    return probe;
+  }
+
+  removeProbe(id) {
+    this.probes = this.probes.filter(probe => probe.id !== id);
+  }
+
+  clear() {
+    this.times = [];
+    this.probes.forEach(probe => { probe.values = []; });
+  }
+
+  truncateAfter(time) {
+    let keep = this.times.length;
+    while (keep > 0 && this.times[keep - 1] > time) keep--;
+    if (keep === this.times.length) return;
+    this.times.length = keep;
+    this.probes.forEach(probe => { probe.values.length = keep; });
+  }
+
+  // OBSERVER PATTERN: one sample per frame. When time goes backwards (a reset or a rewind)
+  // the samples after it are dropped, and redraws without a step in between add nothing.
+  update(engine) {
+    this.truncateAfter(engine.time);
+    if (engine.time === this.times[this.times.length - 1]) return;
+    if (this.probes.length === 0) return;
+    if (this.times.length > 0 && engine.time - this.times[this.times.length - 1] < this.interval - 1e-9) return;
+
+    this.times.push(engine.time);
+    this.probes.forEach(probe => {
+      const entity = engine.repository.findById(probe.entityId);
+      const value = entity ? ProbeRecorder.read(entity, probe.quantity) : undefined;
+      probe.values.push(Number.isFinite(value) ? value : null);
+    });
+
+    if (this.times.length > this.maxSamples) {
+      this.times.shift();
+      this.probes.forEach(probe => probe.values.shift());
+    }
+  }
+
+  // One row per sample: time, then each probe's value (blank where it had none)
+  toCSV() {
+    const escape = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    const header = ['time (s)', ...this.probes.map(probe => probe.label)].map(escape).join(',');
+    const rows = this.times.map((time, i) =>
+      [time, ...this.probes.map(probe => probe.values[i] ?? '')].join(',')
+    );
+    return [header, ...rows].join('\n') + '\n';
+  }
+
+  // The same samples as one series per probe, with blanks as null
+  toJSON() {
+    return {
+      times: this.times,
+      probes: this.probes.map(({ entityId, quantity, label, values }) => ({
+        entityId,
+        quantity,
+        unit: ProbeRecorder.QUANTITIES.get(quantity)?.unit ?? null,
+        label,
+        values
+      }))
+    };
+  }
+}
+
+const speedOf = (entity) => {
+  const physics = entity.getComponent('physics');
+  return physics ? Math.hypot(physics.vx, physics.vy) : undefined;
+};
+
+ProbeRecorder.registerQuantity('transform.x', 'm', entity => entity.getComponent('transform')?.x);
+ProbeRecorder.registerQuantity('transform.y', 'm', entity => entity.getComponent('transform')?.y);
+ProbeRecorder.registerQuantity('physics.vx', 'm/s', entity => entity.getComponent('physics')?.vx);
+ProbeRecorder.registerQuantity('physics.vy', 'm/s', entity => entity.getComponent('physics')?.vy);
+ProbeRecorder.registerQuantity('speed', 'm/s', speedOf);
+ProbeRecorder.registerQuantity('kineticEnergy', 'J', entity => {
+  const speed = speedOf(entity);
+  return speed === undefined ? undefined : 0.5 * entity.getComponent('physics').mass * speed * speed;
+});
+ProbeRecorder.registerQuantity('circuit.current', 'A', entity => entity.getComponent('circuit')?.current);
+ProbeRecorder.registerQuantity('circuit.voltage', 'V', entity => entity.getComponent('circuit')?.voltage);
+ProbeRecorder.registerQuantity('power', 'W', entity => {
+  const circuit = entity.getComponent('circuit');
+  return circuit ? circuit.voltage * circuit.current + circuit.controlVoltage * circuit.controlCurrent : undefined;
+});
+ProbeRecorder.registerQuantity('thermal.temperature', '°C', entity => entity.getComponent('thermal')?.temperature);
+
+// Formats a value with an SI prefix, e.g. formatSI(0.0047, 'F') -> '4.7mF'
+function formatSI(value, unit) {
+  const prefixes = [[1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+  const magnitude = Math.abs(value);
+  if (magnitude === 0) return `0${unit}`;
+  const [scale, prefix] = prefixes.find(([scale]) => magnitude >= scale) ?? prefixes[prefixes.length - 1];
+  return `${parseFloat((value / scale).toPrecision(3))}${prefix}${unit}`;
+}
+
+// DIAGNOSTICS: Conservation checks after every frame. Physics scenes report energy and momentum
+// against the values at the start of the run; circuits report Kirchhoff residuals of the solution.
+// Anything past its tolerance is listed in report.warnings.
+class ConservationDiagnostics {
+  // Component name -> energy(component, bodies, entitiesById), the potential energy it stores
+  static POTENTIALS = new Map();
+
+  static registerPotential(componentName, energy) {
+    ConservationDiagnostics.POTENTIALS.set(componentName, energy);
+  }
+
+  constructor() {
+    this.energyTolerance = 0.01; // fraction of the starting energy
+    this.momentumTolerance = 0.01; // fraction of the starting momentum, or of 1 kg·m/s if that is larger
+    this.kirchhoffTolerance = 1e-6; // amperes at a node, volts around a loop
+    this.report = null;
+    this.baseline = null;
+  }
+
+  get warnings() {
+    return this.report?.warnings ?? [];
+  }
+
+  // Starts drift measurements again from the current state, e.g. after the scene was edited
+  rebaseline() {
+    this.baseline = null;
+  }
+
+  // OBSERVER PATTERN: Re-measure after every frame. In a pipeline only the circuit is checked:
+  // the bodies there are pushed by it, so their mechanical energy is not conserved.
+  update(engine) {
+    const circuit = engine.strategy instanceof CircuitSimulationStrategy
+      || (engine.strategy instanceof StrategyPipeline && engine.strategy.find(CircuitSimulationStrategy) !== null);
+    this.report = circuit ? this.checkCircuit(engine) : this.checkPhysics(engine);
+  }
+
+  checkPhysics(engine) {
+    const entities = engine.repository.getAll();
+    const totals = ConservationDiagnostics.physicsTotals(entities, engine.strategy.gravity);
+    const bodyCount = entities.filter(entity => entity.hasComponent('physics')).length;
+
+    // A new run, a changed scene or a body held by the pointer measures drift from here on
+    const baseline = this.baseline;
+    const held = entities.some(entity => entity.hasComponent('grab'));
+    if (!baseline || held || engine.time < baseline.time || bodyCount !== baseline.bodyCount) {
+      this.baseline = { ...totals, time: engine.time, bodyCount };
+    }
+    const start = this.baseline;
+
+    const energyScale = Math.max(Math.abs(start.mechanical), start.kinetic, 1e-9);
+    const energyDrift = (totals.mechanical - start.mechanical) / energyScale;
+    const momentumScale = Math.max(Math.hypot(start.momentum.x, start.momentum.y), 1);
+    const momentumDrift = Math.hypot(totals.momentum.x - start.momentum.x, totals.momentum.y - start.momentum.y) / momentumScale;
+
+    const dissipative = ConservationDiagnostics.isDissipative(entities);
+    const closed = ConservationDiagnostics.isClosed(entities, engine.strategy.gravity);
+    const warnings = [];
+    // Losing energy is expected with friction, damping or inelastic bounces; gaining it never is
+    if (energyDrift > this.energyTolerance || (!dissipative && energyDrift < -this.energyTolerance)) {
+      warnings.push(`Mechanical energy drifted ${(energyDrift * 100).toFixed(1)}% since t = ${start.time.toFixed(2)}s`);
+    }
+    if (closed && momentumDrift > this.momentumTolerance) {
+      warnings.push(`Momentum drifted ${(momentumDrift * 100).toFixed(1)}% in a closed system`);
+    }
+
+    return { mode: 'physics', time: engine.time, ...totals, energyDrift, momentumDrift, dissipative, closed, warnings };
+  }
+
+  checkCircuit(engine) {
+    const { kcl, kvl } = ConservationDiagnostics.kirchhoffResiduals(engine.repository.getAll());
+    const maxKCL = Math.max(0, ...kcl.map(Math.abs));
+    const maxKVL = Math.max(0, ...kvl.map(Math.abs));
+
+    const warnings = [];
+    if (engine.strategy.error) {
+      warnings.push(engine.strategy.error);
+    } else {
+      if (maxKCL > this.kirchhoffTolerance) {
+        warnings.push(`Currents at a node fail to balance by ${formatSI(maxKCL, 'A')} (KCL)`);
+      }
+      if (maxKVL > this.kirchhoffTolerance) {
+        warnings.push(`Voltages around a loop fail to sum to zero by ${formatSI(maxKVL, 'V')} (KVL)`);
+      }
+    }
+
+    return { mode: 'circuit', time: engine.time, kcl, kvl, maxKCL, maxKVL, warnings };
+  }
+
+  // Kinetic energy, potential energy (gravity measured from y = 0, plus registered potentials)
+  // and linear momentum of every moving body
+  static physicsTotals(entities, gravity) {
+    const bodies = entities.filter(entity => entity.hasComponent('physics') && entity.hasComponent('transform'));
+    const entitiesById = new Map(entities.map(entity => [entity.id, entity]));
+    let kinetic = 0;
+    let potential = 0;
+    const momentum = { x: 0, y: 0 };
+
+    bodies.forEach(entity => {
+      const physics = entity.getComponent('physics');
+      const transform = entity.getComponent('transform');
+      kinetic += 0.5 * physics.mass * (physics.vx * physics.vx + physics.vy * physics.vy);
+      // y grows downwards, so falling lowers the potential energy
+      potential -= physics.mass * gravity * transform.y;
+      momentum.x += physics.mass * physics.vx;
+      momentum.y += physics.mass * physics.vy;
+    });
+
+    entities.forEach(entity => {
+      entity.components.forEach((component, name) => {
+        const energy = ConservationDiagnostics.POTENTIALS.get(name);
+        if (energy) potential += energy(component, bodies, entitiesById);
+      });
+    });
+
+    return { kinetic, potential, mechanical: kinetic + potential, momentum };
+  }
+
+  // Anything that legitimately removes mechanical energy
+  static isDissipative(entities) {
+    return entities.some(entity => {
+      const tangible = entity.getComponent('tangible');
+      const physics = entity.getComponent('physics');
+      const spring = entity.getComponent('spring');
+      return (tangible && (tangible.restitution < 1 || tangible.staticFriction > 0 || tangible.kineticFriction > 0))
+        || (physics && physics.linearDamping > 0)
+        || (spring && spring.damping > 0);
+    });
+  }
+
+  // Momentum only holds when nothing outside the bodies pushes on them
+  static isClosed(entities, gravity) {
+    if (gravity !== 0) return false;
+    return !entities.some(entity => {
+      const tangible = entity.hasComponent('tangible') && !entity.hasComponent('physics');
+      const joint = entity.getComponent('spring') ?? entity.getComponent('constraint');
+      const fixedEnd = joint && (joint.a.id === undefined || joint.b.id === undefined);
+      return tangible || fixedEnd || entity.hasComponent('electricField') || entity.getComponent('physics')?.linearDamping > 0;
+    });
+  }
+
+  // KCL: net current into every node. KVL: for each loop, the element voltage drops summed around
+  // it. Loops are found from a spanning tree of the nodes: walking the tree assigns each node a
+  // potential, and every element off the tree closes one loop whose residual is how far its
+  // drop disagrees with those potentials. A transistor counts as two elements, from pins[0] and
+  // from pins[2] to pins[1].
+  static kirchhoffResiduals(entities) {
+    const netlist = new CircuitNetlist(entities);
+    const kcl = new Array(netlist.nodeCount).fill(0);
+
+    netlist.elements.forEach(({ circuit, nodes }) => {
+      circuit.pinCurrents().forEach((current, i) => {
+        kcl[nodes[i]] -= current;
+      });
+    });
+
+    // { nodes: [from, to], drop } for each two-terminal branch
+    const branches = netlist.elements.flatMap(({ circuit, nodes }) => {
+      const emf = CircuitComponent.EMF_TYPES.includes(circuit.componentType);
+      const main = { nodes: [nodes[0], nodes[1]], drop: emf ? -circuit.voltage : circuit.voltage };
+      return nodes.length > 2 ? [main, { nodes: [nodes[2], nodes[1]], drop: circuit.controlVoltage }] : [main];
+    });
+
+    const adjacency = Array.from({ length: netlist.nodeCount }, () => []);
+    branches.forEach(branch => {
+      adjacency[branch.nodes[0]].push(branch);
+      adjacency[branch.nodes[1]].push(branch);
+    });
+    const potential = new Array(netlist.nodeCount).fill(null);
+    const treeEdges = new Set();
+    for (let root = 0; root < netlist.nodeCount; root++) {
+      if (potential[root] !== null) continue;
+      potential[root] = 0;
+      const queue = [root];
+      while (queue.length > 0) {
+        const node = queue.shift();
+        adjacency[node].forEach(branch => {
+          const [a, b] = branch.nodes;
+          const other = a === node ? b : a;
+          if (potential[other] !== null) return;
+          potential[other] = other === b ? potential[a] - branch.drop : potential[b] + branch.drop;
+          treeEdges.add(branch);
+          queue.push(other);
+        });
+      }
+    }
+    const kvl = branches
+      .filter(branch => !treeEdges.has(branch))
+      .map(branch => potential[branch.nodes[0]] - potential[branch.nodes[1]] - branch.drop);
+
+    return { kcl, kvl };
+  }
+}
+
+ConservationDiagnostics.registerPotential('spring', (spring, bodies, entitiesById) => {
+  const a = resolveEndpoint(spring.a, entitiesById);
+  const b = resolveEndpoint(spring.b, entitiesById);
+  if (!a || !b) return 0;
+  const stretch = Math.hypot(b.x - a.x, b.y - a.y) - spring.restLength;
+  return 0.5 * spring.stiffness * stretch * stretch;
+});
+
+ConservationDiagnostics.registerPotential('gravitation', (gravitation, bodies) => {
+  let energy = 0;
+  for (let i = 0; i < bodies.length; i++) {
+    const transformA = bodies[i].getComponent('transform');
+    const massA = bodies[i].getComponent('physics').mass;
+    for (let j = i + 1; j < bodies.length; j++) {
+      const transformB = bodies[j].getComponent('transform');
+      const distanceSquared = (transformB.x - transformA.x) ** 2 + (transformB.y - transformA.y) ** 2;
+      energy -= gravitation.G * massA * bodies[j].getComponent('physics').mass
+        / Math.sqrt(distanceSquared + gravitation.softening * gravitation.softening);
+    }
+  }
+  return energy;
+});
+
+ConservationDiagnostics.registerPotential('electricField', (field, bodies) => bodies.reduce((energy, entity) => {
+  const charge = entity.getComponent('charge');
+  if (!charge) return energy;
+  const transform = entity.getComponent('transform');
+  return energy - charge.charge * (field.ex * transform.x + field.ey * transform.y);
+}, 0));
+
+// AC SWEEP: Frequency response of a circuit by phasor analysis at log-spaced frequencies.
+// The input is the first voltage or current source; the output is the voltage at a pin,
+// measured from a reference pin (by default the input's first pin). The gain is output over
+// input, in dB of volts per volt (or per ampere for a current source), and the phase is
+// the output's lead over the input in degrees, unwrapped so the curve runs on smoothly.
+class FrequencyResponse {
+  static sweep(entities, { output, reference, from = 1, to = 100000, pointsPerDecade = 20 }) {
+    if (!(from > 0) || !(to > from)) {
+      throw new Error('The sweep needs 0 < from < to');
+    }
+    const netlist = new CircuitNetlist(entities);
+    const input = netlist.elements.find(({ circuit }) => CircuitComponent.SOURCE_TYPES.includes(circuit.componentType));
+    if (!input) {
+      throw new Error('Add a voltage or current source to drive the sweep');
+    }
+    const nodeOf = ({ entityId, pin }) => {
+      const node = netlist.pinNodes.get(`${entityId}:${pin}`);
+      if (node === undefined) throw new Error(`No pin ${pin} on part #${entityId}`);
+      return node;
+    };
+    const outputNode = nodeOf(output);
+    const referenceNode = nodeOf(reference ?? { entityId: input.entity.id, pin: input.circuit.pins[0] });
+
+    const source = input.entity.getComponent('source');
+    const inputPhase = (source?.phase ?? 0) * Math.PI / 180;
+    const inputGain = input.circuit.value;
+
+    const decades = Math.log10(to / from);
+    const count = Math.max(2, Math.round(decades * pointsPerDecade) + 1);
+    const frequencies = [];
+    const magnitude = []; // dB, null where the output is exactly zero
+    const phase = []; // degrees
+    let previous = null;
+
+    for (let i = 0; i < count; i++) {
+      const frequency = from * 10 ** (decades * i / (count - 1));
+      const solution = ModifiedNodalAnalysis.solveAC(netlist, frequency);
+      if (!solution) {
+        throw new Error(`Circuit has no unique solution at ${formatSI(frequency, 'Hz')}`);
+      }
+      const out = solution.nodeVoltages[outputNode];
+      const ref = solution.nodeVoltages[referenceNode];
+      const re = out.re - ref.re;
+      const im = out.im - ref.im;
+      const gain = Math.hypot(re, im) / Math.abs(inputGain);
+
+      let degrees = (Math.atan2(im, re) - inputPhase + (inputGain < 0 ? Math.PI : 0)) * 180 / Math.PI;
+      if (previous !== null) degrees -= 360 * Math.round((degrees - previous) / 360);
+      previous = degrees;
+
+      frequencies.push(frequency);
+      magnitude.push(gain > 0 ? 20 * Math.log10(gain) : null);
+      phase.push(degrees);
+    }
+    return { frequencies, magnitude, phase, input: input.entity.id };
+  }
+
+  // Where the gain first crosses `drop` dB below its peak, interpolated between sweep points:
+  // the -3dB corner of a filter. null if it never does.
+  static cornerFrequency({ frequencies, magnitude }, drop = 3) {
+    const known = magnitude.filter(value => value !== null);
+    if (known.length === 0) return null;
+    const level = Math.max(...known) - drop;
+    for (let i = 1; i < magnitude.length; i++) {
+      const a = magnitude[i - 1];
+      const b = magnitude[i];
+      if (a === null || b === null || a === b || (a - level) * (b - level) > 0) continue;
+      const t = (level - a) / (b - a);
+      return frequencies[i - 1] * (frequencies[i] / frequencies[i - 1]) ** t;
+    }
+    return null;
+  }
+}
+
+// Factory functions to create common entities
+class EntityFactory {
+  static CIRCUIT_COLORS = {
+    resistor: '#ef4444',
+    battery: '#22c55e',
+    capacitor: '#0ea5e9',
+    inductor: '#f59e0b',
+    voltageSource: '#a3e635',
+    currentSource: '#2dd4bf',
+    diode: '#e879f9',
+    led: '#f43f5e',
+    npn: '#94a3b8',
+    nmos: '#60a5fa',
+    voltmeter: '#facc15',
+    ammeter: '#fb923c',
+    ohmmeter: '#c084fc',
+    oscilloscope: '#22d3ee',
+    spstSwitch: '#e2e8f0',
+    spdtSwitch: '#e2e8f0',
+    pushButton: '#fca5a5',
+    fuse: '#fbbf24',
+    lamp: '#fde68a',
+    motor: '#34d399'
+  };
+
+  static BALL_RADIUS = 0.2; // m
+
+  static createPhysicsObject(repo, x, y, mass = 1, vx, vy, radius = EntityFactory.BALL_RADIUS) {
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('physics', new PhysicsComponent(mass, vx, vy))
+      .addComponent('render', new RenderComponent('circle', '#3b82f6', radius))
+      .addComponent('tangible', new PhysicsCollisionComponent(radius))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createPhysicsBox(repo, x, y, width, height, mass = 1, rotation = 0) {
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(x, y, rotation))
+      .addComponent('physics', new PhysicsComponent(mass, 0, 0))
+      .addComponent('render', new RenderComponent('polygon', '#f97316', 0))
+      .addComponent('tangible', PhysicsCollisionComponent.box(width, height))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // vertices are relative to (x, y) and must form a convex polygon
+  static createPhysicsPolygon(repo, x, y, vertices, mass = 1) {
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('physics', new PhysicsComponent(mass, 0, 0))
+      .addComponent('render', new RenderComponent('polygon', '#a855f7', 0))
+      .addComponent('tangible', PhysicsCollisionComponent.polygon(vertices))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Immovable line between two world points, for floors, walls and ramps; see PhysicsCollisionComponent for thickness
+  static createStaticSegment(repo, x1, y1, x2, y2, thickness = 0) {
+    const cx = (x1 + x2) / 2;
+    const cy = (y1 + y2) / 2;
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(cx, cy))
+      .addComponent('render', new RenderComponent('segment', '#9ca3af', 4))
+      .addComponent('tangible', PhysicsCollisionComponent.segment(x1 - cx, y1 - cy, x2 - cx, y2 - cy, thickness));
+  }
+
+  // Floor and side walls around the default view, 8m by 6m at 100 pixels per meter. Each is solid
+  // for a tenth of the width behind it, deeper than the fastest throw goes in one step.
+  static createArena(repo, width = 8, floorY = 5.7) {
+    const thickness = width / 10;
+    return [
+      EntityFactory.createStaticSegment(repo, 0, floorY, width, floorY, thickness),
+      EntityFactory.createStaticSegment(repo, 0, 0, 0, floorY, thickness),
+      EntityFactory.createStaticSegment(repo, width, floorY, width, 0, thickness)
+    ];
+  }
+
+  static createChargedObject(repo, x, y, charge, mass = 1, vx = 0, vy = 0) {
+    return EntityFactory.createPhysicsObject(repo, x, y, mass, vx, vy)
+      .addComponent('charge', new ChargeComponent(charge));
+  }
+
+  // Ends are entities or fixed { x, y } points; restLength defaults to the current distance
+  static createSpring(repo, a, b, stiffness, damping = 0, restLength) {
+    const spring = new SpringComponent(EntityFactory.endpoint(a), EntityFactory.endpoint(b), 0, stiffness, damping);
+    spring.restLength = restLength ?? EntityFactory.endpointDistance(repo, spring.a, spring.b);
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(0, 0))
+      .addComponent('render', new RenderComponent('spring', '#e5e7eb', 2))
+      .addComponent('spring', spring);
+  }
+
+  // A rod holds its length exactly; a rope only stops the ends getting further apart
+  static createDistanceConstraint(repo, a, b, length, kind = 'rod') {
+    const constraint = new DistanceConstraintComponent(EntityFactory.endpoint(a), EntityFactory.endpoint(b), 0, kind);
+    constraint.length = length ?? EntityFactory.endpointDistance(repo, constraint.a, constraint.b);
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(0, 0))
+      .addComponent('render', new RenderComponent('link', '#d1d5db', 2))
+      .addComponent('constraint', constraint);
+  }
+
+  static createGravitationField(repo, G, softening) {
+    return repo.create('physics')
+      .addComponent('gravitation', new GravitationComponent(G, softening));
+  }
+
+  static createElectricField(repo, ex, ey) {
+    return repo.create('physics')
+      .addComponent('transform', new TransformComponent(0, 0))
+      .addComponent('render', new RenderComponent('field', '#facc15', 1))
+      .addComponent('electricField', new ElectricFieldComponent(ex, ey));
+  }
+
+  static endpoint(target) {
+    return target instanceof Entity ? { id: target.id } : { x: target.x, y: target.y };
+  }
+
+  static endpointDistance(repo, a, b) {
+    const entitiesById = new Map(repo.getAll().map(entity => [entity.id, entity]));
+    const start = resolveEndpoint(a, entitiesById);
+    const end = resolveEndpoint(b, entitiesById);
+    return Math.hypot(end.x - start.x, end.y - start.y);
+  }
+
+  static createCircuitResistor(repo, x, y, resistance) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('resistor', resistance))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.resistor, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitBattery(repo, x, y, voltage, internalResistance = 0) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('battery', voltage))
+      .addComponent('battery', new BatteryComponent(internalResistance))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.battery, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitCapacitor(repo, x, y, capacitance) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('capacitor', capacitance))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.capacitor, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitInductor(repo, x, y, inductance) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('inductor', inductance))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.inductor, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // AC sources: amplitude in volts or amperes, frequency in hertz, phase in degrees
+  static createCircuitVoltageSource(repo, x, y, amplitude, frequency, waveform = 'sine', phase = 0) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('voltageSource', amplitude))
+      .addComponent('source', new SourceComponent(waveform, frequency, phase))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.voltageSource, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitCurrentSource(repo, x, y, amplitude, frequency, waveform = 'sine', phase = 0) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('currentSource', amplitude))
+      .addComponent('source', new SourceComponent(waveform, frequency, phase))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.currentSource, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Diodes and LEDs are given by their forward voltage at 10mA; current flows from pin a to pin k
+  static createCircuitDiode(repo, x, y, forwardVoltage) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('diode', forwardVoltage))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.diode, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // The render color is the color the LED lights up in
+  static createCircuitLED(repo, x, y, forwardVoltage, color = EntityFactory.CIRCUIT_COLORS.led) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('led', forwardVoltage))
+      .addComponent('render', new RenderComponent('rect', color, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitNPN(repo, x, y, gain) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('npn', gain))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.npn, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitNMOS(repo, x, y, threshold) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('nmos', threshold))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.nmos, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Ideal meters: an ammeter goes in series, a voltmeter across what it measures
+  static createCircuitVoltmeter(repo, x, y) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('voltmeter', 0))
+      .addComponent('meter', new MeterComponent())
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.voltmeter, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitAmmeter(repo, x, y) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('ammeter', 0))
+      .addComponent('meter', new MeterComponent())
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.ammeter, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Across a network with nothing else powering it; testCurrent in amperes
+  static createCircuitOhmmeter(repo, x, y, testCurrent = 0.001) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('ohmmeter', testCurrent))
+      .addComponent('meter', new MeterComponent())
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.ohmmeter, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitOscilloscope(repo, x, y, timePerDivision = 0.005, voltsPerDivision = 1) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('oscilloscope', 0))
+      .addComponent('scope', new ScopeComponent(timePerDivision, voltsPerDivision, voltsPerDivision))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.oscilloscope, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  static createCircuitSPSTSwitch(repo, x, y, closed = false) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('spstSwitch', 0))
+      .addComponent('switch', new SwitchComponent(closed))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.spstSwitch, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Closed joins com to b, open joins it to a
+  static createCircuitSPDTSwitch(repo, x, y, closed = false) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('spdtSwitch', 0))
+      .addComponent('switch', new SwitchComponent(closed))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.spdtSwitch, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Normally open, closed only while held down
+  static createCircuitPushButton(repo, x, y) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('pushButton', 0))
+      .addComponent('switch', new SwitchComponent(false))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.pushButton, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Rated current in amperes
+  static createCircuitFuse(repo, x, y, rating) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('fuse', rating))
+      .addComponent('fuse', new FuseComponent())
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.fuse, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // Rated power in watts at the rated voltage, like a 12V 5W bulb
+  static createCircuitLamp(repo, x, y, power, ratedVoltage = 12) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('lamp', power))
+      .addComponent('lamp', new LampComponent(ratedVoltage))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.lamp, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // body is the entity (or its id) pushed along angle degrees
+  static createCircuitMotor(repo, x, y, resistance, body, constant = 1, angle = 0) {
+    return repo.create('circuit')
+      .addComponent('transform', new TransformComponent(x, y))
+      .addComponent('circuit', new CircuitComponent('motor', resistance))
+      .addComponent('motor', new MotorComponent(body instanceof Entity ? body.id : body, constant, angle))
+      .addComponent('render', new RenderComponent('rect', EntityFactory.CIRCUIT_COLORS.motor, 40))
+      .addComponent('draggable', new MobileByUserComponent(false));
+  }
+
+  // A capacitor in the schematic at (x, y) whose plates are in the world, around (plateX, plateY)
+  static createCircuitPlates(repo, x, y, capacitance, plateX, plateY, width, separation) {
+    return EntityFactory.createCircuitCapacitor(repo, x, y, capacitance)
+      .addComponent('plates', new PlatesComponent(plateX, plateY, width, separation));
+  }
+
+  // A resistor that warms up by the power it dissipates
+  static createCircuitHeater(repo, x, y, resistance, heatCapacity, thermalResistance, ambient = 20) {
+    return EntityFactory.createCircuitResistor(repo, x, y, resistance)
+      .addComponent('thermal', new ThermalComponent(heatCapacity, thermalResistance, ambient));
+  }
+
+  // Pins default to a series hookup: the start's second pin to the end's first pin
+  static createCircuitWire(repo, start, end, startPin, endPin) {
+    const startCircuit = start.getComponent('circuit');
+    const endCircuit = end.getComponent('circuit');
+    startPin = startPin ?? startCircuit.pins[1];
+    endPin = endPin ?? endCircuit.pins[0];
+    if (!startCircuit.hasPin(startPin) || !endCircuit.hasPin(endPin)) {
+      throw new Error(`Cannot wire ${start.id}:${startPin} to ${end.id}:${endPin}, no such pin`);
+    }
+
+    const wire = repo.create('circuit')
+      .addComponent('transform', new TransformComponent(50, 50))
+      .addComponent('render', new RenderComponent('line', '#7fe0dcff', 5))
+      .addComponent('wire', new CircuitWireComponent(start.id, startPin, end.id, endPin));
+    startCircuit.connections.push(wire.id);
+    endCircuit.connections.push(wire.id);
+    return wire;
+  }
+
+}
+
+// COMMAND PATTERN: Every scene edit is a command with execute() and undo(), kept on a stack
+// so it can be undone and redone. Commands find entities by id when they run, because undoing
+// a removal restores a fresh copy of the entity rather than the original object.
+class CommandStack {
+  constructor(limit = 100) {
+    this.limit = limit; // oldest commands are forgotten past this
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  get undoLabel() {
+    return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+  }
+
+  get redoLabel() {
+    return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+  }
+
+  execute(command) {
+    command.execute();
+    this.push(command);
+    return command;
+  }
+
+  // Records a command whose change has already been made, e.g. a drag that moved a part live
+  push(command) {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!last?.mergeWith?.(command)) {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this.redoStack.push(command);
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.execute();
+    this.undoStack.push(command);
+    return command;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+// Runs any edit against the repository and remembers which entities it added, removed or
+// changed, so factory calls and cascading deletes undo as one step without special cases.
+class SceneEditCommand {
+  constructor(repository, label, edit) {
+    this.repository = repository;
+    this.label = label;
+    this.edit = edit; // (repository) => result, run once; redo replays the recorded changes
+    this.changes = null; // [{ id, before, after }] with serialized entities, null where absent
+    this.result = undefined;
+  }
+
+  execute() {
+    if (this.changes) {
+      this.apply('after');
+      return;
+    }
+    const before = SceneEditCommand.snapshot(this.repository);
+    this.result = this.edit(this.repository);
+    const after = SceneEditCommand.snapshot(this.repository);
+
+    this.changes = [];
+    new Set([...before.keys(), ...after.keys()]).forEach(id => {
+      const was = before.get(id) ?? null;
+      const is = after.get(id) ?? null;
+      if (JSON.stringify(was) !== JSON.stringify(is)) {
+        this.changes.push({ id, before: was, after: is });
+      }
+    });
+  }
+
+  undo() {
+    this.apply('before');
+  }
+
+  apply(state) {
+    this.changes.forEach(change => {
+      const saved = change[state];
+      if (saved) {
+        this.repository.add(SceneSerializer.deserializeEntity(saved));
+      } else {
+        this.repository.remove(change.id);
+      }
+    });
+  }
+
+  static snapshot(repository) {
+    return new Map(repository.getAll().map(entity => [entity.id, SceneSerializer.serializeEntity(entity)]));
+  }
+}
+
+// Sets fields on one component, e.g. { x, y } on a transform. Mergeable commands fold into the
+// previous edit of the same fields, so a slider dragged through many values undoes in one step.
+class SetFieldsCommand {
+  constructor(repository, entityId, componentName, values, previous = null) {
+    this.repository = repository;
+    this.entityId = entityId;
+    this.componentName = componentName;
+    this.values = values;
+    this.previous = previous; // read from the component on first execute when not given
+    this.label = `Edit ${componentName}`;
+    this.mergeable = false;
+  }
+
+  component() {
+    const component = this.repository.findById(this.entityId)?.getComponent(this.componentName);
+    if (!component) {
+      throw new Error(`Entity ${this.entityId} has no '${this.componentName}' component`);
+    }
+    return component;
+  }
+
+  execute() {
+    const component = this.component();
+    if (!this.previous) {
+      this.previous = Object.fromEntries(Object.keys(this.values).map(key => [key, component[key]]));
+    }
+    Object.assign(component, this.values);
+  }
+
+  undo() {
+    Object.assign(this.component(), this.previous);
+  }
+
+  mergeWith(command) {
+    const sameTarget = this.mergeable && command.mergeable
+      && command instanceof SetFieldsCommand
+      && command.entityId === this.entityId
+      && command.componentName === this.componentName
+      && Object.keys(command.values).join() === Object.keys(this.values).join();
+    if (!sameTarget) return false;
+    this.values = command.values;
+    return true;
+  }
+}
+
+// INSPECTOR: The component fields the property panel can edit, and their validation.
+// Edits are commands, so they apply to the live scene (running or not) and can be undone.
+class PropertyInspector {
+  // Per component: { field, label, unit or unit(component, entity), type ('number' default, 'color', 'select'), options,
+  // min and max (inclusive unless exclusiveMin), when(component, entity) to show it at all,
+  // and validate(value, component) returning an error message or null }
+  static FIELDS = {
+    transform: [
+      { field: 'x', label: 'x', unit: (transform, entity) => PropertyInspector.lengthUnit(entity), when: (transform, entity) => PropertyInspector.isPlaced(entity) },
+      { field: 'y', label: 'y', unit: (transform, entity) => PropertyInspector.lengthUnit(entity), when: (transform, entity) => PropertyInspector.isPlaced(entity) }
+    ],
+    physics: [
+      { field: 'mass', label: 'Mass', unit: 'kg', min: 0, exclusiveMin: true },
+      { field: 'vx', label: 'Velocity x', unit: 'm/s' },
+      { field: 'vy', label: 'Velocity y', unit: 'm/s' },
+      { field: 'linearDamping', label: 'Damping', unit: '1/s', min: 0 }
+    ],
+    tangible: [
+      { field: 'radius', label: 'Radius', unit: 'm', min: 0, exclusiveMin: true, when: tangible => tangible.shape === 'circle' },
+      { field: 'restitution', label: 'Restitution', min: 0, max: 1 },
+      { field: 'staticFriction', label: 'Static friction', min: 0 },
+      { field: 'kineticFriction', label: 'Kinetic friction', min: 0 }
+    ],
+    charge: [
+      { field: 'charge', label: 'Charge', unit: 'C' }
+    ],
+    circuit: [
+      { field: 'componentType', label: 'Type', type: 'select', options: Object.keys(CircuitComponent.PIN_LAYOUTS) },
+      {
+        field: 'value',
+        label: 'Value',
+        // Only parts with a unit here have a value to set; ideal meters have none
+        when: circuit => PropertyInspector.CIRCUIT_UNITS[circuit.componentType] !== undefined,
+        unit: circuit => PropertyInspector.CIRCUIT_UNITS[circuit.componentType],
+        validate: (value, circuit) => {
+          if (circuit.componentType === 'resistor' && value < 0) return 'Resistance cannot be negative';
+          if ((circuit.componentType === 'capacitor' || circuit.componentType === 'inductor') && value <= 0) {
+            return `${circuit.componentType === 'capacitor' ? 'Capacitance' : 'Inductance'} must be positive`;
+          }
+          if ((circuit.componentType === 'diode' || circuit.componentType === 'led') && value <= 0) {
+            return 'Forward voltage must be positive';
+          }
+          if (circuit.componentType === 'npn' && value <= 0) return 'Current gain must be positive';
+          if (circuit.componentType === 'ohmmeter' && value <= 0) return 'Test current must be positive';
+          if (circuit.componentType === 'fuse' && value <= 0) return 'Rated current must be positive';
+          if (circuit.componentType === 'lamp' && value <= 0) return 'Rated power must be positive';
+          if (circuit.componentType === 'motor' && value < 0) return 'Winding resistance cannot be negative';
+          return null;
+        }
+      }
+    ],
+    source: [
+      { field: 'waveform', label: 'Waveform', type: 'select', options: Object.keys(SourceComponent.WAVEFORMS) },
+      { field: 'frequency', label: 'Frequency', unit: 'Hz', min: 0 },
+      { field: 'phase', label: 'Phase', unit: '°' }
+    ],
+    battery: [
+      { field: 'internalResistance', label: 'Internal resistance', unit: 'Ω', min: 0 }
+    ],
+    lamp: [
+      { field: 'ratedVoltage', label: 'Rated voltage', unit: 'V', min: 0, exclusiveMin: true }
+    ],
+    motor: [
+      {
+        field: 'bodyId',
+        label: 'Drives body',
+        unit: '#',
+        min: 0,
+        validate: value => (Number.isInteger(value) ? null : 'Body must be an entity number, or 0 for none')
+      },
+      { field: 'constant', label: 'Force constant', unit: 'N/A' },
+      { field: 'angle', label: 'Direction', unit: '°' }
+    ],
+    plates: [
+      { field: 'x', label: 'Plates x', unit: 'm' },
+      { field: 'y', label: 'Plates y', unit: 'm' },
+      { field: 'width', label: 'Plate width', unit: 'm', min: 0, exclusiveMin: true },
+      { field: 'separation', label: 'Plate gap', unit: 'm', min: 0, exclusiveMin: true }
+    ],
+    thermal: [
+      { field: 'temperature', label: 'Temperature', unit: '°C' },
+      { field: 'ambient', label: 'Ambient', unit: '°C' },
+      { field: 'heatCapacity', label: 'Heat capacity', unit: 'J/K', min: 0, exclusiveMin: true },
+      { field: 'thermalResistance', label: 'Thermal resistance', unit: 'K/W', min: 0, exclusiveMin: true }
+    ],
+    scope: [
+      { field: 'timePerDivision', label: 'Time / div', unit: 's', min: 0, exclusiveMin: true },
+      { field: 'ch1VoltsPerDivision', label: 'CH1 / div', unit: 'V', min: 0, exclusiveMin: true },
+      { field: 'ch2VoltsPerDivision', label: 'CH2 / div', unit: 'V', min: 0, exclusiveMin: true }
+    ],
+    render: [
+      { field: 'color', label: 'Color', type: 'color' }
+    ]
+  };
+
+  static CIRCUIT_UNITS = {
+    resistor: 'Ω',
+    battery: 'V',
+    capacitor: 'F',
+    inductor: 'H',
+    voltageSource: 'V',
+    currentSource: 'A',
+    diode: 'V',
+    led: 'V',
+    npn: '',
+    nmos: 'V',
+    ohmmeter: 'A',
+    fuse: 'A',
+    lamp: 'W',
+    motor: 'Ω'
+  };
+
+  // Components that come and go with a part's type, and their defaults
+  static TYPE_COMPONENTS = {
+    source: { types: CircuitComponent.SOURCE_TYPES, create: () => new SourceComponent() },
+    meter: { types: CircuitComponent.METER_TYPES, create: () => new MeterComponent() },
+    scope: { types: ['oscilloscope'], create: () => new ScopeComponent() },
+    switch: { types: CircuitComponent.SWITCH_TYPES, create: () => new SwitchComponent() },
+    fuse: { types: ['fuse'], create: () => new FuseComponent() },
+    lamp: { types: ['lamp'], create: () => new LampComponent() },
+    battery: { types: ['battery'], create: () => new BatteryComponent() },
+    motor: { types: ['motor'], create: () => new MotorComponent() }
+  };
+
+  // Wires, springs and fields carry a placeholder transform that means nothing to move
+  static isPlaced(entity) {
+    return entity.hasComponent('physics') || entity.hasComponent('circuit') || entity.hasComponent('tangible');
+  }
+
+  // Physics scenes are measured in meters; circuit layouts are schematic and have no length unit
+  static lengthUnit(entity) {
+    return entity.hasComponent('circuit') ? '' : 'm';
+  }
+
+  // The editable fields of an entity with their current values, in display order
+  static fieldsFor(entity) {
+    const fields = [];
+    Object.entries(PropertyInspector.FIELDS).forEach(([componentName, specs]) => {
+      const component = entity.getComponent(componentName);
+      if (!component) return;
+      specs.forEach(spec => {
+        if (spec.when && !spec.when(component, entity)) return;
+        fields.push({
+          ...spec,
+          componentName,
+          type: spec.type ?? 'number',
+          unit: typeof spec.unit === 'function' ? spec.unit(component, entity) : spec.unit ?? '',
+          value: component[spec.field]
+        });
+      });
+    });
+    return fields;
+  }
+
+  static spec(componentName, field) {
+    const spec = PropertyInspector.FIELDS[componentName]?.find(candidate => candidate.field === field);
+    if (!spec) {
+      throw new Error(`'${componentName}.${field}' cannot be edited`);
+    }
+    return spec;
+  }
+
+  // Turns raw input into a field value; throws with a message fit for the panel if it is invalid
+  static parse(componentName, field, raw, component) {
+    const spec = PropertyInspector.spec(componentName, field);
+    const type = spec.type ?? 'number';
+
+    if (type === 'color') {
+      if (!/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(String(raw))) {
+        throw new Error(`${spec.label} must be a hex color like #3b82f6`);
+      }
+      return String(raw);
+    }
+    if (type === 'select') {
+      if (!spec.options.includes(raw)) {
+        throw new Error(`${spec.label} must be one of ${spec.options.join(', ')}`);
+      }
+      return raw;
+    }
+
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (String(raw).trim() === '' || !Number.isFinite(value)) {
+      throw new Error(`${spec.label} must be a number`);
+    }
+    if (spec.min !== undefined && (spec.exclusiveMin ? value <= spec.min : value < spec.min)) {
+      throw new Error(`${spec.label} must be ${spec.exclusiveMin ? 'greater than' : 'at least'} ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw new Error(`${spec.label} must be at most ${spec.max}`);
+    }
+    const problem = spec.validate?.(value, component);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return value;
+  }
+
+  // Validates and applies one field edit through the command stack; throws if the input is invalid
+  static edit(commands, repository, entityId, componentName, field, raw) {
+    const component = repository.findById(entityId)?.getComponent(componentName);
+    if (!component) {
+      throw new Error(`Entity ${entityId} has no '${componentName}' component`);
+    }
+    const value = PropertyInspector.parse(componentName, field, raw, component);
+
+    if (componentName === 'circuit' && field === 'componentType') {
+      if (value === component.componentType) return null;
+      return commands.execute(new SceneEditCommand(repository, `Make ${value}`, repo =>
+        PropertyInspector.changeCircuitType(repo, entityId, value)
+      ));
+    }
+    const command = new SetFieldsCommand(repository, entityId, componentName, { [field]: value });
+    command.mergeable = true; // typing or spinning through values undoes in one step
+    return commands.execute(command);
+  }
+
+  // Swaps a part's type; attached wires move to the new pins in the same order, so a
+  // resistor's a/b become a battery's -/+. Wires on a transistor's third pin go with it when it
+  // becomes a two-pin part. Sources gain a default 50Hz sine drive, meters a readout, the
+  // oscilloscope its settings and the rest their state, an open switch or an intact fuse say,
+  // and lose them again.
+  static changeCircuitType(repository, entityId, componentType) {
+    const entity = repository.findById(entityId);
+    const circuit = entity.getComponent('circuit');
+    const oldPins = circuit.pins;
+    circuit.componentType = componentType;
+    circuit.pins = Object.keys(CircuitComponent.PIN_LAYOUTS[componentType]);
+    circuit.current = 0;
+    circuit.voltage = 0;
+    circuit.controlCurrent = 0;
+    circuit.controlVoltage = 0;
+    const render = entity.getComponent('render');
+    if (render) render.color = EntityFactory.CIRCUIT_COLORS[componentType];
+    Object.entries(PropertyInspector.TYPE_COMPONENTS).forEach(([name, { types, create }]) => {
+      if (!types.includes(componentType)) {
+        entity.removeComponent(name);
+      } else if (!entity.hasComponent(name)) {
+        entity.addComponent(name, create());
+      }
+    });
+    entity.removeComponent('trace');
+
+    const renamePin = (pin) => circuit.pins[oldPins.indexOf(pin)];
+    [...circuit.connections].forEach(wireId => {
+      const wire = repository.findById(wireId)?.getComponent('wire');
+      if (!wire) return;
+      if (wire.startId === entityId) wire.startPin = renamePin(wire.startPin);
+      if (wire.endId === entityId) wire.endPin = renamePin(wire.endPin);
+      if (wire.startPin !== undefined && wire.endPin !== undefined) return;
+
+      repository.remove(wireId);
+      [wire.startId, wire.endId].forEach(id => {
+        const end = repository.findById(id)?.getComponent('circuit');
+        if (end) end.connections = end.connections.filter(connection => connection !== wireId);
+      });
+    });
+  }
+}
+
+// EDITOR: Canvas editing of circuits - moving parts, drawing and deleting wires, and clicking
+// switches and fuses. All changes go through the repository so the strategy and renderer see
+// them immediately.
+class CircuitEditor {
+  static PIN_HIT_RADIUS = 8;
+  static WIRE_HIT_DISTANCE = 6;
+
+  constructor(repository, commands = new CommandStack()) {
+    this.repository = repository;
+    this.commands = commands; // edits go through here so they can be undone
+    this.selectedId = null;
+    this.pendingPin = null; // { entityId, pin } waiting for the second end of a wire
+    this.drag = null; // { entityId, offsetX, offsetY, startX, startY }
+    this.cursor = null;
+  }
+
+  circuitParts() {
+    return this.repository.getAll().filter(e => e.hasComponent('circuit') && e.hasComponent('transform'));
+  }
+
+  pinAt(x, y) {
+    for (const entity of this.circuitParts()) {
+      const circuit = entity.getComponent('circuit');
+      const transform = entity.getComponent('transform');
+      for (const pin of circuit.pins) {
+        const pos = circuit.pinPosition(transform, pin);
+        if (Math.hypot(pos.x - x, pos.y - y) <= CircuitEditor.PIN_HIT_RADIUS) {
+          return { entityId: entity.id, pin };
+        }
+      }
+    }
+    return null;
+  }
+
+  partAt(x, y) {
+    // Search back to front so the part drawn on top wins
+    return this.circuitParts().reverse().find(entity => {
+      const transform = entity.getComponent('transform');
+      const half = (entity.getComponent('render')?.size ?? 40) / 2;
+      return Math.abs(x - transform.x) <= half && Math.abs(y - transform.y) <= half;
+    }) ?? null;
+  }
+
+  wireAt(x, y) {
+    return this.repository.getAll().find(entity => {
+      const route = this.wireRoute(entity);
+      return route && route.slice(1).some((to, i) =>
+        distanceToSegment(x, y, route[i], to) <= CircuitEditor.WIRE_HIT_DISTANCE
+      );
+    }) ?? null;
+  }
+
+  // The points a wire is drawn through, or null if it is not a wire or an end is missing
+  wireRoute(entity) {
+    return entity.hasComponent('wire') ? wireRoute(entity.getComponent('wire'), this.repository.entities) : null;
+  }
+
+  select(id) {
+    this.repository.getAll().forEach(entity => {
+      if (entity.hasComponent('draggable')) {
+        entity.getComponent('draggable').selected = entity.id === id;
+      }
+    });
+    this.selectedId = id;
+  }
+
+  pointerDown(x, y) {
+    const pin = this.pinAt(x, y);
+    if (pin) {
+      if (!this.pendingPin) {
+        this.pendingPin = pin;
+      } else {
+        this.connect(this.pendingPin, pin);
+        this.pendingPin = null;
+      }
+      return;
+    }
+
+    this.pendingPin = null;
+    const part = this.partAt(x, y);
+    if (part) {
+      const transform = part.getComponent('transform');
+      this.select(part.id);
+      this.hold(part.id, true);
+      this.drag = {
+        entityId: part.id,
+        offsetX: x - transform.x,
+        offsetY: y - transform.y,
+        startX: transform.x,
+        startY: transform.y
+      };
+      return;
+    }
+
+    const wire = this.wireAt(x, y);
+    this.select(wire ? wire.id : null);
+  }
+
+  pointerMove(x, y) {
+    this.cursor = { x, y };
+    if (!this.drag) return;
+    const entity = this.repository.findById(this.drag.entityId);
+    if (!entity) {
+      this.drag = null;
+      return;
+    }
+    const transform = entity.getComponent('transform');
+    transform.x = x - this.drag.offsetX;
+    transform.y = y - this.drag.offsetY;
+  }
+
+  // A finished drag is recorded as one move; the part already followed the pointer. One that
+  // never moved was a click.
+  pointerUp() {
+    const drag = this.drag;
+    this.drag = null;
+    const entity = drag && this.repository.findById(drag.entityId);
+    const transform = entity?.getComponent('transform');
+    if (!transform) return;
+    this.hold(entity.id, false);
+    if (transform.x === drag.startX && transform.y === drag.startY) {
+      this.click(entity);
+      return;
+    }
+    this.commands.push(new SetFieldsCommand(
+      this.repository, drag.entityId, 'transform',
+      { x: transform.x, y: transform.y },
+      { x: drag.startX, y: drag.startY }
+    ));
+  }
+
+  cancel() {
+    if (this.drag) this.hold(this.drag.entityId, false);
+    this.pendingPin = null;
+    this.drag = null;
+  }
+
+  // A push button is closed while the pointer holds it down; that is not an edit, so not undone
+  hold(entityId, held) {
+    const entity = this.repository.findById(entityId);
+    if (entity?.getComponent('circuit')?.componentType === 'pushButton') {
+      entity.getComponent('switch').closed = held;
+    }
+  }
+
+  // Clicking a switch flips it and clicking a blown fuse replaces it, as edits that can be undone
+  click(entity) {
+    const type = entity.getComponent('circuit')?.componentType;
+    let command = null;
+    if (type === 'spstSwitch' || type === 'spdtSwitch') {
+      command = new SetFieldsCommand(this.repository, entity.id, 'switch', { closed: !entity.getComponent('switch').closed });
+      command.label = 'Flip switch';
+    } else if (entity.getComponent('fuse')?.blown) {
+      command = new SetFieldsCommand(this.repository, entity.id, 'fuse', { blown: false });
+      command.label = 'Replace fuse';
+    }
+    if (command) this.commands.execute(command);
+  }
+
+  // Returns the new wire, or null if the pins are the same or already wired together
+  connect(from, to) {
+    if (from.entityId === to.entityId && from.pin === to.pin) return null;
+    const samePins = (wire, a, b) =>
+      wire.startId === a.entityId && wire.startPin === a.pin && wire.endId === b.entityId && wire.endPin === b.pin;
+    const exists = this.repository.getAll().some(entity => {
+      if (!entity.hasComponent('wire')) return false;
+      const wire = entity.getComponent('wire');
+      return samePins(wire, from, to) || samePins(wire, to, from);
+    });
+    if (exists) return null;
+
+    const start = this.repository.findById(from.entityId);
+    const end = this.repository.findById(to.entityId);
+    return this.commands.execute(new SceneEditCommand(this.repository, 'Draw wire', repo =>
+      EntityFactory.createCircuitWire(repo, start, end, from.pin, to.pin)
+    )).result;
+  }
+
+  deleteSelected() {
+    if (this.selectedId === null) return;
+    const id = this.selectedId;
+    this.commands.execute(new SceneEditCommand(this.repository, 'Delete', () => this.removeEntity(id)));
+    this.selectedId = null;
+  }
+
+  // Removes an entity; removing a part also removes every wire attached to it
+  removeEntity(id) {
+    const entity = this.repository.findById(id);
+    if (!entity) return;
+
+    if (entity.hasComponent('wire')) {
+      const wire = entity.getComponent('wire');
+      [wire.startId, wire.endId].forEach(endId => {
+        const circuit = this.repository.findById(endId)?.getComponent('circuit');
+        if (circuit) {
+          circuit.connections = circuit.connections.filter(wireId => wireId !== id);
+        }
+      });
+    } else if (entity.hasComponent('circuit')) {
+      [...entity.getComponent('circuit').connections].forEach(wireId => this.removeEntity(wireId));
+    }
+
+    if (this.pendingPin?.entityId === id) this.pendingPin = null;
+    if (this.drag?.entityId === id) this.drag = null;
+    this.repository.remove(id);
+  }
+}
+
+function distanceToSegment(px, py, a, b) {
+  const closest = closestPointOnSegment(px, py, a, b);
+  return Math.hypot(px - closest.x, py - closest.y);
+}
+
+// EDITOR: Canvas editing of physics scenes - picking bodies to inspect, and dragging them.
+// While the simulation runs a dragged body is spring-pulled to the pointer and thrown on release
+// with the pointer's speed; while paused it is simply moved, as one undoable edit.
+// Times are in seconds.
+class PhysicsEditor {
+  static THROW_WINDOW = 0.1; // seconds of pointer movement averaged into the release velocity
+  static MAX_THROW_SPEED = 30; // m/s
+  static HIT_DISTANCE = 6; // pixels; how close a click must be to a wall or floor
+
+  constructor(repository, commands = new CommandStack()) {
+    this.repository = repository;
+    this.commands = commands;
+    this.selectedId = null;
+    this.hitDistance = PhysicsEditor.HIT_DISTANCE / 100; // m; HIT_DISTANCE at 100 px/m until the view sets it
+    this.live = true; // whether the simulation is running, so drags pull rather than move
+    this.drag = null; // { entityId, offsetX, offsetY, startX, startY, samples: [{ x, y, time }] }
+  }
+
+  // The body under a point, searching back to front so the one drawn on top wins;
+  // static walls and floors can be picked too
+  bodyAt(x, y) {
+    return this.repository.getAll().reverse().find(entity => {
+      const tangible = entity.getComponent('tangible');
+      const transform = entity.getComponent('transform');
+      if (!tangible || !transform) return false;
+      if (tangible.shape === 'circle') {
+        return Math.hypot(x - transform.x, y - transform.y) <= tangible.radius;
+      }
+      if (tangible.shape === 'segment') {
+        const [a, b] = tangible.worldVertices(transform);
+        return distanceToSegment(x, y, a, b) <= this.hitDistance;
+      }
+      return CollisionDetector.containsPoint(tangible.worldVertices(transform), x, y);
+    }) ?? null;
+  }
+
+  select(id) {
+    this.repository.getAll().forEach(entity => {
+      if (entity.hasComponent('draggable')) {
+        entity.getComponent('draggable').selected = entity.id === id;
+      }
+    });
+    this.selectedId = id;
+  }
+
+  pointerDown(x, y, time = Date.now() / 1000) {
+    const body = this.bodyAt(x, y);
+    this.select(body?.id ?? null);
+    if (!body || !body.hasComponent('physics') || !body.hasComponent('draggable')) return;
+
+    const transform = body.getComponent('transform');
+    this.drag = {
+      entityId: body.id,
+      offsetX: x - transform.x,
+      offsetY: y - transform.y,
+      startX: transform.x,
+      startY: transform.y,
+      samples: [{ x, y, time }]
+    };
+    if (this.live) {
+      body.addComponent('grab', new GrabComponent(body.id, transform.x, transform.y));
+    }
+  }
+
+  pointerMove(x, y, time = Date.now() / 1000) {
+    const body = this.drag && this.repository.findById(this.drag.entityId);
+    if (!body) {
+      this.drag = null;
+      return;
+    }
+    const samples = this.drag.samples;
+    samples.push({ x, y, time });
+    while (samples.length > 2 && samples[0].time < time - PhysicsEditor.THROW_WINDOW) samples.shift();
+
+    const target = { x: x - this.drag.offsetX, y: y - this.drag.offsetY };
+    const grab = body.getComponent('grab');
+    if (grab) {
+      Object.assign(grab, target);
+    } else {
+      Object.assign(body.getComponent('transform'), target);
+    }
+  }
+
+  pointerUp(time = Date.now() / 1000) {
+    const drag = this.drag;
+    this.drag = null;
+    const body = drag && this.repository.findById(drag.entityId);
+    if (!body) return;
+
+    if (body.hasComponent('grab')) {
+      body.removeComponent('grab');
+      const { vx, vy } = PhysicsEditor.releaseVelocity(drag.samples, time);
+      Object.assign(body.getComponent('physics'), { vx, vy });
+      return;
+    }
+
+    const transform = body.getComponent('transform');
+    if (transform.x === drag.startX && transform.y === drag.startY) return;
+    this.commands.push(new SetFieldsCommand(
+      this.repository, drag.entityId, 'transform',
+      { x: transform.x, y: transform.y },
+      { x: drag.startX, y: drag.startY }
+    ));
+  }
+
+  // Pointer velocity over the last THROW_WINDOW before release; zero if it was held still
+  static releaseVelocity(samples, time) {
+    const recent = samples.filter(sample => sample.time >= time - PhysicsEditor.THROW_WINDOW);
+    if (recent.length < 2) return { vx: 0, vy: 0 };
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const elapsed = last.time - first.time;
+    if (elapsed <= 0) return { vx: 0, vy: 0 };
+
+    let vx = (last.x - first.x) / elapsed;
+    let vy = (last.y - first.y) / elapsed;
+    const speed = Math.hypot(vx, vy);
+    if (speed > PhysicsEditor.MAX_THROW_SPEED) {
+      vx *= PhysicsEditor.MAX_THROW_SPEED / speed;
+      vy *= PhysicsEditor.MAX_THROW_SPEED / speed;
+    }
+    return { vx, vy };
+  }
+
+  // Lets go without throwing
+  cancel() {
+    if (this.drag) {
+      this.repository.findById(this.drag.entityId)?.removeComponent('grab');
+    }
+    this.drag = null;
+  }
+
+  deleteSelected() {
+    if (this.selectedId === null) return;
+    const id = this.selectedId;
+    this.cancel();
+    this.commands.execute(new SceneEditCommand(this.repository, 'Delete', repo => repo.remove(id)));
+    this.selectedId = null;
+  }
+}
+
+// SERIALIZATION: Versioned JSON scenes - entities, their components and strategy settings.
+// Bump VERSION when the format changes and add a migration from the previous version.
+class SceneSerializer {
+  static FORMAT = 'physics-circuit-simulator/scene';
+  static VERSION = 7;
+
+  // Before version 4 physics scenes were in pixels, with gravity at 98 px/s² standing in for
+  // earth's: ten pixels to the meter
+  static LEGACY_PIXELS_PER_METER = 10;
+
+  // Builds a default instance for each component name; saved fields are then copied onto it
+  static COMPONENT_TYPES = {
+    transform: () => new TransformComponent(0, 0),
+    draggable: () => new MobileByUserComponent(),
+    physics: () => new PhysicsComponent(1),
+    tangible: () => new PhysicsCollisionComponent(0),
+    render: () => new RenderComponent('circle', '#ffffff', 0),
+    circuit: (data) => new CircuitComponent(data.componentType, data.value),
+    source: () => new SourceComponent(),
+    meter: () => new MeterComponent(),
+    scope: () => new ScopeComponent(),
+    switch: () => new SwitchComponent(),
+    fuse: () => new FuseComponent(),
+    lamp: () => new LampComponent(),
+    battery: () => new BatteryComponent(),
+    motor: () => new MotorComponent(),
+    plates: () => new PlatesComponent(),
+    thermal: () => new ThermalComponent(),
+    wire: (data) => new CircuitWireComponent(data.startId, data.startPin, data.endId, data.endPin),
+    charge: () => new ChargeComponent(0),
+    spring: (data) => new SpringComponent(data.a, data.b, data.restLength, data.stiffness),
+    constraint: (data) => new DistanceConstraintComponent(data.a, data.b, data.length),
+    gravitation: () => new GravitationComponent(),
+    electricField: () => new ElectricFieldComponent(0, 0)
+  };
+
+  // Components that only exist during an interaction; left out of saved scenes, history and undo
+  static TRANSIENT_COMPONENTS = ['grab', 'trace'];
+
+  // Strategy fields that are user settings rather than per-run state. A multiphysics pipeline
+  // saves its physics and circuit stages' settings, each under that stage's mode.
+  static STRATEGY_SETTINGS = {
+    physics: ['gravity', 'integrator', 'constraintIterations'],
+    circuit: ['integration', 'maxTimeStep'],
+    multiphysics: ['physics', 'circuit']
+  };
+
+  // The strategy class of a pipeline stage saved under each mode
+  static STAGE_TYPES = {
+    physics: PhysicsSimulationStrategy,
+    circuit: CircuitSimulationStrategy
+  };
+
+  // Engine timing settings; optional in saved scenes, so older files load with the defaults
+  static ENGINE_SETTINGS = ['fixedTimeStep', 'substeps', 'maxFrameTime'];
+
+  // MIGRATIONS[n] upgrades a version n scene to version n + 1
+  static MIGRATIONS = {
+    // Version 2 replaced the strategy's hard-coded floor and walls with static arena entities.
+    // Version 1 bodies stopped at a floor at y = 550 and walls at x = 10 and x = 500; these are
+    // written out here rather than built by the factory, whose arena is free to change.
+    1: (data) => {
+      const entities = data.entities ?? [];
+      if (data.mode !== 'physics') return { ...data, version: 2 };
+
+      let nextId = Math.max(0, ...entities.map(entity => entity.id)) + 1;
+      // Solid on the right going from (x1, y1) to (x2, y2), like any thick segment. In the pixels
+      // of the time; the version 4 migration converts them with the rest.
+      const wall = (x1, y1, x2, y2) => {
+        const x = (x1 + x2) / 2;
+        const y = (y1 + y2) / 2;
+        return {
+          id: nextId++,
+          type: 'physics',
+          components: {
+            transform: { x, y, rotation: 0 },
+            render: { shape: 'segment', color: '#9ca3af', size: 4 },
+            tangible: {
+              shape: 'segment',
+              vertices: [{ x: x1 - x, y: y1 - y }, { x: x2 - x, y: y2 - y }],
+              thickness: 50
+            }
+          }
+        };
+      };
+      const arena = [wall(10, 550, 500, 550), wall(10, 0, 10, 550), wall(500, 550, 500, 0)];
+      return { ...data, version: 2, entities: [...entities, ...arena] };
+    },
+    // Version 3 added force generator and constraint components; older scenes need no changes
+    2: (data) => ({ ...data, version: 3 }),
+    // Version 4 measures physics scenes in meters. Every length shrinks by the legacy scale, and
+    // so do velocities, forces and fields, so the scene moves exactly as it did.
+    3: (data) => {
+      if (data.mode !== 'physics') return { ...data, version: 4 };
+      const scale = 1 / SceneSerializer.LEGACY_PIXELS_PER_METER;
+      const strategy = { ...data.strategy };
+      if (strategy.gravity !== undefined) strategy.gravity *= scale;
+      const entities = (data.entities ?? []).map(entity => ({
+        ...entity,
+        components: Object.fromEntries(Object.entries(entity.components ?? {}).map(
+          ([name, fields]) => [name, SceneSerializer.toMeters(name, fields, scale)]
+        ))
+      }));
+      return { ...data, version: 4, strategy, entities };
+    },
+    // Version 5 added AC sources, semiconductors and instruments, with their 'source', 'meter' and
+    // 'scope' components; older scenes need no changes
+    4: (data) => ({ ...data, version: 5 }),
+    // Version 6 keeps battery settings in a 'battery' component; older batteries are ideal
+    5: (data) => ({
+      ...data,
+      version: 6,
+      entities: (data.entities ?? []).map(entity => (entity.components?.circuit?.componentType === 'battery'
+        ? { ...entity, components: { ...entity.components, battery: entity.components.battery ?? { internalResistance: 0 } } }
+        : entity))
+    }),
+    // Version 7 added multiphysics scenes and their coupling components; older scenes need no changes
+    6: (data) => ({ ...data, version: 7 })
+  };
+
+  // Scales the lengths in one saved component; stiffness (N/m), damping and charge are unchanged
+  static toMeters(name, fields, scale) {
+    const point = (p) => (p && p.id === undefined ? { ...p, x: p.x * scale, y: p.y * scale } : p);
+    const scaled = (keys) => {
+      const result = { ...fields };
+      keys.forEach(key => {
+        if (typeof result[key] === 'number') result[key] *= scale;
+      });
+      return result;
+    };
+    switch (name) {
+      case 'transform': return scaled(['x', 'y']);
+      case 'physics': return scaled(['vx', 'vy', 'fx', 'fy']);
+      case 'tangible': return { ...scaled(['radius', 'width', 'height', 'thickness']), vertices: (fields.vertices ?? []).map(point) };
+      case 'spring': return { ...scaled(['restLength']), a: point(fields.a), b: point(fields.b) };
+      case 'constraint': return { ...scaled(['length']), a: point(fields.a), b: point(fields.b) };
+      case 'electricField': return scaled(['ex', 'ey']);
+      // G m1 m2 / r² is a force, so G scales with length cubed
+      case 'gravitation': return { ...scaled(['softening']), G: fields.G * scale ** 3 };
+      default: return fields;
+    }
+  }
+
+  static modeOf(strategy) {
+    if (strategy instanceof StrategyPipeline) return 'multiphysics';
+    return strategy instanceof CircuitSimulationStrategy ? 'circuit' : 'physics';
+  }
+
+  // Multiphysics solves the circuit, hands its forces to the bodies, moves them, then lets the
+  // parts warm up by what the circuit dissipated
+  static createStrategy(mode) {
+    if (mode === 'multiphysics') {
+      return new StrategyPipeline([
+        new CircuitSimulationStrategy(),
+        new CouplingSimulationStrategy(),
+        new PhysicsSimulationStrategy(),
+        new ThermalSimulationStrategy()
+      ]);
+    }
+    return mode === 'circuit' ? new CircuitSimulationStrategy() : new PhysicsSimulationStrategy();
+  }
+
+  // The strategy's settings as saved for its mode; a pipeline's nest those of its stages
+  static saveSettings(strategy, mode) {
+    const saved = {};
+    SceneSerializer.STRATEGY_SETTINGS[mode].forEach(key => {
+      if (mode !== 'multiphysics') {
+        saved[key] = strategy[key];
+        return;
+      }
+      const stage = strategy.find(SceneSerializer.STAGE_TYPES[key]);
+      if (stage) saved[key] = SceneSerializer.saveSettings(stage, key);
+    });
+    return saved;
+  }
+
+  // The reverse of saveSettings; settings missing from `saved` keep their defaults
+  static applySettings(strategy, mode, saved = {}) {
+    SceneSerializer.STRATEGY_SETTINGS[mode].forEach(key => {
+      if (saved[key] === undefined) return;
+      if (mode !== 'multiphysics') {
+        strategy[key] = saved[key];
+        return;
+      }
+      const stage = strategy.find(SceneSerializer.STAGE_TYPES[key]);
+      if (stage) SceneSerializer.applySettings(stage, key, saved[key]);
+    });
+  }
+
+  static serialize(engine) {
+    const mode = SceneSerializer.modeOf(engine.strategy);
+    const strategy = SceneSerializer.saveSettings(engine.strategy, mode);
+
+    const engineSettings = {};
+    SceneSerializer.ENGINE_SETTINGS.forEach(key => {
+      engineSettings[key] = engine[key];
+    });
+
+    return {
+      format: SceneSerializer.FORMAT,
+      version: SceneSerializer.VERSION,
+      mode,
+      strategy,
+      engine: engineSettings,
+      entities: engine.repository.getAll().map(SceneSerializer.serializeEntity)
+    };
+  }
+
+  static serializeEntity(entity) {
+    return {
+      id: entity.id,
+      type: entity.type,
+      components: Object.fromEntries(
+        Array.from(entity.components.entries())
+          .filter(([name]) => !SceneSerializer.TRANSIENT_COMPONENTS.includes(name))
+          .map(([name, component]) => [name, JSON.parse(JSON.stringify(component))])
+      )
+    };
+  }
+
+  static toJSON(engine) {
+    return JSON.stringify(SceneSerializer.serialize(engine), null, 2);
+  }
+
+  // Returns { mode, strategy, engineSettings, entities } without touching any engine; throws on invalid scenes
+  static deserialize(data) {
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    if (!data || data.format !== SceneSerializer.FORMAT) {
+      throw new Error('Not a simulator scene file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > SceneSerializer.VERSION) {
+      throw new Error(`Unsupported scene version ${data.version}; this simulator reads up to version ${SceneSerializer.VERSION}`);
+    }
+    for (let version = data.version; version < SceneSerializer.VERSION; version++) {
+      data = SceneSerializer.MIGRATIONS[version](data);
+    }
+
+    if (!SceneSerializer.STRATEGY_SETTINGS[data.mode]) {
+      throw new Error(`Unknown simulation mode '${data.mode}'`);
+    }
+    const strategy = SceneSerializer.createStrategy(data.mode);
+    SceneSerializer.applySettings(strategy, data.mode, data.strategy ?? {});
+
+    const entities = (data.entities ?? []).map(SceneSerializer.deserializeEntity);
+    const ids = new Set();
+    entities.forEach(entity => {
+      if (ids.has(entity.id)) throw new Error(`Duplicate entity id ${entity.id}`);
+      ids.add(entity.id);
+    });
+
+    const engineSettings = {};
+    SceneSerializer.ENGINE_SETTINGS.forEach(key => {
+      if (data.engine && data.engine[key] !== undefined) {
+        engineSettings[key] = data.engine[key];
+      }
+    });
+
+    return { mode: data.mode, strategy, engineSettings, entities };
+  }
+
+  static deserializeEntity(saved) {
+    if (!Number.isInteger(saved.id) || saved.id < 1) {
+      throw new Error(`Invalid entity id ${saved.id}`);
+    }
+    const entity = new Entity(saved.id, saved.type);
+    Object.entries(saved.components ?? {}).forEach(([name, fields]) => {
+      const create = SceneSerializer.COMPONENT_TYPES[name];
+      if (!create) {
+        throw new Error(`Unknown component '${name}' on entity ${saved.id}`);
+      }
+      if (name === 'circuit' && !Object.prototype.hasOwnProperty.call(CircuitComponent.PIN_LAYOUTS, fields.componentType)) {
+        throw new Error(`Unknown circuit part '${fields.componentType}' on entity ${saved.id}`);
+      }
+      const component = create(fields);
+      Object.keys(component).forEach(key => {
+        if (fields[key] !== undefined) component[key] = fields[key];
+      });
+      entity.addComponent(name, component);
+    });
+    return entity;
+  }
+
+  // Replaces the engine's scene and strategy with the saved one; returns the scene's mode
+  static load(engine, data) {
+    const scene = SceneSerializer.deserialize(data);
+    engine.reset();
+    engine.setStrategy(scene.strategy);
+    Object.assign(engine, scene.engineSettings);
+    scene.entities.forEach(entity => engine.repository.add(entity));
+    engine.notifyObservers();
+    return scene.mode;
+  }
+}
+
+// SCENARIOS: Named example scenes. Each builds its entities through EntityFactory and
+// may override strategy settings such as gravity. Physics scenes are in SI units and laid out
+// in the 8m by 6m arena.
+class ScenarioLibrary {
+  static scenarios = new Map();
+
+  static register(scenario) {
+    ScenarioLibrary.scenarios.set(scenario.id, scenario);
+  }
+
+  static get(id) {
+    return ScenarioLibrary.scenarios.get(id);
+  }
+
+  static all() {
+    return Array.from(ScenarioLibrary.scenarios.values());
+  }
+
+  // The first registered scenario for a mode is the one shown when switching to it
+  static defaultFor(mode) {
+    return ScenarioLibrary.all().find(scenario => scenario.mode === mode);
+  }
+
+  // Replaces the engine's scene and strategy with a fresh copy of the scenario
+  static load(engine, id) {
+    const scenario = ScenarioLibrary.get(id);
+    if (!scenario) {
+      throw new Error(`Unknown scenario '${id}'`);
+    }
+    const strategy = SceneSerializer.createStrategy(scenario.mode);
+    SceneSerializer.applySettings(strategy, scenario.mode, scenario.settings);
+
+    engine.reset();
+    engine.setStrategy(strategy);
+    scenario.build(engine.repository);
+    engine.notifyObservers();
+    return scenario;
+  }
+}
+
+// Battery standing upright on the left, '+' on top, as drawn in textbook loops
+const createUprightBattery = (repo, voltage) => {
+  const battery = EntityFactory.createCircuitBattery(repo, 150, 300, voltage);
+  battery.getComponent('transform').rotation = -Math.PI / 2;
+  return battery;
+};
+
+// Two-pin part turned so pin a is on top
+const standUpright = (entity) => {
+  entity.getComponent('transform').rotation = Math.PI / 2;
+  return entity;
+};
+
+ScenarioLibrary.register({
+  id: 'bouncing-balls',
+  name: 'Bouncing balls',
+  mode: 'physics',
+  description: 'Two balls dropped under gravity, losing a little energy at each bounce.',
+  settings: {},
+  build(repo) {
+    EntityFactory.createArena(repo);
+    [
+      EntityFactory.createPhysicsObject(repo, 2, 0.5, 1),
+      EntityFactory.createPhysicsObject(repo, 4, 1, 2)
+    ].forEach(ball => ball.getComponent('tangible').withMaterial({ restitution: 0.8 }));
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'newtons-cradle',
+  name: "Newton's cradle",
+  mode: 'physics',
+  description: 'Five touching pendulums; the first swings in and momentum passes down the row.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    const length = 2.5;
+    for (let i = 0; i < 5; i++) {
+      const pivot = { x: 3 + i * 2 * EntityFactory.BALL_RADIUS, y: 1.5 };
+      // The first ball is pulled out to 45° before release
+      const angle = i === 0 ? Math.PI / 4 : 0;
+      const ball = EntityFactory.createPhysicsObject(
+        repo, pivot.x - Math.sin(angle) * length, pivot.y + Math.cos(angle) * length, 1, 0, 0
+      );
+      EntityFactory.createDistanceConstraint(repo, pivot, ball, length);
+    }
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'pendulum',
+  name: 'Pendulum',
+  mode: 'physics',
+  description: 'A ball on a 2m rod next to one on a slack rope of the same length; the period is 2π√(L/g) ≈ 2.8s.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    const rod = EntityFactory.createPhysicsObject(repo, 4.5, 1, 1, 0, 0);
+    EntityFactory.createDistanceConstraint(repo, { x: 2.5, y: 1 }, rod, 2, 'rod');
+    const rope = EntityFactory.createPhysicsObject(repo, 7, 1.5, 1, 0, 0);
+    EntityFactory.createDistanceConstraint(repo, { x: 5.5, y: 1 }, rope, 2, 'rope');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'spring-oscillator',
+  name: 'Spring oscillator',
+  mode: 'physics',
+  description: 'A 1kg mass on a 20N/m spring bobs 0.49m either side of where the spring balances gravity.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    const mass = EntityFactory.createPhysicsObject(repo, 4, 2.5, 1, 0, 0);
+    EntityFactory.createSpring(repo, { x: 4, y: 1 }, mass, 20, 0, 1.5);
+    // A damped spring beside it dies away to the same rest point
+    const damped = EntityFactory.createPhysicsObject(repo, 5.5, 2.5, 1, 0, 0);
+    EntityFactory.createSpring(repo, { x: 5.5, y: 1 }, damped, 20, 1, 1.5);
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'orbit',
+  name: 'Orbit',
+  mode: 'physics',
+  description: 'A 1kg moon circles a 10¹²kg asteroid 1.5m away under Newtonian gravity, once every 1.4s.',
+  settings: { gravity: 0 },
+  build(repo) {
+    const G = 6.674e-11;
+    const sunMass = 1e12; // kg; a small dense asteroid, so the orbit fits on screen
+    const radius = 1.5;
+    EntityFactory.createGravitationField(repo, G, 0.05);
+    EntityFactory.createPhysicsObject(repo, 4, 3, sunMass, 0, 0).getComponent('render').color = '#facc15';
+    // Circular orbit speed v = sqrt(GM / r)
+    EntityFactory.createPhysicsObject(repo, 4 + radius, 3, 1, 0, -Math.sqrt(G * sunMass / radius));
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'charged-particles',
+  name: 'Charged particles',
+  mode: 'physics',
+  description: 'Opposite ±2C charges in a 0.5N/C field are pushed in opposite directions at 1m/s².',
+  settings: { gravity: 0 },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    EntityFactory.createElectricField(repo, 0.5, 0);
+    EntityFactory.createChargedObject(repo, 4, 2, 2, 1, 0, 0);
+    EntityFactory.createChargedObject(repo, 4, 3, -2, 1, 0, 0);
+    EntityFactory.createPhysicsObject(repo, 4, 4, 1, 0, 0);
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'projectile-launch',
+  name: 'Projectile launch',
+  mode: 'physics',
+  description: 'A ball launched at 10.6m/s, 71° above horizontal, rises 5.1m and lands 6.9m away.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    // A real ball: it loses some energy at each bounce once it lands
+    EntityFactory.createPhysicsObject(repo, 0.4, 5.4, 1, 3.4, -10).getComponent('tangible').withMaterial({ restitution: 0.7 });
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'inclined-plane',
+  name: 'Inclined plane',
+  mode: 'physics',
+  description: 'A box on a 27° ramp: friction (μs 0.4, μk 0.3) slows it, but tan 27° = 0.5 is too steep to hold it.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    const surface = { restitution: 0, staticFriction: 0.4, kineticFriction: 0.3 };
+    EntityFactory.createArena(repo).forEach(wall => wall.getComponent('tangible').withMaterial(surface));
+    const top = { x: 0.6, y: 3.2 };
+    const bottom = { x: 5.6, y: 5.7 };
+    EntityFactory.createStaticSegment(repo, top.x, top.y, bottom.x, bottom.y).getComponent('tangible').withMaterial(surface);
+
+    // Rest the box on the ramp's surface, a little way down from the top
+    const angle = Math.atan2(bottom.y - top.y, bottom.x - top.x);
+    const along = 0.8;
+    const height = 0.4;
+    EntityFactory.createPhysicsBox(
+      repo,
+      top.x + Math.cos(angle) * along + Math.sin(angle) * height / 2,
+      top.y + Math.sin(angle) * along - Math.cos(angle) * height / 2,
+      0.6, height, 1, angle
+    ).getComponent('tangible').withMaterial(surface);
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'box-stack',
+  name: 'Box stack',
+  mode: 'physics',
+  description: 'Boxes stacked on the floor, with a ball rolling in to knock them.',
+  settings: { gravity: 9.81 },
+  build(repo) {
+    const wood = { restitution: 0.1, staticFriction: 0.6, kineticFriction: 0.4 };
+    EntityFactory.createArena(repo).forEach(wall => wall.getComponent('tangible').withMaterial(wood));
+    for (let i = 0; i < 4; i++) {
+      EntityFactory.createPhysicsBox(repo, 5, 5.5 - i * 0.4, 0.8, 0.4, 1).getComponent('tangible').withMaterial(wood);
+    }
+    EntityFactory.createPhysicsObject(repo, 1, 5.5, 2, 5, 0).getComponent('tangible').withMaterial({ restitution: 0.3 });
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'series-circuit',
+  name: 'Series circuit',
+  mode: 'circuit',
+  description: 'A 9V battery driving 100Ω and 200Ω in series.',
+  settings: {},
+  build(repo) {
+    const battery = EntityFactory.createCircuitBattery(repo, 50, 300, 9);
+    const r1 = EntityFactory.createCircuitResistor(repo, 150, 300, 100);
+    const r2 = EntityFactory.createCircuitResistor(repo, 250, 300, 200);
+    EntityFactory.createCircuitWire(repo, battery, r1);
+    EntityFactory.createCircuitWire(repo, r1, r2);
+    // Close the loop back to the battery's - pin
+    EntityFactory.createCircuitWire(repo, r2, battery);
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'voltage-divider',
+  name: 'Voltage divider',
+  mode: 'circuit',
+  description: '12V across 1kΩ and 2kΩ; the lower resistor sees 2/3 of the supply.',
+  settings: {},
+  build(repo) {
+    const battery = createUprightBattery(repo, 12);
+    const r1 = EntityFactory.createCircuitResistor(repo, 300, 200, 1000);
+    const r2 = standUpright(EntityFactory.createCircuitResistor(repo, 450, 300, 2000));
+    EntityFactory.createCircuitWire(repo, battery, r1, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r1, r2, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, r2, battery, 'b', '-');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'parallel-resistors',
+  name: 'Parallel resistors',
+  mode: 'circuit',
+  description: '9V across 100Ω, 220Ω and 470Ω in parallel; each branch draws V/R.',
+  settings: {},
+  build(repo) {
+    const battery = createUprightBattery(repo, 9);
+    [100, 220, 470].forEach((resistance, i) => {
+      const r = standUpright(EntityFactory.createCircuitResistor(repo, 350 + i * 100, 300, resistance));
+      EntityFactory.createCircuitWire(repo, battery, r, '+', 'a');
+      EntityFactory.createCircuitWire(repo, r, battery, 'b', '-');
+    });
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'rc-charging',
+  name: 'RC charging',
+  mode: 'circuit',
+  description: '10V charging 1mF through 1kΩ: time constant RC = 1s.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const battery = createUprightBattery(repo, 10);
+    const r = EntityFactory.createCircuitResistor(repo, 300, 200, 1000);
+    const c = standUpright(EntityFactory.createCircuitCapacitor(repo, 450, 300, 0.001));
+    EntityFactory.createCircuitWire(repo, battery, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, c, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, c, battery, 'b', '-');
+  }
+});
+
+// Filters: 1kΩ and 1µF corner at 1/(2πRC) ≈ 159Hz, driven by a 1V sine for the AC sweep
+ScenarioLibrary.register({
+  id: 'rc-low-pass',
+  name: 'RC low-pass filter',
+  mode: 'circuit',
+  description: '1kΩ then 1µF across the output: passes below 159Hz, falling 20dB per decade above.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const source = EntityFactory.createCircuitVoltageSource(repo, 150, 300, 1, 100);
+    source.getComponent('transform').rotation = -Math.PI / 2; // '+' at the top, like the batteries
+    const r = EntityFactory.createCircuitResistor(repo, 300, 200, 1000);
+    const c = standUpright(EntityFactory.createCircuitCapacitor(repo, 450, 300, 1e-6));
+    EntityFactory.createCircuitWire(repo, source, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, c, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, c, source, 'b', '-');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'rc-high-pass',
+  name: 'RC high-pass filter',
+  mode: 'circuit',
+  description: '1µF then 1kΩ across the output: passes above 159Hz, falling 20dB per decade below.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const source = EntityFactory.createCircuitVoltageSource(repo, 150, 300, 1, 100);
+    source.getComponent('transform').rotation = -Math.PI / 2; // '+' at the top, like the batteries
+    const c = EntityFactory.createCircuitCapacitor(repo, 300, 200, 1e-6);
+    const r = standUpright(EntityFactory.createCircuitResistor(repo, 450, 300, 1000));
+    EntityFactory.createCircuitWire(repo, source, c, '+', 'a');
+    EntityFactory.createCircuitWire(repo, c, r, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, r, source, 'b', '-');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'half-wave-rectifier',
+  name: 'Half-wave rectifier',
+  mode: 'circuit',
+  description: 'A diode passes the positive half of a 10V 50Hz sine; 100µF across the 1kΩ load holds up the dips.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const source = EntityFactory.createCircuitVoltageSource(repo, 150, 300, 10, 50);
+    source.getComponent('transform').rotation = -Math.PI / 2; // '+' at the top, like the batteries
+    const diode = EntityFactory.createCircuitDiode(repo, 300, 200, 0.7);
+    const r = standUpright(EntityFactory.createCircuitResistor(repo, 450, 300, 1000));
+    const c = standUpright(EntityFactory.createCircuitCapacitor(repo, 550, 300, 100e-6));
+    EntityFactory.createCircuitWire(repo, source, diode, '+', 'a');
+    EntityFactory.createCircuitWire(repo, diode, r, 'k', 'a');
+    EntityFactory.createCircuitWire(repo, r, c, 'a', 'a');
+    EntityFactory.createCircuitWire(repo, r, source, 'b', '-');
+    EntityFactory.createCircuitWire(repo, c, r, 'b', 'b');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'transistor-switch',
+  name: 'Transistor switch',
+  mode: 'circuit',
+  description: 'A 1Hz square wave through 10kΩ switches an NPN transistor, flashing an LED on a 9V supply.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const battery = createUprightBattery(repo, 9);
+    const r = EntityFactory.createCircuitResistor(repo, 300, 200, 470);
+    const led = standUpright(EntityFactory.createCircuitLED(repo, 450, 260, 2));
+    const transistor = EntityFactory.createCircuitNPN(repo, 450, 360, 100);
+    const control = EntityFactory.createCircuitVoltageSource(repo, 250, 430, 5, 1, 'square');
+    control.getComponent('transform').rotation = -Math.PI / 2;
+    const base = EntityFactory.createCircuitResistor(repo, 350, 360, 10000);
+    EntityFactory.createCircuitWire(repo, battery, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, led, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, led, transistor, 'k', 'c');
+    EntityFactory.createCircuitWire(repo, transistor, battery, 'e', '-');
+    EntityFactory.createCircuitWire(repo, control, base, '+', 'a');
+    EntityFactory.createCircuitWire(repo, base, transistor, 'b', 'b');
+    EntityFactory.createCircuitWire(repo, control, transistor, '-', 'e');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'measuring-a-divider',
+  name: 'Measuring a divider',
+  mode: 'circuit',
+  description: 'An ammeter in series reads the 4mA through 1kΩ and 2kΩ; a voltmeter across the 2kΩ reads 8V.',
+  settings: {},
+  build(repo) {
+    const battery = createUprightBattery(repo, 12);
+    const ammeter = EntityFactory.createCircuitAmmeter(repo, 250, 200);
+    const r1 = EntityFactory.createCircuitResistor(repo, 400, 200, 1000);
+    const r2 = standUpright(EntityFactory.createCircuitResistor(repo, 500, 300, 2000));
+    const voltmeter = standUpright(EntityFactory.createCircuitVoltmeter(repo, 600, 300));
+    EntityFactory.createCircuitWire(repo, battery, ammeter, '+', '+');
+    EntityFactory.createCircuitWire(repo, ammeter, r1, '-', 'a');
+    EntityFactory.createCircuitWire(repo, r1, r2, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, r2, battery, 'b', '-');
+    EntityFactory.createCircuitWire(repo, r2, voltmeter, 'a', '+');
+    EntityFactory.createCircuitWire(repo, r2, voltmeter, 'b', '-');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'rc-filter-scope',
+  name: 'Oscilloscope on an RC filter',
+  mode: 'circuit',
+  description: 'Channel 1 shows a 1V sine at the 159Hz corner of a 1kΩ, 1µF low-pass; channel 2 its output, 0.71V and 45° behind.',
+  settings: { integration: 'trapezoidal' },
+  build(repo) {
+    const source = EntityFactory.createCircuitVoltageSource(repo, 150, 300, 1, 1 / (2 * Math.PI * 1000 * 1e-6));
+    source.getComponent('transform').rotation = -Math.PI / 2; // '+' at the top, like the batteries
+    const r = EntityFactory.createCircuitResistor(repo, 300, 200, 1000);
+    const c = standUpright(EntityFactory.createCircuitCapacitor(repo, 450, 300, 1e-6));
+    const scope = EntityFactory.createCircuitOscilloscope(repo, 550, 300, 0.002, 0.5);
+    EntityFactory.createCircuitWire(repo, source, r, '+', 'a');
+    EntityFactory.createCircuitWire(repo, r, c, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, c, source, 'b', '-');
+    EntityFactory.createCircuitWire(repo, source, scope, '+', 'ch1');
+    EntityFactory.createCircuitWire(repo, c, scope, 'a', 'ch2');
+    EntityFactory.createCircuitWire(repo, c, scope, 'b', 'gnd');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'lamp-switch-fuse',
+  name: 'Lamp, switch and fuse',
+  mode: 'circuit',
+  description: 'Click the switch to light a 12V 5W lamp. Holding the push button shorts the lamp: only the battery\'s 0.05Ω internal resistance limits the current, and the 1A fuse blows. Click the fuse to replace it.',
+  settings: {},
+  build(repo) {
+    const battery = createUprightBattery(repo, 12);
+    battery.getComponent('battery').internalResistance = 0.05;
+    const fuse = EntityFactory.createCircuitFuse(repo, 250, 200, 1);
+    const toggle = EntityFactory.createCircuitSPSTSwitch(repo, 400, 200);
+    const lamp = standUpright(EntityFactory.createCircuitLamp(repo, 550, 300, 5));
+    const button = standUpright(EntityFactory.createCircuitPushButton(repo, 650, 300));
+    EntityFactory.createCircuitWire(repo, battery, fuse, '+', 'a');
+    EntityFactory.createCircuitWire(repo, fuse, toggle, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, toggle, lamp, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, lamp, battery, 'b', '-');
+    EntityFactory.createCircuitWire(repo, lamp, button, 'a', 'a');
+    EntityFactory.createCircuitWire(repo, lamp, button, 'b', 'b');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'two-way-switch',
+  name: 'Two-way light switch',
+  mode: 'circuit',
+  description: 'A lamp on a staircase: two changeover switches joined by two wires, so clicking either one turns the lamp on or off.',
+  settings: {},
+  build(repo) {
+    const battery = createUprightBattery(repo, 12);
+    const bottom = EntityFactory.createCircuitSPDTSwitch(repo, 300, 200);
+    const top = EntityFactory.createCircuitSPDTSwitch(repo, 450, 200);
+    top.getComponent('transform').rotation = Math.PI; // common pin on the right
+    const lamp = standUpright(EntityFactory.createCircuitLamp(repo, 550, 300, 5));
+    EntityFactory.createCircuitWire(repo, battery, bottom, '+', 'com');
+    EntityFactory.createCircuitWire(repo, bottom, top, 'a', 'b');
+    EntityFactory.createCircuitWire(repo, bottom, top, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, top, lamp, 'com', 'a');
+    EntityFactory.createCircuitWire(repo, lamp, battery, 'b', '-');
+  }
+});
+
+// Multiphysics scenes: bodies in the meters of the arena, their circuit in schematic units
+
+ScenarioLibrary.register({
+  id: 'motor-cart',
+  name: 'Motor pushing a cart',
+  mode: 'multiphysics',
+  description: 'Close the switch and a linear motor (2Ω winding, 2N/A) drives a 2kg cart from a 6V battery. Back-emf grows with speed, so the cart levels off near 3m/s as the current dies away. Stalled against the wall the motor draws 3A, and its winding heats towards 200°C.',
+  settings: { physics: { gravity: 9.81 } },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    // On frictionless wheels, and it stops dead at the wall
+    const cart = EntityFactory.createPhysicsBox(repo, 1, 5.5, 0.8, 0.4, 2);
+    cart.getComponent('tangible').withMaterial({ restitution: 0 });
+
+    const battery = createUprightBattery(repo, 6);
+    const toggle = EntityFactory.createCircuitSPSTSwitch(repo, 300, 200);
+    const motor = standUpright(EntityFactory.createCircuitMotor(repo, 450, 300, 2, cart, 2));
+    motor.addComponent('thermal', new ThermalComponent(2, 10));
+    EntityFactory.createCircuitWire(repo, battery, toggle, '+', 'a');
+    EntityFactory.createCircuitWire(repo, toggle, motor, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, motor, battery, 'b', '-');
+  }
+});
+
+ScenarioLibrary.register({
+  id: 'charged-plates',
+  name: 'Charged plates',
+  mode: 'multiphysics',
+  description: 'A ball carrying 2mC bounces between the walls. Close the switch to charge the plates through 1kΩ, with a 1s time constant: at 100V across their 2m gap the field is 50V/m, pulling the ball down at 1m/s² while it is between them.',
+  settings: { physics: { gravity: 0 } },
+  build(repo) {
+    EntityFactory.createArena(repo);
+    EntityFactory.createChargedObject(repo, 0.5, 3, 0.002, 0.1, 2, 0);
+
+    const battery = createUprightBattery(repo, 100);
+    const toggle = EntityFactory.createCircuitSPSTSwitch(repo, 300, 200);
+    const r = EntityFactory.createCircuitResistor(repo, 450, 200, 1000);
+    const plates = standUpright(EntityFactory.createCircuitPlates(repo, 550, 300, 0.001, 4, 3, 3, 2));
+    EntityFactory.createCircuitWire(repo, battery, toggle, '+', 'a');
+    EntityFactory.createCircuitWire(repo, toggle, r, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, r, plates, 'b', 'a');
+    EntityFactory.createCircuitWire(repo, plates, battery, 'b', '-');
+  }
+});
+
+// CAMERA: Maps world coordinates to canvas pixels and back. Physics scenes are in meters, shown at
+// pixelsPerUnit pixels per meter; circuit layouts are schematic, one unit to the pixel. zoom
+// multiplies that scale, and (x, y) is the world point at the canvas's top-left corner.
+class Camera {
+  static MIN_ZOOM = 0.05;
+  static MAX_ZOOM = 50;
+
+  constructor(width, height, pixelsPerUnit = 100, unit = 'm') {
+    this.width = width; // canvas size in pixels
+    this.height = height;
+    this.pixelsPerUnit = pixelsPerUnit;
+    this.unit = unit; // shown on the rulers; null for unitless layouts
+    this.zoom = 1;
+    this.x = 0;
+    this.y = 0;
+  }
+
+  get scale() {
+    return this.pixelsPerUnit * this.zoom;
+  }
+
+  toScreen(x, y) {
+    return { x: (x - this.x) * this.scale, y: (y - this.y) * this.scale };
+  }
+
+  toWorld(x, y) {
+    return { x: this.x + x / this.scale, y: this.y + y / this.scale };
+  }
+
+  // The world rectangle on screen
+  get view() {
+    return { minX: this.x, minY: this.y, maxX: this.x + this.width / this.scale, maxY: this.y + this.height / this.scale };
+  }
+
+  // Back to the origin at zoom 1, where the 8m by 6m arena fills the canvas
+  home() {
+    this.zoom = 1;
+    this.x = 0;
+    this.y = 0;
+  }
+
+  // Moves the view by a drag of (dx, dy) canvas pixels
+  pan(dx, dy) {
+    this.x -= dx / this.scale;
+    this.y -= dy / this.scale;
+  }
+
+  // Zooms by factor, keeping the world point under canvas pixel (px, py) where it is
+  zoomAt(factor, px, py) {
+    const anchor = this.toWorld(px, py);
+    this.zoom = Math.min(Camera.MAX_ZOOM, Math.max(Camera.MIN_ZOOM, this.zoom * factor));
+    this.x = anchor.x - px / this.scale;
+    this.y = anchor.y - py / this.scale;
+  }
+
+  // Centers the bounds and zooms so they fill the canvas, less a margin in pixels
+  fit(bounds, margin = 20) {
+    if (!bounds) return;
+    const width = Math.max(bounds.maxX - bounds.minX, 1e-9);
+    const height = Math.max(bounds.maxY - bounds.minY, 1e-9);
+    const scale = Math.min((this.width - 2 * margin) / width, (this.height - 2 * margin) / height);
+    this.zoom = Math.min(Camera.MAX_ZOOM, Math.max(Camera.MIN_ZOOM, scale / this.pixelsPerUnit));
+    this.x = (bounds.minX + bounds.maxX) / 2 - this.width / 2 / this.scale;
+    this.y = (bounds.minY + bounds.maxY) / 2 - this.height / 2 / this.scale;
+  }
+
+  // Everything placed in the scene: collision shapes, circuit parts and fixed spring ends
+  static sceneBounds(entities) {
+    const points = [];
+    entities.forEach(entity => {
+      const transform = entity.getComponent('transform');
+      const tangible = entity.getComponent('tangible');
+      if (tangible?.shape === 'segment' && transform) {
+        // The line that is drawn, not the solid behind a thick one
+        points.push(...tangible.worldVertices(transform));
+      } else if (tangible && transform) {
+        const box = tangible.bounds(transform);
+        points.push({ x: box.minX, y: box.minY }, { x: box.maxX, y: box.maxY });
+      } else if (entity.hasComponent('circuit')) {
+        const half = (entity.getComponent('render')?.size ?? 0) / 2;
+        points.push({ x: transform.x - half, y: transform.y - half }, { x: transform.x + half, y: transform.y + half });
+      }
+      const joint = entity.getComponent('spring') ?? entity.getComponent('constraint');
+      if (joint) {
+        [joint.a, joint.b].filter(end => end.id === undefined).forEach(end => points.push(end));
+      }
+    });
+    if (points.length === 0) return null;
+    return {
+      minX: Math.min(...points.map(p => p.x)), maxX: Math.max(...points.map(p => p.x)),
+      minY: Math.min(...points.map(p => p.y)), maxY: Math.max(...points.map(p => p.y))
+    };
+  }
+
+  // Grid spacing in world units: the smallest 1, 2 or 5 times a power of ten at least minPixels apart
+  gridStep(minPixels = 50) {
+    const least = minPixels / this.scale;
+    const power = 10 ** Math.floor(Math.log10(least));
+    return [1, 2, 5, 10].map(m => m * power).find(step => step >= least);
+  }
+}
+
+export {
+  Entity,
+  CircuitComponent,
+  SourceComponent,
+  MeterComponent,
+  ScopeComponent,
+  TraceComponent,
+  SwitchComponent,
+  FuseComponent,
+  LampComponent,
+  BatteryComponent,
+  MotorComponent,
+  PlatesComponent,
+  ThermalComponent,
+  EntityRepository,
+  EntityFactory,
+  SimulationEngine,
+  SimulationHistory,
+  ProbeRecorder,
+  ConservationDiagnostics,
+  CommandStack,
+  SceneEditCommand,
+  SetFieldsCommand,
+  PhysicsSimulationStrategy,
+  SpatialHashBroadphase,
+  CollisionDetector,
+  CircuitSimulationStrategy,
+  ThermalSimulationStrategy,
+  CouplingSimulationStrategy,
+  StrategyPipeline,
+  CircuitNetlist,
+  ModifiedNodalAnalysis,
+  FrequencyResponse,
+  CircuitEditor,
+  PhysicsEditor,
+  PropertyInspector,
+  SceneSerializer,
+  ScenarioLibrary,
+  Camera,
+  resolveEndpoint,
+  wireRoute,
+  formatSI
+};